@@ -0,0 +1,200 @@
+/**
+ * Service Worker
+ *
+ * Keeps the app usable with a poor connection:
+ * - App shell (pages, built assets, icons): network first for pages so a
+ *   deploy is picked up right away, cache first for the hashed assets
+ * - Pokémon TCG card images: cache first, trimmed to a size the user picks
+ *   in Profile > Interface (oldest images are removed first)
+ *
+ * Binder data itself is kept offline by Firestore's persistent cache (see
+ * src/config/firebase.js); API and Firestore requests pass straight through.
+ */
+
+const SHELL_CACHE = "pkmnbindr-shell-v1";
+const IMAGE_CACHE = "pkmnbindr-card-images";
+const SETTINGS_CACHE = "pkmnbindr-settings";
+const CURRENT_CACHES = [SHELL_CACHE, IMAGE_CACHE, SETTINGS_CACHE];
+
+const SHELL_URLS = ["/", "/logo.png", "/icon.svg", "/manifest.webmanifest"];
+// Old hashed assets are dropped once the shell cache grows past this
+const MAX_SHELL_ENTRIES = 80;
+
+const CARD_IMAGE_HOSTS = ["images.pokemontcg.io"];
+const DEFAULT_MAX_IMAGES = 1000;
+const IMAGE_LIMIT_KEY = "/__settings/image-cache-limit";
+
+// ================== SETTINGS ==================
+
+const getImageCacheLimit = async () => {
+  const cache = await caches.open(SETTINGS_CACHE);
+  const response = await cache.match(IMAGE_LIMIT_KEY);
+  if (!response) return DEFAULT_MAX_IMAGES;
+
+  const { limit } = await response.json();
+  return Number.isInteger(limit) ? limit : DEFAULT_MAX_IMAGES;
+};
+
+const setImageCacheLimit = async (limit) => {
+  const cache = await caches.open(SETTINGS_CACHE);
+  await cache.put(
+    IMAGE_LIMIT_KEY,
+    new Response(JSON.stringify({ limit }), {
+      headers: { "Content-Type": "application/json" },
+    })
+  );
+};
+
+// Delete the oldest entries until the cache is within maxEntries
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+  if (excess <= 0) return;
+
+  await Promise.all(keys.slice(0, excess).map((key) => cache.delete(key)));
+};
+
+// ================== LIFECYCLE ==================
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) =>
+                name.startsWith("pkmnbindr-") && !CURRENT_CACHES.includes(name)
+            )
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// ================== FETCH STRATEGIES ==================
+
+// Pages: every route is the single-page app, so they share the "/" entry
+const handleNavigation = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put("/", response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match("/");
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const handleCacheFirst = async (request, cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    trimCache(cacheName, maxEntries);
+  }
+  return response;
+};
+
+// Card images are requested with CORS so the cached copies count their real
+// size against storage; opaque responses are padded to several MB each.
+// Images that can't be fetched that way are passed through uncached.
+const handleCardImage = async (request) => {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) return cached;
+
+  let response;
+  try {
+    response = await fetch(request.url, { mode: "cors", credentials: "omit" });
+  } catch {
+    return fetch(request);
+  }
+
+  if (response.ok) {
+    await cache.put(request.url, response.clone());
+    trimCache(IMAGE_CACHE, await getImageCacheLimit());
+  }
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (CARD_IMAGE_HOSTS.includes(url.hostname)) {
+    event.respondWith(handleCardImage(request));
+    return;
+  }
+
+  if (
+    url.origin === self.location.origin &&
+    (url.pathname.startsWith("/assets/") || SHELL_URLS.includes(url.pathname))
+  ) {
+    event.respondWith(
+      handleCacheFirst(request, SHELL_CACHE, MAX_SHELL_ENTRIES)
+    );
+  }
+});
+
+// ================== MESSAGES ==================
+// Sent by src/utils/serviceWorker.js; replies go to the message's port.
+
+const getCacheStats = async () => {
+  const cache = await caches.open(IMAGE_CACHE);
+  const keys = await cache.keys();
+  return { imageCount: keys.length, imageLimit: await getImageCacheLimit() };
+};
+
+self.addEventListener("message", (event) => {
+  const { type, limit } = event.data || {};
+  const [port] = event.ports;
+
+  const handlers = {
+    SET_IMAGE_CACHE_LIMIT: async () => {
+      await setImageCacheLimit(limit);
+      await trimCache(IMAGE_CACHE, limit);
+      return getCacheStats();
+    },
+    CLEAR_IMAGE_CACHE: async () => {
+      await caches.delete(IMAGE_CACHE);
+      return getCacheStats();
+    },
+    GET_CACHE_STATS: getCacheStats,
+  };
+
+  if (!handlers[type]) return;
+
+  event.waitUntil(
+    handlers[type]()
+      .then((result) => port?.postMessage({ success: true, ...result }))
+      .catch((error) =>
+        port?.postMessage({ success: false, error: error.message })
+      )
+  );
+});
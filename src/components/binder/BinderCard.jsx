@@ -5,9 +5,11 @@ import {
   CalendarDays,
   MoreVertical,
   Trash2,
+  Users,
 } from "lucide-react";
 import { motion } from "framer-motion";
 import { useState, useRef, useEffect } from "react";
+import { COLLABORATOR_ROLE_LABELS } from "../../utils/binderCollaboration";
 
 // Helper to format Firestore Timestamps
 const formatDate = (timestamp) => {
@@ -55,7 +57,13 @@ const getSlotsForGrid = (gridSize) => {
   return num1 * num2;
 };
 
-const BinderCard = ({ binder, onDeleteInitiate }) => {
+/**
+ * BinderCard - Summary card linking to a binder
+ * @param {Object} binder - Binder document data
+ * @param {Function} onDeleteInitiate - Delete handler; the options menu is hidden without it
+ * @param {string} sharedRole - Current user's role when the binder was shared with them
+ */
+const BinderCard = ({ binder, onDeleteInitiate, sharedRole }) => {
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const dropdownRef = useRef(null);
 
@@ -81,6 +89,11 @@ const BinderCard = ({ binder, onDeleteInitiate }) => {
     );
   }
 
+  // Shared binders live in their owner's account
+  const binderPath = sharedRole
+    ? `/app/binder/${binder.ownerId}/${binder.id}`
+    : `/app/binder/${binder.id}`;
+
   const slotsPerPage = getSlotsForGrid(binder.gridSize);
   const totalPossibleSlots = binder.pageCount * slotsPerPage;
   const progressPercentage =
@@ -109,29 +122,31 @@ const BinderCard = ({ binder, onDeleteInitiate }) => {
       transition={{ type: "spring", stiffness: 300, damping: 15 }}
       className="bg-white dark:bg-gray-800 rounded-xl shadow-lg overflow-hidden border border-gray-200 dark:border-gray-700 hover:border-blue-500 dark:hover:border-blue-400 relative"
     >
-      <div className="absolute top-3 right-3 z-10" ref={dropdownRef}>
-        <button
-          onClick={handleDropdownToggle}
-          aria-label="More options"
-          className="p-1.5 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
-        >
-          <MoreVertical size={18} />
-        </button>
-        {isDropdownOpen && (
-          <div className="absolute right-0 mt-1 w-40 bg-white dark:bg-gray-800 rounded-md shadow-xl border border-gray-200 dark:border-gray-700 py-1 z-20">
-            <button
-              onClick={handleDeleteClick}
-              className="w-full flex items-center px-3 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 hover:text-red-700 dark:hover:text-red-300"
-            >
-              <Trash2 size={14} className="mr-2" />
-              Delete Binder
-            </button>
-          </div>
-        )}
-      </div>
+      {onDeleteInitiate && (
+        <div className="absolute top-3 right-3 z-10" ref={dropdownRef}>
+          <button
+            onClick={handleDropdownToggle}
+            aria-label="More options"
+            className="p-1.5 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <MoreVertical size={18} />
+          </button>
+          {isDropdownOpen && (
+            <div className="absolute right-0 mt-1 w-40 bg-white dark:bg-gray-800 rounded-md shadow-xl border border-gray-200 dark:border-gray-700 py-1 z-20">
+              <button
+                onClick={handleDeleteClick}
+                className="w-full flex items-center px-3 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 hover:text-red-700 dark:hover:text-red-300"
+              >
+                <Trash2 size={14} className="mr-2" />
+                Delete Binder
+              </button>
+            </div>
+          )}
+        </div>
+      )}
 
       <Link
-        to={`/app/binder/${binder.id}`}
+        to={binderPath}
         className="block p-5 sm:p-6 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-gray-800 rounded-xl"
       >
         <div className="flex items-start justify-between mb-3 pr-8">
@@ -144,6 +159,18 @@ const BinderCard = ({ binder, onDeleteInitiate }) => {
           <BookOpen className="w-5 h-5 sm:w-6 sm:h-6 text-blue-500 dark:text-blue-400 flex-shrink-0" />
         </div>
 
+        {sharedRole && (
+          <p className="flex items-center text-xs text-gray-500 dark:text-gray-400 mb-3 -mt-1">
+            <Users className="w-3.5 h-3.5 mr-1.5 flex-shrink-0" />
+            <span className="truncate">
+              {binder.ownerDisplayName
+                ? `Shared by ${binder.ownerDisplayName}`
+                : "Shared with you"}{" "}
+              · {COLLABORATOR_ROLE_LABELS[sharedRole]}
+            </span>
+          </p>
+        )}
+
         {binder.description && (
           <p
             className="text-xs sm:text-sm text-gray-600 dark:text-gray-400 mb-4 line-clamp-2"
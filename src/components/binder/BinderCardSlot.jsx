@@ -1,8 +1,9 @@
-import { Plus, Clock } from "lucide-react";
+import { Plus, Clock, Trash2, Undo2, Pencil } from "lucide-react";
 import { usePendingChanges } from "../../hooks/usePendingChanges";
 import { useAuth } from "../../contexts/AuthContext";
 import { useParams } from "react-router-dom";
 import { getPageAndSlotFromSlotNumber } from "../../utils/slotAssignment";
+import { CARD_VARIANTS, formatCardGrade } from "../../utils/cardMetadata";
 
 /**
  * BinderCardSlot - Individual card slot component for the binder grid
@@ -14,6 +15,10 @@ import { getPageAndSlotFromSlotNumber } from "../../utils/slotAssignment";
  * @param {string} gridSize - Grid size for calculations
  * @param {string} pageType - Type of page ("left", "right", etc.)
  * @param {number} startingSlot - Starting slot for this page
+ * @param {Object} highlightedSlot - { pageNumber, slotInPage } to highlight, if any
+ * @param {boolean} isReadOnly - Hide editing controls (shared binder view)
+ * @param {Function} onEditCard - Callback to open the card detail editor
+ * @param {Map} setLayoutSlots - Set layout entries by slot number, for binders created from a set
  */
 const BinderCardSlot = ({
   slot,
@@ -24,10 +29,15 @@ const BinderCardSlot = ({
   gridSize = "3x3",
   pageType = "single",
   startingSlot = 1,
+  highlightedSlot = null,
+  isReadOnly = false,
+  onEditCard,
+  setLayoutSlots,
 }) => {
   const { binderId } = useParams();
   const { currentUser } = useAuth();
-  const { pendingCards } = usePendingChanges(binderId);
+  const { pendingCards, markCardForRemoval, undoCardRemoval } =
+    usePendingChanges(binderId);
 
   // Calculate the actual page and slot position from the slot number
   const { pageNumber, slotInPage } = getPageAndSlotFromSlotNumber(
@@ -44,6 +54,10 @@ const BinderCardSlot = ({
   // Determine which card to display (saved card takes precedence over pending)
   const displayCard = savedCard || pendingCard;
 
+  const isHighlighted =
+    highlightedSlot?.pageNumber === pageNumber &&
+    highlightedSlot?.slotInPage === slotInPage;
+
   const handleClick = () => {
     if (onAddCard && !displayCard) {
       onAddCard(slot);
@@ -57,17 +71,40 @@ const BinderCardSlot = ({
     }
   };
 
+  const handleRemoveClick = (e) => {
+    e.stopPropagation();
+    const cardName = (savedCard.cardData || savedCard).name;
+    if (savedCard.isPendingRemoval) {
+      undoCardRemoval(savedCard.id, cardName);
+    } else {
+      markCardForRemoval(savedCard.id, cardName);
+    }
+  };
+
+  const handleEditClick = (e) => {
+    e.stopPropagation();
+    onEditCard(displayCard);
+  };
+
   // If there's a card to display
   if (displayCard) {
     const cardData = displayCard.cardData || displayCard;
     const isPending = !savedCard && pendingCard;
+    const isPendingRemoval = !!savedCard?.isPendingRemoval;
+    const detailBadge = formatCardGrade(cardData) || cardData.condition;
 
     return (
       <div
-        className={`relative rounded-lg border-2 transition-all duration-200 ${
+        className={`group relative rounded-lg border-2 transition-all duration-200 ${
           isPending
             ? "border-yellow-400 bg-yellow-50 dark:bg-yellow-900/20"
+            : isPendingRemoval
+            ? "border-red-400 bg-red-50 dark:bg-red-900/20"
             : "border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800"
+        } ${
+          isHighlighted
+            ? "ring-4 ring-amber-400 ring-offset-2 dark:ring-offset-gray-900 animate-pulse"
+            : ""
         }`}
         style={{
           width: `${cardWidth}px`,
@@ -79,7 +116,9 @@ const BinderCardSlot = ({
         <img
           src={cardData.images?.small || cardData.images?.normal}
           alt={cardData.name}
-          className="w-full h-full object-cover rounded-lg"
+          className={`w-full h-full object-cover rounded-lg ${
+            isPendingRemoval ? "opacity-40 grayscale" : ""
+          }`}
           loading="lazy"
           onError={(e) => {
             e.target.style.display = "none";
@@ -110,6 +149,13 @@ const BinderCardSlot = ({
           </div>
         )}
 
+        {/* Grade or condition badge */}
+        {detailBadge && (
+          <div className="absolute top-1 left-1 z-10 rounded bg-black/70 px-1 text-2xs font-semibold text-white">
+            {detailBadge}
+          </div>
+        )}
+
         {/* Card info overlay on hover */}
         <div className="absolute inset-0 bg-black/0 hover:bg-black/80 transition-all duration-200 rounded-lg opacity-0 hover:opacity-100 flex flex-col items-center justify-center text-white p-2 text-center">
           <span className="text-xs font-medium leading-tight">
@@ -122,10 +168,95 @@ const BinderCardSlot = ({
           {cardData.rarity && (
             <span className="text-xs text-gray-300">{cardData.rarity}</span>
           )}
+          {cardData.variant && CARD_VARIANTS[cardData.variant] && (
+            <span className="text-xs text-gray-300">
+              {CARD_VARIANTS[cardData.variant]}
+            </span>
+          )}
           {isPending && (
             <span className="text-xs text-yellow-300 mt-1">Pending Save</span>
           )}
+          {isPendingRemoval && (
+            <span className="text-xs text-red-300 mt-1">Pending Removal</span>
+          )}
         </div>
+
+        {/* Open the card detail editor */}
+        {onEditCard && currentUser && !isReadOnly && !isPendingRemoval && (
+          <button
+            type="button"
+            onClick={handleEditClick}
+            onPointerDown={(e) => e.stopPropagation()}
+            className="absolute bottom-1 left-1 z-20 rounded-full bg-blue-500 p-1 text-white opacity-0 shadow transition-opacity duration-200 hover:bg-blue-600 group-hover:opacity-100 focus:opacity-100"
+            title="Edit card details"
+            aria-label={`Edit details of ${cardData.name}`}
+          >
+            <Pencil className="h-3 w-3" />
+          </button>
+        )}
+
+        {/* Remove / undo remove control for saved cards */}
+        {savedCard && currentUser && !isReadOnly && (
+          <button
+            type="button"
+            onClick={handleRemoveClick}
+            onPointerDown={(e) => e.stopPropagation()}
+            className={`absolute bottom-1 right-1 z-20 rounded-full p-1 shadow transition-opacity duration-200 ${
+              isPendingRemoval
+                ? "bg-white text-red-600 opacity-100 hover:bg-red-50"
+                : "bg-red-500 text-white opacity-0 group-hover:opacity-100 focus:opacity-100 hover:bg-red-600"
+            }`}
+            title={isPendingRemoval ? "Undo remove" : "Remove card"}
+            aria-label={
+              isPendingRemoval
+                ? `Undo removing ${cardData.name}`
+                : `Remove ${cardData.name}`
+            }
+          >
+            {isPendingRemoval ? (
+              <Undo2 className="h-3 w-3" />
+            ) : (
+              <Trash2 className="h-3 w-3" />
+            )}
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  // The card a set binder keeps this slot for
+  const ghostEntry = setLayoutSlots?.get(slot);
+  const ghostCard = ghostEntry?.card || null;
+  const ghostName = ghostCard
+    ? `${ghostCard.name}${ghostEntry.variant ? " (Reverse Holo)" : ""}`
+    : "";
+  const ghostImage = ghostCard && (
+    <>
+      <img
+        src={ghostCard.images?.small}
+        alt=""
+        className="absolute inset-0 w-full h-full object-cover rounded-lg opacity-30 grayscale"
+        loading="lazy"
+      />
+      <span className="absolute bottom-1 left-1 right-1 truncate rounded bg-white/80 dark:bg-gray-900/80 px-1 text-2xs text-gray-600 dark:text-gray-300 text-center">
+        #{ghostCard.number} {ghostName}
+      </span>
+    </>
+  );
+
+  // Empty slot in a read-only binder - nothing to add
+  if (isReadOnly) {
+    return (
+      <div
+        className="relative bg-gray-100 dark:bg-gray-800 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600"
+        style={{
+          width: `${cardWidth}px`,
+          height: `${cardHeight}px`,
+          aspectRatio: "5 / 7", // Pokemon card aspect ratio
+        }}
+        aria-label={ghostCard ? `Missing ${ghostName}` : `Empty slot ${slot}`}
+      >
+        {ghostImage}
       </div>
     );
   }
@@ -143,10 +274,21 @@ const BinderCardSlot = ({
       onKeyDown={handleKeyDown}
       tabIndex={0}
       role="button"
-      aria-label={`Add card to slot ${slot}`}
+      aria-label={
+        ghostCard
+          ? `Add ${ghostName} to slot ${slot}`
+          : `Add card to slot ${slot}`
+      }
     >
+      {/* Missing card of a set binder */}
+      {ghostImage}
+
       {/* Empty slot placeholder */}
-      <div className="flex flex-col items-center justify-center text-gray-500 dark:text-gray-400 group-hover:text-blue-600 dark:group-hover:text-blue-400 transition-colors text-center p-1 relative z-10">
+      <div
+        className={`flex flex-col items-center justify-center text-gray-500 dark:text-gray-400 group-hover:text-blue-600 dark:group-hover:text-blue-400 transition-all text-center p-1 relative z-10 ${
+          ghostCard ? "opacity-0 group-hover:opacity-100" : ""
+        }`}
+      >
         <Plus className="h-5 w-5 sm:h-6 sm:w-6 mb-1 sm:mb-2" />
         <span className="text-xs sm:text-sm font-medium leading-tight">
           Add Card
@@ -37,6 +37,8 @@ import {
  * @param {number} maxPages - Maximum pages allowed
  * @param {Array} cardsOnPage1 - Cards for the first/left page
  * @param {Array} cardsOnPage2 - Cards for the second/right page
+ * @param {Object} highlightedSlot - { pageNumber, slotInPage } to highlight, if any
+ * @param {boolean} isReadOnly - Show the binder without editing controls (passed to each slot)
  */
 const BinderSpread = ({
   gridDimensions,
@@ -58,6 +60,7 @@ const BinderSpread = ({
   allCards = [], // All cards for drag validation
   onCardMove, // Callback for card moves
   isDragEnabled = true, // Whether drag and drop is enabled
+  highlightedSlot = null,
   ...props
 }) => {
   const { totalSlots } = parseGridSize(gridSize);
@@ -88,6 +91,17 @@ const BinderSpread = ({
     }
   }, [currentPage, gridDimensions.isMobile]);
 
+  // On mobile, show the side holding a highlighted slot (even pages are on the left)
+  useEffect(() => {
+    if (highlightedSlot && gridDimensions.isMobile) {
+      setMobilePage(
+        highlightedSlot.pageNumber > 1 && highlightedSlot.pageNumber % 2 === 0
+          ? "left"
+          : "right"
+      );
+    }
+  }, [highlightedSlot, gridDimensions.isMobile]);
+
   // Cleanup hold timers on unmount
   useEffect(() => {
     return () => {
@@ -183,6 +197,9 @@ const BinderSpread = ({
 
   const pageLayout = getPageLayout(currentPage);
 
+  // On the last page the next button adds a page, if adding pages is allowed
+  const isAddPageButton = currentPage >= totalPages && !!onAddPage;
+
   // Calculate binding height based on grid + padding to match page content exactly
   const getBindingHeight = () => {
     // Use measured page height if available, otherwise calculate from grid dimensions
@@ -258,7 +275,12 @@ const BinderSpread = ({
                 startingSlot={currentSide.startingSlot}
                 onAddCard={onAddCard}
                 pageType={mobilePage}
-                savedCards={mobilePage === "left" ? cardsOnPage1 : cardsOnPage2}
+                savedCards={
+                  mobilePage === "left" || currentPage === 1
+                    ? cardsOnPage1
+                    : cardsOnPage2
+                }
+                highlightedSlot={highlightedSlot}
                 {...props}
               />
             )}
@@ -297,16 +319,12 @@ const BinderSpread = ({
                 <Tooltip>
                   <TooltipTrigger asChild>
                     <Button
-                      variant={currentPage >= totalPages ? "default" : "ghost"}
+                      variant={isAddPageButton ? "default" : "ghost"}
                       size="lg"
-                      onClick={
-                        currentPage >= totalPages ? onAddPage : onNextPage
-                      }
-                      disabled={
-                        currentPage >= totalPages ? isAtPageLimit : !canGoNext
-                      }
+                      onClick={isAddPageButton ? onAddPage : onNextPage}
+                      disabled={isAddPageButton ? isAtPageLimit : !canGoNext}
                       className={`h-12 w-12 p-0 backdrop-blur-xl rounded-full shadow-lg border transition-all duration-200 ${
-                        currentPage >= totalPages
+                        isAddPageButton
                           ? isAtPageLimit
                             ? "!bg-gray-400 !text-gray-600 !border-gray-300 cursor-not-allowed" // Disabled state
                             : "!bg-blue-500 hover:!bg-blue-600 dark:!bg-blue-500 dark:hover:!bg-blue-600 !text-white !border-blue-400 dark:!border-blue-400 hover:scale-110" // Active state
@@ -315,14 +333,14 @@ const BinderSpread = ({
                           : "bg-white/90 dark:bg-gray-800/90 border-gray-200/50 dark:border-gray-700/50 hover:scale-110"
                       }`}
                       title={
-                        currentPage >= totalPages
+                        isAddPageButton
                           ? isAtPageLimit
                             ? `Page limit reached (${totalPages}/${maxPages})`
                             : "Add New Page"
                           : "Next Page"
                       }
                     >
-                      {currentPage >= totalPages ? (
+                      {isAddPageButton ? (
                         isAtPageLimit ? (
                           <Lock className="h-6 w-6" />
                         ) : (
@@ -333,7 +351,7 @@ const BinderSpread = ({
                       )}
                     </Button>
                   </TooltipTrigger>
-                  {currentPage >= totalPages && isAtPageLimit && (
+                  {isAddPageButton && isAtPageLimit && (
                     <TooltipContent
                       side="left"
                       sideOffset={8}
@@ -437,6 +455,7 @@ const BinderSpread = ({
                 allCards={allCards}
                 onCardMove={onCardMove}
                 isDragEnabled={isDragEnabled}
+                highlightedSlot={highlightedSlot}
                 {...props}
               />
             )}
@@ -482,6 +501,7 @@ const BinderSpread = ({
                 allCards={allCards}
                 onCardMove={onCardMove}
                 isDragEnabled={isDragEnabled}
+                highlightedSlot={highlightedSlot}
                 {...props}
               />
             )}
@@ -14,6 +14,7 @@ import { generateDragId } from "../../utils/cardMovement";
  * @param {string} pageType - Type of page ("left", "right", etc.)
  * @param {number} startingSlot - Starting slot for this page
  * @param {boolean} isDragDisabled - Whether dragging is disabled (for pending cards)
+ * @param {boolean} isReadOnly - Never draggable (shared binder view)
  */
 const DraggableCardSlot = ({
   slot,
@@ -25,11 +26,12 @@ const DraggableCardSlot = ({
   pageType = "single",
   startingSlot = 1,
   isDragDisabled = false,
+  isReadOnly = false,
   ...props
 }) => {
   // Determine if this slot has a card and if it should be draggable
   const hasCard = savedCard != null;
-  const canDrag = hasCard && !isDragDisabled;
+  const canDrag = hasCard && !isDragDisabled && !isReadOnly;
 
   // Generate unique IDs for drag and drop
   const dragId = generateDragId(slot, savedCard);
@@ -130,6 +132,7 @@ const DraggableCardSlot = ({
         gridSize={gridSize}
         pageType={pageType}
         startingSlot={startingSlot}
+        isReadOnly={isReadOnly}
         {...props}
       />
 
@@ -141,7 +144,7 @@ const DraggableCardSlot = ({
       )}
 
       {/* Disabled drag indicator for pending cards */}
-      {hasCard && isDragDisabled && (
+      {hasCard && isDragDisabled && !isReadOnly && (
         <div className="absolute top-2 left-2 bg-yellow-500/90 text-black rounded px-2 py-1 text-xs font-medium pointer-events-none">
           Save to drag
         </div>
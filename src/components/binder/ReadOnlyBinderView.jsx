@@ -0,0 +1,136 @@
+import { useState, useMemo } from "react";
+import { ChevronLeft, ChevronRight, Eye } from "lucide-react";
+import { useWindowSize, useGridDimensions } from "../../hooks";
+import { Button } from "../ui";
+import { getPagesForSpread } from "../../utils/gridUtils";
+import BinderSpread from "./BinderSpread";
+
+/**
+ * ReadOnlyBinderView - Header with page navigation above a view-only binder spread
+ * Fills its parent's height; used for share links and invited viewers.
+ * @param {string} binderName - Binder name shown in the header
+ * @param {string} gridSize - Binder grid size
+ * @param {number} pageCount - Number of pages in the binder
+ * @param {Array} cards - Every saved card in the binder
+ * @param {string} subtitle - Optional line under the name, e.g. who shared it
+ * @param {string} avatarURL - Optional photo shown before the name
+ * @param {ReactNode} actions - Optional buttons shown before the page controls
+ */
+const ReadOnlyBinderView = ({
+  binderName,
+  gridSize = "3x3",
+  pageCount = 1,
+  cards = [],
+  subtitle,
+  avatarURL,
+  actions,
+}) => {
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const windowSize = useWindowSize();
+  const gridDimensions = useGridDimensions(windowSize, gridSize);
+
+  const cardsByPage = useMemo(() => {
+    const pages = new Map();
+    cards.forEach((card) => {
+      if (!pages.has(card.pageNumber)) pages.set(card.pageNumber, []);
+      pages.get(card.pageNumber).push(card);
+    });
+    return pages;
+  }, [cards]);
+
+  const getCardsForPage = (pageNumber) => cardsByPage.get(pageNumber) || [];
+
+  const spreadPages = getPagesForSpread(currentPage);
+  const canGoPrevious = currentPage > 1;
+  const canGoNext = currentPage < pageCount;
+
+  const handlePreviousPage = () => {
+    if (canGoPrevious) setCurrentPage((prev) => prev - 1);
+  };
+
+  const handleNextPage = () => {
+    if (canGoNext) setCurrentPage((prev) => prev + 1);
+  };
+
+  return (
+    <div className="h-full flex flex-col">
+      {/* Header */}
+      <header className="h-16 flex-shrink-0 px-4 flex items-center justify-between bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex items-center min-w-0 space-x-3">
+          {avatarURL && (
+            <img
+              src={avatarURL}
+              alt=""
+              className="h-8 w-8 rounded-full flex-shrink-0"
+            />
+          )}
+          <div className="min-w-0">
+            <h1 className="text-lg font-semibold text-gray-900 dark:text-white truncate">
+              {binderName || "Untitled Binder"}
+            </h1>
+            {subtitle && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                {subtitle}
+              </p>
+            )}
+          </div>
+          <span className="hidden sm:inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+            <Eye className="h-3 w-3 mr-1" />
+            View only
+          </span>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {actions}
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={handlePreviousPage}
+            disabled={!canGoPrevious}
+            title="Previous Page"
+          >
+            <ChevronLeft className="h-5 w-5" />
+          </Button>
+          <span className="text-sm text-gray-600 dark:text-gray-400 tabular-nums">
+            {currentPage} / {pageCount}
+          </span>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={handleNextPage}
+            disabled={!canGoNext}
+            title="Next Page"
+          >
+            <ChevronRight className="h-5 w-5" />
+          </Button>
+        </div>
+      </header>
+
+      {/* Binder */}
+      <div className="flex-1 min-h-0 flex">
+        <BinderSpread
+          gridDimensions={gridDimensions}
+          gridSize={gridSize}
+          currentPage={currentPage}
+          totalPages={pageCount}
+          onPreviousPage={handlePreviousPage}
+          onNextPage={handleNextPage}
+          canGoPrevious={canGoPrevious}
+          canGoNext={canGoNext}
+          cardsOnPage1={getCardsForPage(
+            spreadPages.leftPage ?? spreadPages.rightPage
+          )}
+          cardsOnPage2={
+            spreadPages.leftPage ? getCardsForPage(spreadPages.rightPage) : []
+          }
+          allCards={cards}
+          isDragEnabled={false}
+          isReadOnly
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ReadOnlyBinderView;
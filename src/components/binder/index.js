@@ -4,3 +4,4 @@ export { default as BinderGrid } from "./BinderGrid";
 export { default as BinderSpread } from "./BinderSpread";
 export { default as BinderCardSlot } from "./BinderCardSlot";
 export { default as BinderNavigation } from "./BinderNavigation";
+export { default as ReadOnlyBinderView } from "./ReadOnlyBinderView";
@@ -1,11 +1,17 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { AnimatePresence, motion } from "framer-motion";
-import { X, Search, Package, Plus, Check } from "lucide-react";
+import { X, Search, Package, Plus, Check, FileSpreadsheet } from "lucide-react";
 import { Button } from "../ui";
 import CardSearchTab from "./CardSearchTab";
 import SetBrowseTab from "./SetBrowseTab";
+import CsvImportTab from "./CsvImportTab";
 import { addCardsToPending } from "../../utils/localBinderStorage";
-import { getNextAvailableSlots } from "../../utils/slotAssignment";
+import {
+  getNextAvailableSlots,
+  getSetLayoutSlots,
+} from "../../utils/slotAssignment";
+import { getPrintingId } from "../../utils/setLayout";
+import { usePokemonCache } from "../../hooks/usePokemonCache";
 import { SlotLimitModal } from "../modals";
 
 const AddCardsModal = ({
@@ -21,12 +27,25 @@ const AddCardsModal = ({
   onChangeGridSize, // New prop for changing grid size
   canAddPages = true, // New prop to check if user can add pages
   maxPages = null, // New prop for maximum pages limit
+  setLayout = [], // Slot layout of a binder created from a set
+  targetCard = null, // Card to search for, e.g. from a missing card's slot; may carry a variant
 }) => {
-  const [activeTab, setActiveTab] = useState("search"); // "search" or "sets"
+  const [activeTab, setActiveTab] = useState("search"); // "search", "sets" or "csv"
   const [selectedCards, setSelectedCards] = useState([]);
   const [isAddingToBinder, setIsAddingToBinder] = useState(false);
   const [isSlotLimitModalOpen, setIsSlotLimitModalOpen] = useState(false);
   const [slotLimitData, setSlotLimitData] = useState(null);
+  const { prefetchAllSets } = usePokemonCache();
+
+  // Warm the set list from the storage cache so both tabs open instantly
+  useEffect(() => {
+    if (isOpen) prefetchAllSets();
+  }, [isOpen, prefetchAllSets]);
+
+  // A target card is looked up in the search tab
+  useEffect(() => {
+    if (isOpen && targetCard) setActiveTab("search");
+  }, [isOpen, targetCard]);
 
   const handleAddSelectedCards = async () => {
     if (selectedCards.length === 0 || !binderId) return;
@@ -34,22 +53,34 @@ const AddCardsModal = ({
     setIsAddingToBinder(true);
 
     try {
-      // Get next available slots for the selected cards
-      const availableSlots = getNextAvailableSlots(
-        binderId,
-        selectedCards.length,
-        currentPage,
-        gridSize,
-        savedCards,
-        totalPages
-      );
+      // Set binders put cards in their set-number slot; otherwise use the
+      // next available slots
+      const availableSlots =
+        setLayout.length > 0
+          ? getSetLayoutSlots(
+              binderId,
+              selectedCards,
+              setLayout,
+              gridSize,
+              savedCards,
+              totalPages
+            )
+          : getNextAvailableSlots(
+              binderId,
+              selectedCards.length,
+              currentPage,
+              gridSize,
+              savedCards,
+              totalPages
+            );
+      const slotsFound = availableSlots.filter(Boolean).length;
 
       // Check if we have enough available slots
-      if (availableSlots.length < selectedCards.length) {
+      if (slotsFound < selectedCards.length) {
         // Show slot limit modal instead of console error
         setSlotLimitData({
           selectedCardsCount: selectedCards.length,
-          availableSlotsCount: availableSlots.length,
+          availableSlotsCount: slotsFound,
           totalPages,
           gridSize,
         });
@@ -270,22 +301,49 @@ const AddCardsModal = ({
                     />
                   )}
                 </button>
+                <button
+                  onClick={() => setActiveTab("csv")}
+                  className={`relative flex items-center space-x-3 px-6 py-4 font-semibold transition-all duration-200 ${
+                    activeTab === "csv"
+                      ? "text-blue-600 dark:text-blue-400"
+                      : "text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300"
+                  }`}
+                >
+                  <FileSpreadsheet className="w-5 h-5" />
+                  <span>Import CSV</span>
+                  {activeTab === "csv" && (
+                    <motion.div
+                      layoutId="activeTab"
+                      className="absolute bottom-0 left-0 right-0 h-0.5 bg-blue-600 dark:bg-blue-400"
+                      initial={false}
+                      transition={{ duration: 0.2 }}
+                    />
+                  )}
+                </button>
               </div>
 
               {/* Tab Content */}
               <div className="flex-1 overflow-hidden">
                 {activeTab === "search" ? (
                   <CardSearchTab
+                    key={
+                      targetCard
+                        ? getPrintingId(targetCard.id, targetCard.variant)
+                        : "search"
+                    }
                     selectedCards={selectedCards}
                     onCardToggle={handleCardToggle}
                     showSidebar={true}
+                    initialCard={targetCard}
                   />
-                ) : (
+                ) : activeTab === "sets" ? (
                   <SetBrowseTab
                     selectedCards={selectedCards}
                     onCardToggle={handleCardToggle}
                     onBulkAddSet={handleBulkAddSet}
                   />
+                ) : (
+                  <CsvImportTab onImportCards={handleBulkAddSet} />
                 )}
               </div>
             </div>
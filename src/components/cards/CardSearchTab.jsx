@@ -1,56 +1,71 @@
 import { useState, useEffect, useRef } from "react";
-import { Search, Loader2, RotateCcw } from "lucide-react";
+import { Search, Loader2, RotateCcw, WifiOff } from "lucide-react";
 import { Button } from "../ui";
 import CardGrid from "./CardGrid";
 import usePokemonTCG from "../../hooks/usePokemonTCG";
+import { usePokemonSets } from "../../hooks/usePokemonCache";
+import { useStorage } from "../../storage/StorageProvider";
+
+const NO_SETS = [];
+
+// Network failures and server errors mean the API can't be reached right now
+const isApiUnreachable = (err) =>
+  !navigator.onLine ||
+  err instanceof TypeError ||
+  /API Error: (5\d\d|429)/.test(err?.message || "");
+
+// Search for one known card, e.g. a set binder's missing card
+const getCardSearch = (card) => ({
+  query: `${card.name} #${card.number}`,
+  set: card.set?.id || card.setId || "",
+  type: "",
+  rarity: "",
+});
 
 const CardSearchTab = ({
   selectedCards,
   onCardToggle,
   showSidebar = false,
+  initialCard = null, // Opens with the search filtered to this card
 }) => {
-  const [searchQuery, setSearchQuery] = useState("");
+  const initialSearch = initialCard ? getCardSearch(initialCard) : null;
+  const [searchQuery, setSearchQuery] = useState(initialSearch?.query || "");
   const [filters, setFilters] = useState({
-    set: "",
+    set: initialSearch?.set || "",
     type: "",
     rarity: "",
   });
-  const [searchResults, setSearchResults] = useState([]);
+  const [searchResults, setSearchResults] = useState(
+    initialCard ? [initialCard] : []
+  );
   const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(0);
-  const [hasSearched, setHasSearched] = useState(false);
-  const [lastSearchParams, setLastSearchParams] = useState(null);
-  const [sets, setSets] = useState([]);
+  const [totalPages, setTotalPages] = useState(initialCard ? 1 : 0);
+  const [hasSearched, setHasSearched] = useState(!!initialCard);
+  const [lastSearchParams, setLastSearchParams] = useState(initialSearch);
   const [types, setTypes] = useState([]);
   const [rarities, setRarities] = useState([]);
+  const [isOfflineResults, setIsOfflineResults] = useState(false);
 
   // Cache for search results - 24 hour cache for all Pokemon data
   const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours for all cache
 
-  const { loading, error, searchCards, getSets, getTypes, getRarities } =
+  const { loading, error, searchCards, getTypes, getRarities } =
     usePokemonTCG();
+  const storage = useStorage();
+  const { data: sets = NO_SETS } = usePokemonSets();
 
   // Load filter options on mount with localStorage caching
   useEffect(() => {
     const loadFilterOptions = async () => {
       try {
         // Check localStorage cache first for filter data
-        const cachedSets = localStorage.getItem("pokemon-sets");
         const cachedTypes = localStorage.getItem("pokemon-types");
         const cachedRarities = localStorage.getItem("pokemon-rarities");
 
         const now = Date.now();
-        let setsData, typesData, raritiesData;
+        let typesData, raritiesData;
 
         // Check if cached data is still valid (24 hours)
-        if (cachedSets) {
-          const parsedSets = JSON.parse(cachedSets);
-          if (now - parsedSets.timestamp < CACHE_DURATION) {
-            setSets(parsedSets.data);
-            setsData = { sets: parsedSets.data };
-          }
-        }
-
         if (cachedTypes) {
           const parsedTypes = JSON.parse(cachedTypes);
           if (now - parsedTypes.timestamp < CACHE_DURATION) {
@@ -69,7 +84,6 @@ const CardSearchTab = ({
 
         // Fetch any missing data
         const promises = [];
-        if (!setsData) promises.push(getSets({ pageSize: 100 }));
         if (!typesData) promises.push(getTypes());
         if (!raritiesData) promises.push(getRarities());
 
@@ -77,19 +91,6 @@ const CardSearchTab = ({
           const results = await Promise.all(promises);
           let resultIndex = 0;
 
-          if (!setsData) {
-            setsData = results[resultIndex++];
-            setSets(setsData.sets);
-            // Cache in localStorage
-            localStorage.setItem(
-              "pokemon-sets",
-              JSON.stringify({
-                data: setsData.sets,
-                timestamp: now,
-              })
-            );
-          }
-
           if (!typesData) {
             typesData = results[resultIndex++];
             setTypes(typesData);
@@ -120,7 +121,7 @@ const CardSearchTab = ({
     };
 
     loadFilterOptions();
-  }, [getSets, getTypes, getRarities]);
+  }, [getTypes, getRarities]);
 
   // Clear cache when search parameters change significantly
   useEffect(() => {
@@ -232,6 +233,10 @@ const CardSearchTab = ({
       // Cache the results in localStorage
       setCachedSearchResult(cacheKey, results);
 
+      // Keep found cards in the local card cache for offline search
+      results.cards.forEach((card) => storage.setCachedCard(card.id, card));
+
+      setIsOfflineResults(false);
       setSearchResults(results.cards);
       setCurrentPage(results.page);
       setTotalPages(results.totalPages);
@@ -244,6 +249,23 @@ const CardSearchTab = ({
       });
     } catch (err) {
       console.error("Search failed:", err);
+
+      if (isApiUnreachable(err)) {
+        try {
+          const { query, ...filterParams } = searchParams;
+          const localResults = await storage.searchCards(query, filterParams);
+          setIsOfflineResults(true);
+          setSearchResults(localResults.cards);
+          setCurrentPage(localResults.page);
+          setTotalPages(localResults.totalPages);
+          setHasSearched(true);
+          return;
+        } catch (localErr) {
+          console.error("Offline search failed:", localErr);
+        }
+      }
+
+      setIsOfflineResults(false);
       setSearchResults([]);
       setHasSearched(true);
     }
@@ -391,7 +413,7 @@ const CardSearchTab = ({
                 </span>
               </div>
             </div>
-          ) : error ? (
+          ) : error && !isOfflineResults ? (
             <div className="flex items-center justify-center h-full">
               <div className="text-center">
                 <p className="text-red-500 dark:text-red-400 mb-3 text-lg font-semibold">
@@ -411,15 +433,26 @@ const CardSearchTab = ({
               </div>
             </div>
           ) : (
-            <CardGrid
-              cards={searchResults}
-              selectedCards={selectedCards}
-              onCardToggle={onCardToggle}
-              currentPage={currentPage}
-              totalPages={totalPages}
-              onPageChange={handlePageChange}
-              emptyMessage="No cards found. Try adjusting your search or filters."
-            />
+            <div className="flex flex-col h-full">
+              {isOfflineResults && (
+                <div className="flex items-center px-6 py-2 text-sm text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/20 border-b border-amber-200 dark:border-amber-800">
+                  <WifiOff className="w-4 h-4 mr-2 flex-shrink-0" />
+                  The card database can't be reached - showing matches from
+                  cards saved on this device.
+                </div>
+              )}
+              <div className="flex-1 overflow-hidden">
+                <CardGrid
+                  cards={searchResults}
+                  selectedCards={selectedCards}
+                  onCardToggle={onCardToggle}
+                  currentPage={currentPage}
+                  totalPages={totalPages}
+                  onPageChange={handlePageChange}
+                  emptyMessage="No cards found. Try adjusting your search or filters."
+                />
+              </div>
+            </div>
           )}
         </div>
       </div>
@@ -0,0 +1,209 @@
+import { useState, useRef } from "react";
+import {
+  FileSpreadsheet,
+  Upload,
+  Loader2,
+  AlertTriangle,
+  CheckCircle,
+} from "lucide-react";
+import { Button } from "../ui";
+import { usePokemonCache } from "../../hooks/usePokemonCache";
+import { parseCardListCsv, resolveCardListRows } from "../../utils/cardListCsv";
+import { CARD_CONDITIONS, CARD_VARIANTS } from "../../utils/cardMetadata";
+
+const EXAMPLE_CSV = `set,number,quantity,variant,condition
+sv3pt5,25,2,reverse holo,NM
+MEW,6,1,,LP`;
+
+const CsvImportTab = ({ onImportCards }) => {
+  const [csvText, setCsvText] = useState("");
+  const [isResolving, setIsResolving] = useState(false);
+  const [result, setResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const { fetchAllSets, fetchSetCards } = usePokemonCache();
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setCsvText(await file.text());
+    setResult(null);
+  };
+
+  const handleMatchCards = async () => {
+    setIsResolving(true);
+    try {
+      const { rows, errors: parseErrors } = parseCardListCsv(csvText);
+      const sets = rows.length > 0 ? await fetchAllSets() : [];
+      const { matches, errors: matchErrors } = await resolveCardListRows(rows, {
+        sets,
+        fetchSetCards,
+      });
+
+      setResult({
+        matches,
+        failedRows: [...parseErrors, ...matchErrors].sort(
+          (a, b) => a.line - b.line
+        ),
+        cardCount: matches.reduce((sum, match) => sum + match.quantity, 0),
+      });
+    } catch (err) {
+      console.error("Failed to match CSV rows:", err);
+      setResult({
+        matches: [],
+        failedRows: [],
+        cardCount: 0,
+        error:
+          "Couldn't load Pokemon sets. Check your connection and try again.",
+      });
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  const handleAddToSelection = () => {
+    // One selection entry per copy, carrying the row's variant and condition
+    const cards = result.matches.flatMap((match) =>
+      Array.from({ length: match.quantity }, () => ({
+        ...match.card,
+        ...(match.variant && { variant: match.variant }),
+        ...(match.condition && { condition: match.condition }),
+      }))
+    );
+
+    onImportCards(cards);
+    setCsvText("");
+    setResult(null);
+  };
+
+  return (
+    <div className="flex flex-col h-full overflow-y-auto p-8 bg-gray-50/30 dark:bg-gray-900/30">
+      <div className="mb-6">
+        <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-3">
+          Import from CSV
+        </h3>
+        <p className="text-gray-600 dark:text-gray-400 leading-relaxed">
+          Paste or upload a card list with one card per row: set code, card
+          number, and optionally quantity, variant and condition. Set codes can
+          be set IDs (sv3pt5) or the code printed on the card (MEW).
+        </p>
+      </div>
+
+      <textarea
+        value={csvText}
+        onChange={(e) => {
+          setCsvText(e.target.value);
+          setResult(null);
+        }}
+        placeholder={EXAMPLE_CSV}
+        rows={8}
+        className="w-full p-4 font-mono text-sm border border-gray-300 dark:border-gray-600 rounded-xl bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+
+      <div className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        Conditions: {Object.keys(CARD_CONDITIONS).join(", ")} · Variants:{" "}
+        {Object.values(CARD_VARIANTS).join(", ")}
+      </div>
+
+      <div className="flex items-center space-x-3 mt-4">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv,text/plain"
+          onChange={handleFileSelected}
+          className="hidden"
+        />
+        <Button
+          variant="outline"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isResolving}
+        >
+          <Upload className="w-4 h-4 mr-2" />
+          Upload CSV
+        </Button>
+        <Button
+          onClick={handleMatchCards}
+          disabled={!csvText.trim() || isResolving}
+        >
+          {isResolving ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <FileSpreadsheet className="w-4 h-4 mr-2" />
+          )}
+          {isResolving ? "Matching cards..." : "Match Cards"}
+        </Button>
+      </div>
+
+      {result && (
+        <div className="mt-6 space-y-4">
+          {result.error && (
+            <div className="flex items-center p-4 rounded-xl bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+              <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {result.error}
+            </div>
+          )}
+
+          {result.matches.length > 0 && (
+            <div className="flex items-center justify-between p-4 rounded-xl bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800">
+              <div className="flex items-center text-sm text-green-800 dark:text-green-300">
+                <CheckCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+                {result.matches.length} row
+                {result.matches.length !== 1 ? "s" : ""} matched (
+                {result.cardCount} card{result.cardCount !== 1 ? "s" : ""})
+              </div>
+              <Button size="sm" onClick={handleAddToSelection}>
+                Add to Selection
+              </Button>
+            </div>
+          )}
+
+          {result.failedRows.length > 0 && (
+            <div className="rounded-xl border border-amber-200 dark:border-amber-800 overflow-hidden">
+              <div className="flex items-center px-4 py-3 bg-amber-50 dark:bg-amber-900/20 text-sm font-medium text-amber-800 dark:text-amber-300">
+                <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+                {result.failedRows.length} row
+                {result.failedRows.length !== 1 ? "s" : ""} couldn't be matched
+              </div>
+              <table className="w-full text-sm">
+                <thead className="text-xs text-left text-gray-500 dark:text-gray-400 bg-white dark:bg-gray-800">
+                  <tr>
+                    <th className="px-4 py-2 font-medium">Line</th>
+                    <th className="px-4 py-2 font-medium">Row</th>
+                    <th className="px-4 py-2 font-medium">Problem</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-700 bg-white dark:bg-gray-800">
+                  {result.failedRows.map((row) => (
+                    <tr key={row.line}>
+                      <td className="px-4 py-2 text-gray-500 dark:text-gray-400">
+                        {row.line}
+                      </td>
+                      <td className="px-4 py-2 font-mono text-gray-900 dark:text-white">
+                        {row.raw}
+                      </td>
+                      <td className="px-4 py-2 text-amber-700 dark:text-amber-400">
+                        {row.reason}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {result.matches.length === 0 &&
+            result.failedRows.length === 0 &&
+            !result.error && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                No card rows found.
+              </p>
+            )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CsvImportTab;
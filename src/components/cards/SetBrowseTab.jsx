@@ -1,8 +1,10 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import { Package, ChevronRight, Loader2, Plus, Search, X } from "lucide-react";
 import { Button } from "../ui";
 import CardGrid from "./CardGrid";
-import usePokemonTCG from "../../hooks/usePokemonTCG";
+import { usePokemonCache, usePokemonSets } from "../../hooks/usePokemonCache";
+
+const NO_SETS = [];
 
 // SetIcon component to display set logos with fallback
 const SetIcon = ({ set, className = "w-12 h-12" }) => {
@@ -153,228 +155,29 @@ const VirtualSetItem = ({ set, onAddSet, isVisible, index, isAdding }) => {
 };
 
 const SetBrowseTab = ({ selectedCards, onCardToggle, onBulkAddSet }) => {
-  const [allSets, setAllSets] = useState([]);
-  const [filteredSets, setFilteredSets] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
-  const [loadingSets, setLoadingSets] = useState(true);
-  const [hasLoadedAllSets, setHasLoadedAllSets] = useState(false);
   const [addingSetId, setAddingSetId] = useState(null);
 
-  // Cache for set cards - 24 hour cache for all Pokemon data
-  const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours for all cache
-
-  const { getSets, getSetCards } = usePokemonTCG();
-
-  // Generate cache key for set cards
-  const getCacheKey = (setId, page) => {
-    return `set-${setId}-page-${page}`;
-  };
-
-  // Check if cached result is still valid in localStorage
-  const getCachedSetCards = (cacheKey) => {
-    try {
-      const cached = localStorage.getItem(`pokemon-setcards-${cacheKey}`);
-      if (cached) {
-        const parsedCache = JSON.parse(cached);
-        if (Date.now() - parsedCache.timestamp < CACHE_DURATION) {
-          return parsedCache.data;
-        } else {
-          // Remove expired cache
-          localStorage.removeItem(`pokemon-setcards-${cacheKey}`);
-        }
-      }
-    } catch (err) {
-      console.error("Error reading set cards cache:", err);
-    }
-    return null;
-  };
-
-  // Save set cards result to localStorage cache
-  const setCachedSetCards = (cacheKey, data) => {
-    try {
-      localStorage.setItem(
-        `pokemon-setcards-${cacheKey}`,
-        JSON.stringify({
-          data,
-          timestamp: Date.now(),
-        })
-      );
-    } catch (err) {
-      console.error("Error saving set cards cache:", err);
-    }
-  };
-
-  // Load all sets with optimized strategy
-  const loadAllSets = useCallback(async () => {
-    if (hasLoadedAllSets) return;
-
-    try {
-      setLoadingSets(true);
-
-      // Check localStorage cache first for sets list
-      const cachedSets = localStorage.getItem("pokemon-all-sets");
-      const now = Date.now();
-
-      if (cachedSets) {
-        const parsedSets = JSON.parse(cachedSets);
-        if (now - parsedSets.timestamp < CACHE_DURATION) {
-          console.log("Using cached Pokemon sets from localStorage");
-          const sortedSets = parsedSets.data.sort(
-            (a, b) => new Date(b.releaseDate) - new Date(a.releaseDate)
-          );
-          setAllSets(sortedSets);
-          setFilteredSets(sortedSets);
-          setLoadingSets(false);
-          setHasLoadedAllSets(true);
-          return;
-        } else {
-          // Remove expired cache
-          localStorage.removeItem("pokemon-all-sets");
-        }
-      }
-
-      // First, try to get a large batch to minimize requests
-      console.log("Loading Pokemon sets from API...");
-      const firstBatch = await getSets({ page: 1, pageSize: 250 });
-
-      // Set initial results immediately for fast UI
-      setAllSets(firstBatch.sets);
-      setFilteredSets(firstBatch.sets);
-      setLoadingSets(false); // Show results immediately
-
-      // If there are more pages, load them in background
-      if (firstBatch.totalPages > 1) {
-        console.log(
-          `Loading remaining ${
-            firstBatch.totalPages - 1
-          } pages in background...`
-        );
-
-        const allSetsData = [...firstBatch.sets];
-
-        // Load remaining pages
-        for (let page = 2; page <= firstBatch.totalPages; page++) {
-          try {
-            const setsData = await getSets({ page, pageSize: 250 });
-            allSetsData.push(...setsData.sets);
-
-            // Update UI with new sets as they load
-            const sortedSets = allSetsData.sort(
-              (a, b) => new Date(b.releaseDate) - new Date(a.releaseDate)
-            );
-            setAllSets([...sortedSets]);
-            setFilteredSets(
-              searchQuery
-                ? sortedSets.filter(
-                    (set) =>
-                      set.name
-                        .toLowerCase()
-                        .includes(searchQuery.toLowerCase()) ||
-                      set.series
-                        .toLowerCase()
-                        .includes(searchQuery.toLowerCase())
-                  )
-                : [...sortedSets]
-            );
-          } catch (err) {
-            console.error(`Failed to load page ${page}:`, err);
-            // Continue loading other pages even if one fails
-          }
-        }
-
-        console.log(`Loaded ${allSetsData.length} Pokemon sets total`);
-
-        // Cache the complete sets list in localStorage
-        const finalSortedSets = allSetsData.sort(
-          (a, b) => new Date(b.releaseDate) - new Date(a.releaseDate)
-        );
-
-        try {
-          localStorage.setItem(
-            "pokemon-all-sets",
-            JSON.stringify({
-              data: finalSortedSets,
-              timestamp: now,
-            })
-          );
-          console.log("Cached all Pokemon sets to localStorage");
-        } catch (err) {
-          console.error("Error caching sets to localStorage:", err);
-        }
-      } else {
-        // Cache even single page results
-        try {
-          localStorage.setItem(
-            "pokemon-all-sets",
-            JSON.stringify({
-              data: firstBatch.sets,
-              timestamp: now,
-            })
-          );
-          console.log("Cached Pokemon sets to localStorage");
-        } catch (err) {
-          console.error("Error caching sets to localStorage:", err);
-        }
-      }
-
-      setHasLoadedAllSets(true);
-    } catch (err) {
-      console.error("Failed to load sets:", err);
-      setLoadingSets(false);
-    }
-  }, [getSets, hasLoadedAllSets, searchQuery]);
-
-  // Load sets on mount
-  useEffect(() => {
-    loadAllSets();
-  }, [loadAllSets]);
+  const { fetchSetCards } = usePokemonCache();
+  const { data: allSets = NO_SETS, isLoading: loadingSets } = usePokemonSets();
 
   // Filter sets based on search query
-  useEffect(() => {
-    if (!searchQuery.trim()) {
-      setFilteredSets(allSets);
-    } else {
-      const filtered = allSets.filter(
-        (set) =>
-          set.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-          set.series.toLowerCase().includes(searchQuery.toLowerCase())
-      );
-      setFilteredSets(filtered);
-    }
+  const filteredSets = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    if (!query) return allSets;
+
+    return allSets.filter(
+      (set) =>
+        set.name.toLowerCase().includes(query) ||
+        set.series.toLowerCase().includes(query)
+    );
   }, [searchQuery, allSets]);
 
   // Add complete set functionality
   const handleAddCompleteSet = async (set) => {
     setAddingSetId(set.id);
     try {
-      console.log(`Adding complete set: ${set.name} (${set.total} cards)`);
-
-      // Get all cards from the set
-      const allCards = [];
-      let currentPage = 1;
-      let hasMorePages = true;
-
-      while (hasMorePages) {
-        const cacheKey = getCacheKey(set.id, currentPage);
-        let pageData = getCachedSetCards(cacheKey);
-
-        if (!pageData) {
-          // Fetch from API if not cached
-          pageData = await getSetCards(set.id, {
-            page: currentPage,
-            pageSize: 250,
-          });
-          setCachedSetCards(cacheKey, pageData);
-        }
-
-        allCards.push(...pageData.cards);
-
-        // Check if there are more pages
-        hasMorePages = currentPage < pageData.totalPages;
-        currentPage++;
-      }
-
-      console.log(`Loaded ${allCards.length} cards from ${set.name}`);
+      const allCards = await fetchSetCards(set.id);
       onBulkAddSet(allCards);
     } catch (err) {
       console.error("Failed to add complete set:", err);
@@ -1,6 +1,6 @@
 import { Clock } from "lucide-react";
 
-const EditHistoryItem = ({ action }) => {
+const EditHistoryItem = ({ action, isUndone = false }) => {
   // action: { id: string, description: string, timestamp: Date }
   const timeAgo = (date) => {
     const seconds = Math.floor((new Date() - date) / 1000);
@@ -18,13 +18,22 @@ const EditHistoryItem = ({ action }) => {
   };
 
   return (
-    <div className="p-3 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors duration-150 cursor-default">
-      <p className="text-sm text-gray-800 dark:text-gray-200">
+    <div
+      className={`p-3 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors duration-150 cursor-default ${
+        isUndone ? "opacity-50" : ""
+      }`}
+    >
+      <p
+        className={`text-sm text-gray-800 dark:text-gray-200 ${
+          isUndone ? "line-through" : ""
+        }`}
+      >
         {action.description}
       </p>
       <div className="flex items-center text-xs text-gray-500 dark:text-gray-400 mt-1">
         <Clock className="w-3 h-3 mr-1.5" />
         <span>{timeAgo(action.timestamp)}</span>
+        {isUndone && <span className="ml-2">· Undone</span>}
       </div>
     </div>
   );
@@ -1,39 +1,16 @@
 import { AnimatePresence, motion } from "framer-motion";
-import { X, History as HistoryIcon } from "lucide-react";
+import { X, History as HistoryIcon, Archive } from "lucide-react";
 import EditHistoryItem from "./EditHistoryItem";
 import { Button } from "../ui"; // Assuming Button component exists in src/components/ui
 import { useEffect, useRef } from "react"; // Added useEffect and useRef
 
-// Dummy data for now
-const DUMMY_HISTORY = [
-  {
-    id: "1",
-    description: "Added 'Pikachu' to 'Favorites'",
-    timestamp: new Date(Date.now() - 60000 * 2),
-  },
-  {
-    id: "2",
-    description: "Renamed binder to 'My Awesome Collection'",
-    timestamp: new Date(Date.now() - 60000 * 5),
-  },
-  {
-    id: "3",
-    description: "Changed grid size to 3x4",
-    timestamp: new Date(Date.now() - 60000 * 10),
-  },
-  {
-    id: "4",
-    description: "Page 2 deleted",
-    timestamp: new Date(Date.now() - 60000 * 12),
-  },
-  {
-    id: "5",
-    description: "Card 'Charizard' moved to page 3",
-    timestamp: new Date(Date.now() - 60000 * 25),
-  },
-];
-
-const EditHistoryPanel = ({ isOpen, onClose }) => {
+const EditHistoryPanel = ({
+  isOpen,
+  onClose,
+  entries = [],
+  undoneEntries = [],
+  onOpenRevisions,
+}) => {
   const panelRef = useRef(null); // Create a ref for the panel
 
   // Click outside to close
@@ -98,16 +75,39 @@ const EditHistoryPanel = ({ isOpen, onClose }) => {
 
           {/* History List */}
           <div className="flex-1 overflow-y-auto p-4 space-y-2">
-            {DUMMY_HISTORY.length > 0 ? (
-              DUMMY_HISTORY.map((action) => (
-                <EditHistoryItem key={action.id} action={action} />
-              ))
+            {entries.length > 0 || undoneEntries.length > 0 ? (
+              <>
+                {/* Undone edits sit above the current state until redone */}
+                {[...undoneEntries].reverse().map((action) => (
+                  <EditHistoryItem key={action.id} action={action} isUndone />
+                ))}
+                {entries.map((action) => (
+                  <EditHistoryItem key={action.id} action={action} />
+                ))}
+              </>
             ) : (
               <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
                 No edits recorded yet.
               </p>
             )}
           </div>
+
+          {/* Saved versions live in Firestore, unlike the session edits above */}
+          {onOpenRevisions && (
+            <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex-shrink-0">
+              <Button
+                variant="outline"
+                className="w-full flex items-center justify-center"
+                onClick={() => {
+                  onClose();
+                  onOpenRevisions();
+                }}
+              >
+                <Archive className="w-4 h-4 mr-2" />
+                Saved Versions
+              </Button>
+            </div>
+          )}
         </motion.div>
       )}
     </AnimatePresence>
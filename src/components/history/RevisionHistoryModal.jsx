@@ -0,0 +1,249 @@
+import { useState, useMemo } from "react";
+import {
+  History as HistoryIcon,
+  RotateCcw,
+  AlertTriangle,
+  ArrowRight,
+} from "lucide-react";
+import { Modal, Button, LoadingSpinner } from "../ui";
+import { useBinderRevisions } from "../../hooks/useBinderRevisions";
+import {
+  diffRevision,
+  formatPreferenceValue,
+  REVISION_REASONS,
+} from "../../utils/binderRevisions";
+
+const REASON_LABELS = {
+  [REVISION_REASONS.CARDS]: "Cards saved",
+  [REVISION_REASONS.PREFERENCES]: "Settings saved",
+  [REVISION_REASONS.RESTORE]: "Restored version",
+};
+
+// Long card lists are cut off in the diff
+const MAX_LISTED_CARDS = 15;
+
+const formatRevisionDate = (timestamp) => {
+  const date = timestamp?.toDate ? timestamp.toDate() : null;
+  return date
+    ? date.toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "Just now";
+};
+
+const formatPosition = ({ pageNumber, slotInPage }) =>
+  `page ${pageNumber}, slot ${slotInPage}`;
+
+const CardList = ({ title, cards, renderDetail, colorClass }) => {
+  if (cards.length === 0) return null;
+
+  return (
+    <div>
+      <h4 className={`text-sm font-medium mb-2 ${colorClass}`}>
+        {title} ({cards.length})
+      </h4>
+      <ul className="space-y-1 text-sm text-gray-700 dark:text-gray-300">
+        {cards.slice(0, MAX_LISTED_CARDS).map((card) => (
+          <li key={card.id} className="flex items-center flex-wrap gap-x-2">
+            <span className="font-medium">{card.name}</span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              {renderDetail(card)}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {cards.length > MAX_LISTED_CARDS && (
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          and {cards.length - MAX_LISTED_CARDS} more
+        </p>
+      )}
+    </div>
+  );
+};
+
+const RevisionHistoryModal = ({
+  isOpen,
+  onClose,
+  binderId,
+  hasUnsavedChanges = false,
+  onRestored,
+}) => {
+  const [selectedRevisionId, setSelectedRevisionId] = useState(null);
+  const {
+    revisions,
+    currentBinder,
+    currentCards,
+    isLoading,
+    error,
+    restoreRevision,
+    isRestoring,
+    restoreError,
+  } = useBinderRevisions(binderId, { enabled: isOpen });
+
+  const selectedRevision =
+    revisions.find((revision) => revision.id === selectedRevisionId) ||
+    revisions[0] ||
+    null;
+
+  const diff = useMemo(
+    () =>
+      selectedRevision
+        ? diffRevision(selectedRevision, currentCards, currentBinder)
+        : null,
+    [selectedRevision, currentCards, currentBinder]
+  );
+
+  const handleRestore = async () => {
+    try {
+      const result = await restoreRevision(selectedRevision.id);
+      setSelectedRevisionId(null);
+      if (onRestored) onRestored(result);
+      onClose();
+    } catch (err) {
+      // Shown through restoreError
+      console.error("Failed to restore revision:", err);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Saved Versions"
+      titleIcon={HistoryIcon}
+      maxWidth="sm:max-w-3xl"
+    >
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600 dark:text-red-400">
+          Couldn't load saved versions: {error.message}
+        </p>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+          No saved versions yet. A version is recorded every time you save this
+          binder.
+        </p>
+      ) : (
+        <div className="flex flex-col sm:flex-row gap-4">
+          {/* Revision list */}
+          <div className="sm:w-56 flex-shrink-0 max-h-96 overflow-y-auto space-y-1">
+            {revisions.map((revision, index) => (
+              <button
+                key={revision.id}
+                onClick={() => setSelectedRevisionId(revision.id)}
+                className={`w-full text-left p-3 rounded-md transition-colors duration-150 ${
+                  revision.id === selectedRevision?.id
+                    ? "bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300"
+                    : "hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-800 dark:text-gray-200"
+                }`}
+              >
+                <div className="text-sm font-medium">
+                  {formatRevisionDate(revision.createdAt)}
+                  {index === 0 && (
+                    <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                      Latest
+                    </span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                  {REASON_LABELS[revision.reason] || "Saved"} ·{" "}
+                  {revision.cardCount} cards
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {/* Diff against the current saved layout */}
+          <div className="flex-1 min-w-0 max-h-96 overflow-y-auto space-y-4">
+            {diff && !diff.hasChanges && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                This version matches the binder as it is saved now.
+              </p>
+            )}
+
+            {diff?.preferences.length > 0 && (
+              <div>
+                <h4 className="text-sm font-medium mb-2 text-gray-900 dark:text-white">
+                  Settings
+                </h4>
+                <ul className="space-y-1 text-sm text-gray-700 dark:text-gray-300">
+                  {diff.preferences.map((change) => (
+                    <li key={change.field} className="flex items-center">
+                      <span className="font-medium mr-2">{change.label}:</span>
+                      {formatPreferenceValue(change.current)}
+                      <ArrowRight className="w-3 h-3 mx-1.5 text-gray-400" />
+                      {formatPreferenceValue(change.revision)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {diff && (
+              <>
+                <CardList
+                  title="Moved back"
+                  cards={diff.moved}
+                  colorClass="text-blue-700 dark:text-blue-300"
+                  renderDetail={(card) =>
+                    `${formatPosition(card.from)} → ${formatPosition(card.to)}`
+                  }
+                />
+                <CardList
+                  title="Brought back"
+                  cards={diff.restored}
+                  colorClass="text-green-700 dark:text-green-300"
+                  renderDetail={(card) => formatPosition(card.to)}
+                />
+                <CardList
+                  title="Removed"
+                  cards={diff.removed}
+                  colorClass="text-red-700 dark:text-red-300"
+                  renderDetail={(card) => formatPosition(card.from)}
+                />
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {selectedRevision && (
+        <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700 space-y-3">
+          {hasUnsavedChanges && (
+            <p className="flex items-center text-sm text-amber-600 dark:text-amber-400">
+              <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+              Save or discard your unsaved changes before restoring a version.
+            </p>
+          )}
+          {restoreError && (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              {restoreError.message}
+            </p>
+          )}
+          <div className="flex justify-end space-x-3">
+            <Button variant="outline" onClick={onClose} disabled={isRestoring}>
+              Close
+            </Button>
+            <Button
+              onClick={handleRestore}
+              loading={isRestoring}
+              disabled={isRestoring || hasUnsavedChanges || !diff?.hasChanges}
+              className="flex items-center"
+            >
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Restore This Version
+            </Button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default RevisionHistoryModal;
@@ -1,2 +1,3 @@
 export { default as EditHistoryPanel } from "./EditHistoryPanel";
 export { default as EditHistoryItem } from "./EditHistoryItem";
+export { default as RevisionHistoryModal } from "./RevisionHistoryModal";
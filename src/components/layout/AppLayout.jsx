@@ -1,7 +1,11 @@
 import { Outlet } from "react-router-dom";
 import Header from "./Header";
+import { useOfflineQueue } from "../../hooks/useOfflineQueue";
 
 const AppLayout = () => {
+  // Replays saves queued while offline as soon as the connection returns
+  useOfflineQueue();
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
       {/* Header - spans full width with navigation */}
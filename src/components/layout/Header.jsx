@@ -18,6 +18,7 @@ import {
   Home,
   BarChart3,
   Folder,
+  Library,
   Plus,
   LogIn,
   UserPlus,
@@ -83,6 +84,13 @@ const Header = () => {
       authOnly: true,
       tooltip: "Sign up to manage multiple binders and collections",
     },
+    {
+      name: "My Collection",
+      href: "/app/collection",
+      icon: Library,
+      authOnly: true,
+      tooltip: "Sign up to browse every card across your binders",
+    },
     {
       name: "Statistics",
       href: "/app/stats",
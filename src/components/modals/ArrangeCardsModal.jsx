@@ -0,0 +1,319 @@
+import { useState, useEffect, useMemo } from "react";
+import { ArrowUpDown, ArrowDown, ArrowUp } from "lucide-react";
+import { Button, Modal } from "../ui";
+import { parseGridSize } from "../../utils/gridUtils";
+import {
+  ARRANGE_SORT_OPTIONS,
+  planCardArrangement,
+  planCompaction,
+} from "../../utils/binderArrange";
+import { usePokemonSets } from "../../hooks/usePokemonCache";
+
+const NO_SETS = [];
+
+const ARRANGE_MODES = [
+  { value: "sort", label: "Sort" },
+  { value: "compact", label: "Close gaps" },
+];
+const MAX_SET_GAP = 9;
+
+const inputClassName =
+  "w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50";
+
+// The "slot" sort is the binder's manual order, so arranging starts from set order
+const getInitialSortBy = (sortBy) =>
+  ARRANGE_SORT_OPTIONS.some((option) => option.value === sortBy)
+    ? sortBy
+    : "setNumber";
+
+/**
+ * Small read-only grid of one page of the planned arrangement
+ */
+const PreviewPage = ({ pageNumber, cols, slots }) => (
+  <div>
+    <p className="mb-1 text-xs text-gray-500 dark:text-gray-400">
+      Page {pageNumber}
+    </p>
+    <div
+      className="grid gap-1 rounded-md bg-gray-100 dark:bg-gray-900 p-1"
+      style={{ gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))` }}
+    >
+      {slots.map(({ slotNumber, card, isReserved }) => (
+        <div
+          key={slotNumber}
+          className={`aspect-[5/7] rounded-sm overflow-hidden ${
+            isReserved
+              ? "border border-dashed border-blue-400 dark:border-blue-500"
+              : "bg-gray-200 dark:bg-gray-700"
+          }`}
+          title={card?.name || (isReserved ? "Unsaved change" : undefined)}
+        >
+          {card?.images?.small && (
+            <img
+              src={card.images.small}
+              alt={card.name}
+              className="w-full h-full object-cover"
+              loading="lazy"
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * ArrangeCardsModal - Preview sorting or compacting a binder's cards, then stage it
+ * The arrangement is applied as one batch of pending moves.
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Close the modal
+ * @param {Array} cards - Cards to arrange, at their current positions
+ * @param {Set<number>} reservedSlotNumbers - Slots left as they are (unsaved additions and removals)
+ * @param {string} gridSize - Binder grid size
+ * @param {number} pageCount - Pages in the binder
+ * @param {string} sortBy - Binder's saved sortBy preference
+ * @param {string} sortDirection - Binder's saved sortDirection preference
+ * @param {Function} onApply - Called with { mode, sortBy, sortDirection, moves }
+ */
+const ArrangeCardsModal = ({
+  isOpen,
+  onClose,
+  cards,
+  reservedSlotNumbers,
+  gridSize,
+  pageCount,
+  sortBy: savedSortBy,
+  sortDirection: savedSortDirection,
+  onApply,
+}) => {
+  const [mode, setMode] = useState("sort");
+  const [sortBy, setSortBy] = useState(getInitialSortBy(savedSortBy));
+  const [sortDirection, setSortDirection] = useState(
+    savedSortDirection || "asc"
+  );
+  const [keepPageBoundaries, setKeepPageBoundaries] = useState(false);
+  const [setGap, setSetGap] = useState(0);
+  const { data: sets = NO_SETS } = usePokemonSets();
+
+  useEffect(() => {
+    if (isOpen) {
+      setMode("sort");
+      setSortBy(getInitialSortBy(savedSortBy));
+      setSortDirection(savedSortDirection || "asc");
+    }
+  }, [isOpen, savedSortBy, savedSortDirection]);
+
+  const setReleaseDates = useMemo(
+    () => new Map(sets.map((set) => [set.id, set.releaseDate])),
+    [sets]
+  );
+
+  const plan = useMemo(() => {
+    if (!isOpen) return null;
+
+    return mode === "compact"
+      ? planCompaction(cards, {
+          gridSize,
+          pageCount,
+          reservedSlotNumbers,
+          keepPageBoundaries,
+          setGap,
+        })
+      : planCardArrangement(cards, {
+          sortBy,
+          sortDirection,
+          gridSize,
+          pageCount,
+          reservedSlotNumbers,
+          setReleaseDates,
+        });
+  }, [
+    isOpen,
+    mode,
+    cards,
+    sortBy,
+    sortDirection,
+    keepPageBoundaries,
+    setGap,
+    gridSize,
+    pageCount,
+    reservedSlotNumbers,
+    setReleaseDates,
+  ]);
+
+  // Pages up to the last one with a card, for the preview
+  const previewPages = useMemo(() => {
+    if (!plan) return [];
+
+    const { cols, totalSlots: slotsPerPage } = parseGridSize(gridSize);
+    const cardsBySlot = new Map(
+      plan.placements.map(({ card, slotNumber }) => [slotNumber, card])
+    );
+    const lastSlotNumber = Math.max(
+      0,
+      ...cardsBySlot.keys(),
+      ...reservedSlotNumbers
+    );
+    const lastPage = Math.min(
+      pageCount,
+      Math.ceil(lastSlotNumber / slotsPerPage)
+    );
+
+    return Array.from({ length: lastPage }, (_, pageIndex) => ({
+      pageNumber: pageIndex + 1,
+      cols,
+      slots: Array.from({ length: slotsPerPage }, (_, slotIndex) => {
+        const slotNumber = pageIndex * slotsPerPage + slotIndex + 1;
+        return {
+          slotNumber,
+          card: cardsBySlot.get(slotNumber),
+          isReserved: reservedSlotNumbers.has(slotNumber),
+        };
+      }),
+    }));
+  }, [plan, gridSize, pageCount, reservedSlotNumbers]);
+
+  if (!isOpen || !plan) return null;
+
+  const moveCount = plan.moves.length;
+  const canApply = moveCount > 0 && plan.unplacedCount === 0;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Arrange Cards"
+      titleIcon={ArrowUpDown}
+      iconColor="text-blue-500"
+      maxWidth="sm:max-w-2xl"
+    >
+      <div className="space-y-4">
+        <div className="flex rounded-lg bg-gray-100 dark:bg-gray-700 p-1">
+          {ARRANGE_MODES.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setMode(option.value)}
+              className={`flex-1 rounded-md px-3 py-1.5 text-sm font-medium transition-colors ${
+                mode === option.value
+                  ? "bg-white dark:bg-gray-800 text-gray-900 dark:text-white shadow-sm"
+                  : "text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {mode === "compact" ? (
+          <div className="flex items-end space-x-3">
+            <label className="flex-1 flex items-center space-x-2 pb-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={keepPageBoundaries}
+                onChange={(e) => setKeepPageBoundaries(e.target.checked)}
+              />
+              <span>Keep cards on their pages</span>
+            </label>
+            <label className="w-40 block text-sm text-gray-700 dark:text-gray-300">
+              <span className="mb-1 block font-medium">
+                Blank slots between sets
+              </span>
+              <input
+                type="number"
+                min="0"
+                max={MAX_SET_GAP}
+                value={setGap}
+                onChange={(e) =>
+                  setSetGap(
+                    Math.min(
+                      MAX_SET_GAP,
+                      Math.max(0, parseInt(e.target.value, 10) || 0)
+                    )
+                  )
+                }
+                disabled={keepPageBoundaries}
+                className={inputClassName}
+              />
+            </label>
+          </div>
+        ) : (
+          <div className="flex items-end space-x-3">
+            <label className="flex-1 block text-sm text-gray-700 dark:text-gray-300">
+              <span className="mb-1 block font-medium">Sort by</span>
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className={inputClassName}
+              >
+                {ARRANGE_SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() =>
+                setSortDirection((prev) => (prev === "asc" ? "desc" : "asc"))
+              }
+              title="Reverse the order"
+            >
+              {sortDirection === "asc" ? (
+                <ArrowUp className="w-4 h-4 mr-1" />
+              ) : (
+                <ArrowDown className="w-4 h-4 mr-1" />
+              )}
+              {sortDirection === "asc" ? "Ascending" : "Descending"}
+            </Button>
+          </div>
+        )}
+
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {plan.unplacedCount > 0
+            ? `${plan.unplacedCount} card${
+                plan.unplacedCount !== 1 ? "s don't" : " doesn't"
+              } fit. Add pages before arranging.`
+            : moveCount === 0
+            ? mode === "compact"
+              ? "There are no gaps to close."
+              : "The cards are already in this order."
+            : mode === "compact"
+            ? `${moveCount} of ${cards.length} cards will move forward, keeping their order.`
+            : `${moveCount} of ${cards.length} cards will move. Cards without this detail go last.`}
+        </p>
+
+        <div className="max-h-96 overflow-y-auto grid grid-cols-2 sm:grid-cols-3 gap-3">
+          {previewPages.map((page) => (
+            <PreviewPage key={page.pageNumber} {...page} />
+          ))}
+        </div>
+
+        {reservedSlotNumbers.size > 0 && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Slots with unsaved additions or removals (dashed) stay as they are.
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            type="button"
+            disabled={!canApply}
+            onClick={() =>
+              onApply({ mode, sortBy, sortDirection, moves: plan.moves })
+            }
+          >
+            {mode === "compact" ? "Close Gaps" : "Arrange"}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default ArrangeCardsModal;
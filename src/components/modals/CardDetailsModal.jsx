@@ -0,0 +1,231 @@
+import { useState, useEffect } from "react";
+import { ClipboardList } from "lucide-react";
+import { Button, Modal } from "../ui";
+import {
+  CARD_CONDITIONS,
+  CARD_VARIANTS,
+  CARD_LANGUAGES,
+  GRADING_COMPANIES,
+  MIN_CARD_GRADE,
+  MAX_CARD_GRADE,
+  MAX_PURCHASE_PRICE,
+  MAX_CARD_NOTES_LENGTH,
+  pickCardMetadata,
+  validateCardMetadata,
+} from "../../utils/cardMetadata";
+
+const inputClassName =
+  "w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white";
+
+// Form fields are strings; empty ones clear the detail
+const toFormValues = (card) => {
+  const metadata = pickCardMetadata(card?.cardData || card || {});
+  return {
+    condition: metadata.condition || "",
+    gradingCompany: metadata.gradingCompany || "",
+    grade: metadata.grade?.toString() || "",
+    variant: metadata.variant || "",
+    language: metadata.language || "",
+    purchasePrice: metadata.purchasePrice?.toString() || "",
+    purchaseDate: metadata.purchaseDate || "",
+    notes: metadata.notes || "",
+  };
+};
+
+const toMetadata = (values) =>
+  pickCardMetadata({
+    ...values,
+    grade: values.grade === "" ? null : Number(values.grade),
+    purchasePrice:
+      values.purchasePrice === "" ? null : Number(values.purchasePrice),
+    notes: values.notes.trim(),
+  });
+
+const OptionSelect = ({ label, value, options, onChange, useKeys = false }) => (
+  <label className="block text-sm text-gray-700 dark:text-gray-300">
+    <span className="mb-1 block font-medium">{label}</span>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={inputClassName}
+    >
+      <option value="">Not set</option>
+      {Object.entries(options).map(([key, optionLabel]) => (
+        <option key={key} value={key}>
+          {useKeys ? `${key} - ${optionLabel}` : optionLabel}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+/**
+ * CardDetailsModal - Edit a card's condition, grading, variant and purchase details
+ * Changes are staged with the binder's other pending changes.
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Close the modal
+ * @param {Object} card - Saved or pending card being edited
+ * @param {Function} onSave - Called with the card's new details
+ */
+const CardDetailsModal = ({ isOpen, onClose, card, onSave }) => {
+  const [values, setValues] = useState(() => toFormValues(card));
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setValues(toFormValues(card));
+      setErrors([]);
+    }
+  }, [isOpen, card]);
+
+  if (!isOpen || !card) return null;
+
+  const cardData = card.cardData || card;
+  const setValue = (field) => (value) =>
+    setValues((prev) => ({
+      ...prev,
+      [field]: value,
+      // A grade only means something with the company that gave it
+      ...(field === "gradingCompany" && !value && { grade: "" }),
+    }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const metadata = toMetadata(values);
+    const validationErrors = validateCardMetadata(metadata);
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    onSave(metadata);
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Card Details"
+      titleIcon={ClipboardList}
+      iconColor="text-blue-500"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="flex items-center space-x-3">
+          {cardData.images?.small && (
+            <img
+              src={cardData.images.small}
+              alt={cardData.name}
+              className="h-16 rounded"
+            />
+          )}
+          <div>
+            <p className="font-medium text-gray-900 dark:text-white">
+              {cardData.name}
+            </p>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {cardData.set?.name || cardData.set}
+              {cardData.number && ` #${cardData.number}`}
+            </p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <OptionSelect
+            label="Condition"
+            value={values.condition}
+            options={CARD_CONDITIONS}
+            onChange={setValue("condition")}
+            useKeys
+          />
+          <OptionSelect
+            label="Variant"
+            value={values.variant}
+            options={CARD_VARIANTS}
+            onChange={setValue("variant")}
+          />
+          <OptionSelect
+            label="Grading Company"
+            value={values.gradingCompany}
+            options={GRADING_COMPANIES}
+            onChange={setValue("gradingCompany")}
+          />
+          <label className="block text-sm text-gray-700 dark:text-gray-300">
+            <span className="mb-1 block font-medium">Grade</span>
+            <input
+              type="number"
+              min={MIN_CARD_GRADE}
+              max={MAX_CARD_GRADE}
+              step="0.5"
+              value={values.grade}
+              onChange={(e) => setValue("grade")(e.target.value)}
+              disabled={!values.gradingCompany}
+              placeholder={values.gradingCompany ? "e.g. 9.5" : "Ungraded"}
+              className={`${inputClassName} disabled:opacity-50`}
+            />
+          </label>
+          <OptionSelect
+            label="Language"
+            value={values.language}
+            options={CARD_LANGUAGES}
+            onChange={setValue("language")}
+          />
+          <label className="block text-sm text-gray-700 dark:text-gray-300">
+            <span className="mb-1 block font-medium">Purchase Price</span>
+            <input
+              type="number"
+              min="0"
+              max={MAX_PURCHASE_PRICE}
+              step="0.01"
+              value={values.purchasePrice}
+              onChange={(e) => setValue("purchasePrice")(e.target.value)}
+              className={inputClassName}
+            />
+          </label>
+          <label className="block text-sm text-gray-700 dark:text-gray-300">
+            <span className="mb-1 block font-medium">Purchase Date</span>
+            <input
+              type="date"
+              value={values.purchaseDate}
+              onChange={(e) => setValue("purchaseDate")(e.target.value)}
+              className={inputClassName}
+            />
+          </label>
+        </div>
+
+        <label className="block text-sm text-gray-700 dark:text-gray-300">
+          <span className="mb-1 block font-medium">Notes</span>
+          <textarea
+            rows={3}
+            maxLength={MAX_CARD_NOTES_LENGTH}
+            value={values.notes}
+            onChange={(e) => setValue("notes")(e.target.value)}
+            placeholder="Where it came from, centering, trades..."
+            className={`${inputClassName} resize-none`}
+          />
+        </label>
+
+        {errors.length > 0 && (
+          <ul className="text-sm text-red-600 dark:text-red-400">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Changes are saved with the binder&apos;s other pending changes.
+        </p>
+
+        <div className="flex justify-end space-x-3">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit">Apply</Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default CardDetailsModal;
@@ -0,0 +1,192 @@
+import { useState } from "react";
+import { UserPlus, X } from "lucide-react";
+import {
+  Button,
+  LoadingSpinner,
+  Input,
+  Label,
+  FormField,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../ui";
+import { useBinderCollaborators } from "../../hooks/useBinderCollaborators";
+import {
+  COLLABORATOR_ROLES,
+  COLLABORATOR_ROLE_LABELS,
+  MAX_COLLABORATORS,
+} from "../../utils/binderCollaboration";
+
+const RoleSelect = ({ value, onChange, disabled, className }) => (
+  <Select value={value} onValueChange={onChange} disabled={disabled}>
+    <SelectTrigger className={className}>
+      <SelectValue />
+    </SelectTrigger>
+    <SelectContent>
+      {Object.entries(COLLABORATOR_ROLE_LABELS).map(([role, label]) => (
+        <SelectItem key={role} value={role}>
+          {label}
+        </SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+);
+
+/**
+ * CollaboratorsSection - Invite registered users to a binder as viewers or editors
+ * Rendered inside ShareBinderModal; the binder owner is the only one who sees it.
+ * @param {string} binderId - Binder being shared
+ * @param {boolean} isOpen - Whether the surrounding modal is open
+ */
+const CollaboratorsSection = ({ binderId, isOpen }) => {
+  const {
+    collaborators,
+    isLoading,
+    error,
+    inviteCollaborator,
+    isInviting,
+    inviteError,
+    resetInviteError,
+    updateCollaboratorRole,
+    removeCollaborator,
+    isUpdating,
+    updateError,
+  } = useBinderCollaborators(binderId, { enabled: isOpen });
+
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState(COLLABORATOR_ROLES.VIEWER);
+
+  const isFull = collaborators.length >= MAX_COLLABORATORS;
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    try {
+      await inviteCollaborator({ email, role });
+      setEmail("");
+    } catch (err) {
+      // Shown through inviteError
+      console.error("Failed to invite collaborator:", err);
+    }
+  };
+
+  const handleRoleChange = async (collaboratorId, newRole) => {
+    try {
+      await updateCollaboratorRole({ collaboratorId, role: newRole });
+    } catch (err) {
+      // Shown through updateError
+      console.error("Failed to change collaborator role:", err);
+    }
+  };
+
+  const handleRemove = async (collaboratorId) => {
+    try {
+      await removeCollaborator(collaboratorId);
+    } catch (err) {
+      // Shown through updateError
+      console.error("Failed to remove collaborator:", err);
+    }
+  };
+
+  return (
+    <div className="space-y-3 pt-5 border-t border-gray-200 dark:border-gray-700">
+      <FormField>
+        <Label>People with access</Label>
+        <form onSubmit={handleInvite} className="flex space-x-2">
+          <Input
+            type="email"
+            value={email}
+            onChange={(e) => {
+              setEmail(e.target.value);
+              if (inviteError) resetInviteError();
+            }}
+            placeholder="Email address"
+            className="flex-1"
+            disabled={isInviting || isFull}
+          />
+          <RoleSelect
+            value={role}
+            onChange={setRole}
+            disabled={isInviting || isFull}
+            className="w-28"
+          />
+          <Button
+            type="submit"
+            variant="outline"
+            loading={isInviting}
+            disabled={isInviting || isFull || !email.trim()}
+            title="Invite"
+            className="flex items-center"
+          >
+            <UserPlus className="h-4 w-4" />
+          </Button>
+        </form>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {isFull
+            ? `You can share a binder with up to ${MAX_COLLABORATORS} people.`
+            : "Viewers can open the binder; editors can also change and save it."}
+        </p>
+      </FormField>
+
+      {(inviteError || updateError) && (
+        <p className="text-sm text-red-600 dark:text-red-400">
+          {(inviteError || updateError).message}
+        </p>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <LoadingSpinner />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600 dark:text-red-400">
+          Couldn't load collaborators: {error.message}
+        </p>
+      ) : (
+        collaborators.length > 0 && (
+          <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+            {collaborators.map((collaborator) => (
+              <li
+                key={collaborator.userId}
+                className="flex items-center py-2 space-x-3"
+              >
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm text-gray-900 dark:text-white truncate">
+                    {collaborator.displayName || collaborator.email}
+                  </p>
+                  {collaborator.displayName && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {collaborator.email}
+                    </p>
+                  )}
+                </div>
+                <RoleSelect
+                  value={collaborator.role}
+                  onChange={(newRole) =>
+                    handleRoleChange(collaborator.userId, newRole)
+                  }
+                  disabled={isUpdating}
+                  className="w-28"
+                />
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRemove(collaborator.userId)}
+                  disabled={isUpdating}
+                  title="Remove access"
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+    </div>
+  );
+};
+
+export default CollaboratorsSection;
@@ -0,0 +1,150 @@
+import { useState, useEffect } from "react";
+import { GitMerge } from "lucide-react";
+import { Button, Modal } from "../ui";
+import { CONFLICT_CHOICES } from "../../utils/binderConflicts";
+
+// Stable fallback so the choices aren't reset on every render
+const NO_CONFLICTS = [];
+
+const ChoiceButton = ({ isSelected, onClick, label, value }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`flex-1 min-w-0 text-left px-3 py-2 rounded-md border text-sm transition-colors duration-150 ${
+      isSelected
+        ? "border-blue-500 bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300"
+        : "border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+    }`}
+  >
+    <span className="block text-xs text-gray-500 dark:text-gray-400">
+      {label}
+    </span>
+    <span className="block truncate font-medium">{value}</span>
+  </button>
+);
+
+/**
+ * SaveConflictModal - Pick, per slot or setting, which version to save when
+ * the binder was saved somewhere else since the edits were made
+ * Every conflict starts on the version saved elsewhere.
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {string} title - Modal title
+ * @param {Array<Object>} conflicts - { key, label, detail, local, remote } rows
+ * @param {Function} onResolve - Called with a CONFLICT_CHOICES value per conflict key
+ * @param {Function} onCancel - Close without saving; the edits stay unsaved
+ * @param {boolean} isSaving - Whether the resolved save is in progress
+ */
+const SaveConflictModal = ({
+  isOpen,
+  title = "Changes saved elsewhere",
+  conflicts = NO_CONFLICTS,
+  onResolve,
+  onCancel,
+  isSaving = false,
+}) => {
+  const [choices, setChoices] = useState({});
+
+  // Start each new set of conflicts on the saved version
+  useEffect(() => {
+    setChoices(
+      Object.fromEntries(
+        conflicts.map((conflict) => [conflict.key, CONFLICT_CHOICES.REMOTE])
+      )
+    );
+  }, [conflicts]);
+
+  if (!isOpen) return null;
+
+  const chooseAll = (choice) =>
+    setChoices(
+      Object.fromEntries(conflicts.map((conflict) => [conflict.key, choice]))
+    );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onCancel}
+      title={title}
+      titleIcon={GitMerge}
+      iconColor="text-amber-500"
+    >
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          This binder was saved on another device while you were editing. Pick
+          which version to keep for each of these:
+        </p>
+
+        <div className="flex justify-end space-x-2 text-xs">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => chooseAll(CONFLICT_CHOICES.LOCAL)}
+          >
+            Keep all mine
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => chooseAll(CONFLICT_CHOICES.REMOTE)}
+          >
+            Use all saved
+          </Button>
+        </div>
+
+        <ul className="max-h-80 overflow-y-auto space-y-3">
+          {conflicts.map((conflict) => (
+            <li key={conflict.key}>
+              <p className="text-sm font-medium text-gray-900 dark:text-white">
+                {conflict.label}
+              </p>
+              {conflict.detail && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {conflict.detail}
+                </p>
+              )}
+              <div className="flex space-x-2 mt-1.5">
+                <ChoiceButton
+                  label="Yours"
+                  value={conflict.local}
+                  isSelected={choices[conflict.key] === CONFLICT_CHOICES.LOCAL}
+                  onClick={() =>
+                    setChoices((prev) => ({
+                      ...prev,
+                      [conflict.key]: CONFLICT_CHOICES.LOCAL,
+                    }))
+                  }
+                />
+                <ChoiceButton
+                  label="Saved elsewhere"
+                  value={conflict.remote}
+                  isSelected={choices[conflict.key] === CONFLICT_CHOICES.REMOTE}
+                  onClick={() =>
+                    setChoices((prev) => ({
+                      ...prev,
+                      [conflict.key]: CONFLICT_CHOICES.REMOTE,
+                    }))
+                  }
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <Button variant="outline" onClick={onCancel} disabled={isSaving}>
+            Not now
+          </Button>
+          <Button
+            onClick={() => onResolve(choices)}
+            loading={isSaving}
+            disabled={isSaving}
+          >
+            Save
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default SaveConflictModal;
@@ -0,0 +1,333 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  Share2,
+  Copy,
+  Check,
+  RefreshCw,
+  Lock,
+  Globe,
+  LinkIcon,
+} from "lucide-react";
+import {
+  Modal,
+  Button,
+  LoadingSpinner,
+  Input,
+  Label,
+  FormField,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../ui";
+import { useBinderShare } from "../../hooks/useBinderShare";
+import CollaboratorsSection from "./CollaboratorsSection";
+import {
+  BINDER_VISIBILITY,
+  LINK_EXPIRATION_LABELS,
+  getShareUrl,
+  isShareExpired,
+} from "../../utils/binderSharing";
+
+const formatExpiry = (expiresAt) => {
+  const date = expiresAt?.toDate ? expiresAt.toDate() : expiresAt;
+  return date
+    ? date.toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      })
+    : null;
+};
+
+/**
+ * ShareBinderModal - Create, update or turn off a binder's read-only share link
+ * New links start from the owner's privacy settings (defaultVisibility,
+ * linkExpiration); the remaining settings are listed so the owner knows what
+ * viewers will see. Owners who can collaborate can also invite people by email.
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Close handler
+ * @param {string} binderId - Binder to share
+ * @param {boolean} canInviteCollaborators - Show the "People with access" section
+ */
+const ShareBinderModal = ({
+  isOpen,
+  onClose,
+  binderId,
+  canInviteCollaborators = false,
+}) => {
+  const {
+    share,
+    visibility: binderVisibility,
+    privacySettings,
+    isLoading,
+    error,
+    shareBinder,
+    unshareBinder,
+    isSaving,
+    saveError,
+  } = useBinderShare(binderId, { enabled: isOpen });
+
+  // Unsaved choices; null falls back to the current link or privacy defaults
+  const [form, setForm] = useState(null);
+  const [hasCopied, setHasCopied] = useState(false);
+
+  const visibility =
+    form?.visibility ??
+    share?.visibility ??
+    binderVisibility ??
+    privacySettings.defaultVisibility;
+  const linkExpiration =
+    form?.linkExpiration ??
+    share?.linkExpiration ??
+    privacySettings.linkExpiration;
+
+  const shareUrl = share ? getShareUrl(share.token) : "";
+  const isExpired = share ? isShareExpired(share) : false;
+  const expiryDate = formatExpiry(share?.expiresAt);
+
+  const handleClose = () => {
+    setForm(null);
+    setHasCopied(false);
+    onClose();
+  };
+
+  const updateForm = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async ({ regenerate = false } = {}) => {
+    try {
+      if (visibility === BINDER_VISIBILITY.PRIVATE) {
+        await unshareBinder();
+      } else {
+        await shareBinder({ visibility, linkExpiration, regenerate });
+      }
+      setForm(null);
+    } catch (err) {
+      // Shown through saveError
+      console.error("Failed to update share link:", err);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setHasCopied(true);
+      setTimeout(() => setHasCopied(false), 2000);
+    } catch (err) {
+      console.error("Failed to copy share link:", err);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Share Binder"
+      titleIcon={Share2}
+    >
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600 dark:text-red-400">
+          Couldn't load sharing settings: {error.message}
+        </p>
+      ) : (
+        <div className="space-y-5">
+          {/* Current link */}
+          {share && (
+            <FormField>
+              <Label>Share link</Label>
+              <div className="flex space-x-2">
+                <Input value={shareUrl} readOnly className="flex-1" />
+                <Button
+                  variant="outline"
+                  onClick={handleCopy}
+                  title="Copy link"
+                  className="flex items-center"
+                >
+                  {hasCopied ? (
+                    <Check className="h-4 w-4" />
+                  ) : (
+                    <Copy className="h-4 w-4" />
+                  )}
+                </Button>
+              </div>
+              <p
+                className={`text-xs ${
+                  isExpired
+                    ? "text-red-600 dark:text-red-400"
+                    : "text-gray-500 dark:text-gray-400"
+                }`}
+              >
+                {isExpired
+                  ? `Expired on ${expiryDate}. Update the link to share it again.`
+                  : expiryDate
+                  ? `Anyone with this link can view the binder until ${expiryDate}.`
+                  : "Anyone with this link can view the binder."}
+              </p>
+              {share.allowAnalytics && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Viewed {share.viewCount || 0}{" "}
+                  {share.viewCount === 1 ? "time" : "times"}
+                </p>
+              )}
+            </FormField>
+          )}
+
+          <FormField>
+            <Label>Visibility</Label>
+            <Select
+              value={visibility}
+              onValueChange={(value) => updateForm("visibility", value)}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={BINDER_VISIBILITY.PRIVATE}>
+                  <div className="flex items-center">
+                    <Lock className="h-4 w-4 mr-2" />
+                    Private - Only you can view
+                  </div>
+                </SelectItem>
+                <SelectItem value={BINDER_VISIBILITY.UNLISTED}>
+                  <div className="flex items-center">
+                    <LinkIcon className="h-4 w-4 mr-2" />
+                    Unlisted - Anyone with link can view
+                  </div>
+                </SelectItem>
+                <SelectItem value={BINDER_VISIBILITY.PUBLIC}>
+                  <div className="flex items-center">
+                    <Globe className="h-4 w-4 mr-2" />
+                    Public - Anyone can discover and view
+                  </div>
+                </SelectItem>
+              </SelectContent>
+            </Select>
+          </FormField>
+
+          {visibility !== BINDER_VISIBILITY.PRIVATE && (
+            <FormField>
+              <Label>Link expiration</Label>
+              <Select
+                value={linkExpiration}
+                onValueChange={(value) => updateForm("linkExpiration", value)}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(LINK_EXPIRATION_LABELS).map(
+                    ([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    )
+                  )}
+                </SelectContent>
+              </Select>
+              {share && form?.linkExpiration && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  The new expiration counts from when you update the link.
+                </p>
+              )}
+            </FormField>
+          )}
+
+          {visibility !== BINDER_VISIBILITY.PRIVATE && (
+            <div className="text-xs text-gray-500 dark:text-gray-400 space-y-1">
+              <ul className="space-y-0.5">
+                <li>
+                  •{" "}
+                  {privacySettings.showOwnerInfo
+                    ? "Your name and photo are shown to viewers"
+                    : "Your profile is hidden from viewers"}
+                </li>
+                {visibility === BINDER_VISIBILITY.PUBLIC && (
+                  <li>
+                    •{" "}
+                    {privacySettings.allowPublicDiscovery
+                      ? "Search engines may list this binder"
+                      : "Hidden from search and discovery"}
+                  </li>
+                )}
+                {privacySettings.requireEmailForView && (
+                  <li>• Viewers must sign in with an email address</li>
+                )}
+                {privacySettings.allowCopy && (
+                  <li>• A card list download button is shown</li>
+                )}
+                {privacySettings.allowAnalytics && <li>• Views are counted</li>}
+              </ul>
+              <p>
+                Change these in{" "}
+                <Link
+                  to="/app/profile"
+                  onClick={handleClose}
+                  className="text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  Privacy & Sharing settings
+                </Link>
+                .
+              </p>
+            </div>
+          )}
+
+          {saveError && (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              {saveError.message}
+            </p>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-2">
+            {share && visibility !== BINDER_VISIBILITY.PRIVATE && (
+              <Button
+                variant="ghost"
+                onClick={() => handleSave({ regenerate: true })}
+                disabled={isSaving}
+                className="flex items-center mr-auto"
+                title="Replace the link; the old one stops working"
+              >
+                <RefreshCw className="h-4 w-4 mr-2" />
+                New Link
+              </Button>
+            )}
+            <Button variant="outline" onClick={handleClose} disabled={isSaving}>
+              Close
+            </Button>
+            {visibility === BINDER_VISIBILITY.PRIVATE ? (
+              <Button
+                variant="danger"
+                onClick={() => handleSave()}
+                loading={isSaving}
+                disabled={isSaving || !share}
+              >
+                Stop Sharing
+              </Button>
+            ) : (
+              <Button
+                onClick={() => handleSave()}
+                loading={isSaving}
+                disabled={isSaving || (share && !form && !isExpired)}
+              >
+                {share ? "Update Link" : "Create Link"}
+              </Button>
+            )}
+          </div>
+
+          {canInviteCollaborators && (
+            <CollaboratorsSection binderId={binderId} isOpen={isOpen} />
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default ShareBinderModal;
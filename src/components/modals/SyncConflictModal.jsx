@@ -0,0 +1,80 @@
+import { RefreshCw } from "lucide-react";
+import { Button, Modal } from "../ui";
+
+const describeChange = (conflict) => {
+  if (conflict.type === "removed") return "was removed";
+  if (conflict.type === "added") return "was added";
+  return "was moved";
+};
+
+/**
+ * SyncConflictModal - Ask what to do when changes saved on another device
+ * touch slots the user has unsaved edits in
+ * Closing the modal keeps the local edits.
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Array<Object>} conflicts - Conflicts from findPendingConflicts
+ * @param {Function} onKeepLocal - Keep the unsaved edits
+ * @param {Function} onUseRemote - Drop the conflicting unsaved edits
+ */
+const SyncConflictModal = ({
+  isOpen,
+  conflicts = [],
+  onKeepLocal,
+  onUseRemote,
+}) => {
+  if (!isOpen) return null;
+
+  const hasRemovedCards = conflicts.some(
+    (conflict) => conflict.type === "removed"
+  );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onKeepLocal}
+      title="Binder changed on another device"
+      titleIcon={RefreshCw}
+      iconColor="text-amber-500"
+    >
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Someone saved changes to slots you've also changed but not saved yet:
+        </p>
+
+        <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700 text-sm">
+          {conflicts.map((conflict) => (
+            <li
+              key={`${conflict.cardId}-${conflict.type}`}
+              className="py-2 flex justify-between space-x-3"
+            >
+              <span className="text-gray-900 dark:text-white truncate">
+                {conflict.cardName} {describeChange(conflict)}
+              </span>
+              <span className="flex-shrink-0 text-gray-500 dark:text-gray-400 tabular-nums">
+                Page {conflict.pageNumber}, slot {conflict.slotInPage}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        {hasRemovedCards && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Your edits to removed cards can't be saved and will be dropped
+            either way.
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <Button variant="outline" onClick={onUseRemote}>
+            Use their changes
+          </Button>
+          <Button variant="primary" onClick={onKeepLocal}>
+            Keep my changes
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default SyncConflictModal;
@@ -1,2 +1,7 @@
 export { default as DeleteBinderModal } from "./DeleteBinderModal";
 export { default as SlotLimitModal } from "./SlotLimitModal";
+export { default as ShareBinderModal } from "./ShareBinderModal";
+export { default as SyncConflictModal } from "./SyncConflictModal";
+export { default as SaveConflictModal } from "./SaveConflictModal";
+export { default as CardDetailsModal } from "./CardDetailsModal";
+export { default as ArrangeCardsModal } from "./ArrangeCardsModal";
@@ -500,7 +500,7 @@ export const CostMonitoringDashboard = () => {
                     <li>addBinder() - 2 writes</li>
                     <li>getBindersForUser() - multiple reads</li>
                     <li>getBinder() - 1 read</li>
-                    <li>updateBinder() - 1 write</li>
+                    <li>updateBinder() - 1 read, 1 write</li>
                     <li>addCardToBinder() - 2 writes</li>
                   </ul>
                 </div>
@@ -9,6 +9,7 @@ import {
   Image,
   Bell,
   Monitor,
+  Database,
 } from "lucide-react";
 
 const SettingsNavigation = ({ activeSection, onSectionChange, isOwner }) => {
@@ -43,6 +44,12 @@ const SettingsNavigation = ({ activeSection, onSectionChange, isOwner }) => {
       description: "Control who can see and share your binders",
       icon: Share2,
     },
+    {
+      id: "data-backup",
+      name: "Data & Backup",
+      description: "Export and import your binders",
+      icon: Database,
+    },
     {
       id: "display-themes",
       name: "Display & Themes",
@@ -0,0 +1,315 @@
+import { useState, useRef } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { Database, Download, Upload, Check, AlertTriangle } from "lucide-react";
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Alert,
+  AlertDescription,
+  Button,
+} from "../../ui";
+import FeatureLockMessage from "../../anonymous/FeatureLockMessage";
+import { useUserLimits } from "../../../hooks/useUserLimits";
+import { useStorage } from "../../../storage/StorageProvider";
+import {
+  parseBackup,
+  findBinderConflicts,
+  CONFLICT_STRATEGIES,
+} from "../../../storage/backup/binderBackup";
+
+const conflictOptions = [
+  {
+    value: CONFLICT_STRATEGIES.SKIP,
+    label: "Keep mine",
+    description: "Skip binders that already exist",
+  },
+  {
+    value: CONFLICT_STRATEGIES.REPLACE,
+    label: "Replace",
+    description: "Overwrite them with the backup",
+  },
+  {
+    value: CONFLICT_STRATEGIES.KEEP_BOTH,
+    label: "Keep both",
+    description: "Import them as new binders",
+  },
+];
+
+const DataBackupSection = () => {
+  const storage = useStorage();
+  const queryClient = useQueryClient();
+  const { canUseFeature } = useUserLimits();
+  const fileInputRef = useRef(null);
+
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [conflictStrategy, setConflictStrategy] = useState(
+    CONFLICT_STRATEGIES.SKIP
+  );
+  const [importResult, setImportResult] = useState(null);
+  const [alert, setAlert] = useState(null);
+
+  const canExport = canUseFeature("canExport");
+  const canImport = canUseFeature("canImport");
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setAlert(null);
+    try {
+      const backup = await storage.exportData();
+      const blob = new Blob([JSON.stringify(backup, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `pokemon-binders-${new Date()
+        .toISOString()
+        .slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setAlert({
+        type: "success",
+        message: `Exported ${backup.binders.length} binders and ${backup.cards.length} cards.`,
+      });
+    } catch (error) {
+      setAlert({ type: "error", message: error.message });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setAlert(null);
+    setImportResult(null);
+    try {
+      const { backup, errors } = parseBackup(await file.text());
+      const conflicts = findBinderConflicts(backup, await storage.getBinders());
+      setConflictStrategy(CONFLICT_STRATEGIES.SKIP);
+      setPendingImport({ fileName: file.name, backup, errors, conflicts });
+    } catch (error) {
+      setPendingImport(null);
+      setAlert({ type: "error", message: error.message });
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const result = await storage.importData(pendingImport.backup, {
+        conflictStrategy,
+      });
+      setImportResult({
+        ...result,
+        errors: [...pendingImport.errors, ...result.errors],
+      });
+      setPendingImport(null);
+
+      queryClient.invalidateQueries({ queryKey: ["userBinders"] });
+      queryClient.invalidateQueries({ queryKey: ["allUserCards"] });
+      queryClient.invalidateQueries({ queryKey: ["userPreferences"] });
+    } catch (error) {
+      setAlert({ type: "error", message: error.message });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+          Data & Backup
+        </h1>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Export your binders to a file or restore them from a backup
+        </p>
+      </div>
+
+      {alert && (
+        <Alert variant={alert.type === "error" ? "destructive" : "success"}>
+          <AlertDescription>{alert.message}</AlertDescription>
+        </Alert>
+      )}
+
+      {/* Export */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Download className="h-5 w-5 text-blue-600 dark:text-blue-400 mr-2" />
+            Export
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Download a JSON backup with your binders, card slots, binder
+              preferences, set completion and settings.
+            </p>
+            {canExport ? (
+              <Button
+                onClick={handleExport}
+                loading={isExporting}
+                disabled={isExporting}
+                size="sm"
+                className="flex items-center"
+              >
+                <Download className="h-4 w-4 mr-2" />
+                Export Data
+              </Button>
+            ) : (
+              <FeatureLockMessage feature="canExport" variant="bordered" />
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Import */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Upload className="h-5 w-5 text-blue-600 dark:text-blue-400 mr-2" />
+            Import
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {!canImport ? (
+            <FeatureLockMessage feature="canImport" variant="bordered" />
+          ) : (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Restore binders from a backup file created with Export.
+              </p>
+
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleFileSelected}
+                className="hidden"
+              />
+              <Button
+                variant="outline"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isImporting}
+                size="sm"
+                className="flex items-center"
+              >
+                <Database className="h-4 w-4 mr-2" />
+                Choose Backup File
+              </Button>
+
+              {pendingImport && (
+                <div className="space-y-4 p-4 rounded-lg border border-slate-200 dark:border-slate-700">
+                  <div className="text-sm text-gray-700 dark:text-gray-300">
+                    <span className="font-medium">
+                      {pendingImport.fileName}
+                    </span>{" "}
+                    contains {pendingImport.backup.binders.length} binders and{" "}
+                    {pendingImport.backup.cards.length} cards.
+                  </div>
+
+                  {pendingImport.errors.length > 0 && (
+                    <p className="flex items-center text-sm text-amber-600 dark:text-amber-400">
+                      <AlertTriangle className="h-4 w-4 mr-2 flex-shrink-0" />
+                      {pendingImport.errors.length} invalid entries will be
+                      skipped.
+                    </p>
+                  )}
+
+                  {pendingImport.conflicts.length > 0 && (
+                    <div className="space-y-3">
+                      <p className="text-sm text-gray-700 dark:text-gray-300">
+                        {pendingImport.conflicts.length} binders already exist:{" "}
+                        {pendingImport.conflicts
+                          .map((binder) => binder.name)
+                          .join(", ")}
+                        . What should happen to them?
+                      </p>
+                      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                        {conflictOptions.map((option) => (
+                          <button
+                            key={option.value}
+                            onClick={() => setConflictStrategy(option.value)}
+                            disabled={isImporting}
+                            className={`p-3 text-left rounded-lg border transition-all duration-200 ${
+                              conflictStrategy === option.value
+                                ? "bg-blue-50 dark:bg-blue-900/30 border-blue-300 dark:border-blue-700 text-blue-700 dark:text-blue-300"
+                                : "bg-white dark:bg-slate-800 border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-700/50"
+                            }`}
+                          >
+                            <div className="flex items-center text-sm font-medium">
+                              {option.label}
+                              {conflictStrategy === option.value && (
+                                <Check className="h-4 w-4 ml-auto" />
+                              )}
+                            </div>
+                            <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                              {option.description}
+                            </div>
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="flex justify-end space-x-3 pt-4 border-t border-slate-200 dark:border-slate-700">
+                    <Button
+                      variant="outline"
+                      onClick={() => setPendingImport(null)}
+                      disabled={isImporting}
+                      size="sm"
+                    >
+                      Cancel
+                    </Button>
+                    <Button
+                      onClick={handleImport}
+                      loading={isImporting}
+                      disabled={isImporting}
+                      size="sm"
+                      className="flex items-center"
+                    >
+                      <Upload className="h-4 w-4 mr-2" />
+                      Import
+                    </Button>
+                  </div>
+                </div>
+              )}
+
+              {importResult && (
+                <Alert variant="success">
+                  <AlertDescription>
+                    Imported {importResult.importedBinders} binders and{" "}
+                    {importResult.importedCards} cards
+                    {importResult.skippedBinders > 0 &&
+                      `, skipped ${importResult.skippedBinders} existing binders`}
+                    .
+                    {importResult.errors.length > 0 && (
+                      <ul className="mt-2 list-disc list-inside text-xs">
+                        {importResult.errors.map((error, index) => (
+                          <li key={index}>
+                            {error.type} {error.id}: {error.message}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </AlertDescription>
+                </Alert>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default DataBackupSection;
@@ -1,6 +1,14 @@
 import { useState, useEffect } from "react";
 import { motion } from "framer-motion";
-import { Monitor, Zap, Check, Smartphone, Save } from "lucide-react";
+import {
+  Monitor,
+  Zap,
+  Check,
+  Smartphone,
+  Save,
+  HardDrive,
+  Trash2,
+} from "lucide-react";
 import {
   Card,
   CardHeader,
@@ -14,6 +22,121 @@ import {
   useAnimations,
   ANIMATION_LEVELS,
 } from "../../../contexts/AnimationContext";
+import {
+  IMAGE_CACHE_LIMITS,
+  getCacheStats,
+  setImageCacheLimit,
+  clearImageCache,
+} from "../../../utils/serviceWorker";
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+/**
+ * OfflineCacheCard - How many card images this device keeps for offline use
+ * The limit lives in the service worker, so it applies per device and right away.
+ */
+const OfflineCacheCard = () => {
+  const [stats, setStats] = useState(null);
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  useEffect(() => {
+    getCacheStats().then(setStats);
+  }, []);
+
+  const runCacheAction = async (action) => {
+    setIsUpdating(true);
+    try {
+      const result = await action();
+      const estimate = await navigator.storage?.estimate?.().catch(() => null);
+      setStats({ ...result, usage: estimate?.usage, quota: estimate?.quota });
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const isAvailable = stats?.success;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <HardDrive className="h-5 w-5 text-blue-600 dark:text-blue-400 mr-2" />
+          Offline Storage
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Card images you've viewed are kept on this device so binders still
+            load with a poor connection. Choose how many to keep; the oldest are
+            removed first.
+          </p>
+
+          {stats && !isAvailable && (
+            <Alert>
+              <AlertDescription>
+                {stats.error} Install or reload the app to turn on offline
+                storage.
+              </AlertDescription>
+            </Alert>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            {IMAGE_CACHE_LIMITS.map((option) => {
+              const isSelected = stats?.imageLimit === option.value;
+              return (
+                <button
+                  key={option.value}
+                  onClick={() =>
+                    runCacheAction(() => setImageCacheLimit(option.value))
+                  }
+                  disabled={!isAvailable || isUpdating}
+                  className={`relative p-3 text-center rounded-lg border transition-all duration-200 focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:outline-none ${
+                    isSelected
+                      ? "bg-blue-50 dark:bg-blue-900/30 border-blue-300 dark:border-blue-700 text-blue-700 dark:text-blue-300"
+                      : "bg-white dark:bg-slate-800 border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-700/50 hover:border-slate-400 dark:hover:border-slate-500"
+                  } ${
+                    !isAvailable || isUpdating
+                      ? "opacity-60 cursor-not-allowed"
+                      : ""
+                  }`}
+                >
+                  {isSelected && (
+                    <Check className="absolute top-1.5 right-1.5 h-4 w-4 p-0.5 text-white bg-blue-500 dark:bg-blue-600 rounded-full shadow-md" />
+                  )}
+                  <div className="text-xs font-medium">{option.label}</div>
+                  <div className="text-xs text-slate-500 dark:text-slate-400">
+                    {option.description}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="flex items-center justify-between pt-4 border-t border-slate-200 dark:border-slate-700">
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              {isAvailable
+                ? `${stats.imageCount.toLocaleString()} images cached`
+                : "No images cached"}
+              {stats?.usage !== undefined &&
+                ` · ${formatMegabytes(stats.usage)} used on this device`}
+            </p>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => runCacheAction(clearImageCache)}
+              disabled={!isAvailable || isUpdating || stats.imageCount === 0}
+              className="flex items-center"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Clear Images
+            </Button>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
 
 const InterfaceSection = () => {
   const {
@@ -288,6 +411,8 @@ const InterfaceSection = () => {
         </CardContent>
       </Card>
 
+      <OfflineCacheCard />
+
       {/* Future UI Settings Placeholder */}
       <Card className="border-slate-200 dark:border-slate-700 opacity-75">
         <CardHeader>
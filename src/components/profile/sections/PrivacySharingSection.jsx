@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import {
   Share2,
   Eye,
@@ -29,35 +29,65 @@ import {
   Alert,
   AlertDescription,
 } from "../../ui";
+import { useAuth } from "../../../contexts/AuthContext";
+import {
+  useUserPreferences,
+  useUpdateUserPreferences,
+} from "../../../hooks/useUserData";
+import {
+  DEFAULT_PRIVACY_SETTINGS,
+  LINK_EXPIRATION_LABELS,
+} from "../../../utils/binderSharing";
 
 const PrivacySharingSection = () => {
-  const [settings, setSettings] = useState({
-    defaultVisibility: "private",
-    allowPublicDiscovery: false,
-    linkExpiration: "never",
-    allowComments: true,
-    allowCopy: false,
-    showOwnerInfo: true,
-    requireEmailForView: false,
-    allowAnalytics: true,
-  });
-  const [isLoading, setIsLoading] = useState(false);
+  const { currentUser } = useAuth();
+  const { data: preferencesResult } = useUserPreferences(currentUser?.uid);
+  const { mutateAsync: savePreferences, isPending: isLoading } =
+    useUpdateUserPreferences();
+  const [settings, setSettings] = useState(DEFAULT_PRIVACY_SETTINGS);
   const [alert, setAlert] = useState(null);
 
+  // Start from the saved settings once they have loaded
+  const savedPrivacy = preferencesResult?.data?.privacy;
+  useEffect(() => {
+    if (savedPrivacy) {
+      setSettings(
+        Object.fromEntries(
+          Object.keys(DEFAULT_PRIVACY_SETTINGS).map((key) => [
+            key,
+            savedPrivacy[key],
+          ])
+        )
+      );
+    }
+  }, [savedPrivacy]);
+
   const handleSaveSettings = async () => {
-    setIsLoading(true);
+    if (!currentUser?.uid) {
+      setAlert({
+        type: "error",
+        message: "You must be logged in to save privacy settings",
+      });
+      return;
+    }
+
     try {
-      // TODO: Implement save settings API call
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // Mock API call
+      const result = await savePreferences({
+        userId: currentUser.uid,
+        preferences: { privacy: settings },
+      });
+      if (!result.success) throw new Error(result.error);
+
       setAlert({
         type: "success",
         message: "Privacy settings saved successfully!",
       });
       setTimeout(() => setAlert(null), 3000);
     } catch (error) {
-      setAlert({ type: "error", message: "Failed to save settings" });
-    } finally {
-      setIsLoading(false);
+      setAlert({
+        type: "error",
+        message: error.message || "Failed to save settings",
+      });
     }
   };
 
@@ -193,12 +223,13 @@ const PrivacySharingSection = () => {
                       <SelectValue placeholder="Choose expiration..." />
                     </SelectTrigger>
                     <SelectContent>
-                      <SelectItem value="never">Never expire</SelectItem>
-                      <SelectItem value="1-day">1 Day</SelectItem>
-                      <SelectItem value="1-week">1 Week</SelectItem>
-                      <SelectItem value="1-month">1 Month</SelectItem>
-                      <SelectItem value="3-months">3 Months</SelectItem>
-                      <SelectItem value="1-year">1 Year</SelectItem>
+                      {Object.entries(LINK_EXPIRATION_LABELS).map(
+                        ([value, label]) => (
+                          <SelectItem key={value} value={value}>
+                            {label}
+                          </SelectItem>
+                        )
+                      )}
                     </SelectContent>
                   </Select>
                 </TooltipTrigger>
@@ -240,36 +271,7 @@ const PrivacySharingSection = () => {
           </CardHeader>
           <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <FormField>
-              <Label>Allow Comments</Label>
-              <Tooltip>
-                <TooltipTrigger asChild>
-                  <Select
-                    value={settings.allowComments ? "allow" : "disable"}
-                    onValueChange={(value) =>
-                      updateSetting("allowComments", value === "allow")
-                    }
-                  >
-                    <SelectTrigger>
-                      <SelectValue />
-                    </SelectTrigger>
-                    <SelectContent>
-                      <SelectItem value="allow">
-                        Allow comments on shared binders
-                      </SelectItem>
-                      <SelectItem value="disable">Disable comments</SelectItem>
-                    </SelectContent>
-                  </Select>
-                </TooltipTrigger>
-                <TooltipContent>
-                  <p>
-                    Whether viewers can leave comments on your shared binders
-                  </p>
-                </TooltipContent>
-              </Tooltip>
-            </FormField>
-
-            <FormField>
-              <Label>Allow Copying/Downloading</Label>
+              <Label>Card List Download</Label>
               <Tooltip>
                 <TooltipTrigger asChild>
                   <Select
@@ -283,18 +285,18 @@ const PrivacySharingSection = () => {
                     </SelectTrigger>
                     <SelectContent>
                       <SelectItem value="allow">
-                        Allow viewers to copy/export binder data
+                        Show a card list download button
                       </SelectItem>
                       <SelectItem value="disable">
-                        Prevent copying/downloading
+                        Hide the download button
                       </SelectItem>
                     </SelectContent>
                   </Select>
                 </TooltipTrigger>
                 <TooltipContent>
                   <p>
-                    Whether viewers can copy your binder as a template or export
-                    the card list
+                    Adds a CSV download to your shared binders. Viewers can
+                    still see every card either way
                   </p>
                 </TooltipContent>
               </Tooltip>
@@ -382,10 +384,9 @@ const PrivacySharingSection = () => {
                     {settings.allowPublicDiscovery ? "enabled" : "disabled"}
                   </li>
                   <li>
-                    • Comments are{" "}
-                    {settings.allowComments ? "allowed" : "disabled"}
+                    • Link expiration:{" "}
+                    {LINK_EXPIRATION_LABELS[settings.linkExpiration]}
                   </li>
-                  <li>• Link expiration: {settings.linkExpiration}</li>
                 </ul>
               </div>
             </div>
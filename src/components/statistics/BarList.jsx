@@ -0,0 +1,52 @@
+/**
+ * BarList - Horizontal bar chart for labelled counts
+ * @param {Array} items - Array of { label, count }
+ * @param {number} limit - Maximum number of bars to show
+ * @param {string} barClassName - Tailwind classes for the bar fill
+ * @param {string} emptyMessage - Message shown when there is no data
+ */
+const BarList = ({
+  items,
+  limit = 10,
+  barClassName = "bg-blue-500",
+  emptyMessage = "No data yet.",
+}) => {
+  if (!items || items.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">{emptyMessage}</p>
+    );
+  }
+
+  const visibleItems = items.slice(0, limit);
+  const maxCount = Math.max(...visibleItems.map((item) => item.count));
+
+  return (
+    <div className="space-y-2">
+      {visibleItems.map((item) => (
+        <div key={item.label}>
+          <div className="flex items-center justify-between text-xs mb-1">
+            <span className="text-gray-700 dark:text-gray-300 truncate pr-2">
+              {item.label}
+            </span>
+            <span className="font-medium text-gray-900 dark:text-white">
+              {item.count}
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full transition-all duration-300 ${barClassName}`}
+              style={{ width: `${(item.count / maxCount) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+      {items.length > limit && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 pt-1">
+          +{items.length - limit} more
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BarList;
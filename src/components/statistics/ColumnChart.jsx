@@ -0,0 +1,45 @@
+/**
+ * ColumnChart - Vertical column chart for a time series
+ * @param {Array} data - Array of { key, label, count }
+ * @param {number} height - Chart height in pixels
+ */
+const ColumnChart = ({ data, height = 160 }) => {
+  const maxCount = Math.max(1, ...data.map((point) => point.count));
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 sm:gap-2" style={{ height }}>
+        {data.map((point) => (
+          <div
+            key={point.key}
+            className="flex-1 flex flex-col items-center justify-end h-full group"
+            title={`${point.label}: ${point.count} cards`}
+          >
+            <span className="text-[10px] sm:text-xs text-gray-500 dark:text-gray-400 opacity-0 group-hover:opacity-100 transition-opacity">
+              {point.count}
+            </span>
+            <div
+              className="w-full bg-blue-500 dark:bg-blue-400 rounded-t transition-all duration-300"
+              style={{
+                height: `${(point.count / maxCount) * 100}%`,
+                minHeight: point.count > 0 ? 2 : 0,
+              }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 sm:gap-2 mt-2 border-t border-gray-200 dark:border-gray-700 pt-1">
+        {data.map((point) => (
+          <span
+            key={point.key}
+            className="flex-1 text-center text-[10px] sm:text-xs text-gray-500 dark:text-gray-400 truncate"
+          >
+            {point.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ColumnChart;
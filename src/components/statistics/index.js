@@ -0,0 +1,2 @@
+export { default as BarList } from "./BarList";
+export { default as ColumnChart } from "./ColumnChart";
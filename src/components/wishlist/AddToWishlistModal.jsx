@@ -0,0 +1,251 @@
+import { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { X, Search, Package, Heart, Check } from "lucide-react";
+import { Button } from "../ui";
+import { CardSearchTab, SetBrowseTab } from "../cards";
+import { useAuth } from "../../contexts/AuthContext";
+import { useAddCardsToWishlist } from "../../hooks/useCollectionsAndWishlist";
+import { PRIORITY_LEVELS } from "./wishlistConstants";
+
+// Convert a Pokemon TCG API card into a wishlist document
+const toWishlistItem = (card, priority) => ({
+  itemType: "card",
+  cardApiId: card.id,
+  name: card.name,
+  setId: card.set?.id || "",
+  setName: card.set?.name || "",
+  number: card.number || "",
+  rarity: card.rarity || "",
+  artist: card.artist || "",
+  supertype: card.supertype || "",
+  types: card.types || [],
+  images: card.images || {},
+  tcgplayer: card.tcgplayer || {},
+  cardmarket: card.cardmarket || {},
+  priority,
+  notes: "",
+});
+
+const AddToWishlistModal = ({ isOpen, onClose, wishlistedCardIds }) => {
+  const { currentUser } = useAuth();
+  const [activeTab, setActiveTab] = useState("search"); // "search" or "sets"
+  const [selectedCards, setSelectedCards] = useState([]);
+  const [priority, setPriority] = useState("Medium");
+  const [error, setError] = useState(null);
+  const { mutateAsync: addCardsToWishlist, isPending: isAdding } =
+    useAddCardsToWishlist();
+
+  const isWishlisted = (card) => wishlistedCardIds.has(card.id);
+
+  const handleCardToggle = (card) => {
+    if (isWishlisted(card)) return;
+
+    setSelectedCards((prev) =>
+      prev.some((c) => c.id === card.id)
+        ? prev.filter((c) => c.id !== card.id)
+        : [...prev, card]
+    );
+  };
+
+  const handleBulkAddSet = (cards) => {
+    setSelectedCards((prev) => {
+      const selectedIds = new Set(prev.map((c) => c.id));
+      return [
+        ...prev,
+        ...cards.filter(
+          (card) => !selectedIds.has(card.id) && !isWishlisted(card)
+        ),
+      ];
+    });
+  };
+
+  const handleClose = () => {
+    setSelectedCards([]);
+    setError(null);
+    onClose();
+  };
+
+  const handleAddToWishlist = async () => {
+    if (selectedCards.length === 0 || !currentUser) return;
+
+    setError(null);
+    const result = await addCardsToWishlist({
+      userId: currentUser.uid,
+      wishlistItems: selectedCards.map((card) =>
+        toWishlistItem(card, priority)
+      ),
+    });
+
+    if (result.success) {
+      handleClose();
+    } else {
+      setError(result.error || "Failed to add cards to wishlist.");
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 z-[70] flex items-center justify-center p-4">
+        {/* Overlay */}
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="absolute inset-0 bg-black/50 backdrop-blur-md"
+          onClick={handleClose}
+        />
+
+        {/* Modal */}
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          transition={{ duration: 0.3, ease: [0.16, 1, 0.3, 1] }}
+          className="relative w-full max-w-7xl h-[90vh] bg-white dark:bg-gray-900 rounded-3xl shadow-2xl border border-gray-200/20 dark:border-gray-700/50 flex flex-col overflow-hidden"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="px-8 py-6 border-b border-gray-200 dark:border-gray-700">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-4">
+                <div className="p-2.5 bg-pink-100 dark:bg-pink-900/30 rounded-xl">
+                  <Heart className="w-6 h-6 text-pink-600 dark:text-pink-400" />
+                </div>
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+                    Add Cards to Wishlist
+                  </h2>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mt-0.5">
+                    Cards already on your wishlist can't be selected again
+                  </p>
+                </div>
+              </div>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={handleClose}
+                className="rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 w-10 h-10"
+              >
+                <X className="w-5 h-5" />
+              </Button>
+            </div>
+          </div>
+
+          {/* Tabs */}
+          <div className="flex border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50 px-8">
+            {[
+              {
+                id: "search",
+                label: "Search Cards",
+                icon: <Search className="w-5 h-5" />,
+              },
+              {
+                id: "sets",
+                label: "Browse Sets",
+                icon: <Package className="w-5 h-5" />,
+              },
+            ].map(({ id, label, icon }) => (
+              <button
+                key={id}
+                onClick={() => setActiveTab(id)}
+                className={`relative flex items-center space-x-3 px-6 py-4 font-semibold transition-all duration-200 ${
+                  activeTab === id
+                    ? "text-blue-600 dark:text-blue-400"
+                    : "text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300"
+                }`}
+              >
+                {icon}
+                <span>{label}</span>
+                {activeTab === id && (
+                  <motion.div
+                    layoutId="wishlistActiveTab"
+                    className="absolute bottom-0 left-0 right-0 h-0.5 bg-blue-600 dark:bg-blue-400"
+                    initial={false}
+                    transition={{ duration: 0.2 }}
+                  />
+                )}
+              </button>
+            ))}
+          </div>
+
+          {/* Tab Content */}
+          <div className="flex-1 overflow-hidden">
+            {activeTab === "search" ? (
+              <CardSearchTab
+                selectedCards={selectedCards}
+                onCardToggle={handleCardToggle}
+                showSidebar={true}
+              />
+            ) : (
+              <SetBrowseTab
+                selectedCards={selectedCards}
+                onCardToggle={handleCardToggle}
+                onBulkAddSet={handleBulkAddSet}
+              />
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="flex items-center justify-between px-8 py-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50">
+            <div className="flex items-center space-x-4">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                {selectedCards.length} card
+                {selectedCards.length !== 1 ? "s" : ""} selected
+              </span>
+              <label className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+                <span>Priority</span>
+                <select
+                  value={priority}
+                  onChange={(e) => setPriority(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                >
+                  {PRIORITY_LEVELS.map((level) => (
+                    <option key={level} value={level}>
+                      {level}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {error && (
+                <span className="text-sm text-red-600 dark:text-red-400">
+                  {error}
+                </span>
+              )}
+            </div>
+            <div className="flex items-center space-x-3">
+              {selectedCards.length > 0 && (
+                <Button variant="ghost" onClick={() => setSelectedCards([])}>
+                  Clear
+                </Button>
+              )}
+              <Button variant="outline" onClick={handleClose}>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleAddToWishlist}
+                disabled={selectedCards.length === 0 || isAdding}
+                className="px-6 py-2.5 bg-pink-600 hover:bg-pink-700 text-white font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isAdding ? (
+                  <>
+                    <Check className="w-4 h-4 mr-2 animate-pulse" />
+                    Adding...
+                  </>
+                ) : (
+                  <>
+                    <Heart className="w-4 h-4 mr-2" />
+                    Add to Wishlist
+                  </>
+                )}
+              </Button>
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default AddToWishlistModal;
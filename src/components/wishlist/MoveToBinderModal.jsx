@@ -0,0 +1,144 @@
+import { useState, useEffect, useMemo } from "react";
+import { FolderInput, Loader2 } from "lucide-react";
+import { Button, Modal } from "../ui";
+import { useAuth } from "../../contexts/AuthContext";
+import { useUserBinders } from "../../hooks/useUserData";
+import { useMoveWishlistItemToBinder } from "../../hooks/useCollectionsAndWishlist";
+
+const MoveToBinderModal = ({ isOpen, onClose, item, onMoved }) => {
+  const { currentUser } = useAuth();
+  const { data: bindersData, isLoading: isLoadingBinders } = useUserBinders(
+    currentUser?.uid
+  );
+  const { mutateAsync: moveToBinder, isPending: isMoving } =
+    useMoveWishlistItemToBinder();
+
+  const [binderId, setBinderId] = useState("");
+  const [startPage, setStartPage] = useState(1);
+  const [error, setError] = useState(null);
+
+  const binders = useMemo(() => bindersData?.binders || [], [bindersData]);
+  const selectedBinder = binders.find((binder) => binder.id === binderId);
+
+  // Default to the first binder once the list is available
+  useEffect(() => {
+    if (isOpen && !binderId && binders.length > 0) {
+      setBinderId(binders[0].id);
+    }
+  }, [isOpen, binderId, binders]);
+
+  useEffect(() => {
+    setStartPage(1);
+    setError(null);
+  }, [binderId]);
+
+  const handleConfirm = async () => {
+    if (!selectedBinder || !item || !currentUser) return;
+
+    setError(null);
+    const result = await moveToBinder({
+      userId: currentUser.uid,
+      item,
+      binder: selectedBinder,
+      startPage,
+    });
+
+    if (result.success) {
+      onMoved?.(result, selectedBinder);
+      onClose();
+    } else {
+      setError(result.error || "Failed to move card to binder.");
+    }
+  };
+
+  if (!isOpen || !item) return null;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Move to Binder"
+      titleIcon={FolderInput}
+      iconColor="text-blue-500"
+    >
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          <strong className="text-gray-800 dark:text-gray-200">
+            {item.name}
+          </strong>{" "}
+          will be placed in the first empty slot from the chosen page and
+          removed from your wishlist.
+        </p>
+
+        {isLoadingBinders ? (
+          <div className="flex items-center text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            Loading your binders...
+          </div>
+        ) : binders.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            You don't have any binders yet. Create one first.
+          </p>
+        ) : (
+          <div className="grid grid-cols-3 gap-3">
+            <label className="col-span-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+              Binder
+              <select
+                value={binderId}
+                onChange={(e) => setBinderId(e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              >
+                {binders.map((binder) => (
+                  <option key={binder.id} value={binder.id}>
+                    {binder.binderName}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              From page
+              <input
+                type="number"
+                min={1}
+                max={selectedBinder?.pageCount || 1}
+                value={startPage}
+                onChange={(e) =>
+                  setStartPage(
+                    Math.min(
+                      Math.max(1, Number(e.target.value) || 1),
+                      selectedBinder?.pageCount || 1
+                    )
+                  )
+                }
+                className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              />
+            </label>
+          </div>
+        )}
+
+        {error && (
+          <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+        )}
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <Button variant="outline" onClick={onClose} disabled={isMoving}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleConfirm}
+            disabled={!selectedBinder || isMoving}
+          >
+            {isMoving ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <FolderInput className="mr-2 h-4 w-4" />
+            )}
+            {isMoving ? "Moving..." : "Move to Binder"}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default MoveToBinderModal;
@@ -0,0 +1,218 @@
+import { useState } from "react";
+import {
+  ImageIcon,
+  Pencil,
+  Trash2,
+  FolderInput,
+  Check,
+  X,
+  Tag,
+} from "lucide-react";
+import { Button } from "../ui";
+import { getCardMarketPrice, formatPrice } from "../../utils/cardPricing";
+import { PRIORITY_LEVELS, PRIORITY_STYLES } from "./wishlistConstants";
+
+const WishlistItemCard = ({ item, onUpdate, onRemove, onMoveToBinder }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [maxPrice, setMaxPrice] = useState(item.maxPrice ?? "");
+  const [notes, setNotes] = useState(item.notes || "");
+  const [validationError, setValidationError] = useState(null);
+
+  const marketPrice = getCardMarketPrice(item);
+  const isWithinBudget =
+    typeof item.maxPrice === "number" &&
+    marketPrice !== null &&
+    marketPrice <= item.maxPrice;
+
+  const startEditing = () => {
+    setMaxPrice(item.maxPrice ?? "");
+    setNotes(item.notes || "");
+    setValidationError(null);
+    setIsEditing(true);
+  };
+
+  const handleSave = () => {
+    const parsedMaxPrice = maxPrice === "" ? null : Number(maxPrice);
+    if (
+      parsedMaxPrice !== null &&
+      (Number.isNaN(parsedMaxPrice) ||
+        parsedMaxPrice < 0 ||
+        parsedMaxPrice > 999999)
+    ) {
+      setValidationError("Max price must be between 0 and 999,999");
+      return;
+    }
+    if (notes.length > 500) {
+      setValidationError("Notes must be 500 characters or less");
+      return;
+    }
+
+    onUpdate({ maxPrice: parsedMaxPrice, notes: notes.trim() });
+    setIsEditing(false);
+  };
+
+  const cardImage = item.images?.small || item.images?.large;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 overflow-hidden flex flex-col">
+      <div className="flex p-3 gap-3">
+        {/* Card Image */}
+        <div className="w-24 flex-shrink-0 aspect-[5/7] bg-gray-100 dark:bg-gray-700 rounded overflow-hidden">
+          {cardImage ? (
+            <img
+              src={cardImage}
+              alt={item.name}
+              loading="lazy"
+              className="w-full h-full object-cover"
+            />
+          ) : (
+            <div className="w-full h-full flex items-center justify-center text-gray-400">
+              <ImageIcon className="w-6 h-6" />
+            </div>
+          )}
+        </div>
+
+        {/* Card Details */}
+        <div className="flex-1 min-w-0 space-y-1.5">
+          <h3 className="font-semibold text-gray-900 dark:text-white truncate">
+            {item.name}
+          </h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+            {item.setName}
+            {item.number && ` · #${item.number}`}
+          </p>
+          {item.rarity && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+              {item.rarity}
+            </p>
+          )}
+
+          <select
+            value={item.priority || "Medium"}
+            onChange={(e) => onUpdate({ priority: e.target.value })}
+            className={`text-xs font-medium rounded-full px-2 py-0.5 border-0 focus:ring-2 focus:ring-blue-500 ${
+              PRIORITY_STYLES[item.priority] || PRIORITY_STYLES.Medium
+            }`}
+            aria-label={`Priority for ${item.name}`}
+          >
+            {PRIORITY_LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {level} priority
+              </option>
+            ))}
+          </select>
+
+          <div className="text-xs space-y-0.5">
+            <div className="flex items-center justify-between text-gray-600 dark:text-gray-300">
+              <span>Market</span>
+              <span className="font-medium">{formatPrice(marketPrice)}</span>
+            </div>
+            <div className="flex items-center justify-between text-gray-600 dark:text-gray-300">
+              <span>Max price</span>
+              <span
+                className={`font-medium ${
+                  isWithinBudget ? "text-green-600 dark:text-green-400" : ""
+                }`}
+              >
+                {formatPrice(item.maxPrice ?? null)}
+              </span>
+            </div>
+            {isWithinBudget && (
+              <div className="flex items-center text-green-600 dark:text-green-400">
+                <Tag className="w-3 h-3 mr-1" />
+                Within budget
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Notes / Editor */}
+      <div className="px-3 pb-3 flex-1">
+        {isEditing ? (
+          <div className="space-y-2">
+            <input
+              type="number"
+              min="0"
+              max="999999"
+              step="0.01"
+              placeholder="Max price (optional)"
+              value={maxPrice}
+              onChange={(e) => setMaxPrice(e.target.value)}
+              className="w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <textarea
+              rows={3}
+              maxLength={500}
+              placeholder="Notes (condition wanted, seller, etc.)"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white resize-none"
+            />
+            {validationError && (
+              <p className="text-xs text-red-600 dark:text-red-400">
+                {validationError}
+              </p>
+            )}
+            <div className="flex justify-end space-x-2">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setIsEditing(false)}
+              >
+                <X className="w-4 h-4 mr-1" />
+                Cancel
+              </Button>
+              <Button size="sm" onClick={handleSave}>
+                <Check className="w-4 h-4 mr-1" />
+                Save
+              </Button>
+            </div>
+          </div>
+        ) : (
+          item.notes && (
+            <p className="text-sm text-gray-600 dark:text-gray-400 whitespace-pre-line line-clamp-3">
+              {item.notes}
+            </p>
+          )
+        )}
+      </div>
+
+      {/* Actions */}
+      {!isEditing && (
+        <div className="flex items-center justify-between px-3 py-2 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50">
+          <Button
+            size="sm"
+            onClick={onMoveToBinder}
+            className="flex items-center"
+            title="Add this card to a binder and remove it from your wishlist"
+          >
+            <FolderInput className="w-4 h-4 mr-1" />
+            Move to Binder
+          </Button>
+          <div className="flex items-center space-x-1">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={startEditing}
+              aria-label={`Edit ${item.name}`}
+            >
+              <Pencil className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={onRemove}
+              className="text-red-600 hover:text-red-700 dark:text-red-400"
+              aria-label={`Remove ${item.name} from wishlist`}
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WishlistItemCard;
@@ -0,0 +1,3 @@
+export { default as AddToWishlistModal } from "./AddToWishlistModal";
+export { default as WishlistItemCard } from "./WishlistItemCard";
+export { default as MoveToBinderModal } from "./MoveToBinderModal";
@@ -0,0 +1,16 @@
+// Priority levels, highest first
+export const PRIORITY_LEVELS = ["High", "Medium", "Low"];
+
+export const PRIORITY_STYLES = {
+  High: "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400",
+  Medium:
+    "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400",
+  Low: "bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300",
+};
+
+export const SORT_OPTIONS = [
+  { value: "addedAt", label: "Date added" },
+  { value: "priority", label: "Priority" },
+  { value: "name", label: "Name" },
+  { value: "price", label: "Market price" },
+];
@@ -20,9 +20,6 @@ import {
  * @param {Function} onToggleReverseHolos - Toggle reverse holos handler
  * @param {boolean} hideMissingCards - Hide missing cards setting
  * @param {Function} onToggleHideMissingCards - Toggle hide missing cards handler
- * @param {Array} missingCards - Array of missing card numbers
- * @param {Function} onAddMissingCard - Add missing card handler
- * @param {Function} onRemoveMissingCard - Remove missing card handler
  * @param {number} currentPage - Current page being viewed
  * @param {boolean} isDirty - Whether there are unsaved changes
  * @param {Function} onSave - Save preferences to Firebase
@@ -40,6 +37,7 @@ import {
  * @param {Function} onNameChange - Handle name change
  * @param {Function} onNameKeyPress - Handle name key press
  * @param {string} binderId - The ID of the current binder for pending changes
+ * @param {string} ownerId - Owner of the binder when it was shared with the current user
  */
 const Sidebar = ({
   gridSize = "3x3",
@@ -48,9 +46,6 @@ const Sidebar = ({
   onToggleReverseHolos,
   hideMissingCards = false,
   onToggleHideMissingCards,
-  missingCards = [],
-  onAddMissingCard,
-  onRemoveMissingCard,
   currentPage = 1,
   isDirty = false,
   onSave,
@@ -68,6 +63,7 @@ const Sidebar = ({
   onNameChange,
   onNameKeyPress,
   binderId,
+  ownerId,
 }) => {
   const { getVariants, getTransition } = useAnimations();
 
@@ -161,9 +157,9 @@ const Sidebar = ({
           <CollectionManagementSection
             hideMissingCards={hideMissingCards}
             onToggleHideMissingCards={onToggleHideMissingCards}
-            missingCards={missingCards}
-            onAddMissingCard={onAddMissingCard}
-            onRemoveMissingCard={onRemoveMissingCard}
+            showReverseHolos={showReverseHolos}
+            binderId={binderId}
+            ownerId={ownerId}
           />
         </div>
 
@@ -182,6 +178,7 @@ const Sidebar = ({
         onSave={onSave}
         onRevert={onRevert}
         binderId={binderId}
+        ownerId={ownerId}
       />
     </motion.div>
   );
@@ -7,6 +7,8 @@ import {
   Clipboard,
   History,
   LayoutGrid,
+  Share2,
+  ArrowUpDown,
 } from "lucide-react";
 import { Button } from "../ui";
 
@@ -19,7 +21,9 @@ import { Button } from "../ui";
  * @param {Function} onToggleOverviewMode - Handler to toggle the binder overview mode
  * @param {boolean} isOverviewModeActive - Whether overview mode is currently active
  * @param {Function} onAddCards - Add cards action handler
+ * @param {Function} onArrangeCards - Auto-arrange action handler (button hidden when not provided)
  * @param {Function} onClipboard - Clipboard action handler
+ * @param {Function} onShare - Share action handler (button hidden when not provided)
  * @param {Function} onPreviousPage - Previous page handler
  * @param {Function} onNextPage - Next page handler
  * @param {boolean} canUndo - Whether undo is available
@@ -35,7 +39,9 @@ const VerticalToolbar = ({
   onToggleOverviewMode,
   isOverviewModeActive,
   onAddCards,
+  onArrangeCards,
   onClipboard,
+  onShare,
   onPreviousPage,
   onNextPage,
   canUndo = false,
@@ -122,6 +128,20 @@ const VerticalToolbar = ({
           <Plus className="h-5 w-5" />
         </Button>
 
+        {/* Arrange Cards Action */}
+        {onArrangeCards && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onArrangeCards}
+            disabled={disabled}
+            className="h-10 w-10 p-0 rounded-xl transition-all duration-200 hover:bg-amber-50 dark:hover:bg-amber-900/20 hover:text-amber-600 dark:hover:text-amber-400 hover:scale-110"
+            title="Arrange Cards"
+          >
+            <ArrowUpDown className="h-5 w-5" />
+          </Button>
+        )}
+
         {/* Clipboard Action */}
         <Button
           variant="ghost"
@@ -134,6 +154,20 @@ const VerticalToolbar = ({
           <Clipboard className="h-5 w-5" />
         </Button>
 
+        {/* Share Action */}
+        {onShare && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onShare}
+            disabled={disabled}
+            className="h-10 w-10 p-0 rounded-xl transition-all duration-200 hover:bg-green-50 dark:hover:bg-green-900/20 hover:text-green-600 dark:hover:text-green-400 hover:scale-110"
+            title="Share Binder"
+          >
+            <Share2 className="h-5 w-5" />
+          </Button>
+        )}
+
         {/* Divider */}
         <div className="w-6 h-px bg-gray-300 dark:bg-gray-600 my-1"></div>
 
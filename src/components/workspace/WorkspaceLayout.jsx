@@ -19,13 +19,19 @@ const WorkspaceLayout = ({
   onUndo,
   onRedo,
   onAddCards,
+  onArrangeCards,
   onClipboard,
+  onShare,
   onPreviousPage,
   onNextPage,
   canUndo = false,
   canRedo = false,
   canGoPrevious = false,
   canGoNext = false,
+  // Edit history panel props
+  historyEntries = [],
+  undoneHistoryEntries = [],
+  onOpenRevisions,
   // Sidebar props
   gridSize,
   onGridSizeChange,
@@ -33,9 +39,6 @@ const WorkspaceLayout = ({
   onToggleReverseHolos,
   hideMissingCards = false,
   onToggleHideMissingCards,
-  missingCards = [],
-  onAddMissingCard,
-  onRemoveMissingCard,
   pageCount = 10,
   onPageCountChange,
   currentPage = 1,
@@ -57,6 +60,7 @@ const WorkspaceLayout = ({
   isOverviewModeActive,
   disabled = false,
   binderId,
+  ownerId,
 }) => {
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [isHistoryPanelOpen, setIsHistoryPanelOpen] = useState(false);
@@ -86,7 +90,9 @@ const WorkspaceLayout = ({
           onUndo={onUndo}
           onRedo={onRedo}
           onAddCards={onAddCards}
+          onArrangeCards={onArrangeCards}
           onClipboard={onClipboard}
+          onShare={onShare}
           onPreviousPage={onPreviousPage}
           onNextPage={onNextPage}
           canUndo={canUndo}
@@ -124,9 +130,6 @@ const WorkspaceLayout = ({
           onToggleReverseHolos={onToggleReverseHolos}
           hideMissingCards={hideMissingCards}
           onToggleHideMissingCards={onToggleHideMissingCards}
-          missingCards={missingCards}
-          onAddMissingCard={onAddMissingCard}
-          onRemoveMissingCard={onRemoveMissingCard}
           pageCount={pageCount}
           onPageCountChange={onPageCountChange}
           currentPage={currentPage}
@@ -147,6 +150,7 @@ const WorkspaceLayout = ({
           isCollapsed={sidebarCollapsed}
           onToggleCollapsed={() => setSidebarCollapsed(!sidebarCollapsed)}
           binderId={binderId}
+          ownerId={ownerId}
         />
       </AnimatePresence>
 
@@ -154,6 +158,9 @@ const WorkspaceLayout = ({
       <EditHistoryPanel
         isOpen={isHistoryPanelOpen}
         onClose={() => setIsHistoryPanelOpen(false)}
+        entries={historyEntries}
+        undoneEntries={undoneHistoryEntries}
+        onOpenRevisions={onOpenRevisions}
       />
     </div>
   );
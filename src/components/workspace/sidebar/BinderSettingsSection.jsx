@@ -204,7 +204,7 @@ const BinderSettingsSection = ({
               <div>
                 <span className="block">Show Reverse Holos</span>
                 <span className="text-xs text-gray-500 dark:text-gray-400">
-                  Display holographic variants
+                  Give reverse holo printings their own slot
                 </span>
               </div>
             </label>
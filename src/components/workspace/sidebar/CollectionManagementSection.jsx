@@ -1,49 +1,34 @@
 import { useState } from "react";
-import { Eye, EyeOff, Hash, Plus, X } from "lucide-react";
-import { Button, Switch, Input } from "../../ui";
+import { Eye, EyeOff, Hash, RefreshCw, Loader2 } from "lucide-react";
+import { Button, Switch } from "../../ui";
+import { useSetCompletion } from "../../../hooks/useSetCompletion";
 
 /**
  * CollectionManagementSection - Collection and missing cards management
+ * Missing cards are worked out by comparing the binder against the full set list;
+ * with showReverseHolos on, reverse holo printings are counted separately
  */
 const CollectionManagementSection = ({
   hideMissingCards,
   onToggleHideMissingCards,
-  missingCards,
-  onAddMissingCard,
-  onRemoveMissingCard,
+  showReverseHolos = false,
+  binderId,
+  ownerId,
 }) => {
-  const [newMissingCard, setNewMissingCard] = useState("");
+  const [selectedSetId, setSelectedSetId] = useState(null);
+  const {
+    setId,
+    binderSets,
+    completion,
+    isLoading,
+    isUpdating,
+    error,
+    refresh,
+  } = useSetCompletion(binderId, selectedSetId, ownerId, {
+    includeReverseHolos: showReverseHolos,
+  });
 
-  // Handle adding missing card
-  const handleAddMissingCard = () => {
-    if (!newMissingCard.trim()) return;
-
-    // Normalize card number (remove # if present, convert to number then back to string)
-    const normalizedCard = newMissingCard.replace(/^#/, "").trim();
-
-    // Validate it's a number
-    if (!/^\d+$/.test(normalizedCard)) {
-      console.warn("Card number must be numeric");
-      return;
-    }
-
-    // Check if already exists
-    if (missingCards.includes(normalizedCard)) {
-      console.warn("Card already in missing list");
-      setNewMissingCard("");
-      return;
-    }
-
-    onAddMissingCard?.(normalizedCard);
-    setNewMissingCard("");
-  };
-
-  // Handle Enter key in input
-  const handleKeyPress = (e) => {
-    if (e.key === "Enter") {
-      handleAddMissingCard();
-    }
-  };
+  const missingNumbers = completion?.missingNumbers || [];
 
   return (
     <div className="space-y-4">
@@ -77,69 +62,89 @@ const CollectionManagementSection = ({
         </div>
       </div>
 
-      {/* Missing Cards Management - Active management tool */}
+      {/* Missing Cards - Compared against the full set list */}
       <div>
         <div className="p-3 bg-red-50/50 dark:bg-red-900/10 rounded-lg shadow-sm border border-red-200/50 dark:border-red-700/40">
-          <div className="flex items-center space-x-2 mb-3">
-            <Hash className="h-4 w-4 text-red-500" />
-            <span className="text-sm font-medium text-gray-700 dark:text-gray-200">
-              Missing Cards
-            </span>
-          </div>
-
-          {/* Add Missing Card Input */}
-          <div className="flex space-x-2 mb-3">
-            <div className="flex-1">
-              <Input
-                placeholder="Enter card number (e.g., 1, 25, 150)"
-                value={newMissingCard}
-                onChange={(e) => setNewMissingCard(e.target.value)}
-                onKeyPress={handleKeyPress}
-                className="text-sm"
-                maxLength={5}
-                aria-label="Missing card number input"
-              />
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center space-x-2">
+              <Hash className="h-4 w-4 text-red-500" />
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-200">
+                Missing Cards
+              </span>
             </div>
             <Button
-              onClick={handleAddMissingCard}
+              variant="ghost"
               size="sm"
-              disabled={!newMissingCard.trim()}
-              className="bg-red-600 hover:bg-red-700 text-white px-3"
-              title="Add missing card"
+              onClick={refresh}
+              disabled={!setId || isLoading || isUpdating}
+              className="h-6 w-6 p-0"
+              title="Recheck missing cards"
             >
-              <Plus className="h-4 w-4" />
+              {isUpdating ? (
+                <Loader2 className="h-3 w-3 animate-spin" />
+              ) : (
+                <RefreshCw className="h-3 w-3" />
+              )}
             </Button>
           </div>
 
+          {/* Set to compare against */}
+          {binderSets.length > 0 && (
+            <select
+              value={setId || ""}
+              onChange={(e) => setSelectedSetId(e.target.value)}
+              className="w-full mb-3 px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+              aria-label="Set to track"
+            >
+              {binderSets.map((set) => (
+                <option key={set.setId} value={set.setId}>
+                  {set.setName} ({set.count})
+                </option>
+              ))}
+            </select>
+          )}
+
           {/* Missing Cards List */}
-          {missingCards.length > 0 ? (
-            <div className="space-y-1 max-h-24 overflow-y-auto">
+          {isLoading ? (
+            <div className="flex items-center justify-center text-xs text-gray-500 dark:text-gray-400 py-2">
+              <Loader2 className="h-3 w-3 mr-2 animate-spin" />
+              Checking set...
+            </div>
+          ) : error && !completion ? (
+            <div className="text-xs text-red-600 dark:text-red-400 text-center py-2">
+              Couldn't check this set. Try again later.
+            </div>
+          ) : !setId ? (
+            <div className="text-xs text-gray-500 dark:text-gray-400 text-center py-2">
+              Add cards to see what's missing from their set
+            </div>
+          ) : missingNumbers.length > 0 ? (
+            <div className="max-h-24 overflow-y-auto">
               <div className="text-xs text-gray-600 dark:text-gray-400 mb-2">
-                Missing cards ({missingCards.length}):
+                Missing cards ({missingNumbers.length}):
+              </div>
+              <div className="flex flex-wrap gap-1">
+                {(completion.missingCards || missingNumbers).map((card) => {
+                  const number = card.variant
+                    ? `${card.number} RH`
+                    : card.number ?? card;
+                  return (
+                    <span
+                      key={number}
+                      title={
+                        card.variant ? `${card.name} (Reverse Holo)` : card.name
+                      }
+                      className="bg-white dark:bg-gray-800 rounded px-1.5 py-0.5 text-xs text-gray-700 dark:text-gray-300"
+                    >
+                      #{number}
+                    </span>
+                  );
+                })}
               </div>
-              {missingCards.map((cardNumber) => (
-                <div
-                  key={cardNumber}
-                  className="flex items-center justify-between bg-white dark:bg-gray-800 rounded px-2 py-1 text-sm"
-                >
-                  <span className="text-gray-700 dark:text-gray-300">
-                    #{cardNumber}
-                  </span>
-                  <Button
-                    variant="ghost"
-                    size="sm"
-                    onClick={() => onRemoveMissingCard?.(cardNumber)}
-                    className="h-6 w-6 p-0 hover:bg-red-100 dark:hover:bg-red-900/20 hover:text-red-600"
-                    title={`Remove card #${cardNumber}`}
-                  >
-                    <X className="h-3 w-3" />
-                  </Button>
-                </div>
-              ))}
             </div>
           ) : (
-            <div className="text-xs text-gray-500 dark:text-gray-400 text-center py-2">
-              No missing cards specified
+            <div className="text-xs text-green-600 dark:text-green-400 text-center py-2">
+              Set complete - nothing missing!
             </div>
           )}
         </div>
@@ -154,27 +159,24 @@ const CollectionManagementSection = ({
             </p>
             <div className="flex items-baseline">
               <span className="text-lg font-semibold text-green-600 dark:text-green-400">
-                0
+                {completion?.ownedCount || 0}
               </span>
               <span className="text-xs text-gray-500 dark:text-gray-400 ml-0.5">
-                / 0 cards
+                / {completion?.totalCards || 0} cards
               </span>
             </div>
           </div>
           <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mb-2">
             <div
-              className="bg-green-500 h-2 rounded-full"
-              style={{ width: "0%" }}
+              className="bg-green-500 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${completion?.percentage || 0}%` }}
             ></div>
           </div>
           <p className="text-xs text-gray-500 dark:text-gray-400">
-            Add cards to track your collection progress
+            {completion
+              ? `${completion.percentage}% of ${completion.setName}`
+              : "Add cards to track your collection progress"}
           </p>
-          {missingCards.length > 0 && (
-            <p className="text-xs text-red-600 dark:text-red-400 mt-1">
-              {missingCards.length} cards marked as missing
-            </p>
-          )}
         </div>
       </div>
     </div>
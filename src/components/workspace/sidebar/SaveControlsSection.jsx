@@ -1,8 +1,100 @@
 import { motion, AnimatePresence } from "framer-motion";
-import { Save, RotateCcw, Circle, Plus, Minus, Edit3 } from "lucide-react";
+import {
+  Save,
+  RotateCcw,
+  Circle,
+  Plus,
+  Minus,
+  Edit3,
+  CloudOff,
+  RefreshCw,
+  AlertTriangle,
+} from "lucide-react";
 import { Button } from "../../ui";
+import { SaveConflictModal } from "../../modals";
 import { useAnimations } from "../../../contexts/AnimationContext";
 import { usePendingChanges } from "../../../hooks/usePendingChanges";
+import { useOfflineQueue } from "../../../hooks/useOfflineQueue";
+import { OFFLINE_WRITE_TYPES } from "../../../services/offlineQueue";
+
+/**
+ * Connection and offline queue status for the binder being edited
+ */
+const OfflineQueueStatus = ({ binderId, offlineQueue }) => {
+  const {
+    isOnline,
+    queuedCount,
+    isReplaying,
+    lastReplay,
+    replay,
+    clearLastReplay,
+  } = offlineQueue;
+
+  const needsReview = lastReplay?.needsReview.includes(binderId);
+  const failedCount =
+    lastReplay?.failed.filter((write) => write.binderId === binderId).length ||
+    0;
+  const queuedLabel = `${queuedCount} save${queuedCount !== 1 ? "s" : ""}`;
+
+  let message = null;
+  if (!isOnline) {
+    message = (
+      <div className="flex items-start space-x-2">
+        <CloudOff className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" />
+        <span>
+          You're offline. Saves are kept on this device and uploaded when you're
+          back online.
+          {queuedCount > 0 && ` ${queuedLabel} waiting to upload.`}
+        </span>
+      </div>
+    );
+  } else if (isReplaying) {
+    message = (
+      <div className="flex items-center space-x-2">
+        <RefreshCw className="w-3.5 h-3.5 animate-spin flex-shrink-0" />
+        <span>Uploading saves made offline...</span>
+      </div>
+    );
+  } else if (queuedCount > 0) {
+    message = (
+      <div className="flex items-center justify-between space-x-2">
+        <span>
+          {queuedLabel} made offline couldn't be uploaded yet
+          {lastReplay?.error ? `: ${lastReplay.error}` : "."}
+        </span>
+        <Button variant="ghost" size="sm" onClick={replay}>
+          Retry
+        </Button>
+      </div>
+    );
+  } else if (needsReview || failedCount > 0) {
+    message = (
+      <div className="flex items-start justify-between space-x-2">
+        <div className="flex items-start space-x-2">
+          <AlertTriangle className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" />
+          <span>
+            {needsReview
+              ? "Some changes made offline clash with changes saved elsewhere. Save again to review them."
+              : `${failedCount} save${
+                  failedCount !== 1 ? "s" : ""
+                } made offline couldn't be uploaded and were dropped.`}
+          </span>
+        </div>
+        <Button variant="ghost" size="sm" onClick={clearLastReplay}>
+          Dismiss
+        </Button>
+      </div>
+    );
+  }
+
+  if (!message) return null;
+
+  return (
+    <div className="border-t border-gray-200 dark:border-gray-700 px-4 py-2 text-xs text-amber-700 dark:text-amber-400 bg-amber-50/80 dark:bg-amber-900/20">
+      {message}
+    </div>
+  );
+};
 
 /**
  * SaveControlsSection - Bottom action bar for save/revert controls
@@ -14,6 +106,7 @@ const SaveControlsSection = ({
   onSave,
   onRevert,
   binderId, // New prop to handle pending card changes
+  ownerId, // Binder owner when an invited editor is saving
 }) => {
   const { getTransition } = useAnimations();
 
@@ -24,7 +117,21 @@ const SaveControlsSection = ({
     isSyncing,
     syncToFirebase,
     clearAllPending,
-  } = usePendingChanges(binderId);
+    saveConflict,
+    resolveSaveConflict,
+    dismissSaveConflict,
+  } = usePendingChanges(binderId, ownerId);
+
+  const offlineQueue = useOfflineQueue(binderId);
+  const isOffline = offlineQueue.isEnabled && !offlineQueue.isOnline;
+
+  // Card edits whose latest version is already waiting in the offline queue
+  const queuedCardChanges = offlineQueue.queuedWrites.find(
+    (write) => write.type === OFFLINE_WRITE_TYPES.CARD_CHANGES
+  );
+  const areCardsQueued =
+    !!queuedCardChanges &&
+    queuedCardChanges.updatedAt >= Date.parse(cardSummary.lastModified);
 
   // Determine if we have any changes at all
   const hasAnyChanges = isDirty || hasPendingCards;
@@ -38,7 +145,7 @@ const SaveControlsSection = ({
     }
 
     // Then sync pending cards if there are any
-    if (hasPendingCards) {
+    if (hasPendingCards && !(isOffline && areCardsQueued)) {
       await syncToFirebase();
     }
   };
@@ -60,102 +167,130 @@ const SaveControlsSection = ({
   const totalChanges = (isDirty ? 1 : 0) + cardSummary.totalChanges;
 
   return (
-    <AnimatePresence>
-      {hasAnyChanges && (
-        <motion.div
-          className="border-t border-gray-200 dark:border-gray-700 p-4 bg-gray-50/80 dark:bg-gray-800/80 backdrop-blur-sm"
-          initial={{ y: 100, opacity: 0 }}
-          animate={{ y: 0, opacity: 1 }}
-          exit={{ y: 100, opacity: 0 }}
-          transition={getTransition({ duration: 0.3, ease: "easeOut" })}
-        >
-          <div className="flex items-center justify-between mb-3">
-            <div className="flex items-center space-x-2">
-              <Circle className="h-2 w-2 fill-blue-500 text-blue-500" />
-              <span className="text-xs font-medium text-gray-700 dark:text-gray-300">
-                Unsaved Changes
+    <>
+      {offlineQueue.isEnabled && (
+        <OfflineQueueStatus binderId={binderId} offlineQueue={offlineQueue} />
+      )}
+
+      <AnimatePresence>
+        {hasAnyChanges && (
+          <motion.div
+            className="border-t border-gray-200 dark:border-gray-700 p-4 bg-gray-50/80 dark:bg-gray-800/80 backdrop-blur-sm"
+            initial={{ y: 100, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            exit={{ y: 100, opacity: 0 }}
+            transition={getTransition({ duration: 0.3, ease: "easeOut" })}
+          >
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center space-x-2">
+                <Circle className="h-2 w-2 fill-blue-500 text-blue-500" />
+                <span className="text-xs font-medium text-gray-700 dark:text-gray-300">
+                  {areCardsQueued && !isDirty
+                    ? "Waiting to Upload"
+                    : "Unsaved Changes"}
+                </span>
+              </div>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {isAnySaving
+                  ? "Saving..."
+                  : isOffline
+                  ? "Offline"
+                  : "Ready to save"}
               </span>
             </div>
-            <span className="text-xs text-gray-500 dark:text-gray-400">
-              {isAnySaving ? "Saving..." : "Ready to save"}
-            </span>
-          </div>
-
-          {/* Changes Summary */}
-          {(isDirty || hasPendingCards) && (
-            <div className="mb-3 space-y-1">
-              {isDirty && (
-                <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
-                  <Edit3 className="w-3 h-3" />
-                  <span>Binder preferences modified</span>
-                </div>
-              )}
-              {cardSummary.addedCards > 0 && (
-                <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
-                  <Plus className="w-3 h-3" />
-                  <span>
-                    {cardSummary.addedCards} card
-                    {cardSummary.addedCards !== 1 ? "s" : ""} to add
-                  </span>
-                </div>
-              )}
-              {cardSummary.removedCards > 0 && (
-                <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
-                  <Minus className="w-3 h-3" />
-                  <span>
-                    {cardSummary.removedCards} card
-                    {cardSummary.removedCards !== 1 ? "s" : ""} to remove
-                  </span>
-                </div>
-              )}
-              {cardSummary.updatedCards > 0 && (
-                <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
-                  <Edit3 className="w-3 h-3" />
-                  <span>
-                    {cardSummary.updatedCards} card
-                    {cardSummary.updatedCards !== 1 ? "s" : ""} to update
-                  </span>
-                </div>
-              )}
-              {cardSummary.movedCards > 0 && (
-                <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
-                  <Edit3 className="w-3 h-3" />
-                  <span>
-                    {cardSummary.movedCards} card
-                    {cardSummary.movedCards !== 1 ? "s" : ""} moved
-                  </span>
-                </div>
-              )}
+
+            {/* Changes Summary */}
+            {(isDirty || hasPendingCards) && (
+              <div className="mb-3 space-y-1">
+                {isDirty && (
+                  <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
+                    <Edit3 className="w-3 h-3" />
+                    <span>Binder preferences modified</span>
+                  </div>
+                )}
+                {cardSummary.addedCards > 0 && (
+                  <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
+                    <Plus className="w-3 h-3" />
+                    <span>
+                      {cardSummary.addedCards} card
+                      {cardSummary.addedCards !== 1 ? "s" : ""} to add
+                    </span>
+                  </div>
+                )}
+                {cardSummary.removedCards > 0 && (
+                  <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
+                    <Minus className="w-3 h-3" />
+                    <span>
+                      {cardSummary.removedCards} card
+                      {cardSummary.removedCards !== 1 ? "s" : ""} to remove
+                    </span>
+                  </div>
+                )}
+                {cardSummary.updatedCards > 0 && (
+                  <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
+                    <Edit3 className="w-3 h-3" />
+                    <span>
+                      {cardSummary.updatedCards} card
+                      {cardSummary.updatedCards !== 1 ? "s" : ""} to update
+                    </span>
+                  </div>
+                )}
+                {cardSummary.movedCards > 0 && (
+                  <div className="flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
+                    <Edit3 className="w-3 h-3" />
+                    <span>
+                      {cardSummary.movedCards} card
+                      {cardSummary.movedCards !== 1 ? "s" : ""} moved
+                    </span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Button
+                onClick={handleUnifiedSave}
+                disabled={isAnySaving}
+                className="w-full h-10 bg-blue-600 hover:bg-blue-700 text-white font-medium shadow-sm"
+                title={
+                  isOffline
+                    ? "Keep changes on this device and upload them when back online"
+                    : "Save all changes"
+                }
+              >
+                <Save className="h-4 w-4 mr-2" />
+                {isAnySaving
+                  ? "Saving Changes..."
+                  : `Save ${totalChanges} Change${
+                      totalChanges !== 1 ? "s" : ""
+                    }${isOffline ? " Offline" : ""}`}
+              </Button>
+
+              <Button
+                variant="outline"
+                onClick={handleUnifiedRevert}
+                disabled={isAnySaving}
+                className="w-full h-8 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 border-gray-300 dark:border-gray-600"
+                title="Discard all changes"
+              >
+                <RotateCcw className="h-3 w-3 mr-2" />
+                Undo All Changes
+              </Button>
             </div>
-          )}
-
-          <div className="space-y-2">
-            <Button
-              onClick={handleUnifiedSave}
-              disabled={isAnySaving}
-              className="w-full h-10 bg-blue-600 hover:bg-blue-700 text-white font-medium shadow-sm"
-              title="Save all changes"
-            >
-              <Save className="h-4 w-4 mr-2" />
-              {isAnySaving
-                ? "Saving Changes..."
-                : `Save ${totalChanges} Change${totalChanges !== 1 ? "s" : ""}`}
-            </Button>
-
-            <Button
-              variant="outline"
-              onClick={handleUnifiedRevert}
-              disabled={isAnySaving}
-              className="w-full h-8 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 border-gray-300 dark:border-gray-600"
-              title="Discard all changes"
-            >
-              <RotateCcw className="h-3 w-3 mr-2" />
-              Undo All Changes
-            </Button>
-          </div>
-        </motion.div>
-      )}
-    </AnimatePresence>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Slots another device saved while these edits were pending */}
+      <SaveConflictModal
+        isOpen={!!saveConflict}
+        title="Cards saved elsewhere"
+        conflicts={saveConflict?.conflicts}
+        onResolve={resolveSaveConflict}
+        onCancel={dismissSaveConflict}
+        isSaving={isSyncing}
+      />
+    </>
   );
 };
 
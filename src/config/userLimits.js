@@ -134,13 +134,13 @@ export const FEATURE_FLAGS = {
   ACCOUNT_SYNC: false,
 
   // Phase 5 features
-  SHARING: false, // Will be enabled in Phase 5
-  COLLABORATION: false,
+  SHARING: true, // Read-only share links
+  COLLABORATION: true, // Invite viewers and editors by email
 
   // Experimental features
-  REAL_TIME_SYNC: false,
-  OFFLINE_MODE: false,
-  PWA_FEATURES: false,
+  REAL_TIME_SYNC: true, // Live card updates from other devices
+  OFFLINE_MODE: true, // Queue saves made without a connection
+  PWA_FEATURES: true, // Installable app with offline caching
 };
 
 /**
@@ -175,6 +175,8 @@ export const LIMIT_MESSAGES = {
       "Sharing is available for registered users. Sign up to share your binders with friends!",
     export:
       "Export functionality is available for registered users. Sign up to export your collection!",
+    import:
+      "Importing backups is available for registered users. Sign up to restore your collection!",
     setCompletion:
       "Set completion tracking is available for registered users. Sign up to track your progress!",
     bulkOps:
@@ -19,10 +19,12 @@ import {
   createUserProfile,
   getUserProfile,
   updateUserProfile,
+  updateUserDirectoryEntry,
   deleteUserAccount,
 } from "../services/firestore";
 import { getFriendlyErrorMessage } from "../utils/errorMessages";
 import { firebaseSendEmailVerification } from "../utils/firebaseSendEmailVerification";
+import { migrationManager } from "../storage/migrations/migrationManager";
 
 // Create context
 const AuthContext = createContext({});
@@ -79,11 +81,36 @@ export function AuthProvider({ children }) {
           }
         }
       }
+
+      // Let binder owners find this user by email when inviting collaborators,
+      // once the email is verified (refreshUser publishes it after verifying).
+      // Not awaited: a failed entry only means invites can't find them yet.
+      if (user.email && user.emailVerified) {
+        updateUserDirectoryEntry(user);
+      }
     } catch (error) {
       console.error("Error handling user profile:", error);
     }
   };
 
+  // Move anything a guest built locally into the new account.
+  // Failures are logged but never block sign-up; local data is kept on failure.
+  const migrateGuestData = async (user) => {
+    if (!user) return null;
+
+    try {
+      const localData = await migrationManager.hasLocalDataToMigrate();
+      if (!localData.hasData) return null;
+
+      const result = await migrationManager.migrateAnonymousData(user.uid);
+      console.log("Guest data migrated to account:", result);
+      return result;
+    } catch (error) {
+      console.error("Error migrating guest data:", error);
+      return null;
+    }
+  };
+
   // Sign up function
   const signup = async (email, password, displayName) => {
     try {
@@ -99,6 +126,9 @@ export function AuthProvider({ children }) {
       // Create user profile in Firestore
       await handleUserProfile(result.user, true);
 
+      // Bring over binders created before signing up
+      await migrateGuestData(result.user);
+
       // Send email verification
       if (result.user) {
         await sendVerificationEmail(result.user);
@@ -128,6 +158,10 @@ export function AuthProvider({ children }) {
         result.user.metadata.lastSignInTime;
       await handleUserProfile(result.user, isNewUser);
 
+      if (isNewUser) {
+        await migrateGuestData(result.user);
+      }
+
       // Send verification email if new Google user and email is not yet verified
       if (isNewUser && result.user && !result.user.emailVerified) {
         await sendVerificationEmail(result.user);
@@ -265,10 +299,18 @@ export function AuthProvider({ children }) {
     }
 
     try {
+      const wasVerified = currentUser.emailVerified;
       await reload(currentUser);
       // Force React to update by creating a new user object with the fresh data
       const refreshedUser = auth.currentUser;
       setCurrentUser(refreshedUser);
+
+      // A newly verified email can now be found for invites; the ID token is
+      // refreshed first so the rules see the verification
+      if (!wasVerified && refreshedUser?.emailVerified) {
+        await refreshedUser.getIdToken(true);
+        updateUserDirectoryEntry(refreshedUser);
+      }
       return { success: true };
     } catch (error) {
       console.error("Error refreshing user:", error);
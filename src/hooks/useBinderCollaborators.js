@@ -0,0 +1,96 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  getBinderCollaborators,
+  inviteCollaborator,
+  updateCollaboratorRole,
+  removeCollaborator,
+} from "../services/firestore";
+
+// Stable fallback so consumers can memoize on the returned array
+const NO_COLLABORATORS = [];
+
+/**
+ * Hook to manage who a binder is shared with
+ * Uses its own query key so changing collaborators doesn't reload the binder
+ * preferences (and drop unsaved edits) in the open workspace.
+ * @param {string} binderId - The ID of the binder
+ * @param {Object} options - { enabled } to only fetch while the sharing UI is open
+ */
+export const useBinderCollaborators = (binderId, { enabled = true } = {}) => {
+  const { currentUser } = useAuth();
+  const queryClient = useQueryClient();
+  const queryKey = ["binderCollaborators", binderId, currentUser?.uid];
+
+  const collaboratorsQuery = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const result = await getBinderCollaborators(currentUser.uid, binderId);
+      if (!result.success) throw new Error(result.error);
+      return result.collaborators;
+    },
+    enabled: enabled && !!currentUser?.uid && !!binderId,
+    staleTime: 1000 * 60, // 1 minute
+  });
+
+  const invalidateCollaborators = () => {
+    queryClient.invalidateQueries({
+      queryKey: ["binderCollaborators", binderId],
+    });
+  };
+
+  const inviteMutation = useMutation({
+    mutationFn: async ({ email, role }) => {
+      const result = await inviteCollaborator(
+        currentUser.uid,
+        binderId,
+        email,
+        role
+      );
+      if (!result.success) throw new Error(result.error);
+      return result;
+    },
+    onSuccess: invalidateCollaborators,
+  });
+
+  const updateRoleMutation = useMutation({
+    mutationFn: async ({ collaboratorId, role }) => {
+      const result = await updateCollaboratorRole(
+        currentUser.uid,
+        binderId,
+        collaboratorId,
+        role
+      );
+      if (!result.success) throw new Error(result.error);
+      return result;
+    },
+    onSuccess: invalidateCollaborators,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: async (collaboratorId) => {
+      const result = await removeCollaborator(
+        currentUser.uid,
+        binderId,
+        collaboratorId
+      );
+      if (!result.success) throw new Error(result.error);
+      return result;
+    },
+    onSuccess: invalidateCollaborators,
+  });
+
+  return {
+    collaborators: collaboratorsQuery.data || NO_COLLABORATORS,
+    isLoading: collaboratorsQuery.isLoading,
+    error: collaboratorsQuery.error,
+    inviteCollaborator: inviteMutation.mutateAsync,
+    isInviting: inviteMutation.isPending,
+    inviteError: inviteMutation.error,
+    resetInviteError: inviteMutation.reset,
+    updateCollaboratorRole: updateRoleMutation.mutateAsync,
+    removeCollaborator: removeMutation.mutateAsync,
+    isUpdating: updateRoleMutation.isPending || removeMutation.isPending,
+    updateError: updateRoleMutation.error || removeMutation.error,
+  };
+};
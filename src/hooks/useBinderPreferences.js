@@ -1,19 +1,110 @@
 import { useState, useCallback, useEffect } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { useAuth } from "../contexts/AuthContext";
-import { getBinder, updateBinder } from "../services/firestore"; // Fixed import
+import {
+  getBinder,
+  updateBinder,
+  createBinderRevision,
+} from "../services/firestore"; // Fixed import
+import { REVISION_REASONS } from "../utils/binderRevisions";
+import {
+  mergePreferenceChanges,
+  resolvePreferenceConflicts,
+} from "../utils/binderConflicts";
+import { setPendingBaseRevision } from "../utils/localBinderStorage";
+import { isOffline, queueBinderUpdate } from "../services/offlineQueue";
 import { useCacheInvalidation } from "./useCacheInvalidation";
+import { useUserLimits } from "./useUserLimits";
+
+// Default preferences (used as a fallback or for initial state if binderDocument is loading)
+const DEFAULT_PREFERENCES = {
+  binderName: "Untitled Binder",
+  pageCount: 10,
+  gridSize: "3x3",
+  showReverseHolos: false,
+  hideMissingCards: false,
+  missingCards: [],
+  sortBy: "slot",
+  sortDirection: "asc",
+  // Add other relevant fields that are part of the binder document but managed here
+};
+
+// Saves retried after merging in settings saved elsewhere
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Extract preferences from a binder document, filling in defaults
+const getBinderPreferences = (binderDocument) => ({
+  binderName: binderDocument.binderName || DEFAULT_PREFERENCES.binderName,
+  pageCount: binderDocument.pageCount ?? DEFAULT_PREFERENCES.pageCount,
+  gridSize: binderDocument.gridSize || DEFAULT_PREFERENCES.gridSize,
+  showReverseHolos:
+    binderDocument.showReverseHolos ?? DEFAULT_PREFERENCES.showReverseHolos,
+  hideMissingCards:
+    binderDocument.hideMissingCards ?? DEFAULT_PREFERENCES.hideMissingCards,
+  missingCards: binderDocument.missingCards || DEFAULT_PREFERENCES.missingCards,
+  sortBy: binderDocument.sortBy || DEFAULT_PREFERENCES.sortBy,
+  sortDirection:
+    binderDocument.sortDirection || DEFAULT_PREFERENCES.sortDirection,
+  // Include other fields from binderDocument that are considered preferences
+});
+
+/**
+ * Save preferences with a revision check, merging in settings saved elsewhere
+ * since `base` was loaded. Stops with the conflicting settings when both sides
+ * changed the same one.
+ * @param {Function} save - (preferences, expectedRevision) => updateBinder result
+ * @param {Object} base - Preferences the edits started from
+ * @param {Object} local - Edited preferences
+ * @param {number} expectedRevision - Binder revision `base` was loaded at
+ * @returns {Promise<Object>} Save result, with { conflicts, merged, remote } on a conflict
+ */
+const saveMergingRemoteChanges = async (
+  save,
+  base,
+  local,
+  expectedRevision
+) => {
+  let preferences = local;
+  let revision = expectedRevision;
+
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+    const result = await save(preferences, revision);
+    if (!result?.conflict) return result;
+
+    const remote = getBinderPreferences(result.conflict.binder);
+    const { merged, conflicts } = mergePreferenceChanges(base, local, remote);
+    revision = result.conflict.currentRevision;
+
+    if (conflicts.length > 0) {
+      return { ...result, conflicts, merged, remote };
+    }
+    preferences = merged;
+  }
+
+  return {
+    success: false,
+    error:
+      "This binder keeps changing on another device. Please try saving again.",
+  };
+};
 
 /**
  * Hook to get and manage preferences for a specific binder.
  * @param {string} binderId - The ID of the binder whose preferences are being managed.
- * @returns {Object} Binder preferences, loading/error states, save/revert functions, and dirty tracking.
+ * @param {string} [ownerId] - Owner of the binder when it was shared with the current user
+ * @returns {Object} Binder preferences, the binder document, loading/error states, save/revert functions, and dirty tracking.
  */
-export const useBinderPreferences = (binderId) => {
+export const useBinderPreferences = (binderId, ownerId) => {
   const { currentUser } = useAuth();
+  const binderOwnerId = ownerId || currentUser?.uid;
+  const queryClient = useQueryClient();
   const { invalidateAllBinderData, optimisticallyUpdateInList } =
     useCacheInvalidation();
+  const { canUseFeature } = useUserLimits();
+  const canQueueOffline = !!currentUser && canUseFeature("OFFLINE_MODE");
   const [saveError, setSaveError] = useState(null);
+  // Settings both this editor and another save changed differently
+  const [preferenceConflict, setPreferenceConflict] = useState(null);
 
   // Query key for this specific binder
   const binderQueryKey = ["binder", binderId, currentUser?.uid];
@@ -26,19 +117,30 @@ export const useBinderPreferences = (binderId) => {
   } = useQuery({
     queryKey: binderQueryKey,
     queryFn: async () => {
-      if (!currentUser?.uid || !binderId) return null;
-      const result = await getBinder(currentUser.uid, binderId);
+      if (!binderOwnerId || !binderId) return null;
+      const result = await getBinder(binderOwnerId, binderId);
       if (result.success) return result.data;
       throw new Error(result.error || "Failed to fetch binder data");
     },
-    enabled: !!currentUser?.uid && !!binderId, // Only run if userId and binderId are available
+    enabled: !!binderOwnerId && !!binderId, // Only run if userId and binderId are available
     staleTime: 1000 * 60 * 2, // 2 minutes - preferences change more frequently
   });
 
   // Mutation for updating the binder with centralized cache invalidation
   const updateBinderMutation = useMutation({
-    mutationFn: (variables) =>
-      updateBinder(variables.userId, variables.binderId, variables.preferences),
+    mutationFn: async (variables) => {
+      const result = await updateBinder(
+        variables.userId,
+        variables.binderId,
+        variables.preferences,
+        { expectedRevision: variables.expectedRevision }
+      );
+      // Conflicts are resolved by the caller rather than treated as errors
+      if (!result.success && !result.conflict) {
+        throw new Error(result.error || "Failed to save binder preferences");
+      }
+      return result;
+    },
     onMutate: async (variables) => {
       // Optimistically update the binder in the userBinders list
       optimisticallyUpdateInList(
@@ -48,6 +150,27 @@ export const useBinderPreferences = (binderId) => {
       );
     },
     onSuccess: (data, variables) => {
+      if (data.conflict) return;
+
+      // Saving settings doesn't change the cards, so the revision snapshot can
+      // use the saved cards if they are loaded and current
+      const allCardsState = queryClient.getQueryState([
+        "binderCards",
+        variables.binderId,
+        currentUser?.uid,
+        "all",
+      ]);
+      const savedCards = allCardsState?.isInvalidated
+        ? undefined
+        : allCardsState?.data;
+
+      // Unsaved card edits made on the revision just saved over still apply
+      setPendingBaseRevision(
+        variables.binderId,
+        data.revision,
+        variables.expectedRevision
+      );
+
       // Clear any previous save errors on successful save
       setSaveError(null);
 
@@ -55,6 +178,26 @@ export const useBinderPreferences = (binderId) => {
       invalidateAllBinderData(variables.userId, variables.binderId);
 
       setIsDirty(false); // Mark as clean after successful save
+
+      // Snapshot the saved binder so this version can be restored later
+      if (data?.success) {
+        createBinderRevision(
+          variables.userId,
+          variables.binderId,
+          REVISION_REASONS.PREFERENCES,
+          { savedCards }
+        ).then((revisionResult) => {
+          if (!revisionResult.success) {
+            console.warn(
+              "Failed to record binder revision:",
+              revisionResult.error
+            );
+          }
+          queryClient.invalidateQueries({
+            queryKey: ["binderRevisions", variables.binderId],
+          });
+        });
+      }
     },
     onError: (error, variables) => {
       console.error("Failed to save binder preferences:", error);
@@ -80,38 +223,11 @@ export const useBinderPreferences = (binderId) => {
     },
   });
 
-  // Default preferences (used as a fallback or for initial state if binderDocument is loading)
-  const defaultPreferences = {
-    binderName: "Untitled Binder",
-    pageCount: 10,
-    gridSize: "3x3",
-    showReverseHolos: false,
-    hideMissingCards: false,
-    missingCards: [],
-    sortBy: "slot",
-    sortDirection: "asc",
-    // Add other relevant fields that are part of the binder document but managed here
-  };
+  const defaultPreferences = DEFAULT_PREFERENCES;
 
   // Extract preferences from the fetched binder document or use defaults
   const savedPreferences = binderDocument
-    ? {
-        binderName: binderDocument.binderName || defaultPreferences.binderName,
-        pageCount: binderDocument.pageCount ?? defaultPreferences.pageCount,
-        gridSize: binderDocument.gridSize || defaultPreferences.gridSize,
-        showReverseHolos:
-          binderDocument.showReverseHolos ??
-          defaultPreferences.showReverseHolos,
-        hideMissingCards:
-          binderDocument.hideMissingCards ??
-          defaultPreferences.hideMissingCards,
-        missingCards:
-          binderDocument.missingCards || defaultPreferences.missingCards,
-        sortBy: binderDocument.sortBy || defaultPreferences.sortBy,
-        sortDirection:
-          binderDocument.sortDirection || defaultPreferences.sortDirection,
-        // Include other fields from binderDocument that are considered preferences
-      }
+    ? getBinderPreferences(binderDocument)
     : defaultPreferences;
 
   const [localPreferences, setLocalPreferences] = useState(savedPreferences);
@@ -141,6 +257,7 @@ export const useBinderPreferences = (binderId) => {
       revertPreferences: () => setLocalPreferences(savedPreferences),
       clearSaveError: () => {}, // No-op for guests
       isSaving: false,
+      preferenceConflict: null,
     };
   }
 
@@ -181,7 +298,7 @@ export const useBinderPreferences = (binderId) => {
   );
 
   const savePreferences = useCallback(async () => {
-    if (!isDirty || !currentUser?.uid || !binderId) return;
+    if (!isDirty || !binderOwnerId || !binderId) return;
 
     // Construct the object to save, only including fields that are part of binder settings
     const preferencesToSave = {
@@ -195,24 +312,124 @@ export const useBinderPreferences = (binderId) => {
       sortDirection: localPreferences.sortDirection,
     };
 
-    try {
-      await updateBinderMutation.mutateAsync({
-        userId: currentUser.uid,
+    // Without a connection the settings wait in the offline queue and show
+    // as saved in the meantime
+    if (canQueueOffline && isOffline()) {
+      const result = await queueBinderUpdate(
+        currentUser.uid,
+        binderOwnerId,
         binderId,
-        preferences: preferencesToSave,
-      });
+        {
+          updates: preferencesToSave,
+          base: binderDocument
+            ? getBinderPreferences(binderDocument)
+            : DEFAULT_PREFERENCES,
+          expectedRevision: binderDocument?.revision || 0,
+        }
+      );
+
+      if (result.success) {
+        queryClient.setQueryData(
+          ["binder", binderId, currentUser.uid],
+          (previous) => previous && { ...previous, ...preferencesToSave }
+        );
+        optimisticallyUpdateInList(
+          ["userBinders", binderOwnerId, {}],
+          binderId,
+          preferencesToSave
+        );
+        setIsDirty(false);
+      } else {
+        setSaveError(result.error);
+      }
+      return result;
+    }
+
+    try {
+      const result = await saveMergingRemoteChanges(
+        (preferences, expectedRevision) =>
+          updateBinderMutation.mutateAsync({
+            userId: binderOwnerId,
+            binderId,
+            preferences,
+            expectedRevision,
+          }),
+        binderDocument
+          ? getBinderPreferences(binderDocument)
+          : DEFAULT_PREFERENCES,
+        preferencesToSave,
+        binderDocument?.revision || 0
+      );
+
+      if (result.conflicts) {
+        setPreferenceConflict({
+          conflicts: result.conflicts,
+          merged: result.merged,
+          remote: result.remote,
+          currentRevision: result.conflict.currentRevision,
+        });
+      } else if (!result.success) {
+        setSaveError(result.error);
+      }
+      return result;
     } catch (error) {
       // Error handling is already done in the mutation's onError callback
       console.error("Error in savePreferences:", error);
     }
   }, [
     isDirty,
-    currentUser?.uid,
+    binderOwnerId,
     binderId,
+    binderDocument,
     localPreferences,
     updateBinderMutation,
+    canQueueOffline,
+    currentUser,
+    queryClient,
+    optimisticallyUpdateInList,
   ]);
 
+  // Apply the user's per-setting choices for a save conflict and save again
+  const resolvePreferenceConflict = async (choices) => {
+    if (!preferenceConflict) return;
+
+    const { conflicts, merged, remote, currentRevision } = preferenceConflict;
+    const preferences = resolvePreferenceConflicts(merged, conflicts, choices);
+    setPreferenceConflict(null);
+    setLocalPreferences((prev) => ({ ...prev, ...preferences }));
+
+    try {
+      // The other save is now the base the chosen settings are compared with
+      const result = await saveMergingRemoteChanges(
+        (preferencesToSave, expectedRevision) =>
+          updateBinderMutation.mutateAsync({
+            userId: binderOwnerId,
+            binderId,
+            preferences: preferencesToSave,
+            expectedRevision,
+          }),
+        remote,
+        preferences,
+        currentRevision
+      );
+
+      if (result.conflicts) {
+        setPreferenceConflict({
+          conflicts: result.conflicts,
+          merged: result.merged,
+          remote: result.remote,
+          currentRevision: result.conflict.currentRevision,
+        });
+      } else if (!result.success) {
+        setSaveError(result.error);
+      }
+      return result;
+    } catch (error) {
+      // Error handling is already done in the mutation's onError callback
+      console.error("Error in resolvePreferenceConflict:", error);
+    }
+  };
+
   const revertPreferences = useCallback(() => {
     setLocalPreferences(savedPreferences);
     setIsDirty(false);
@@ -225,6 +442,7 @@ export const useBinderPreferences = (binderId) => {
 
   return {
     preferences: localPreferences,
+    binder: binderDocument || null,
     isLoading: isLoadingBinder,
     error: binderError,
     saveError,
@@ -235,5 +453,8 @@ export const useBinderPreferences = (binderId) => {
     revertPreferences,
     clearSaveError,
     isSaving: updateBinderMutation.isLoading,
+    preferenceConflict,
+    resolvePreferenceConflict,
+    dismissPreferenceConflict: () => setPreferenceConflict(null),
   };
 };
@@ -0,0 +1,98 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  getBinder,
+  getAllCardsInBinder,
+  getBinderRevisions,
+  restoreBinderRevision,
+} from "../services/firestore";
+import { useCacheInvalidation } from "./useCacheInvalidation";
+
+// Stable fallbacks so consumers can memoize on the returned arrays
+const NO_REVISIONS = [];
+const NO_CARDS = [];
+
+/**
+ * Hook to browse and restore a binder's saved revisions
+ * Also loads the binder's current saved layout so revisions can be diffed against it.
+ * @param {string} binderId - The ID of the binder
+ * @param {Object} options - { enabled } to only fetch while the revisions UI is open
+ */
+export const useBinderRevisions = (binderId, { enabled = true } = {}) => {
+  const { currentUser } = useAuth();
+  const queryClient = useQueryClient();
+  const { invalidateAllBinderData } = useCacheInvalidation();
+  const isEnabled = enabled && !!currentUser?.uid && !!binderId;
+
+  const revisionsQuery = useQuery({
+    queryKey: ["binderRevisions", binderId, currentUser?.uid],
+    queryFn: async () => {
+      const result = await getBinderRevisions(currentUser.uid, binderId);
+      if (!result.success) throw new Error(result.error);
+      return result.revisions;
+    },
+    enabled: isEnabled,
+    staleTime: 1000 * 60, // 1 minute
+  });
+
+  // Same keys as useBinderPreferences and useSetCompletion, so the cache is shared
+  const binderQuery = useQuery({
+    queryKey: ["binder", binderId, currentUser?.uid],
+    queryFn: async () => {
+      const result = await getBinder(currentUser.uid, binderId);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    },
+    enabled: isEnabled,
+    staleTime: 1000 * 60 * 2, // 2 minutes
+  });
+
+  const currentCardsQuery = useQuery({
+    queryKey: ["binderCards", binderId, currentUser?.uid, "all"],
+    queryFn: async () => {
+      const result = await getAllCardsInBinder(currentUser.uid, binderId);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    },
+    enabled: isEnabled,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: async (revisionId) => {
+      // Checked against the binder revision the restore was diffed against
+      const result = await restoreBinderRevision(
+        currentUser.uid,
+        binderId,
+        revisionId,
+        { expectedRevision: binderQuery.data?.revision || 0 }
+      );
+      if (result.conflict) {
+        // Reload the binder so the diff shows what changed elsewhere
+        invalidateAllBinderData(currentUser.uid, binderId);
+      }
+      if (!result.success) throw new Error(result.error);
+      return result;
+    },
+    onSuccess: () => {
+      invalidateAllBinderData(currentUser.uid, binderId);
+      queryClient.invalidateQueries({
+        queryKey: ["binderRevisions", binderId],
+      });
+    },
+  });
+
+  return {
+    revisions: revisionsQuery.data || NO_REVISIONS,
+    currentBinder: binderQuery.data || null,
+    currentCards: currentCardsQuery.data || NO_CARDS,
+    isLoading:
+      revisionsQuery.isLoading ||
+      binderQuery.isLoading ||
+      currentCardsQuery.isLoading,
+    error: revisionsQuery.error || binderQuery.error || currentCardsQuery.error,
+    restoreRevision: restoreMutation.mutateAsync,
+    isRestoring: restoreMutation.isPending,
+    restoreError: restoreMutation.error,
+  };
+};
@@ -0,0 +1,72 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  getBinderShare,
+  shareBinder,
+  unshareBinder,
+} from "../services/firestore";
+import { useUserPreferences } from "./useUserData";
+import { DEFAULT_PRIVACY_SETTINGS } from "../utils/binderSharing";
+
+/**
+ * Hook to manage a binder's share link
+ * Also loads the owner's privacy settings, which supply the defaults for new links.
+ * @param {string} binderId - The ID of the binder
+ * @param {Object} options - { enabled } to only fetch while the share UI is open
+ */
+export const useBinderShare = (binderId, { enabled = true } = {}) => {
+  const { currentUser } = useAuth();
+  const queryClient = useQueryClient();
+  const isEnabled = enabled && !!currentUser?.uid && !!binderId;
+
+  const shareQuery = useQuery({
+    queryKey: ["binderShare", binderId, currentUser?.uid],
+    queryFn: async () => {
+      const result = await getBinderShare(currentUser.uid, binderId);
+      if (!result.success) throw new Error(result.error);
+      return result;
+    },
+    enabled: isEnabled,
+    staleTime: 1000 * 60, // 1 minute
+  });
+
+  const preferencesQuery = useUserPreferences(
+    isEnabled ? currentUser.uid : null
+  );
+
+  const invalidateShare = () => {
+    queryClient.invalidateQueries({ queryKey: ["binderShare", binderId] });
+    queryClient.invalidateQueries({ queryKey: ["binder", binderId] });
+  };
+
+  const shareMutation = useMutation({
+    mutationFn: async (options) => {
+      const result = await shareBinder(currentUser.uid, binderId, options);
+      if (!result.success) throw new Error(result.error);
+      return result;
+    },
+    onSuccess: invalidateShare,
+  });
+
+  const unshareMutation = useMutation({
+    mutationFn: async () => {
+      const result = await unshareBinder(currentUser.uid, binderId);
+      if (!result.success) throw new Error(result.error);
+      return result;
+    },
+    onSuccess: invalidateShare,
+  });
+
+  return {
+    share: shareQuery.data?.share || null,
+    visibility: shareQuery.data?.visibility || null,
+    privacySettings:
+      preferencesQuery.data?.data?.privacy || DEFAULT_PRIVACY_SETTINGS,
+    isLoading: shareQuery.isLoading || preferencesQuery.isLoading,
+    error: shareQuery.error,
+    shareBinder: shareMutation.mutateAsync,
+    unshareBinder: unshareMutation.mutateAsync,
+    isSaving: shareMutation.isPending || unshareMutation.isPending,
+    saveError: shareMutation.error || unshareMutation.error,
+  };
+};
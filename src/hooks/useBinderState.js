@@ -16,9 +16,16 @@ import { useCacheInvalidation } from "./useCacheInvalidation";
  * @param {string} binderId - The ID of the binder.
  * @param {object} binderPreferences - The preferences object for this binder (contains gridSize, pageCount, etc.).
  * @param {number} currentPage - The current single page number being viewed (1-indexed).
+ * @param {string} [ownerId] - Owner of the binder when it was shared with the current user.
  */
-export const useBinderState = (binderId, binderPreferences, currentPage) => {
+export const useBinderState = (
+  binderId,
+  binderPreferences,
+  currentPage,
+  ownerId
+) => {
   const { currentUser } = useAuth();
+  const binderOwnerId = ownerId || currentUser?.uid;
   const { invalidateCardData } = useCacheInvalidation();
 
   const { gridSize = "3x3", pageCount = 1 } = binderPreferences || {};
@@ -81,7 +88,7 @@ export const useBinderState = (binderId, binderPreferences, currentPage) => {
       pageRange.join(","), // Only changes when we need to fetch different page ranges
     ],
     queryFn: async () => {
-      if (!currentUser?.uid || !binderId || pageRange.length === 0) {
+      if (!binderOwnerId || !binderId || pageRange.length === 0) {
         return { success: true, cards: [], error: null };
       }
       if (!binderPreferences || typeof pageCount !== "number") {
@@ -94,10 +101,10 @@ export const useBinderState = (binderId, binderPreferences, currentPage) => {
       console.log(
         `🔥 OPTIMIZED: Fetching cards for binder ${binderId}, page range: ${pageRange} (visible: ${visiblePageNumbers})`
       );
-      return getCardsForPages(currentUser.uid, binderId, pageRange);
+      return getCardsForPages(binderOwnerId, binderId, pageRange);
     },
     enabled:
-      !!currentUser?.uid &&
+      !!binderOwnerId &&
       !!binderId &&
       pageRange.length > 0 &&
       !!binderPreferences &&
@@ -126,19 +133,19 @@ export const useBinderState = (binderId, binderPreferences, currentPage) => {
 
   const addCardMutation = useMutation({
     mutationFn: (cardData) =>
-      addCardToBinder(currentUser.uid, binderId, cardData),
+      addCardToBinder(binderOwnerId, binderId, cardData),
     ...mutationOptions,
   });
 
   const removeCardMutation = useMutation({
     mutationFn: (cardEntryId) =>
-      removeCardFromBinder(currentUser.uid, binderId, cardEntryId),
+      removeCardFromBinder(binderOwnerId, binderId, cardEntryId),
     ...mutationOptions,
   });
 
   const updateCardMutation = useMutation({
     mutationFn: ({ cardEntryId, updates }) =>
-      updateCardInBinder(currentUser.uid, binderId, cardEntryId, updates),
+      updateCardInBinder(binderOwnerId, binderId, cardEntryId, updates),
     ...mutationOptions,
   });
 
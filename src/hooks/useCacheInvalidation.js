@@ -42,6 +42,10 @@ export const useCacheInvalidation = () => {
     queryClient.invalidateQueries({ queryKey: ["binder", userId, binderId] });
   };
 
+  const invalidateAllUserCards = (userId) => {
+    queryClient.invalidateQueries({ queryKey: ["allUserCards", userId] });
+  };
+
   // ===== COLLECTION-RELATED INVALIDATIONS =====
 
   const invalidateUserCollections = (userId) => {
@@ -84,6 +88,7 @@ export const useCacheInvalidation = () => {
     invalidateBinderCards(binderId);
     invalidateBinderPreferences(binderId);
     invalidateSpecificBinder(userId, binderId);
+    invalidateAllUserCards(userId);
     invalidateUserProfile(userId); // For totals
   };
 
@@ -92,6 +97,7 @@ export const useCacheInvalidation = () => {
    */
   const invalidateCardData = (userId, binderId) => {
     invalidateBinderCards(binderId);
+    invalidateAllUserCards(userId);
     invalidateBinderPreferences(binderId); // For totalCardsInBinder
     invalidateUserProfile(userId); // For totals
     invalidateUserBinders(userId); // For binder metadata
@@ -227,6 +233,7 @@ export const useCacheInvalidation = () => {
     invalidateBinderCards,
     invalidateBinderPreferences,
     invalidateSpecificBinder,
+    invalidateAllUserCards,
     invalidateUserCollections,
     invalidateUserWishlist,
     invalidateAdminStats,
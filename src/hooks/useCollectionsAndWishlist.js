@@ -4,7 +4,13 @@ import {
   createCollection,
   getUserWishlist,
   addToWishlist,
+  addCardsToWishlist,
+  updateWishlistItem,
+  removeFromWishlist,
+  getAllCardsInBinder,
+  addCardToBinder,
 } from "../services/firestore";
+import { getNextAvailableSlots } from "../utils/slotAssignment";
 import { useCacheInvalidation } from "./useCacheInvalidation";
 
 // ===== COLLECTIONS HOOKS =====
@@ -110,8 +116,8 @@ export const useAddToWishlist = () => {
       const tempId = `temp-${Date.now()}`;
       const optimisticWishlistItem = {
         id: tempId,
-        ...binderData,
         priority: "Medium",
+        ...binderData,
         addedAt: new Date(),
       };
 
@@ -153,3 +159,116 @@ export const useAddToWishlist = () => {
     },
   });
 };
+
+export const useAddCardsToWishlist = () => {
+  const { invalidateUserWishlist, invalidateUserActivity } =
+    useCacheInvalidation();
+
+  return useMutation({
+    mutationFn: ({ userId, wishlistItems }) =>
+      addCardsToWishlist(userId, wishlistItems),
+    onSuccess: (data, { userId }) => {
+      invalidateUserWishlist(userId);
+      invalidateUserActivity(userId);
+    },
+  });
+};
+
+export const useUpdateWishlistItem = () => {
+  const { invalidateUserWishlist, optimisticallyUpdateInList } =
+    useCacheInvalidation();
+
+  return useMutation({
+    mutationFn: ({ userId, wishlistId, updates }) =>
+      updateWishlistItem(userId, wishlistId, updates),
+    onMutate: async ({ userId, wishlistId, updates }) => {
+      optimisticallyUpdateInList(
+        ["userWishlist", userId, {}],
+        wishlistId,
+        updates
+      );
+    },
+    onSettled: (data, error, { userId }) => {
+      invalidateUserWishlist(userId);
+    },
+  });
+};
+
+export const useRemoveFromWishlist = () => {
+  const { invalidateUserWishlist, optimisticallyRemoveFromList } =
+    useCacheInvalidation();
+
+  return useMutation({
+    mutationFn: ({ userId, wishlistId }) =>
+      removeFromWishlist(userId, wishlistId),
+    onMutate: async ({ userId, wishlistId }) => {
+      optimisticallyRemoveFromList(["userWishlist", userId, {}], wishlistId);
+    },
+    onSettled: (data, error, { userId }) => {
+      invalidateUserWishlist(userId);
+    },
+  });
+};
+
+/**
+ * Place a wishlist card in the first free slot of a binder (starting at
+ * startPage) and remove it from the wishlist once the card is saved.
+ */
+export const useMoveWishlistItemToBinder = () => {
+  const { invalidateUserWishlist, invalidateCardData } = useCacheInvalidation();
+
+  return useMutation({
+    mutationFn: async ({ userId, item, binder, startPage = 1 }) => {
+      const cardsResult = await getAllCardsInBinder(userId, binder.id);
+      if (!cardsResult.success) {
+        return { success: false, error: cardsResult.error };
+      }
+
+      const [slot] = getNextAvailableSlots(
+        binder.id,
+        1,
+        startPage,
+        binder.gridSize || "3x3",
+        cardsResult.data,
+        binder.pageCount || 1
+      );
+      if (!slot) {
+        return {
+          success: false,
+          error: `No empty slots left in "${binder.binderName}" from page ${startPage}.`,
+        };
+      }
+
+      const addResult = await addCardToBinder(userId, binder.id, {
+        cardApiId: item.cardApiId,
+        name: item.name,
+        set: item.setName || "",
+        setId: item.setId || "",
+        number: item.number || "",
+        rarity: item.rarity || "",
+        images: item.images || {},
+        tcgplayer: item.tcgplayer || {},
+        artist: item.artist || "",
+        cardmarket: item.cardmarket || {},
+        supertype: item.supertype || "",
+        types: item.types || [],
+        ...slot,
+      });
+      if (!addResult.success) return addResult;
+
+      const removeResult = await removeFromWishlist(userId, item.id);
+      if (!removeResult.success) {
+        return {
+          success: false,
+          error: `Card was added to the binder but could not be removed from your wishlist: ${removeResult.error}`,
+        };
+      }
+
+      return { success: true, cardEntryId: addResult.cardEntryId, ...slot };
+    },
+    onSettled: (data, error, { userId, binder }) => {
+      invalidateUserWishlist(userId);
+      invalidateCardData(userId, binder.id);
+    },
+  });
+};
@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import {
+  getEditHistory,
+  recordEdit,
+  takeUndoEdit,
+  takeRedoEdit,
+  clearEditHistory,
+  subscribeToEditHistory,
+  EDIT_TARGETS,
+} from "../utils/editHistory";
+import { applyPendingPatch } from "../utils/localBinderStorage";
+
+/**
+ * Hook to undo and redo a binder's unsaved edits one step at a time
+ * Card edits are recorded by localBinderStorage; binder edits are recorded
+ * with recordBinderEdit and undone through applyPreferences.
+ * @param {string} binderId - Binder ID
+ * @param {Function} applyPreferences - Applies preference updates, e.g. updatePreferences
+ */
+export const useEditHistory = (binderId, applyPreferences) => {
+  const [history, setHistory] = useState(() => getEditHistory(binderId));
+
+  // Keep the latest callback without re-creating undo/redo on every render
+  const applyPreferencesRef = useRef(applyPreferences);
+  applyPreferencesRef.current = applyPreferences;
+
+  useEffect(() => {
+    setHistory(getEditHistory(binderId));
+    return subscribeToEditHistory(binderId, setHistory);
+  }, [binderId]);
+
+  const applyEdit = useCallback(
+    (edit, direction) => {
+      if (edit.pendingPatch) {
+        applyPendingPatch(binderId, edit.pendingPatch, direction);
+
+        // Refresh useLocalCardState and usePendingChanges
+        window.dispatchEvent(
+          new StorageEvent("storage", {
+            key: `pokemon_binder_pending_${binderId}`,
+          })
+        );
+      }
+
+      if (edit.preferences) {
+        applyPreferencesRef.current(
+          direction === "undo"
+            ? edit.preferences.before
+            : edit.preferences.after
+        );
+      }
+    },
+    [binderId]
+  );
+
+  const undo = useCallback(() => {
+    const edit = takeUndoEdit(binderId);
+    if (edit) applyEdit(edit, "undo");
+    return edit;
+  }, [binderId, applyEdit]);
+
+  const redo = useCallback(() => {
+    const edit = takeRedoEdit(binderId);
+    if (edit) applyEdit(edit, "redo");
+    return edit;
+  }, [binderId, applyEdit]);
+
+  // Record a change to the binder's preferences (pages, grid size, name...)
+  const recordBinderEdit = useCallback(
+    ({ type, description, before, after }) =>
+      recordEdit(binderId, {
+        type,
+        target: EDIT_TARGETS.BINDER,
+        description,
+        preferences: { before, after },
+      }),
+    [binderId]
+  );
+
+  const clearBinderEdits = useCallback(
+    () => clearEditHistory(binderId, EDIT_TARGETS.BINDER),
+    [binderId]
+  );
+
+  return {
+    // Newest first, as shown in the history panel
+    entries: [...history.past].reverse(),
+    undoneEntries: history.future,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undo,
+    redo,
+    recordBinderEdit,
+    clearBinderEdits,
+  };
+};
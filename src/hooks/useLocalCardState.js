@@ -1,5 +1,24 @@
 import { useState, useCallback, useEffect, useRef } from "react";
-import { getPendingCardMoves } from "../utils/localBinderStorage";
+import {
+  getPendingCardMoves,
+  getPendingCardRemovals,
+  getPendingCardUpdates,
+} from "../utils/localBinderStorage";
+
+// Apply a pending detail update; cleared fields are dropped from the card
+const applyCardUpdate = (card, cardUpdate) => {
+  if (!cardUpdate) return card;
+
+  const updated = { ...card };
+  Object.entries(cardUpdate.updates).forEach(([field, value]) => {
+    if (value === null) {
+      delete updated[field];
+    } else {
+      updated[field] = value;
+    }
+  });
+  return updated;
+};
 
 /**
  * Hook to manage local card state with pending movements
@@ -21,15 +40,26 @@ export const useLocalCardState = (savedCards = [], binderId) => {
       }
 
       const pendingMoves = getPendingCardMoves(binderId);
+      const pendingRemovals = getPendingCardRemovals(binderId);
+      const pendingUpdates = getPendingCardUpdates(binderId);
 
-      if (pendingMoves.length === 0) {
+      if (
+        pendingMoves.length === 0 &&
+        pendingRemovals.length === 0 &&
+        pendingUpdates.length === 0
+      ) {
         return cards;
       }
 
-      return cards.map((card) => {
+      return cards.map((savedCard) => {
+        const card = applyCardUpdate(
+          savedCard,
+          pendingUpdates.find((update) => update.cardId === savedCard.id)
+        );
         const pendingMove = pendingMoves.find(
           (move) => move.cardId === card.id
         );
+        const isPendingRemoval = pendingRemovals.includes(card.id);
 
         if (pendingMove) {
           return {
@@ -38,9 +68,14 @@ export const useLocalCardState = (savedCards = [], binderId) => {
             slotInPage: pendingMove.toPosition.slotInPage,
             overallSlotNumber: pendingMove.toPosition.overallSlotNumber,
             isPendingMove: true,
+            isPendingRemoval,
           };
         }
 
+        if (isPendingRemoval) {
+          return { ...card, isPendingRemoval: true };
+        }
+
         return card;
       });
     },
@@ -81,6 +116,26 @@ export const useLocalCardState = (savedCards = [], binderId) => {
     }
   }, [savedCards.length, applyPendingMovements, localCards.length]); // Depend on length, not the array itself
 
+  // Re-apply pending edits when saved cards change underneath them, e.g. when
+  // another device saves the binder. Compared by content because the array
+  // itself is rebuilt on every render.
+  const savedCardsSignature = savedCards
+    .map(
+      (card) =>
+        `${card.id}:${card.pageNumber}:${card.slotInPage}:${
+          card.updatedAt?.toMillis?.() ?? ""
+        }`
+    )
+    .join("|");
+  const lastSavedCardsSignatureRef = useRef(savedCardsSignature);
+
+  useEffect(() => {
+    if (lastSavedCardsSignatureRef.current === savedCardsSignature) return;
+    lastSavedCardsSignatureRef.current = savedCardsSignature;
+
+    setLocalCards(applyPendingMovements(savedCardsRef.current));
+  }, [savedCardsSignature, applyPendingMovements]);
+
   // Function to manually trigger update (used by event listeners)
   const refreshLocalCards = useCallback(() => {
     if (!binderId) return;
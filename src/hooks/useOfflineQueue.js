@@ -0,0 +1,114 @@
+import { useState, useEffect, useCallback } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "../contexts/AuthContext";
+import { useUserLimits } from "./useUserLimits";
+import {
+  OFFLINE_QUEUE_EVENT,
+  getQueuedWrites,
+  isOffline,
+  replayQueuedWrites,
+} from "../services/offlineQueue";
+
+/**
+ * Hook to track the offline write queue and replay it when the connection returns
+ * Mounted once at the app level to replay in the background; binder views use
+ * it for the queue status of their binder.
+ * @param {string} [binderId] - Only report queued writes for this binder
+ * @returns {Object} Connection state, queued writes and the last replay's outcome
+ */
+export const useOfflineQueue = (binderId) => {
+  const { currentUser } = useAuth();
+  const { canUseFeature } = useUserLimits();
+  const queryClient = useQueryClient();
+  const userId = currentUser?.uid;
+  const isEnabled = !!userId && canUseFeature("OFFLINE_MODE");
+
+  const [isOnline, setIsOnline] = useState(() => !isOffline());
+  const [queuedWrites, setQueuedWrites] = useState([]);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [lastReplay, setLastReplay] = useState(null);
+
+  const refreshQueue = useCallback(async () => {
+    if (!isEnabled) {
+      setQueuedWrites([]);
+      return;
+    }
+
+    const writes = await getQueuedWrites(userId);
+    setQueuedWrites(
+      binderId ? writes.filter((write) => write.binderId === binderId) : writes
+    );
+  }, [isEnabled, userId, binderId]);
+
+  const replay = useCallback(async () => {
+    if (!isEnabled || isOffline()) return null;
+
+    setIsReplaying(true);
+    try {
+      const result = await replayQueuedWrites(userId);
+
+      result.savedBinderIds.forEach((savedBinderId) => {
+        queryClient.invalidateQueries({
+          queryKey: ["binderCards", savedBinderId],
+        });
+        queryClient.invalidateQueries({ queryKey: ["binder", savedBinderId] });
+        queryClient.invalidateQueries({
+          queryKey: ["binderRevisions", savedBinderId],
+        });
+      });
+      if (result.savedBinderIds.length > 0) {
+        queryClient.invalidateQueries({ queryKey: ["userBinders", userId] });
+        queryClient.invalidateQueries({ queryKey: ["allUserCards", userId] });
+      }
+
+      setLastReplay(result);
+      return result;
+    } finally {
+      setIsReplaying(false);
+    }
+  }, [isEnabled, userId, queryClient]);
+
+  // Follow the queue as saves are queued and replayed
+  useEffect(() => {
+    refreshQueue();
+
+    const handleQueueChange = (event) => {
+      if (event.detail?.userId === userId) refreshQueue();
+    };
+
+    window.addEventListener(OFFLINE_QUEUE_EVENT, handleQueueChange);
+    return () =>
+      window.removeEventListener(OFFLINE_QUEUE_EVENT, handleQueueChange);
+  }, [refreshQueue, userId]);
+
+  // Replay once the connection returns, and on load for writes queued in an
+  // earlier session
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      replay();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+
+    if (!isOffline()) replay();
+
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [replay]);
+
+  return {
+    isEnabled,
+    isOnline,
+    queuedWrites,
+    queuedCount: queuedWrites.length,
+    isReplaying,
+    lastReplay,
+    replay,
+    clearLastReplay: () => setLastReplay(null),
+  };
+};
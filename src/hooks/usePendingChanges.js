@@ -1,27 +1,58 @@
 import { useState, useEffect, useCallback } from "react";
 import { useQueryClient } from "@tanstack/react-query";
 import { useAuth } from "../contexts/AuthContext";
+import { useUserLimits } from "./useUserLimits";
 import {
-  bulkAddCardsToBinder,
-  batchUpdateCardMovements,
+  saveBinderCardChanges,
+  createBinderRevision,
+  getAllCardsInBinder,
 } from "../services/firestore";
+import {
+  discardQueuedCardChanges,
+  getQueuedWrites,
+  isOffline,
+  queueCardChanges,
+  replayQueuedWrites,
+} from "../services/offlineQueue";
+import {
+  REVISION_REASONS,
+  applySavedCardChanges,
+} from "../utils/binderRevisions";
+import {
+  dropEditsToDeletedCards,
+  findSlotConflicts,
+  resolveSlotConflicts,
+} from "../utils/binderConflicts";
+import { clearEditHistory, EDIT_TARGETS } from "../utils/editHistory";
 import {
   getPendingChanges,
+  savePendingChanges,
+  setPendingBaseRevision,
   getPendingChangesSummary,
   getPendingCardAdditions,
-  getPendingCardMoves,
+  getPendingCardRemovals,
   hasPendingChanges,
   clearPendingChanges,
   removeCardFromPending,
+  addCardRemovalToPending,
+  removeCardRemovalFromPending,
 } from "../utils/localBinderStorage";
 
+// Saves retried after rebasing onto changes saved elsewhere
+const MAX_SAVE_ATTEMPTS = 3;
+
 /**
  * Hook to manage pending changes for a specific binder
  * Provides real-time updates and Firebase synchronization capabilities
+ * @param {string} binderId - The ID of the binder
+ * @param {string} [ownerId] - Owner of the binder when an invited editor saves it
  */
-export const usePendingChanges = (binderId) => {
+export const usePendingChanges = (binderId, ownerId) => {
   const { currentUser } = useAuth();
+  const binderOwnerId = ownerId || currentUser?.uid;
   const queryClient = useQueryClient();
+  const { canUseFeature } = useUserLimits();
+  const canQueueOffline = !!currentUser && canUseFeature("OFFLINE_MODE");
   const [pendingData, setPendingData] = useState(null);
   const [summary, setSummary] = useState({
     totalChanges: 0,
@@ -30,6 +61,8 @@ export const usePendingChanges = (binderId) => {
     updatedCards: 0,
   });
   const [isSyncing, setIsSyncing] = useState(false);
+  // Slots where the last save collided with changes saved elsewhere
+  const [saveConflict, setSaveConflict] = useState(null);
 
   // Function to refresh pending data from localStorage
   const refreshPendingData = useCallback(() => {
@@ -38,9 +71,22 @@ export const usePendingChanges = (binderId) => {
     const changes = getPendingChanges(binderId);
     const changeSummary = getPendingChangesSummary(binderId);
 
+    // Remember which binder revision the edits were made on
+    if (changes && changes.baseRevision === undefined) {
+      const binder = queryClient.getQueryData([
+        "binder",
+        binderId,
+        currentUser?.uid,
+      ]);
+      if (binder) {
+        changes.baseRevision = binder.revision || 0;
+        setPendingBaseRevision(binderId, changes.baseRevision);
+      }
+    }
+
     setPendingData(changes);
     setSummary(changeSummary);
-  }, [binderId]);
+  }, [binderId, queryClient, currentUser?.uid]);
 
   // Listen for localStorage changes (when cards are added from modal)
   useEffect(() => {
@@ -70,6 +116,9 @@ export const usePendingChanges = (binderId) => {
   // Get pending card additions for display
   const pendingCards = getPendingCardAdditions(binderId);
 
+  // Get saved card IDs that are pending removal
+  const pendingRemovals = getPendingCardRemovals(binderId);
+
   // Check if there are pending changes
   const hasChanges = hasPendingChanges(binderId);
 
@@ -85,97 +134,205 @@ export const usePendingChanges = (binderId) => {
     [binderId, refreshPendingData]
   );
 
+  // Notify listeners (e.g. useLocalCardState) that pending changes were edited in this tab
+  const notifyPendingChange = useCallback(() => {
+    window.dispatchEvent(
+      new StorageEvent("storage", {
+        key: `pokemon_binder_pending_${binderId}`,
+      })
+    );
+  }, [binderId]);
+
+  // Mark a saved card for removal
+  const markCardForRemoval = useCallback(
+    (cardId, cardName) => {
+      const result = addCardRemovalToPending(binderId, cardId, cardName);
+      if (result.success) {
+        refreshPendingData();
+        notifyPendingChange();
+      }
+      return result;
+    },
+    [binderId, refreshPendingData, notifyPendingChange]
+  );
+
+  // Undo a pending removal before it is saved
+  const undoCardRemoval = useCallback(
+    (cardId, cardName) => {
+      const success = removeCardRemovalFromPending(binderId, cardId, cardName);
+      if (success) {
+        refreshPendingData();
+        notifyPendingChange();
+      }
+      return success;
+    },
+    [binderId, refreshPendingData, notifyPendingChange]
+  );
+
   // Clear all pending changes
   const clearAllPending = useCallback(() => {
     const success = clearPendingChanges(binderId);
     if (success) {
+      // A queued offline save of these edits is discarded with them
+      if (canQueueOffline) discardQueuedCardChanges(currentUser.uid, binderId);
       refreshPendingData();
+      notifyPendingChange();
     }
     return success;
-  }, [binderId, refreshPendingData]);
+  }, [
+    binderId,
+    canQueueOffline,
+    currentUser?.uid,
+    refreshPendingData,
+    notifyPendingChange,
+  ]);
 
   // Sync pending changes to Firebase
+  // Each write checks the binder's revision counter. When the binder was saved
+  // elsewhere in the meantime, edits that don't collide with that save are
+  // rebased onto it and saved; colliding slots are surfaced as `saveConflict`.
   const syncToFirebase = useCallback(async () => {
-    if (!pendingData || !hasChanges || !currentUser?.uid)
+    if (!hasPendingChanges(binderId) || !binderOwnerId)
       return { success: true, message: "No changes to sync" };
 
+    // Without a connection the save waits in the offline queue; the edits
+    // stay pending until it has been replayed
+    if (canQueueOffline && isOffline()) {
+      return queueCardChanges(
+        currentUser.uid,
+        binderOwnerId,
+        binderId,
+        getPendingChanges(binderId)
+      );
+    }
+
     setIsSyncing(true);
 
-    try {
+    // Write the pending changes, stopping at the first revision conflict.
+    // A conflict comes back with the changes that weren't written yet.
+    const writeChanges = async (changes) => {
       console.log("Starting Firebase sync for binder:", binderId);
-      console.log("Pending data:", pendingData);
-
-      // Handle card additions using bulk operation
-      if (pendingData.addedCards && pendingData.addedCards.length > 0) {
-        console.log(
-          `Syncing ${pendingData.addedCards.length} added cards to Firebase using bulk operation`
-        );
-
-        // Transform pending cards to the format expected by bulkAddCardsToBinder
-        const cardsToAdd = pendingData.addedCards.map((pendingCard) => ({
-          cardApiId: pendingCard.pokemonCardId,
-          pageNumber: pendingCard.pageNumber,
-          slotInPage: pendingCard.slotInPage,
-          overallSlotNumber: pendingCard.overallSlotNumber,
-          name: pendingCard.cardData.name,
-          set: pendingCard.cardData.set || pendingCard.cardData.setId,
-          setId: pendingCard.cardData.setId,
-          number: pendingCard.cardData.number,
-          rarity: pendingCard.cardData.rarity,
-          images: pendingCard.cardData.images,
-          tcgplayer: pendingCard.cardData.tcgplayer,
-          artist: pendingCard.cardData.artist,
-          cardmarket: pendingCard.cardData.cardmarket,
-        }));
-
-        console.log("Cards to add:", cardsToAdd);
-
-        // Use the bulk operation for efficiency
-        const result = await bulkAddCardsToBinder(
-          currentUser.uid,
-          binderId,
-          cardsToAdd
-        );
+      console.log("Pending data:", changes);
+
+      const result = await saveBinderCardChanges(
+        binderOwnerId,
+        binderId,
+        changes
+      );
+      if (!result.success && !result.conflict) {
+        throw new Error(result.error || "Failed to save card changes");
+      }
+      return result;
+    };
 
-        if (!result.success) {
-          throw new Error(result.error || "Failed to add cards to Firebase");
+    try {
+      // An offline save of these edits that hasn't been replayed yet goes
+      // first, so they aren't written twice
+      if (canQueueOffline) {
+        const queuedWrites = await getQueuedWrites(currentUser.uid);
+        if (queuedWrites.some((write) => write.binderId === binderId)) {
+          await replayQueuedWrites(currentUser.uid);
+          await queryClient.invalidateQueries({
+            queryKey: ["binderCards", binderId],
+          });
+          refreshPendingData();
+          notifyPendingChange();
+
+          if (!hasPendingChanges(binderId)) {
+            return { success: true, message: "Saved changes made offline" };
+          }
         }
-
-        console.log(
-          `Successfully bulk added ${result.addedCount} cards to Firebase`
-        );
       }
 
-      // Handle card movements using batch operation
-      if (pendingData.movedCards && pendingData.movedCards.length > 0) {
-        console.log(
-          `Syncing ${pendingData.movedCards.length} card movements to Firebase using batch operation`
-        );
-
-        const result = await batchUpdateCardMovements(
-          currentUser.uid,
-          binderId,
-          pendingData.movedCards
-        );
-
-        if (!result.success) {
+      // The binder's saved cards, if they are loaded and current, so the
+      // revision snapshot can be built without reading every card back
+      const allCardsState = queryClient.getQueryState([
+        "binderCards",
+        binderId,
+        currentUser.uid,
+        "all",
+      ]);
+      let baseCards = allCardsState?.isInvalidated ? null : allCardsState?.data;
+      let savedChanges = getPendingChanges(binderId);
+
+      let attempt = 0;
+      let result = await writeChanges(savedChanges);
+
+      while (result.conflict) {
+        attempt++;
+        if (attempt >= MAX_SAVE_ATTEMPTS) {
           throw new Error(
-            result.error || "Failed to update card movements in Firebase"
+            "This binder keeps changing on another device. Please try saving again."
           );
         }
 
-        console.log(
-          `Successfully batch updated ${result.updatedCount} card movements in Firebase`
+        const { currentRevision, binder } = result.conflict;
+        const remoteResult = await getAllCardsInBinder(binderOwnerId, binderId);
+        if (!remoteResult.success) {
+          throw new Error(remoteResult.error);
+        }
+
+        const prunedChanges = dropEditsToDeletedCards(
+          result.remainingChanges,
+          remoteResult.data
         );
+        const conflicts = findSlotConflicts(prunedChanges, remoteResult.data);
+
+        if (
+          JSON.stringify(prunedChanges) !==
+          JSON.stringify(getPendingChanges(binderId))
+        ) {
+          // Undo steps may refer to the edits that were dropped
+          clearEditHistory(binderId, EDIT_TARGETS.CARDS);
+        }
+
+        if (conflicts.length > 0) {
+          savePendingChanges(binderId, prunedChanges);
+          refreshPendingData();
+          notifyPendingChange();
+          setSaveConflict({
+            conflicts,
+            remoteCards: remoteResult.data,
+            binder,
+            currentRevision,
+          });
+          return {
+            success: false,
+            conflict: true,
+            error: result.error,
+          };
+        }
+
+        // Nothing collides, so the edits apply on top of the other save
+        const rebasedChanges = {
+          ...prunedChanges,
+          baseRevision: currentRevision,
+        };
+        savePendingChanges(binderId, rebasedChanges);
+        baseCards = remoteResult.data;
+        savedChanges = rebasedChanges;
+        result = await writeChanges(rebasedChanges);
       }
 
-      // TODO: Handle card removals and updates when implemented
-      // if (pendingData.removedCardIds && pendingData.removedCardIds.length > 0) {
-      //   // Handle card removals
-      // }
-      // if (pendingData.updatedCards && pendingData.updatedCards.length > 0) {
-      //   // Handle card updates
-      // }
+      // Snapshot the saved layout in the background; a failed snapshot doesn't fail the save
+      createBinderRevision(binderOwnerId, binderId, REVISION_REASONS.CARDS, {
+        savedCards:
+          baseCards &&
+          applySavedCardChanges(baseCards, {
+            ...savedChanges,
+            addedCards: result.addedCards,
+          }),
+      }).then((revisionResult) => {
+        if (!revisionResult.success) {
+          console.warn(
+            "Failed to record binder revision:",
+            revisionResult.error
+          );
+        }
+        queryClient.invalidateQueries({
+          queryKey: ["binderRevisions", binderId],
+        });
+      });
 
       // Invalidate relevant queries to refresh the binder view
       console.log("Invalidating cache to refresh binder view...");
@@ -190,6 +347,11 @@ export const usePendingChanges = (binderId) => {
         queryKey: ["binder", binderId, currentUser.uid],
       });
 
+      // The cross-binder collection view includes this binder's cards
+      await queryClient.invalidateQueries({
+        queryKey: ["allUserCards", currentUser.uid],
+      });
+
       // After successful sync and cache invalidation, clear pending changes
       const clearResult = clearPendingChanges(binderId);
       if (!clearResult) {
@@ -197,6 +359,7 @@ export const usePendingChanges = (binderId) => {
       }
 
       refreshPendingData();
+      notifyPendingChange();
 
       console.log("Firebase sync completed successfully");
 
@@ -214,15 +377,51 @@ export const usePendingChanges = (binderId) => {
       setIsSyncing(false);
     }
   }, [
-    pendingData,
-    hasChanges,
+    binderOwnerId,
     currentUser?.uid,
+    canQueueOffline,
     binderId,
     summary.totalChanges,
     refreshPendingData,
+    notifyPendingChange,
     queryClient,
   ]);
 
+  // Apply the user's per-slot choices for a save conflict and save again
+  const resolveSaveConflict = useCallback(
+    async (choices) => {
+      if (!saveConflict) return { success: false };
+
+      const resolvedChanges = resolveSlotConflicts(
+        getPendingChanges(binderId),
+        saveConflict.conflicts,
+        choices,
+        saveConflict.remoteCards,
+        saveConflict.binder
+      );
+      savePendingChanges(binderId, {
+        ...resolvedChanges,
+        baseRevision: saveConflict.currentRevision,
+      });
+      clearEditHistory(binderId, EDIT_TARGETS.CARDS);
+      setSaveConflict(null);
+      refreshPendingData();
+      notifyPendingChange();
+
+      return syncToFirebase();
+    },
+    [
+      saveConflict,
+      binderId,
+      refreshPendingData,
+      notifyPendingChange,
+      syncToFirebase,
+    ]
+  );
+
+  // Close the conflict prompt without saving; the edits stay pending
+  const dismissSaveConflict = useCallback(() => setSaveConflict(null), []);
+
   // Force refresh (useful for manual updates)
   const refresh = useCallback(() => {
     refreshPendingData();
@@ -232,16 +431,22 @@ export const usePendingChanges = (binderId) => {
     // Data
     pendingData,
     pendingCards,
+    pendingRemovals,
     summary,
     hasChanges,
 
     // States
     isSyncing,
+    saveConflict,
 
     // Actions
     removePendingCard,
+    markCardForRemoval,
+    undoCardRemoval,
     clearAllPending,
     syncToFirebase,
+    resolveSaveConflict,
+    dismissSaveConflict,
     refresh,
   };
 };
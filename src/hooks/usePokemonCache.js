@@ -0,0 +1,162 @@
+import { useCallback, useEffect, useMemo } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { useStorage } from "../storage/StorageProvider";
+import { getUserLimits } from "../config/userLimits";
+import { usePokemonTCG } from "./usePokemonTCG";
+
+/**
+ * Shared cache layer for Pokemon TCG set data
+ *
+ * Lookups go React Query memory -> storage layer set cache -> Pokemon TCG API,
+ * and anything fetched is written back to the storage layer. Entries expire
+ * after the current user's USER_LIMITS cacheTTL.
+ */
+
+// Storage cache key for the list of every set (set card lists use the set ID)
+export const ALL_SETS_CACHE_KEY = "all-sets";
+const SETS_PAGE_SIZE = 250;
+
+// Caches from before set data moved into the storage layer
+const LEGACY_CACHE_PREFIXES = [
+  "pokemon-all-sets",
+  "pokemon-sets",
+  "pokemon-setcards-",
+];
+let hasClearedLegacyCache = false;
+
+const clearLegacyCache = () => {
+  if (hasClearedLegacyCache) return;
+  hasClearedLegacyCache = true;
+
+  try {
+    Object.keys(localStorage)
+      .filter((key) =>
+        LEGACY_CACHE_PREFIXES.some((prefix) => key.startsWith(prefix))
+      )
+      .forEach((key) => localStorage.removeItem(key));
+  } catch (err) {
+    console.warn("Failed to clear legacy set cache:", err);
+  }
+};
+
+export const usePokemonCache = () => {
+  const { adapter, isAuthenticated } = useStorage();
+  const queryClient = useQueryClient();
+  const { getSets, getSetCards } = usePokemonTCG();
+  const { cacheTTL } = getUserLimits(isAuthenticated);
+
+  useEffect(clearLegacyCache, []);
+
+  // Read from the storage cache, falling back to the API and caching the result
+  const loadThroughCache = useCallback(
+    async (cacheKey, fetchFromApi) => {
+      const cached = await adapter?.getCachedSet(cacheKey);
+      if (cached) return cached;
+
+      const data = await fetchFromApi();
+      adapter?.setCachedSet(cacheKey, data, cacheTTL);
+      return data;
+    },
+    [adapter, cacheTTL]
+  );
+
+  const setsQueryOptions = useMemo(
+    () => ({
+      queryKey: ["pokemonSets"],
+      queryFn: async () => {
+        const { sets } = await loadThroughCache(
+          ALL_SETS_CACHE_KEY,
+          async () => {
+            const firstPage = await getSets({
+              page: 1,
+              pageSize: SETS_PAGE_SIZE,
+            });
+            const allSets = [...firstPage.sets];
+            for (let page = 2; page <= firstPage.totalPages; page++) {
+              const nextPage = await getSets({
+                page,
+                pageSize: SETS_PAGE_SIZE,
+              });
+              allSets.push(...nextPage.sets);
+            }
+            return { sets: allSets };
+          }
+        );
+
+        // Newest sets first
+        return [...sets].sort(
+          (a, b) => new Date(b.releaseDate) - new Date(a.releaseDate)
+        );
+      },
+      staleTime: cacheTTL,
+    }),
+    [loadThroughCache, getSets, cacheTTL]
+  );
+
+  const getSetCardsQueryOptions = useCallback(
+    (setId) => ({
+      queryKey: ["pokemonSetCards", setId],
+      queryFn: async () => {
+        const { cards } = await loadThroughCache(setId, async () => {
+          const firstPage = await getSetCards(setId);
+          const allCards = [...firstPage.cards];
+          for (let page = 2; page <= firstPage.totalPages; page++) {
+            const nextPage = await getSetCards(setId, { page });
+            allCards.push(...nextPage.cards);
+          }
+          return { cards: allCards };
+        });
+        return cards;
+      },
+      staleTime: cacheTTL,
+    }),
+    [loadThroughCache, getSetCards, cacheTTL]
+  );
+
+  const fetchAllSets = useCallback(
+    () => queryClient.fetchQuery(setsQueryOptions),
+    [queryClient, setsQueryOptions]
+  );
+
+  const prefetchAllSets = useCallback(
+    () => queryClient.prefetchQuery(setsQueryOptions),
+    [queryClient, setsQueryOptions]
+  );
+
+  const fetchSetCards = useCallback(
+    (setId) => queryClient.fetchQuery(getSetCardsQueryOptions(setId)),
+    [queryClient, getSetCardsQueryOptions]
+  );
+
+  return {
+    cacheTTL,
+    setsQueryOptions,
+    getSetCardsQueryOptions,
+    fetchAllSets,
+    prefetchAllSets,
+    fetchSetCards,
+  };
+};
+
+/**
+ * Every Pokemon TCG set, newest first, through the shared cache
+ * @param {Object} options - Extra React Query options
+ */
+export const usePokemonSets = (options = {}) => {
+  const { setsQueryOptions } = usePokemonCache();
+  return useQuery({ ...setsQueryOptions, ...options });
+};
+
+/**
+ * Every card in a Pokemon TCG set, through the shared cache
+ * @param {string|null} setId - Set to load
+ * @param {Object} options - Extra React Query options
+ */
+export const usePokemonSetCards = (setId, options = {}) => {
+  const { getSetCardsQueryOptions } = usePokemonCache();
+  return useQuery({
+    ...getSetCardsQueryOptions(setId),
+    enabled: !!setId,
+    ...options,
+  });
+};
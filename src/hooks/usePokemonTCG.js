@@ -1,4 +1,5 @@
 import { useState, useCallback } from "react";
+import { parseCardSearchQuery } from "../utils/cardSearchQuery";
 
 const POKEMON_TCG_API_BASE = "https://api.pokemontcg.io/v2";
 
@@ -61,31 +62,19 @@ export const usePokemonTCG = () => {
       // Build query string for Pokemon TCG API
       const queryParts = [];
 
-      if (query) {
-        // Check for artist search pattern (e.g., "artist:Ken Sugimori", "artist:Mitsuhiro Arita")
-        const artistMatch = query.match(/^artist:\s*(.+)$/i);
-
-        if (artistMatch) {
-          // Artist search
-          const artistName = artistMatch[1].trim();
-          queryParts.push(`artist:"*${artistName}*"`);
-        } else {
-          // Check if query contains card number pattern (e.g., "pikachu #1", "charizard #25", "pikachu #SWSH039")
-          const cardNumberMatch = query.match(/^(.+?)\s*#\s*([A-Z0-9-]+)$/i);
-
-          if (cardNumberMatch) {
-            // Extract name and number parts
-            const cardName = cardNumberMatch[1].trim();
-            const cardNumber = cardNumberMatch[2];
-
-            // Search for both name and number
-            queryParts.push(`name:"*${cardName}*"`);
-            queryParts.push(`number:${cardNumber}`);
-          } else {
-            // Regular search - check both name and artist fields
-            queryParts.push(`(name:"*${query}*" OR artist:"*${query}*")`);
-          }
-        }
+      const parsedQuery = parseCardSearchQuery(query);
+
+      if (parsedQuery?.kind === "artist") {
+        queryParts.push(`artist:"*${parsedQuery.artist}*"`);
+      } else if (parsedQuery?.kind === "nameNumber") {
+        // Search for both name and number
+        queryParts.push(`name:"*${parsedQuery.name}*"`);
+        queryParts.push(`number:${parsedQuery.number}`);
+      } else if (parsedQuery) {
+        // Regular search - check both name and artist fields
+        queryParts.push(
+          `(name:"*${parsedQuery.text}*" OR artist:"*${parsedQuery.text}*")`
+        );
       }
 
       if (set) {
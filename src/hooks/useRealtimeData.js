@@ -1,5 +1,5 @@
 import { useQuery, useQueryClient } from "@tanstack/react-query";
-import { useEffect } from "react";
+import { useEffect, useRef } from "react";
 import {
   onSnapshot,
   doc,
@@ -21,6 +21,16 @@ const getUserDocRef = (userId) => doc(db, "users", userId);
 const getUserSubcollection = (userId, subcollection) =>
   collection(db, "users", userId, subcollection);
 
+// Same ordering getCardsForPages applies to the cards it returns
+const compareCardSlots = (a, b) => {
+  if (a.pageNumber !== b.pageNumber) {
+    return a.pageNumber - b.pageNumber;
+  }
+  const aSlot = a.overallSlotNumber ?? a.slotInPage ?? 0;
+  const bSlot = b.overallSlotNumber ?? b.slotInPage ?? 0;
+  return aSlot - bSlot;
+};
+
 // ===== REAL-TIME USER PROFILE =====
 
 export const useRealtimeUserProfile = (userId) => {
@@ -203,3 +213,104 @@ export const useRealtimeUserActivity = (userId, limitCount = 10) => {
     staleTime: Infinity,
   });
 };
+
+// ===== REAL-TIME BINDER CARDS =====
+
+/**
+ * Keep every cached card query for an open binder in sync with Firestore
+ * Edits saved on another device (or by a collaborator) replace the cached
+ * page ranges and the "all" list. Changes to where cards sit are passed to
+ * `onRemoteChanges` as { type, cardId, before, after } so local pending edits
+ * can be checked against them; this device's own writes are not reported.
+ * @param {string} ownerId - Owner of the binder
+ * @param {string} binderId - Binder ID
+ * @param {Object} options - { enabled, onRemoteChanges }
+ */
+export const useRealtimeBinderCards = (
+  ownerId,
+  binderId,
+  { enabled = true, onRemoteChanges } = {}
+) => {
+  const queryClient = useQueryClient();
+
+  // Read through a ref so a new callback doesn't restart the listener
+  const onRemoteChangesRef = useRef(onRemoteChanges);
+  onRemoteChangesRef.current = onRemoteChanges;
+
+  useEffect(() => {
+    if (!enabled || !ownerId || !binderId) return;
+
+    const cardsRef = collection(
+      db,
+      "users",
+      ownerId,
+      "binders",
+      binderId,
+      "cards"
+    );
+    // Cards as of the previous snapshot, to tell what a change moved them from
+    let previousCards = null;
+
+    const unsubscribe = onSnapshot(
+      cardsRef,
+      (querySnapshot) => {
+        const cards = querySnapshot.docs
+          .map((doc) => ({
+            id: doc.id,
+            ...doc.data({ serverTimestamps: "estimate" }),
+          }))
+          .sort(compareCardSlots);
+
+        // Page range queries hold getCardsForPages results, "all" holds an array
+        queryClient
+          .getQueriesData({ queryKey: ["binderCards", binderId] })
+          .forEach(([queryKey]) => {
+            const range = queryKey[3];
+            if (range === "all") {
+              queryClient.setQueryData(queryKey, cards);
+              return;
+            }
+            const pageNumbers = String(range).split(",").map(Number);
+            queryClient.setQueryData(queryKey, {
+              success: true,
+              cards: cards.filter((card) =>
+                pageNumbers.includes(card.pageNumber)
+              ),
+            });
+          });
+
+        const lastCards = previousCards;
+        previousCards = new Map(cards.map((card) => [card.id, card]));
+
+        // The first snapshot is just the binder as it was loaded
+        if (!lastCards) return;
+
+        const remoteChanges = querySnapshot
+          .docChanges()
+          .filter((change) => !change.doc.metadata.hasPendingWrites)
+          .map((change) => ({
+            type: change.type,
+            cardId: change.doc.id,
+            before: lastCards.get(change.doc.id) || null,
+            after: previousCards.get(change.doc.id) || null,
+          }))
+          // Saves only touching timestamps or card details don't move anything
+          .filter(
+            ({ type, before, after }) =>
+              type !== "modified" ||
+              before?.pageNumber !== after?.pageNumber ||
+              before?.slotInPage !== after?.slotInPage
+          );
+
+        if (remoteChanges.length > 0) {
+          onRemoteChangesRef.current?.(remoteChanges);
+        }
+      },
+      (error) => {
+        console.error("Real-time binder cards error:", error);
+      }
+    );
+
+    return unsubscribe;
+  }, [ownerId, binderId, enabled, queryClient]);
+};
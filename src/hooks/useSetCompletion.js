@@ -0,0 +1,140 @@
+import { useEffect, useMemo } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "../contexts/AuthContext";
+import { useStorage } from "../storage/StorageProvider";
+import { buildSetCompletionRecord } from "../storage/adapters/storageInterface";
+import { getAllCardsInBinder } from "../services/firestore";
+import { usePokemonSetCards } from "./usePokemonCache";
+
+/**
+ * Track how complete a binder is for a Pokemon TCG set
+ *
+ * Compares every saved card in the binder against the full set list and keeps
+ * the stored completion record (and its missing cards) up to date through the
+ * storage layer.
+ * @param {string} binderId - Binder to track
+ * @param {string|null} setId - Set to track; defaults to the set with the most cards in the binder
+ * @param {string} [ownerId] - Owner of the binder when it was shared with the current user
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReverseHolos] - Count reverse holo printings as separate cards
+ */
+export const useSetCompletion = (
+  binderId,
+  setId = null,
+  ownerId,
+  { includeReverseHolos = false } = {}
+) => {
+  const { currentUser } = useAuth();
+  const binderOwnerId = ownerId || currentUser?.uid;
+  const storage = useStorage();
+  const queryClient = useQueryClient();
+
+  // Completion covers the whole binder, not just the pages currently on screen
+  const binderCardsQuery = useQuery({
+    queryKey: ["binderCards", binderId, currentUser?.uid, "all"],
+    queryFn: async () => {
+      const result = await getAllCardsInBinder(binderOwnerId, binderId);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    },
+    enabled: !!binderOwnerId && !!binderId,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+  const binderCards = binderCardsQuery.data;
+
+  // Sets present in the binder, most cards first
+  const binderSets = useMemo(() => {
+    const sets = new Map();
+    (binderCards || []).forEach((card) => {
+      if (!card.setId) return;
+      const entry = sets.get(card.setId) || {
+        setId: card.setId,
+        setName: card.set || card.setId,
+        count: 0,
+      };
+      entry.count += 1;
+      sets.set(card.setId, entry);
+    });
+    return [...sets.values()].sort((a, b) => b.count - a.count);
+  }, [binderCards]);
+
+  const activeSetId = setId || binderSets[0]?.setId || null;
+
+  const setCardsQuery = usePokemonSetCards(activeSetId);
+  const setCards = setCardsQuery.data;
+
+  const completionQueryKey = [
+    "setCompletion",
+    binderId,
+    activeSetId,
+    storage.storageType,
+  ];
+
+  const completionQuery = useQuery({
+    queryKey: completionQueryKey,
+    queryFn: () =>
+      storage.getSetCompletion(binderId, activeSetId, {
+        ownerId: binderOwnerId,
+      }),
+    enabled: !!binderId && !!activeSetId && storage.isInitialized,
+  });
+  const storedRecord = completionQuery.data;
+
+  const {
+    mutate: refreshCompletion,
+    isPending: isUpdating,
+    error: updateError,
+    reset: resetUpdate,
+  } = useMutation({
+    mutationFn: () =>
+      storage.updateSetCompletion(binderId, activeSetId, {
+        setCards,
+        binderCards,
+        includeReverseHolos,
+        ownerId: binderOwnerId,
+      }),
+    onSuccess: (record) => {
+      queryClient.setQueryData(completionQueryKey, record);
+    },
+  });
+
+  const currentRecord = useMemo(() => {
+    if (!activeSetId || !binderCards || !setCards?.length) return null;
+    return buildSetCompletionRecord(activeSetId, setCards, binderCards, {
+      includeReverseHolos,
+    });
+  }, [activeSetId, binderCards, setCards, includeReverseHolos]);
+
+  // Store a fresh record whenever the binder no longer matches the saved one
+  const isStoredRecordStale =
+    !!currentRecord &&
+    completionQuery.isSuccess &&
+    (!storedRecord ||
+      storedRecord.totalCards !== currentRecord.totalCards ||
+      (storedRecord.missingNumbers || []).join(",") !==
+        currentRecord.missingNumbers.join(","));
+
+  useEffect(() => {
+    if (isStoredRecordStale && !isUpdating && !updateError) {
+      refreshCompletion();
+    }
+  }, [isStoredRecordStale, isUpdating, updateError, refreshCompletion]);
+
+  return {
+    setId: activeSetId,
+    binderSets,
+    // Fall back to the stored record when the set list can't be fetched (e.g. offline)
+    completion: currentRecord || storedRecord || null,
+    isLoading:
+      binderCardsQuery.isLoading ||
+      setCardsQuery.isLoading ||
+      completionQuery.isLoading,
+    isUpdating,
+    error: binderCardsQuery.error || setCardsQuery.error || updateError,
+    // Reload the binder; the effect above stores the record if anything changed
+    refresh: () => {
+      resetUpdate();
+      binderCardsQuery.refetch();
+    },
+  };
+};
@@ -0,0 +1,39 @@
+import { useMemo } from "react";
+import { usePokemonSetCards } from "./usePokemonCache";
+import { buildSetLayout } from "../utils/setLayout";
+
+/**
+ * Hook to get the slot layout of a binder created from a set template
+ * @param {Object|null} setTemplate - The binder's setTemplate, if any
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReverseHolos] - Reserve reverse holo slots (showReverseHolos)
+ * @returns {Object} { layout, slotsByNumber, isLoading, error }; empty for other binders
+ */
+export const useSetLayout = (
+  setTemplate,
+  { includeReverseHolos = false } = {}
+) => {
+  const setCardsQuery = usePokemonSetCards(setTemplate?.setId || null);
+  const setCards = setCardsQuery.data;
+
+  const layout = useMemo(
+    () =>
+      setTemplate && setCards
+        ? buildSetLayout(setCards, { includeReverseHolos })
+        : [],
+    [setTemplate, setCards, includeReverseHolos]
+  );
+
+  // Lookup for the slot components, keyed by overall slot number
+  const slotsByNumber = useMemo(
+    () => new Map(layout.map((entry) => [entry.slotNumber, entry])),
+    [layout]
+  );
+
+  return {
+    layout,
+    slotsByNumber,
+    isLoading: !!setTemplate && setCardsQuery.isLoading,
+    error: setCardsQuery.error,
+  };
+};
@@ -5,6 +5,7 @@ import {
   getUserPreferences,
   updateUserPreferences,
   getBindersForUser,
+  getAllUserCards,
   getUserActivity,
   addBinder,
   updateBinder,
@@ -75,6 +76,15 @@ export const useUserBinders = (userId, options = {}) => {
   });
 };
 
+export const useAllUserCards = (userId) => {
+  return useQuery({
+    queryKey: ["allUserCards", userId],
+    queryFn: () => getAllUserCards(userId),
+    enabled: !!userId,
+    staleTime: 1000 * 60 * 5, // 5 minutes - reads every binder's cards
+  });
+};
+
 export const useAddBinder = () => {
   const {
     invalidateAllBinderData,
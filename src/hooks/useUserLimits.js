@@ -298,6 +298,7 @@ export const useUserLimits = () => {
       const featureMap = {
         canShare: "sharing",
         canExport: "export",
+        canImport: "import",
         canUseSetCompletion: "setCompletion",
         canUseBulkOperations: "bulkOps",
       };
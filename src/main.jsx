@@ -5,6 +5,7 @@ import { ReactQueryDevtools } from "@tanstack/react-query-devtools";
 import "./index.css";
 import App from "./App.jsx";
 import { queryClient } from "./lib/queryClient.js";
+import { registerServiceWorker } from "./utils/serviceWorker.js";
 
 createRoot(document.getElementById("root")).render(
   <StrictMode>
@@ -14,3 +15,5 @@ createRoot(document.getElementById("root")).render(
     </QueryClientProvider>
   </StrictMode>
 );
+
+registerServiceWorker();
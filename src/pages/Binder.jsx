@@ -1,26 +1,59 @@
 import { useAuth } from "../contexts/AuthContext";
-import { useNavigate, useParams } from "react-router-dom";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import { useWindowSize, useGridDimensions } from "../hooks";
 import { useBinderPreferences } from "../hooks/useBinderPreferences";
 import { useLocalCardState } from "../hooks/useLocalCardState";
+import { useSetLayout } from "../hooks/useSetLayout";
+import { useEditHistory } from "../hooks/useEditHistory";
 import { useMemo } from "react";
-import { usePageLimits } from "../hooks/useUserLimits";
+import { usePageLimits, useUserLimits } from "../hooks/useUserLimits";
 import { useBinderState } from "../hooks/useBinderState";
-import { BinderSpread } from "../components/binder";
+import { useRealtimeBinderCards } from "../hooks/useRealtimeData";
+import { useQuery } from "@tanstack/react-query";
+import { BinderSpread, ReadOnlyBinderView } from "../components/binder";
 import BinderOverview from "../components/binder/BinderOverview";
 import { WorkspaceLayout } from "../components/workspace";
 import { LoadingSpinner, Button } from "../components/ui";
-import { useEffect, useState } from "react";
+import { useEffect, useState, useCallback } from "react";
 import { arrayMove } from "@dnd-kit/sortable";
 import { AddCardsModal } from "../components/cards";
+import { RevisionHistoryModal } from "../components/history";
+import {
+  ShareBinderModal,
+  SyncConflictModal,
+  SaveConflictModal,
+  CardDetailsModal,
+  ArrangeCardsModal,
+} from "../components/modals";
+import { getSpreadForPage, getPagesForSpread } from "../utils/gridUtils";
+import { EDIT_TYPES, clearEditHistory } from "../utils/editHistory";
+import {
+  hasPendingChanges,
+  findPendingConflicts,
+  resolvePendingConflicts,
+  updateCardMetadataInPending,
+  addCardMoveToPending,
+  getPendingCardAdditions,
+} from "../utils/localBinderStorage";
+import { getSlotNumberFromPageAndSlot } from "../utils/slotAssignment";
+import { ARRANGE_SORT_OPTIONS } from "../utils/binderArrange";
+import {
+  COLLABORATOR_ROLES,
+  OWNER_ROLE,
+  getBinderRole,
+} from "../utils/binderCollaboration";
+import { getAllCardsInBinder } from "../services/firestore";
 
 const Binder = () => {
   const { currentUser } = useAuth();
-  const { binderId } = useParams();
+  // Binders shared with the user are opened as /app/binder/:ownerId/:binderId
+  const { binderId, ownerId: routeOwnerId } = useParams();
+  const ownerId = routeOwnerId || currentUser?.uid;
 
   // Get binder-specific preferences
   const {
     preferences,
+    binder,
     isLoading: isLoadingPreferences,
     error: preferencesError,
     saveError,
@@ -30,7 +63,25 @@ const Binder = () => {
     clearSaveError,
     isDirty,
     isSaving,
-  } = useBinderPreferences(binderId);
+    preferenceConflict,
+    resolvePreferenceConflict,
+    dismissPreferenceConflict,
+  } = useBinderPreferences(binderId, ownerId);
+  const binderRole = getBinderRole(binder, currentUser?.uid);
+  const isBinderOwner = !routeOwnerId || binderRole === OWNER_ROLE;
+  const isViewer = binderRole === COLLABORATOR_ROLES.VIEWER;
+
+  // Reserved slots of a binder created from a set template
+  const setLayout = useSetLayout(binder?.setTemplate || null, {
+    includeReverseHolos: !!preferences?.showReverseHolos,
+  });
+  // Missing cards of a set binder show as ghosts unless they're hidden
+  const ghostSlots = preferences?.hideMissingCards
+    ? null
+    : setLayout.slotsByNumber;
+
+  // Step-by-step undo/redo for card edits and preference changes
+  const editHistory = useEditHistory(binderId, updatePreferences);
 
   // Get page limits using the new hook
   const {
@@ -41,12 +92,87 @@ const Binder = () => {
     remaining: remainingPages,
     warningMessage: pageWarningMessage,
   } = usePageLimits(preferences?.pageCount || 0);
+  const { canUseFeature } = useUserLimits();
+  const canShareBinder =
+    !!currentUser &&
+    isBinderOwner &&
+    canUseFeature("SHARING") &&
+    canUseFeature("canCreateSharedLinks");
+  const canInviteCollaborators =
+    canShareBinder && canUseFeature("COLLABORATION");
 
   // Separate current page into local state
   const [currentPage, setCurrentPage] = useState(1);
 
+  // Deep link to a specific card slot, e.g. ?page=4&slot=7 from My Collection
+  const [searchParams, setSearchParams] = useSearchParams();
+  const highlightedSlot = useMemo(() => {
+    const pageNumber = Number(searchParams.get("page"));
+    const slotInPage = Number(searchParams.get("slot"));
+    return pageNumber > 0 && slotInPage > 0 ? { pageNumber, slotInPage } : null;
+  }, [searchParams]);
+
+  // Open the spread containing the linked slot, then drop the highlight
+  useEffect(() => {
+    if (!highlightedSlot) return;
+
+    setCurrentPage(getSpreadForPage(highlightedSlot.pageNumber));
+    const timeoutId = setTimeout(
+      () => setSearchParams({}, { replace: true }),
+      4000
+    );
+    return () => clearTimeout(timeoutId);
+  }, [highlightedSlot, setSearchParams]);
+
   // Add binder state hook to load saved cards
-  const binderState = useBinderState(binderId, preferences, currentPage);
+  const binderState = useBinderState(
+    binderId,
+    preferences,
+    currentPage,
+    ownerId
+  );
+
+  // Invited viewers get the view-only layout, which pages through every card
+  const { data: viewerCards } = useQuery({
+    queryKey: ["binderCards", binderId, currentUser?.uid, "all"],
+    queryFn: async () => {
+      const result = await getAllCardsInBinder(ownerId, binderId);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    },
+    enabled: isViewer,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  // Pending edits that changes saved on another device ran into
+  const [syncConflicts, setSyncConflicts] = useState([]);
+
+  // Pick up changes saved on other devices while the binder is open
+  useRealtimeBinderCards(ownerId, binderId, {
+    enabled: !!currentUser && canUseFeature("REAL_TIME_SYNC"),
+    onRemoteChanges: (remoteChanges) => {
+      const conflicts = findPendingConflicts(binderId, remoteChanges);
+      if (conflicts.length === 0) return;
+
+      setSyncConflicts((prev) => [
+        ...prev.filter(
+          (conflict) =>
+            !conflicts.some(({ cardId }) => cardId === conflict.cardId)
+        ),
+        ...conflicts,
+      ]);
+    },
+  });
+
+  const handleResolveSyncConflicts = (keepLocal) => {
+    resolvePendingConflicts(binderId, syncConflicts, keepLocal);
+    setSyncConflicts([]);
+    window.dispatchEvent(
+      new StorageEvent("storage", {
+        key: `pokemon_binder_pending_${binderId}`,
+      })
+    );
+  };
 
   // Memoize saved cards to prevent infinite loops
   const memoizedSavedCards = useMemo(() => {
@@ -68,6 +194,11 @@ const Binder = () => {
   const [isOverviewModeActive, setIsOverviewModeActive] = useState(false);
   const [displayPages, setDisplayPages] = useState([]);
   const [isAddCardsModalOpen, setIsAddCardsModalOpen] = useState(false);
+  const [addCardsTarget, setAddCardsTarget] = useState(null);
+  const [isRevisionsModalOpen, setIsRevisionsModalOpen] = useState(false);
+  const [isShareModalOpen, setIsShareModalOpen] = useState(false);
+  const [editingCard, setEditingCard] = useState(null);
+  const [arrangeSnapshot, setArrangeSnapshot] = useState(null);
 
   // Sync local binderName with fetched binder name from preferences
   // This effect also handles the initial setting of binderName
@@ -151,18 +282,46 @@ const Binder = () => {
     }
   }, [preferences?.pageCount, currentPage]);
 
-  // Keyboard shortcuts - handleSavePreferences and handleRevertPreferences are from the hook
+  // Saved preferences can't be undone, so their edits leave the history, as
+  // card edits do once they are saved
+  const { undo, redo, clearBinderEdits } = editHistory;
+  const handleSavePreferences = useCallback(async () => {
+    const result = await savePreferences();
+    if (result?.success) clearBinderEdits();
+    return result;
+  }, [savePreferences, clearBinderEdits]);
+
+  const handleResolvePreferenceConflict = async (choices) => {
+    const result = await resolvePreferenceConflict(choices);
+    if (result?.success) clearBinderEdits();
+    return result;
+  };
+
+  // Keyboard shortcuts - Ctrl+S saves, Ctrl+Z undoes one edit, Ctrl+Shift+Z / Ctrl+Y redo it
   useEffect(() => {
     const handleKeyDown = (event) => {
-      if ((event.ctrlKey || event.metaKey) && event.key === "s") {
+      const key = event.key.toLowerCase();
+      const isModifierPressed = event.ctrlKey || event.metaKey;
+      // Leave text undo to the browser while typing, e.g. in the name field
+      const isTyping = ["INPUT", "TEXTAREA"].includes(event.target.tagName);
+
+      if (isModifierPressed && key === "s") {
         event.preventDefault();
         if (isDirty && !isSaving) {
-          savePreferences(); // Use savePreferences from the hook
+          handleSavePreferences();
+        }
+      }
+      if (isModifierPressed && key === "z" && !isTyping) {
+        event.preventDefault();
+        if (event.shiftKey) {
+          redo();
+        } else {
+          undo();
         }
       }
-      if ((event.ctrlKey || event.metaKey) && event.key === "z" && isDirty) {
+      if (isModifierPressed && key === "y" && !isTyping) {
         event.preventDefault();
-        revertPreferences(); // Use revertPreferences from the hook
+        redo();
       }
       if (event.key === "Escape" && isEditingName) {
         handleCancelNameEdit();
@@ -170,7 +329,29 @@ const Binder = () => {
     };
     document.addEventListener("keydown", handleKeyDown);
     return () => document.removeEventListener("keydown", handleKeyDown);
-  }, [isDirty, isSaving, savePreferences, revertPreferences, isEditingName]); // Added hook fns to deps
+  }, [isDirty, isSaving, handleSavePreferences, undo, redo, isEditingName]); // Added hook fns to deps
+
+  // Apply preference updates and record them so they can be undone
+  const updatePreferencesWithHistory = (updates, type, description) => {
+    const before = Object.fromEntries(
+      Object.keys(updates).map((key) => [key, preferences?.[key]])
+    );
+    if (JSON.stringify(before) === JSON.stringify(updates)) return;
+
+    editHistory.recordBinderEdit({
+      type,
+      description,
+      before,
+      after: updates,
+    });
+    updatePreferences(updates);
+  };
+
+  // Reverting drops the unsaved preference changes, so their history goes too
+  const handleRevertPreferences = () => {
+    revertPreferences();
+    editHistory.clearBinderEdits();
+  };
 
   // Binder name editing functions
   const handleStartNameEdit = () => {
@@ -180,7 +361,11 @@ const Binder = () => {
 
   const handleSaveNameEdit = () => {
     if (tempName.trim()) {
-      updatePreferences({ binderName: tempName.trim() });
+      updatePreferencesWithHistory(
+        { binderName: tempName.trim() },
+        EDIT_TYPES.UPDATE_PREFERENCES,
+        `Renamed binder to '${tempName.trim()}'`
+      );
       // Optionally, call savePreferences() here if you want immediate save on name change
       // await savePreferences();
     }
@@ -200,47 +385,60 @@ const Binder = () => {
 
   // Function to handle page reordering from BinderOverview
   const handlePageReorder = ({ oldIndex, newIndex }) => {
-    setDisplayPages((currentPages) => {
-      const movedPagesArray = arrayMove(currentPages, oldIndex, newIndex);
-      const finalPageOrder = movedPagesArray.map((page, index) => ({
-        ...page,
-        number: index + 1, // This 'number' is what PageThumbnail displays
-      }));
-
-      // Prepare the order of original page numbers for saving
-      // e.g., if page with id 'page-5' is now first, this will be 5
-      const originalPageNumbersInNewOrder = finalPageOrder.map((p) =>
-        parseInt(p.id.split("-")[1])
-      );
+    const movedPagesArray = arrayMove(displayPages, oldIndex, newIndex);
+    const finalPageOrder = movedPagesArray.map((page, index) => ({
+      ...page,
+      number: index + 1, // This 'number' is what PageThumbnail displays
+    }));
+
+    // Prepare the order of original page numbers for saving
+    // e.g., if page with id 'page-5' is now first, this will be 5
+    const originalPageNumbersInNewOrder = finalPageOrder.map((p) =>
+      parseInt(p.id.split("-")[1])
+    );
 
-      console.log(
-        "Staging new page order for preferences:",
-        originalPageNumbersInNewOrder
-      );
-      updatePreferences({
-        orderedPageOriginalNumbers: originalPageNumbersInNewOrder,
-      });
-
-      // Regarding saving to Firebase:
-      // updatePreferences likely marks the state as 'isDirty'.
-      // The actual save (calling savePreferences()) can happen in a few ways:
-      // 1. User explicitly saves (e.g., Ctrl+S, a save button, which should check isDirty).
-      // 2. Autosave: If you have an autosave mechanism, it would pick up the 'isDirty' state.
-      // 3. Immediate save after this operation: You could call savePreferences() here directly.
-      //    However, calling it on every micro-interaction of a drag might be too frequent.
-      //    A common pattern is to save when the drag operation *concludes* or after a brief debounce period.
-      //    For now, we'll rely on the existing save mechanisms triggered by 'isDirty'.
-      //    If you need to force an immediate save upon reorder completion, you could:
-      //    setTimeout(() => savePreferences(), 100); // Example: save shortly after reorder logic completes
-
-      return finalPageOrder;
-    });
+    console.log(
+      "Staging new page order for preferences:",
+      originalPageNumbersInNewOrder
+    );
+    updatePreferencesWithHistory(
+      { orderedPageOriginalNumbers: originalPageNumbersInNewOrder },
+      EDIT_TYPES.REORDER_PAGES,
+      `Moved page ${oldIndex + 1} to position ${newIndex + 1}`
+    );
+
+    // Regarding saving to Firebase:
+    // updatePreferences likely marks the state as 'isDirty'.
+    // The actual save (calling savePreferences()) can happen in a few ways:
+    // 1. User explicitly saves (e.g., Ctrl+S, a save button, which should check isDirty).
+    // 2. Autosave: If you have an autosave mechanism, it would pick up the 'isDirty' state.
+    // 3. Immediate save after this operation: You could call savePreferences() here directly.
+    //    However, calling it on every micro-interaction of a drag might be too frequent.
+    //    A common pattern is to save when the drag operation *concludes* or after a brief debounce period.
+    //    For now, we'll rely on the existing save mechanisms triggered by 'isDirty'.
+    //    If you need to force an immediate save upon reorder completion, you could:
+    //    setTimeout(() => savePreferences(), 100); // Example: save shortly after reorder logic completes
+
+    setDisplayPages(finalPageOrder);
     // If you decide an immediate save is best after a reorder operation completes (outside the setDisplayPages callback):
     // savePreferences(); // Ensure this is what you want, as it writes to DB on each completed drag.
   };
 
   // Function to handle adding cards - opens the modal
   const handleAddCards = () => {
+    setAddCardsTarget(null);
+    setIsAddCardsModalOpen(true);
+  };
+
+  // Clicking an empty slot of a set binder searches for the card that belongs there
+  const handleAddCardToSlot = (slot) => {
+    const ghost = ghostSlots?.get(slot);
+    // A reverse holo slot adds the card as its reverse holo printing
+    setAddCardsTarget(
+      ghost
+        ? { ...ghost.card, ...(ghost.variant && { variant: ghost.variant }) }
+        : null
+    );
     setIsAddCardsModalOpen(true);
   };
 
@@ -278,6 +476,75 @@ const Binder = () => {
     }
   };
 
+  // Snapshot the cards to arrange; slots with unsaved additions or removals
+  // keep what's in them
+  const handleOpenArrange = () => {
+    const gridSize = preferences?.gridSize || "3x3";
+    const isPlaced = (card) => card.pageNumber && card.slotInPage;
+    const removedCards = localCardState.localCards.filter(
+      (card) => card.isPendingRemoval
+    );
+
+    setArrangeSnapshot({
+      cards: localCardState.localCards.filter(
+        (card) => isPlaced(card) && !card.isPendingRemoval
+      ),
+      reservedSlotNumbers: new Set(
+        [...getPendingCardAdditions(binderId), ...removedCards]
+          .filter(isPlaced)
+          .map((card) =>
+            getSlotNumberFromPageAndSlot(
+              card.pageNumber,
+              card.slotInPage,
+              gridSize
+            )
+          )
+      ),
+    });
+  };
+
+  // Stage the arrangement as one batch of moves, saved together
+  const handleArrangeCards = ({ mode, sortBy, sortDirection, moves }) => {
+    const isCompact = mode === "compact";
+    const sortLabel = ARRANGE_SORT_OPTIONS.find(
+      (option) => option.value === sortBy
+    )?.label;
+    addCardMoveToPending(binderId, moves, {
+      description: isCompact
+        ? "Closed the gaps between cards"
+        : `Arranged cards by ${sortLabel?.toLowerCase() || sortBy}`,
+    });
+    setArrangeSnapshot(null);
+
+    if (
+      !isCompact &&
+      (preferences.sortBy !== sortBy ||
+        preferences.sortDirection !== sortDirection)
+    ) {
+      updatePreferences({ sortBy, sortDirection });
+    }
+
+    window.dispatchEvent(
+      new StorageEvent("storage", {
+        key: `pokemon_binder_pending_${binderId}`,
+      })
+    );
+  };
+
+  // Stage a card's new details with the other pending changes
+  const handleCardDetailsSave = (metadata) => {
+    const result = updateCardMetadataInPending(binderId, editingCard, metadata);
+    setEditingCard(null);
+
+    if (result.success && !result.unchanged) {
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: `pokemon_binder_pending_${binderId}`,
+        })
+      );
+    }
+  };
+
   // Show loading states
   if (isLoadingPreferences) {
     return (
@@ -313,6 +580,28 @@ const Binder = () => {
     );
   }
 
+  // Invited viewers can't change anything, so they skip the workspace
+  if (isViewer) {
+    return (
+      <div className="h-[calc(100vh-4rem)] bg-gray-50 dark:bg-gray-900">
+        <ReadOnlyBinderView
+          binderName={preferences.binderName}
+          gridSize={preferences.gridSize}
+          pageCount={preferences.pageCount || 1}
+          cards={viewerCards}
+          subtitle={
+            binder.ownerDisplayName
+              ? `Shared with you by ${binder.ownerDisplayName}`
+              : "Shared with you"
+          }
+        />
+      </div>
+    );
+  }
+
+  // Actual page numbers shown in the current spread
+  const spreadPages = getPagesForSpread(currentPage);
+
   // Calculate navigation states using preferences from the hook
   const canGoPrevious = currentPage > 1;
   const canGoNext = preferences.pageCount
@@ -343,7 +632,11 @@ const Binder = () => {
     }
 
     const newPageCount = currentPageCount + 1;
-    updatePreferences({ pageCount: newPageCount });
+    updatePreferencesWithHistory(
+      { pageCount: newPageCount },
+      EDIT_TYPES.ADD_PAGE,
+      `Added page ${newPageCount}`
+    );
     setCurrentPage(newPageCount);
   };
 
@@ -359,37 +652,37 @@ const Binder = () => {
     }
     newCurrentPage = Math.min(newCurrentPage, newPageCount);
     setCurrentPage(newCurrentPage);
-    updatePreferences({ pageCount: newPageCount });
+    updatePreferencesWithHistory(
+      { pageCount: newPageCount },
+      EDIT_TYPES.DELETE_PAGE,
+      `Deleted page ${pageToDelete}`
+    );
   };
 
   // Other handlers like handleGridSizeChange, handleToggleReverseHolos, etc.
   // should also use updatePreferences similarly.
   const handleGridSizeChange = (newGridSize) => {
-    updatePreferences({ gridSize: newGridSize });
+    updatePreferencesWithHistory(
+      { gridSize: newGridSize },
+      EDIT_TYPES.UPDATE_PREFERENCES,
+      `Changed grid size to ${newGridSize}`
+    );
   };
 
   const handleToggleReverseHolos = (newShowReverseHolos) => {
-    updatePreferences({ showReverseHolos: newShowReverseHolos });
+    updatePreferencesWithHistory(
+      { showReverseHolos: newShowReverseHolos },
+      EDIT_TYPES.UPDATE_PREFERENCES,
+      `${newShowReverseHolos ? "Showed" : "Hid"} reverse holos`
+    );
   };
 
   const handleToggleHideMissingCards = (newHideMissingCards) => {
-    updatePreferences({ hideMissingCards: newHideMissingCards });
-  };
-
-  const handleAddMissingCard = (cardNumber) => {
-    const currentMissingCards = preferences.missingCards || [];
-    const updatedMissingCards = [
-      ...new Set([...currentMissingCards, cardNumber]),
-    ].sort((a, b) => parseInt(a) - parseInt(b));
-    updatePreferences({ missingCards: updatedMissingCards });
-  };
-
-  const handleRemoveMissingCard = (cardNumber) => {
-    const currentMissingCards = preferences.missingCards || [];
-    const updatedMissingCards = currentMissingCards.filter(
-      (card) => card !== cardNumber
+    updatePreferencesWithHistory(
+      { hideMissingCards: newHideMissingCards },
+      EDIT_TYPES.UPDATE_PREFERENCES,
+      `${newHideMissingCards ? "Hid" : "Showed"} missing cards`
     );
-    updatePreferences({ missingCards: updatedMissingCards });
   };
 
   const handlePageCountChange = (newPageCount) => {
@@ -399,7 +692,11 @@ const Binder = () => {
     const newCurrentPage =
       currentPage > validPageCount ? validPageCount : currentPage;
     setCurrentPage(newCurrentPage);
-    updatePreferences({ pageCount: validPageCount });
+    updatePreferencesWithHistory(
+      { pageCount: validPageCount },
+      EDIT_TYPES.UPDATE_PREFERENCES,
+      `Changed page count to ${validPageCount}`
+    );
   };
 
   // WorkspaceLayout props need to be updated to use preferences values
@@ -464,19 +761,23 @@ const Binder = () => {
         onNextPage={handleNextPage}
         canGoPrevious={canGoPrevious}
         canGoNext={canGoNext}
-        onUndo={handleUndo}
-        onRedo={handleRedo}
-        canUndo={canUndo}
-        canRedo={canRedo}
+        onUndo={editHistory.undo}
+        onRedo={editHistory.redo}
+        canUndo={editHistory.canUndo}
+        canRedo={editHistory.canRedo}
+        historyEntries={editHistory.entries}
+        undoneHistoryEntries={editHistory.undoneEntries}
+        onOpenRevisions={
+          currentUser && isBinderOwner
+            ? () => setIsRevisionsModalOpen(true)
+            : undefined
+        }
         gridSize={preferences.gridSize}
         onGridSizeChange={handleGridSizeChange}
         showReverseHolos={preferences.showReverseHolos}
         onToggleReverseHolos={handleToggleReverseHolos}
         hideMissingCards={preferences.hideMissingCards}
         onToggleHideMissingCards={handleToggleHideMissingCards}
-        missingCards={preferences.missingCards || []}
-        onAddMissingCard={handleAddMissingCard}
-        onRemoveMissingCard={handleRemoveMissingCard}
         pageCount={preferences.pageCount || 0}
         onPageCountChange={handlePageCountChange}
         currentPage={currentPage}
@@ -489,15 +790,18 @@ const Binder = () => {
         onNameChange={(e) => setTempName(e.target.value)}
         onNameKeyPress={handleNameKeyPress}
         isDirty={isDirty}
-        onSave={isDirty && !isSaving ? savePreferences : undefined}
-        onRevert={isDirty && !isSaving ? revertPreferences : undefined}
+        onSave={isDirty && !isSaving ? handleSavePreferences : undefined}
+        onRevert={isDirty && !isSaving ? handleRevertPreferences : undefined}
         isSaving={isSaving}
         disabled={isOverviewModeActive}
         isOverviewModeActive={isOverviewModeActive}
         onToggleOverviewMode={() => setIsOverviewModeActive((prev) => !prev)}
         onAddCards={handleAddCards}
+        onArrangeCards={handleOpenArrange}
         onClipboard={() => console.log("Clipboard clicked")}
+        onShare={canShareBinder ? () => setIsShareModalOpen(true) : undefined}
         binderId={binderId}
+        ownerId={ownerId}
       >
         {isOverviewModeActive ? (
           <BinderOverview
@@ -520,12 +824,21 @@ const Binder = () => {
             isAtPageLimit={isAtPageLimit}
             limitReason={limitReason}
             maxPages={maxPages}
-            cardsOnPage1={localCardState.getCardsForPage(currentPage)}
-            cardsOnPage2={localCardState.getCardsForPage(currentPage + 1)}
+            cardsOnPage1={localCardState.getCardsForPage(
+              spreadPages.leftPage ?? spreadPages.rightPage
+            )}
+            cardsOnPage2={
+              spreadPages.leftPage
+                ? localCardState.getCardsForPage(spreadPages.rightPage)
+                : []
+            }
             allCards={localCardState.localCards}
             onCardMove={handleCardMove}
             isDragEnabled={!isOverviewModeActive}
-            onAddCard={handleAddCards}
+            onAddCard={handleAddCardToSlot}
+            onEditCard={setEditingCard}
+            setLayoutSlots={ghostSlots}
+            highlightedSlot={highlightedSlot}
           />
         )}
       </WorkspaceLayout>
@@ -542,22 +855,79 @@ const Binder = () => {
         savedCards={binderState?.allVisibleCards || []}
         onAddMorePages={(pagesNeeded) => {
           const newPageCount = (preferences?.pageCount || 1) + pagesNeeded;
-          updatePreferences({ pageCount: newPageCount });
+          updatePreferencesWithHistory(
+            { pageCount: newPageCount },
+            EDIT_TYPES.ADD_PAGE,
+            `Added ${pagesNeeded} page${pagesNeeded !== 1 ? "s" : ""}`
+          );
           setCurrentPage(newPageCount);
         }}
         onChangeGridSize={handleGridSizeChange}
         canAddPages={canAddPage}
         maxPages={maxPages}
+        setLayout={setLayout.layout}
+        targetCard={addCardsTarget}
       />
+
+      {/* Auto-arrange or compact, with a preview */}
+      <ArrangeCardsModal
+        isOpen={!!arrangeSnapshot}
+        onClose={() => setArrangeSnapshot(null)}
+        cards={arrangeSnapshot?.cards || []}
+        reservedSlotNumbers={arrangeSnapshot?.reservedSlotNumbers || new Set()}
+        gridSize={preferences.gridSize || "3x3"}
+        pageCount={preferences.pageCount || 1}
+        sortBy={preferences.sortBy}
+        sortDirection={preferences.sortDirection}
+        onApply={handleArrangeCards}
+      />
+
+      {/* Condition, grading and purchase details of a card */}
+      <CardDetailsModal
+        isOpen={!!editingCard}
+        onClose={() => setEditingCard(null)}
+        card={editingCard}
+        onSave={handleCardDetailsSave}
+      />
+
+      {/* Saved versions of this binder */}
+      <RevisionHistoryModal
+        isOpen={isRevisionsModalOpen}
+        onClose={() => setIsRevisionsModalOpen(false)}
+        binderId={binderId}
+        hasUnsavedChanges={isDirty || hasPendingChanges(binderId)}
+        onRestored={() => clearEditHistory(binderId)}
+      />
+
+      {/* Changes saved on another device that overlap unsaved edits */}
+      <SyncConflictModal
+        isOpen={syncConflicts.length > 0}
+        conflicts={syncConflicts}
+        onKeepLocal={() => handleResolveSyncConflicts(true)}
+        onUseRemote={() => handleResolveSyncConflicts(false)}
+      />
+
+      {/* Settings another device saved while these edits were unsaved */}
+      <SaveConflictModal
+        isOpen={!!preferenceConflict}
+        title="Settings saved elsewhere"
+        conflicts={preferenceConflict?.conflicts}
+        onResolve={handleResolvePreferenceConflict}
+        onCancel={dismissPreferenceConflict}
+        isSaving={isSaving}
+      />
+
+      {/* Read-only share link */}
+      {canShareBinder && (
+        <ShareBinderModal
+          isOpen={isShareModalOpen}
+          onClose={() => setIsShareModalOpen(false)}
+          binderId={binderId}
+          canInviteCollaborators={canInviteCollaborators}
+        />
+      )}
     </>
   );
 };
 
 export default Binder;
-
-// Helper/placeholder functions if not already defined elsewhere
-// These would need actual implementation for undo/redo and card adding.
-const handleUndo = () => console.log("Undo action triggered");
-const handleRedo = () => console.log("Redo action triggered");
-const canUndo = false; // Placeholder
-const canRedo = false; // Placeholder
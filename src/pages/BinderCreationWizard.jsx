@@ -15,6 +15,8 @@ import {
   Sparkles,
   Crown,
   AlertTriangle,
+  ListChecks,
+  Search,
 } from "lucide-react";
 import { Button, Slider, Alert, AlertDescription } from "../components/ui";
 import { useAnimations } from "../contexts/AnimationContext";
@@ -24,6 +26,8 @@ import { useUserLimits } from "../hooks/useUserLimits";
 import { useAddBinder } from "../hooks/useUserData";
 import { useQuery } from "@tanstack/react-query";
 import { getBindersForUser } from "../services/firestore";
+import { usePokemonSets } from "../hooks/usePokemonCache";
+import { buildSetTemplate, getSetLayoutPageCount } from "../utils/setLayout";
 
 const WIZARD_STEPS = [
   {
@@ -51,15 +55,28 @@ const BINDER_TEMPLATES = [
     gridSize: "3x3",
     pageCount: 10,
   },
+  // Set templates reserve a slot for every card of a set, in card-number
+  // order, and size the binder to fit; `setId` picks a set up front
+  {
+    id: "set-checklist",
+    name: "Set Checklist",
+    description: "Pick any set and get a slot for every card in set order",
+    icon: ListChecks,
+    color: "from-teal-500 to-cyan-600",
+    popular: true,
+    gridSize: "3x3",
+    usesSet: true,
+  },
   {
     id: "base-set",
     name: "Base Set Collection",
-    description: "Perfect for classic Pokemon Base Set cards",
+    description: "Every classic Base Set card, laid out in card order",
     icon: Star,
     color: "from-blue-500 to-blue-600",
     popular: true,
     gridSize: "3x3",
-    pageCount: 12,
+    usesSet: true,
+    setId: "base1",
   },
   {
     id: "modern-meta",
@@ -241,7 +258,12 @@ const BinderCreationWizard = () => {
     description: "",
     gridSize: "3x3",
     pageCount: Math.min(10, maxPages || 10),
+    set: null, // Set laid out by a set template
   });
+  const { data: sets = [], isLoading: isLoadingSets } = usePokemonSets();
+  const selectedTemplate = BINDER_TEMPLATES.find(
+    (t) => t.id === wizardData.templateId
+  );
 
   const currentStepId = WIZARD_STEPS[currentStep].id;
   const isFirstStep = currentStep === 0;
@@ -309,6 +331,8 @@ const BinderCreationWizard = () => {
         description: wizardData.description || "",
         gridSize: wizardData.gridSize,
         pageCount: wizardData.pageCount,
+        ...(selectedTemplate?.usesSet &&
+          wizardData.set && { setTemplate: buildSetTemplate(wizardData.set) }),
       };
 
       console.log("Attempting to create binder with data:", binderToCreate);
@@ -334,22 +358,63 @@ const BinderCreationWizard = () => {
   };
 
   const updateWizardData = (updates) => {
-    setWizardData((prev) => ({ ...prev, ...updates }));
+    setWizardData((prev) => {
+      const next = { ...prev, ...updates };
+      // Binders laid out from a set get just enough pages for the whole set
+      if (next.set && ("set" in updates || "gridSize" in updates)) {
+        const pagesNeeded = getSetLayoutPageCount(
+          next.set.total,
+          next.gridSize
+        );
+        next.pageCount = Math.min(pagesNeeded, maxPages || pagesNeeded);
+      }
+      return next;
+    });
   };
 
+  // Names the wizard filled in itself, which picking something else may replace
+  const isDefaultName = (name) =>
+    !name ||
+    BINDER_TEMPLATES.some((template) => template.name === name) ||
+    name === wizardData.set?.name;
+
   const handleTemplateSelect = (template) => {
+    let set = null;
+    if (template.setId) {
+      set = sets.find((s) => s.id === template.setId) || null;
+    } else if (template.usesSet) {
+      set = wizardData.set;
+    }
+
     updateWizardData({
       templateId: template.id,
-      binderName: wizardData.binderName || template.name,
+      binderName: isDefaultName(wizardData.binderName)
+        ? set?.name || template.name
+        : wizardData.binderName,
       gridSize: template.gridSize,
-      pageCount: Math.min(template.pageCount, maxPages || template.pageCount),
+      set,
+      ...(!template.usesSet && {
+        pageCount: Math.min(template.pageCount, maxPages || template.pageCount),
+      }),
+    });
+  };
+
+  const handleSetSelect = (set) => {
+    updateWizardData({
+      set,
+      binderName: isDefaultName(wizardData.binderName)
+        ? set.name
+        : wizardData.binderName,
     });
   };
 
   const canProceed = () => {
     switch (currentStepId) {
       case "template":
-        return wizardData.templateId !== null;
+        return (
+          wizardData.templateId !== null &&
+          (!selectedTemplate?.usesSet || !!wizardData.set)
+        );
       case "basics":
         return wizardData.binderName.trim().length > 0;
       case "layout":
@@ -408,10 +473,12 @@ const BinderCreationWizard = () => {
             >
               {currentStepId === "template" && (
                 <TemplateStep
-                  selected={BINDER_TEMPLATES.find(
-                    (t) => t.id === wizardData.templateId
-                  )}
+                  selected={selectedTemplate}
                   onSelect={handleTemplateSelect}
+                  sets={sets}
+                  isLoadingSets={isLoadingSets}
+                  selectedSet={wizardData.set}
+                  onSelectSet={handleSetSelect}
                 />
               )}
 
@@ -515,7 +582,14 @@ const ProgressBar = ({ steps, currentStep }) => {
 };
 
 // Template Selection Step
-const TemplateStep = ({ selected, onSelect }) => {
+const TemplateStep = ({
+  selected,
+  onSelect,
+  sets,
+  isLoadingSets,
+  selectedSet,
+  onSelectSet,
+}) => {
   return (
     <div>
       <div className="text-center mb-8">
@@ -585,12 +659,116 @@ const TemplateStep = ({ selected, onSelect }) => {
 
               <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400 mt-auto pt-4 border-t border-gray-200 dark:border-gray-700">
                 <span>{template.gridSize} Grid</span>
-                <span>{template.pageCount} Pages</span>
+                <span>
+                  {template.usesSet
+                    ? "Sized to the set"
+                    : `${template.pageCount} Pages`}
+                </span>
               </div>
             </motion.div>
           );
         })}
       </div>
+
+      {selected?.usesSet && (
+        <SetPicker
+          sets={sets}
+          isLoading={isLoadingSets}
+          selectedSet={selectedSet}
+          onSelect={onSelectSet}
+        />
+      )}
+    </div>
+  );
+};
+
+// Set picker for set templates
+const SetPicker = ({ sets, isLoading, selectedSet, onSelect }) => {
+  const [search, setSearch] = useState("");
+
+  const query = search.trim().toLowerCase();
+  const filteredSets = query
+    ? sets.filter(
+        (set) =>
+          set.name.toLowerCase().includes(query) ||
+          set.series?.toLowerCase().includes(query) ||
+          set.id.toLowerCase() === query
+      )
+    : sets;
+
+  return (
+    <div className="mt-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Choose a Set
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {selectedSet
+              ? `${selectedSet.name}: ${selectedSet.total} cards, each with its own slot`
+              : "Every card of the set gets a slot in card-number order"}
+          </p>
+        </div>
+        <div className="relative sm:w-64">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search sets..."
+            className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 max-h-72 overflow-y-auto p-1">
+        {isLoading ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 col-span-full text-center py-6">
+            Loading sets...
+          </p>
+        ) : filteredSets.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 col-span-full text-center py-6">
+            No sets match "{search}"
+          </p>
+        ) : (
+          filteredSets.map((set) => {
+            const isSelected = selectedSet?.id === set.id;
+            return (
+              <button
+                key={set.id}
+                type="button"
+                onClick={() => onSelect(set)}
+                aria-pressed={isSelected}
+                className={`flex items-center space-x-3 rounded-lg border p-2 text-left transition-colors ${
+                  isSelected
+                    ? "border-blue-600 bg-blue-50 dark:bg-blue-900/30"
+                    : "border-gray-200 dark:border-gray-700 hover:border-blue-400 dark:hover:border-blue-500"
+                }`}
+              >
+                {set.images?.symbol && (
+                  <img
+                    src={set.images.symbol}
+                    alt=""
+                    className="w-6 h-6 object-contain flex-shrink-0"
+                    loading="lazy"
+                  />
+                )}
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {set.name}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {set.series} · {set.total} cards
+                  </p>
+                </div>
+                {isSelected && (
+                  <Check className="w-4 h-4 text-blue-600 flex-shrink-0" />
+                )}
+              </button>
+            );
+          })
+        )}
+      </div>
     </div>
   );
 };
@@ -703,6 +881,13 @@ const LayoutStep = ({ data, onChange }) => {
               {data.pageCount}
             </div>
           </div>
+          {data.set && (
+            <SetFitNote
+              set={data.set}
+              gridSize={data.gridSize}
+              pageCount={data.pageCount}
+            />
+          )}
           <p className="text-sm text-gray-600 dark:text-gray-400 mt-3">
             Total cards:{" "}
             <span className="font-semibold text-gray-800 dark:text-gray-200">
@@ -716,6 +901,27 @@ const LayoutStep = ({ data, onChange }) => {
   );
 };
 
+// Whether a set template's binder has room for the whole set
+const SetFitNote = ({ set, gridSize, pageCount }) => {
+  const pagesNeeded = getSetLayoutPageCount(set.total, gridSize);
+
+  return (
+    <p
+      className={`text-sm mt-3 ${
+        pageCount < pagesNeeded
+          ? "text-amber-600 dark:text-amber-400"
+          : "text-gray-600 dark:text-gray-400"
+      }`}
+    >
+      {pageCount < pagesNeeded
+        ? `${set.name} needs ${pagesNeeded} pages at this grid size; cards past page ${pageCount} won't have a slot.`
+        : `${pagesNeeded} page${pagesNeeded !== 1 ? "s" : ""} fit all ${
+            set.total
+          } cards of ${set.name}.`}
+    </p>
+  );
+};
+
 // Preview Step
 const PreviewStep = ({ data }) => {
   const selectedGrid = GRID_SIZES.find((g) => g.value === data.gridSize);
@@ -759,6 +965,16 @@ const PreviewStep = ({ data }) => {
                 {data.templateId}
               </div>
             </div>
+            {data.set && (
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">
+                  Set Layout
+                </div>
+                <div className="font-semibold text-gray-900 dark:text-white">
+                  {data.set.name} ({data.set.total} cards)
+                </div>
+              </div>
+            )}
             <div>
               <div className="text-sm text-gray-500 dark:text-gray-400">
                 Grid Size
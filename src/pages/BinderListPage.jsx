@@ -4,6 +4,7 @@ import { useState } from "react";
 import { useAuth } from "../contexts/AuthContext";
 import {
   getBindersForUser,
+  getBindersSharedWithUser,
   deleteBinder as deleteBinderService,
 } from "../services/firestore";
 import { Button, LoadingSpinner, Badge } from "../components/ui";
@@ -25,7 +26,9 @@ const BinderListPage = () => {
     isGuest,
     isRegistered,
     userType,
+    canUseFeature,
   } = useUserLimits();
+  const canSeeSharedBinders = canUseFeature("COLLABORATION");
 
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [binderToDelete, setBinderToDelete] = useState(null);
@@ -51,6 +54,14 @@ const BinderListPage = () => {
     staleTime: 1000 * 60 * 1, // 1 minute - reduced from 5 minutes for better responsiveness
   });
 
+  // Binders other users invited this user to
+  const { data: sharedBindersData } = useQuery({
+    queryKey: ["sharedWithMeBinders", currentUser?.uid],
+    queryFn: () => getBindersSharedWithUser(currentUser.uid),
+    enabled: !!currentUser?.uid && canSeeSharedBinders,
+    staleTime: 1000 * 60 * 1, // 1 minute
+  });
+
   const { mutate: deleteBinder, isLoading: isDeletingBinder } =
     useDeleteBinder();
 
@@ -110,6 +121,7 @@ const BinderListPage = () => {
   }
 
   const binders = bindersData?.binders || [];
+  const sharedBinders = sharedBindersData?.binders || [];
   const binderCount = binders.length;
   const maxBinders = limits.maxBinders;
   const isUnlimited = maxBinders === Number.MAX_SAFE_INTEGER;
@@ -211,6 +223,31 @@ const BinderListPage = () => {
             ))}
           </div>
         )}
+
+        {canSeeSharedBinders &&
+          (sharedBinders.length > 0 || sharedBindersData?.error) && (
+            <section className="mt-12">
+              <h2 className="flex items-center text-xl font-semibold text-gray-900 dark:text-white mb-4">
+                <Users className="w-5 h-5 mr-2 text-gray-500 dark:text-gray-400" />
+                Shared with me
+              </h2>
+              {sharedBindersData?.error ? (
+                <p className="text-sm text-red-600 dark:text-red-400">
+                  Couldn't load shared binders: {sharedBindersData.error}
+                </p>
+              ) : (
+                <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
+                  {sharedBinders.map((binder) => (
+                    <BinderCard
+                      key={`${binder.ownerId}/${binder.id}`}
+                      binder={binder}
+                      sharedRole={binder.role}
+                    />
+                  ))}
+                </div>
+              )}
+            </section>
+          )}
       </div>
 
       {binderToDelete && (
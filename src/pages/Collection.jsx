@@ -1,6 +1,173 @@
-import { Library } from "lucide-react";
+import { useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Library,
+  Search,
+  ArrowUpDown,
+  RotateCcw,
+  AlertTriangle,
+  ImageIcon,
+} from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { useAllUserCards } from "../hooks/useUserData";
+import { Button, LoadingSpinner } from "../components/ui";
+import { getCardMarketPrice, formatPrice } from "../utils/cardPricing";
+import { compareBySetAndNumber } from "../utils/cardSorting";
+
+const PAGE_SIZE = 60; // Cards rendered per "Show more" step
+
+const SORT_OPTIONS = [
+  { value: "name", label: "Name" },
+  { value: "setNumber", label: "Set number" },
+  { value: "createdAt", label: "Date added" },
+  { value: "value", label: "Value" },
+];
+
+const EMPTY_FILTERS = {
+  set: "",
+  type: "",
+  rarity: "",
+  artist: "",
+  binder: "",
+};
+
+// createdAt is a Firestore Timestamp on saved cards
+const toMillis = (value) =>
+  value?.toMillis ? value.toMillis() : value ? new Date(value).getTime() : 0;
+
+const compareCards = (sortBy) => (a, b) => {
+  switch (sortBy) {
+    case "setNumber":
+      return compareBySetAndNumber(a, b);
+    case "createdAt":
+      return toMillis(a.createdAt) - toMillis(b.createdAt);
+    case "value":
+      return (getCardMarketPrice(a) ?? -1) - (getCardMarketPrice(b) ?? -1);
+    case "name":
+    default:
+      return (a.name || "").localeCompare(b.name || "");
+  }
+};
+
+const uniqueSorted = (values) =>
+  [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+const FilterSelect = ({ label, value, onChange, options }) => (
+  <label className="flex flex-col text-xs font-medium text-gray-600 dark:text-gray-400">
+    {label}
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="mt-1 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+    >
+      <option value="">All</option>
+      {options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  </label>
+);
 
 const Collection = () => {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const { data, isLoading, refetch } = useAllUserCards(currentUser?.uid);
+
+  const [searchQuery, setSearchQuery] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sortBy, setSortBy] = useState("name");
+  const [sortDirection, setSortDirection] = useState("asc");
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const cards = useMemo(() => data?.cards || [], [data]);
+
+  const filterOptions = useMemo(() => {
+    const sets = new Map();
+    cards.forEach((card) => {
+      if (card.setId) sets.set(card.setId, card.set || card.setId);
+    });
+
+    return {
+      set: [...sets.entries()]
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([value, label]) => ({ value, label })),
+      type: uniqueSorted(cards.flatMap((card) => card.types || [])).map(
+        (type) => ({ value: type, label: type })
+      ),
+      rarity: uniqueSorted(cards.map((card) => card.rarity)).map((rarity) => ({
+        value: rarity,
+        label: rarity,
+      })),
+      artist: uniqueSorted(cards.map((card) => card.artist)).map((artist) => ({
+        value: artist,
+        label: artist,
+      })),
+      binder: (data?.binders || []).map((binder) => ({
+        value: binder.id,
+        label: binder.binderName,
+      })),
+    };
+  }, [cards, data?.binders]);
+
+  const filteredCards = useMemo(() => {
+    const normalizedQuery = searchQuery.trim().toLowerCase();
+
+    const filtered = cards.filter((card) => {
+      if (filters.set && card.setId !== filters.set) return false;
+      if (filters.type && !(card.types || []).includes(filters.type)) {
+        return false;
+      }
+      if (filters.rarity && card.rarity !== filters.rarity) return false;
+      if (filters.artist && card.artist !== filters.artist) return false;
+      if (filters.binder && card.binderId !== filters.binder) return false;
+      if (normalizedQuery) {
+        return [card.name, card.set, card.number, card.artist]
+          .filter(Boolean)
+          .some((field) => field.toLowerCase().includes(normalizedQuery));
+      }
+      return true;
+    });
+
+    const sorted = [...filtered].sort(compareCards(sortBy));
+    return sortDirection === "desc" ? sorted.reverse() : sorted;
+  }, [cards, searchQuery, filters, sortBy, sortDirection]);
+
+  const summary = useMemo(
+    () => ({
+      totalCards: cards.length,
+      uniqueCards: new Set(cards.map((card) => card.cardApiId)).size,
+      totalValue: cards.reduce(
+        (sum, card) => sum + (getCardMarketPrice(card) || 0),
+        0
+      ),
+    }),
+    [cards]
+  );
+
+  const hasActiveFilters =
+    searchQuery || Object.values(filters).some((value) => value);
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setSearchQuery("");
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const openInBinder = (card) => {
+    const params =
+      card.pageNumber && card.slotInPage
+        ? `?page=${card.pageNumber}&slot=${card.slotInPage}`
+        : "";
+    navigate(`/app/binder/${card.binderId}${params}`);
+  };
+
   return (
     <div className="p-3 sm:p-6">
       <div className="max-w-7xl mx-auto">
@@ -9,21 +176,183 @@ const Collection = () => {
             My Collection
           </h1>
           <p className="mt-1 sm:mt-2 text-sm sm:text-base text-gray-600 dark:text-gray-400">
-            Browse and manage your Pokemon card collection
+            {summary.totalCards} cards ({summary.uniqueCards} unique) across{" "}
+            {data?.binders?.length || 0} binders ·{" "}
+            {formatPrice(summary.totalValue)} market value
           </p>
         </div>
 
-        {/* Collection content will go here */}
-        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 sm:p-8 text-center">
-          <Library className="h-12 w-12 sm:h-16 sm:w-16 mx-auto mb-4 text-gray-400 dark:text-gray-500" />
-          <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-white mb-2">
-            Collection View Coming Soon
-          </h2>
-          <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400">
-            This page will display your Pokemon card collection with filtering
-            and sorting options.
-          </p>
+        {/* Filters */}
+        <div className="mb-6 bg-white dark:bg-gray-800 rounded-lg shadow p-4 space-y-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <div className="relative flex-1 min-w-[200px]">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search name, set, number or artist..."
+                value={searchQuery}
+                onChange={(e) => {
+                  setSearchQuery(e.target.value);
+                  setVisibleCount(PAGE_SIZE);
+                }}
+                className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              />
+            </div>
+            <div className="flex items-center space-x-1">
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                aria-label="Sort by"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() =>
+                  setSortDirection((prev) => (prev === "asc" ? "desc" : "asc"))
+                }
+                aria-label="Toggle sort direction"
+                title={sortDirection === "asc" ? "Ascending" : "Descending"}
+              >
+                <ArrowUpDown className="w-4 h-4" />
+              </Button>
+            </div>
+            {hasActiveFilters && (
+              <Button variant="ghost" size="sm" onClick={clearFilters}>
+                <RotateCcw className="w-4 h-4 mr-2" />
+                Reset
+              </Button>
+            )}
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
+            <FilterSelect
+              label="Set"
+              value={filters.set}
+              onChange={(value) => updateFilter("set", value)}
+              options={filterOptions.set}
+            />
+            <FilterSelect
+              label="Type"
+              value={filters.type}
+              onChange={(value) => updateFilter("type", value)}
+              options={filterOptions.type}
+            />
+            <FilterSelect
+              label="Rarity"
+              value={filters.rarity}
+              onChange={(value) => updateFilter("rarity", value)}
+              options={filterOptions.rarity}
+            />
+            <FilterSelect
+              label="Artist"
+              value={filters.artist}
+              onChange={(value) => updateFilter("artist", value)}
+              options={filterOptions.artist}
+            />
+            <FilterSelect
+              label="Binder"
+              value={filters.binder}
+              onChange={(value) => updateFilter("binder", value)}
+              options={filterOptions.binder}
+            />
+          </div>
         </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-16">
+            <LoadingSpinner message="Loading your collection..." />
+          </div>
+        ) : data && !data.success ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 text-center">
+            <AlertTriangle className="w-10 h-10 mx-auto mb-3 text-red-500" />
+            <p className="text-gray-600 dark:text-gray-400 mb-4">
+              {data.error}
+            </p>
+            <Button variant="outline" onClick={() => refetch()}>
+              Try Again
+            </Button>
+          </div>
+        ) : filteredCards.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 sm:p-8 text-center">
+            <Library className="h-12 w-12 sm:h-16 sm:w-16 mx-auto mb-4 text-gray-400 dark:text-gray-500" />
+            <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-white mb-2">
+              {cards.length === 0
+                ? "No cards in your binders yet"
+                : "No cards match your filters"}
+            </h2>
+            <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400">
+              {cards.length === 0
+                ? "Cards you save to any binder will show up here."
+                : "Try clearing the search or changing the filters."}
+            </p>
+          </div>
+        ) : (
+          <>
+            <p className="mb-3 text-sm text-gray-500 dark:text-gray-400">
+              Showing {Math.min(visibleCount, filteredCards.length)} of{" "}
+              {filteredCards.length} cards
+            </p>
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-4">
+              {filteredCards.slice(0, visibleCount).map((card) => (
+                <button
+                  key={`${card.binderId}-${card.id}`}
+                  type="button"
+                  onClick={() => openInBinder(card)}
+                  className="text-left rounded-lg overflow-hidden bg-white dark:bg-gray-800 shadow hover:shadow-lg hover:scale-[1.02] transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  title={`Open in ${card.binderName}`}
+                >
+                  <div className="aspect-[5/7] bg-gray-100 dark:bg-gray-700">
+                    {card.images?.small ? (
+                      <img
+                        src={card.images.small}
+                        alt={card.name}
+                        loading="lazy"
+                        className="w-full h-full object-cover"
+                      />
+                    ) : (
+                      <div className="w-full h-full flex items-center justify-center text-gray-400">
+                        <ImageIcon className="w-8 h-8" />
+                      </div>
+                    )}
+                  </div>
+                  <div className="p-2 space-y-0.5">
+                    <h3 className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                      {card.name}
+                    </h3>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {card.set}
+                      {card.number && ` · #${card.number}`}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {card.binderName}
+                      {card.pageNumber &&
+                        ` · p${card.pageNumber} s${card.slotInPage}`}
+                    </p>
+                    <p className="text-xs font-medium text-gray-700 dark:text-gray-300">
+                      {formatPrice(getCardMarketPrice(card))}
+                    </p>
+                  </div>
+                </button>
+              ))}
+            </div>
+            {visibleCount < filteredCards.length && (
+              <div className="mt-6 flex justify-center">
+                <Button
+                  variant="outline"
+                  onClick={() => setVisibleCount((prev) => prev + PAGE_SIZE)}
+                >
+                  Show more
+                </Button>
+              </div>
+            )}
+          </>
+        )}
       </div>
     </div>
   );
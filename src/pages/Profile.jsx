@@ -7,6 +7,7 @@ import AdminSection from "../components/profile/sections/AdminSection";
 import BinderPreferencesSection from "../components/profile/sections/BinderPreferencesSection";
 import PrivacySharingSection from "../components/profile/sections/PrivacySharingSection";
 import InterfaceSection from "../components/profile/sections/InterfaceSection";
+import DataBackupSection from "../components/profile/sections/DataBackupSection";
 
 const Profile = () => {
   const {
@@ -50,6 +51,8 @@ const Profile = () => {
         return <BinderPreferencesSection />;
       case "privacy-sharing":
         return <PrivacySharingSection />;
+      case "data-backup":
+        return <DataBackupSection />;
       case "display-themes":
         return (
           <div className="space-y-6">
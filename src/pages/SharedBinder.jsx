@@ -0,0 +1,140 @@
+import { useEffect } from "react";
+import { useParams, useLocation, Link } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { LinkIcon, Download, LogIn } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { ReadOnlyBinderView } from "../components/binder";
+import { Button, LoadingSpinner } from "../components/ui";
+import { getSharedBinder, recordSharedBinderView } from "../services/firestore";
+import { buildCardListCsv } from "../utils/cardListCsv";
+
+// Views are counted once per browser session
+const VIEWED_KEY_PREFIX = "pokemon_binder_shared_viewed_";
+
+/**
+ * SharedBinder - Public, read-only view of a binder opened from a share link
+ * Works without signing in unless the owner requires an email; the Firestore
+ * rules only allow the read while the link is active. Downloading the card
+ * list, view counting and search indexing follow the owner's privacy settings.
+ */
+const SharedBinder = () => {
+  const { token } = useParams();
+  const location = useLocation();
+  const { currentUser, loading: isAuthLoading } = useAuth();
+
+  // Keyed on the viewer, since signing in can unlock email-only links
+  const { data, isLoading, error } = useQuery({
+    queryKey: ["sharedBinder", token, currentUser?.uid],
+    queryFn: () => getSharedBinder(token),
+    enabled: !!token && !isAuthLoading,
+    retry: false,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  const binder = data?.success ? data.binder : null;
+  const share = data?.success ? data.share : null;
+
+  // Count the view for the owner's analytics, but not the owner's own visits
+  const shouldRecordView =
+    !!share?.allowAnalytics && currentUser?.uid !== share?.ownerId;
+  useEffect(() => {
+    if (!shouldRecordView) return;
+
+    const viewedKey = `${VIEWED_KEY_PREFIX}${token}`;
+    if (sessionStorage.getItem(viewedKey)) return;
+
+    sessionStorage.setItem(viewedKey, "true");
+    recordSharedBinderView(token);
+  }, [shouldRecordView, token]);
+
+  const handleDownloadCardList = () => {
+    const blob = new Blob([buildCardListCsv(data.cards)], {
+      type: "text/csv",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${binder.binderName || "binder"}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (isAuthLoading || isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (data?.requiresSignIn) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center p-3 sm:p-6">
+        <div className="text-center max-w-md">
+          <LogIn className="h-12 w-12 mx-auto mb-4 text-gray-400 dark:text-gray-500" />
+          <h1 className="text-2xl font-semibold text-gray-900 dark:text-white mb-2">
+            Sign in to view this binder
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">{data.error}</p>
+          <Link to="/auth" state={{ from: location }}>
+            <Button variant="primary">Sign In</Button>
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !binder) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center p-3 sm:p-6">
+        <div className="text-center max-w-md">
+          <LinkIcon className="h-12 w-12 mx-auto mb-4 text-gray-400 dark:text-gray-500" />
+          <h1 className="text-2xl font-semibold text-gray-900 dark:text-white mb-2">
+            Binder unavailable
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            {error?.message || data?.error || "This share link is invalid."}
+          </p>
+          <Link to="/">
+            <Button variant="primary">Go to Pokemon Binder</Button>
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const showOwner = share.showOwnerInfo && share.ownerDisplayName;
+
+  return (
+    <div className="h-screen bg-gray-50 dark:bg-gray-900">
+      <title>{binder.binderName || "Shared Binder"}</title>
+      {/* Keep binders out of search engines unless the owner allows discovery */}
+      {!share.discoverable && <meta name="robots" content="noindex" />}
+
+      <ReadOnlyBinderView
+        binderName={binder.binderName}
+        gridSize={binder.gridSize || "3x3"}
+        pageCount={binder.pageCount || 1}
+        cards={data.cards}
+        subtitle={showOwner ? `Shared by ${share.ownerDisplayName}` : null}
+        avatarURL={showOwner ? share.ownerPhotoURL : null}
+        actions={
+          share.allowCopy && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleDownloadCardList}
+              className="flex items-center mr-2"
+              title="Download the card list as CSV"
+            >
+              <Download className="h-4 w-4 sm:mr-2" />
+              <span className="hidden sm:inline">Card List</span>
+            </Button>
+          )
+        }
+      />
+    </div>
+  );
+};
+
+export default SharedBinder;
@@ -1,29 +1,316 @@
-import { BarChart3 } from "lucide-react";
+import { useMemo, useState } from "react";
+import {
+  BarChart3,
+  AlertTriangle,
+  Layers,
+  Sparkles,
+  Package,
+  DollarSign,
+} from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { useAllUserCards } from "../hooks/useUserData";
+import { usePokemonSets } from "../hooks/usePokemonCache";
+import { Button, LoadingSpinner } from "../components/ui";
+import { BarList, ColumnChart } from "../components/statistics";
+import {
+  computeCollectionStats,
+  computeBinderFill,
+  computeSetCompletion,
+} from "../utils/collectionStats";
+import { formatPrice } from "../utils/cardPricing";
+
+const NO_SETS = [];
+
+const StatCard = ({ icon, label, value, iconClassName }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 flex items-center space-x-3">
+    <div className={`p-2 rounded-lg ${iconClassName}`}>{icon}</div>
+    <div>
+      <p className="text-xs text-gray-500 dark:text-gray-400">{label}</p>
+      <p className="text-xl font-bold text-gray-900 dark:text-white">{value}</p>
+    </div>
+  </div>
+);
+
+const Panel = ({ title, children, className = "" }) => (
+  <div
+    className={`bg-white dark:bg-gray-800 rounded-lg shadow p-4 ${className}`}
+  >
+    <h2 className="text-sm font-semibold text-gray-900 dark:text-white mb-4">
+      {title}
+    </h2>
+    {children}
+  </div>
+);
+
+const ProgressBar = ({ percentage, className = "bg-green-500" }) => (
+  <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+    <div
+      className={`h-2 rounded-full transition-all duration-300 ${className}`}
+      style={{ width: `${Math.min(100, percentage)}%` }}
+    />
+  </div>
+);
 
 const Statistics = () => {
+  const { currentUser } = useAuth();
+  const { data, isLoading, refetch } = useAllUserCards(currentUser?.uid);
+  const [binderFilter, setBinderFilter] = useState("");
+
+  // Set totals for completion percentages
+  const { data: sets = NO_SETS, isLoading: isLoadingSets } = usePokemonSets({
+    enabled: !!currentUser,
+  });
+  const setsById = useMemo(
+    () => new Map(sets.map((set) => [set.id, set])),
+    [sets]
+  );
+
+  const binders = useMemo(() => data?.binders || [], [data]);
+
+  const cards = useMemo(() => {
+    const allCards = data?.cards || [];
+    return binderFilter
+      ? allCards.filter((card) => card.binderId === binderFilter)
+      : allCards;
+  }, [data, binderFilter]);
+
+  const stats = useMemo(() => computeCollectionStats(cards), [cards]);
+
+  const binderFill = useMemo(
+    () =>
+      computeBinderFill(
+        binderFilter
+          ? binders.filter((binder) => binder.id === binderFilter)
+          : binders,
+        cards
+      ),
+    [binders, binderFilter, cards]
+  );
+
+  const setCompletion = useMemo(
+    () => computeSetCompletion(cards, setsById),
+    [cards, setsById]
+  );
+
+  const overallFill = useMemo(() => {
+    const totals = binderFill.reduce(
+      (acc, binder) => ({
+        used: acc.used + binder.usedSlots,
+        total: acc.total + binder.totalSlots,
+      }),
+      { used: 0, total: 0 }
+    );
+    return totals.total > 0 ? (totals.used / totals.total) * 100 : 0;
+  }, [binderFill]);
+
   return (
     <div className="p-3 sm:p-6">
       <div className="max-w-7xl mx-auto">
-        <div className="mb-6 sm:mb-8">
-          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">
-            Collection Statistics
-          </h1>
-          <p className="mt-1 sm:mt-2 text-sm sm:text-base text-gray-600 dark:text-gray-400">
-            Detailed insights and analytics about your Pokemon card collection
-          </p>
+        <div className="mb-6 sm:mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">
+              Collection Statistics
+            </h1>
+            <p className="mt-1 sm:mt-2 text-sm sm:text-base text-gray-600 dark:text-gray-400">
+              Detailed insights and analytics about your Pokemon card collection
+            </p>
+          </div>
+          <select
+            value={binderFilter}
+            onChange={(e) => setBinderFilter(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            aria-label="Filter by binder"
+          >
+            <option value="">All binders</option>
+            {binders.map((binder) => (
+              <option key={binder.id} value={binder.id}>
+                {binder.binderName}
+              </option>
+            ))}
+          </select>
         </div>
 
-        {/* Statistics content will go here */}
-        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 sm:p-8 text-center">
-          <BarChart3 className="h-12 w-12 sm:h-16 sm:w-16 mx-auto mb-4 text-gray-400 dark:text-gray-500" />
-          <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-white mb-2">
-            Analytics Dashboard Coming Soon
-          </h2>
-          <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400">
-            View charts and graphs showing collection value trends, rarity
-            distribution, and completion rates.
-          </p>
-        </div>
+        {!currentUser ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 sm:p-8 text-center">
+            <BarChart3 className="h-12 w-12 sm:h-16 sm:w-16 mx-auto mb-4 text-gray-400 dark:text-gray-500" />
+            <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400">
+              Sign in to see statistics for your collection.
+            </p>
+          </div>
+        ) : isLoading ? (
+          <div className="flex justify-center py-16">
+            <LoadingSpinner message="Crunching your collection..." />
+          </div>
+        ) : data && !data.success ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 text-center">
+            <AlertTriangle className="w-10 h-10 mx-auto mb-3 text-red-500" />
+            <p className="text-gray-600 dark:text-gray-400 mb-4">
+              {data.error}
+            </p>
+            <Button variant="outline" onClick={() => refetch()}>
+              Try Again
+            </Button>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {/* Summary */}
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+              <StatCard
+                icon={<Layers className="w-5 h-5" />}
+                label="Total cards"
+                value={stats.totalCards}
+                iconClassName="bg-blue-100 text-blue-600 dark:bg-blue-900/30 dark:text-blue-400"
+              />
+              <StatCard
+                icon={<Sparkles className="w-5 h-5" />}
+                label="Unique cards"
+                value={stats.uniqueCards}
+                iconClassName="bg-purple-100 text-purple-600 dark:bg-purple-900/30 dark:text-purple-400"
+              />
+              <StatCard
+                icon={<Package className="w-5 h-5" />}
+                label="Sets"
+                value={stats.sets.length}
+                iconClassName="bg-orange-100 text-orange-600 dark:bg-orange-900/30 dark:text-orange-400"
+              />
+              <StatCard
+                icon={<DollarSign className="w-5 h-5" />}
+                label="Market value"
+                value={formatPrice(stats.totalValue)}
+                iconClassName="bg-green-100 text-green-600 dark:bg-green-900/30 dark:text-green-400"
+              />
+            </div>
+
+            {/* Timeline and binder fill */}
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <Panel
+                title="Cards added (last 12 months)"
+                className="lg:col-span-2"
+              >
+                <ColumnChart data={stats.timeline} />
+                <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                  {stats.timeline[stats.timeline.length - 1]?.cumulative || 0}{" "}
+                  cards in total by the end of this month
+                </p>
+              </Panel>
+
+              <Panel title={`Binder fill (${overallFill.toFixed(0)}% overall)`}>
+                {binderFill.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    No binders yet.
+                  </p>
+                ) : (
+                  <div className="space-y-3 max-h-64 overflow-y-auto pr-1">
+                    {binderFill.map((binder) => (
+                      <div key={binder.binderId}>
+                        <div className="flex items-center justify-between text-xs mb-1">
+                          <span className="text-gray-700 dark:text-gray-300 truncate pr-2">
+                            {binder.binderName}
+                          </span>
+                          <span className="text-gray-500 dark:text-gray-400 flex-shrink-0">
+                            {binder.usedSlots}/{binder.totalSlots} ·{" "}
+                            {binder.percentage.toFixed(0)}%
+                          </span>
+                        </div>
+                        <ProgressBar
+                          percentage={binder.percentage}
+                          className="bg-blue-500"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </Panel>
+            </div>
+
+            {/* Distributions */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Panel title="Rarity distribution">
+                <BarList items={stats.rarities} barClassName="bg-yellow-500" />
+              </Panel>
+              <Panel title="Type distribution">
+                <BarList
+                  items={stats.types}
+                  barClassName="bg-purple-500"
+                  emptyMessage="No type data yet. Cards added before types were tracked show as Unknown."
+                />
+              </Panel>
+            </div>
+
+            {/* Sets */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Panel title="Cards per set">
+                {stats.sets.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    No cards yet.
+                  </p>
+                ) : (
+                  <div className="max-h-96 overflow-y-auto">
+                    <table className="w-full text-sm">
+                      <thead className="text-xs text-gray-500 dark:text-gray-400 text-left">
+                        <tr>
+                          <th className="pb-2 font-medium">Set</th>
+                          <th className="pb-2 font-medium text-right">Cards</th>
+                          <th className="pb-2 font-medium text-right">
+                            Unique
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                        {stats.sets.map((set) => (
+                          <tr key={set.setId}>
+                            <td className="py-1.5 text-gray-900 dark:text-white truncate">
+                              {set.setName}
+                            </td>
+                            <td className="py-1.5 text-right text-gray-700 dark:text-gray-300">
+                              {set.count}
+                            </td>
+                            <td className="py-1.5 text-right text-gray-700 dark:text-gray-300">
+                              {set.uniqueCount}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </Panel>
+
+              <Panel title="Set completion">
+                {setCompletion.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    No cards yet.
+                  </p>
+                ) : (
+                  <div className="space-y-3 max-h-96 overflow-y-auto pr-1">
+                    {isLoadingSets && (
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Loading set sizes...
+                      </p>
+                    )}
+                    {setCompletion.map((set) => (
+                      <div key={set.setId}>
+                        <div className="flex items-center justify-between text-xs mb-1">
+                          <span className="text-gray-700 dark:text-gray-300 truncate pr-2">
+                            {set.setName}
+                          </span>
+                          <span className="text-gray-500 dark:text-gray-400 flex-shrink-0">
+                            {set.total
+                              ? `${set.owned}/${
+                                  set.total
+                                } · ${set.percentage.toFixed(0)}%`
+                              : `${set.owned} owned`}
+                          </span>
+                        </div>
+                        <ProgressBar percentage={set.percentage || 0} />
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </Panel>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
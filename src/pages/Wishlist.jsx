@@ -1,30 +1,339 @@
-import { Target } from "lucide-react";
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  Target,
+  Plus,
+  Search,
+  ArrowUpDown,
+  CheckCircle,
+  AlertTriangle,
+} from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  useUserWishlist,
+  useUpdateWishlistItem,
+  useRemoveFromWishlist,
+} from "../hooks/useCollectionsAndWishlist";
+import { Button, LoadingSpinner } from "../components/ui";
+import {
+  AddToWishlistModal,
+  WishlistItemCard,
+  MoveToBinderModal,
+} from "../components/wishlist";
+import {
+  PRIORITY_LEVELS,
+  SORT_OPTIONS,
+} from "../components/wishlist/wishlistConstants";
+import { getCardMarketPrice, formatPrice } from "../utils/cardPricing";
+
+// addedAt is a Firestore Timestamp once saved, a Date while optimistic
+const toMillis = (value) =>
+  value?.toMillis ? value.toMillis() : value ? new Date(value).getTime() : 0;
+
+const compareItems = (sortBy) => (a, b) => {
+  switch (sortBy) {
+    case "priority":
+      return (
+        PRIORITY_LEVELS.indexOf(b.priority || "Medium") -
+        PRIORITY_LEVELS.indexOf(a.priority || "Medium")
+      );
+    case "name":
+      return (a.name || "").localeCompare(b.name || "");
+    case "price":
+      return (getCardMarketPrice(a) ?? -1) - (getCardMarketPrice(b) ?? -1);
+    case "addedAt":
+    default:
+      return toMillis(a.addedAt) - toMillis(b.addedAt);
+  }
+};
 
 const Wishlist = () => {
-  return (
-    <div className="p-3 sm:p-6">
-      <div className="max-w-7xl mx-auto">
-        <div className="mb-6 sm:mb-8">
-          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">
-            Wishlist
-          </h1>
-          <p className="mt-1 sm:mt-2 text-sm sm:text-base text-gray-600 dark:text-gray-400">
-            Keep track of Pokemon cards you want to add to your collection
-          </p>
-        </div>
+  const { currentUser } = useAuth();
+  const { data: wishlistData, isLoading } = useUserWishlist(currentUser?.uid);
+  const { mutate: updateWishlistItem } = useUpdateWishlistItem();
+  const { mutate: removeFromWishlist } = useRemoveFromWishlist();
+
+  const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  const [itemToMove, setItemToMove] = useState(null);
+  const [lastMove, setLastMove] = useState(null);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [priorityFilter, setPriorityFilter] = useState("");
+  const [setFilter, setSetFilter] = useState("");
+  const [withinBudgetOnly, setWithinBudgetOnly] = useState(false);
+  const [sortBy, setSortBy] = useState("addedAt");
+  const [sortDirection, setSortDirection] = useState("desc");
+
+  const wishlist = useMemo(
+    () =>
+      (wishlistData?.wishlist || []).filter(
+        (item) => (item.itemType || "card") === "card"
+      ),
+    [wishlistData]
+  );
+
+  const wishlistedCardIds = useMemo(
+    () => new Set(wishlist.map((item) => item.cardApiId)),
+    [wishlist]
+  );
+
+  const setOptions = useMemo(() => {
+    const sets = new Map();
+    wishlist.forEach((item) => {
+      if (item.setId) sets.set(item.setId, item.setName || item.setId);
+    });
+    return [...sets.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [wishlist]);
+
+  const visibleItems = useMemo(() => {
+    const normalizedQuery = searchQuery.trim().toLowerCase();
+
+    const filtered = wishlist.filter((item) => {
+      if (priorityFilter && (item.priority || "Medium") !== priorityFilter) {
+        return false;
+      }
+      if (setFilter && item.setId !== setFilter) return false;
+      if (withinBudgetOnly) {
+        const marketPrice = getCardMarketPrice(item);
+        if (
+          typeof item.maxPrice !== "number" ||
+          marketPrice === null ||
+          marketPrice > item.maxPrice
+        ) {
+          return false;
+        }
+      }
+      if (normalizedQuery) {
+        return [item.name, item.setName, item.number, item.artist, item.notes]
+          .filter(Boolean)
+          .some((field) => field.toLowerCase().includes(normalizedQuery));
+      }
+      return true;
+    });
+
+    const sorted = [...filtered].sort(compareItems(sortBy));
+    return sortDirection === "desc" ? sorted.reverse() : sorted;
+  }, [
+    wishlist,
+    searchQuery,
+    priorityFilter,
+    setFilter,
+    withinBudgetOnly,
+    sortBy,
+    sortDirection,
+  ]);
 
-        {/* Wishlist content will go here */}
-        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 sm:p-8 text-center">
+  const totalMarketValue = useMemo(
+    () =>
+      wishlist.reduce((sum, item) => sum + (getCardMarketPrice(item) || 0), 0),
+    [wishlist]
+  );
+
+  const handleUpdate = (item, updates) => {
+    updateWishlistItem({
+      userId: currentUser.uid,
+      wishlistId: item.id,
+      updates,
+    });
+  };
+
+  const handleRemove = (item) => {
+    if (!window.confirm(`Remove ${item.name} from your wishlist?`)) return;
+    removeFromWishlist({ userId: currentUser.uid, wishlistId: item.id });
+  };
+
+  const handleMoved = (result, binder) => {
+    setLastMove({
+      cardName: itemToMove?.name,
+      binder,
+      pageNumber: result.pageNumber,
+      slotInPage: result.slotInPage,
+    });
+  };
+
+  if (!currentUser) {
+    return (
+      <div className="p-3 sm:p-6">
+        <div className="max-w-7xl mx-auto bg-white dark:bg-gray-800 rounded-lg shadow p-6 sm:p-8 text-center">
           <Target className="h-12 w-12 sm:h-16 sm:w-16 mx-auto mb-4 text-gray-400 dark:text-gray-500" />
           <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-white mb-2">
-            Wishlist Coming Soon
+            Sign in to use your wishlist
           </h2>
           <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400">
-            Track cards you want with priority levels, maximum prices, and
-            notes.
+            Your wishlist is saved to your account so it follows you across
+            devices.
           </p>
         </div>
       </div>
+    );
+  }
+
+  return (
+    <div className="p-3 sm:p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-6 sm:mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">
+              Wishlist
+            </h1>
+            <p className="mt-1 sm:mt-2 text-sm sm:text-base text-gray-600 dark:text-gray-400">
+              {wishlist.length} card{wishlist.length !== 1 ? "s" : ""} wanted ·{" "}
+              {formatPrice(totalMarketValue)} at market price
+            </p>
+          </div>
+          <Button onClick={() => setIsAddModalOpen(true)}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add Cards
+          </Button>
+        </div>
+
+        {lastMove && (
+          <div className="mb-4 flex items-center justify-between rounded-lg border border-green-200 dark:border-green-800 bg-green-50 dark:bg-green-900/20 px-4 py-3 text-sm text-green-800 dark:text-green-300">
+            <span className="flex items-center">
+              <CheckCircle className="w-4 h-4 mr-2" />
+              {lastMove.cardName} was added to {lastMove.binder.binderName}{" "}
+              (page {lastMove.pageNumber}, slot {lastMove.slotInPage}).
+            </span>
+            <div className="flex items-center space-x-3">
+              <Link
+                to={`/app/binder/${lastMove.binder.id}`}
+                className="font-medium underline"
+              >
+                Open binder
+              </Link>
+              <button
+                onClick={() => setLastMove(null)}
+                className="text-green-700 dark:text-green-400"
+                aria-label="Dismiss"
+              >
+                ×
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="mb-6 bg-white dark:bg-gray-800 rounded-lg shadow p-4 flex flex-wrap items-center gap-3">
+          <div className="relative flex-1 min-w-[200px]">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search name, set, artist or notes..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+          </div>
+          <select
+            value={priorityFilter}
+            onChange={(e) => setPriorityFilter(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          >
+            <option value="">All priorities</option>
+            {PRIORITY_LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {level}
+              </option>
+            ))}
+          </select>
+          <select
+            value={setFilter}
+            onChange={(e) => setSetFilter(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          >
+            <option value="">All sets</option>
+            {setOptions.map(([setId, setName]) => (
+              <option key={setId} value={setId}>
+                {setName}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={withinBudgetOnly}
+              onChange={(e) => setWithinBudgetOnly(e.target.checked)}
+              className="rounded border-gray-300 dark:border-gray-600"
+            />
+            <span>Within budget</span>
+          </label>
+          <div className="flex items-center space-x-1">
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() =>
+                setSortDirection((prev) => (prev === "asc" ? "desc" : "asc"))
+              }
+              aria-label="Toggle sort direction"
+              title={sortDirection === "asc" ? "Ascending" : "Descending"}
+            >
+              <ArrowUpDown className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-16">
+            <LoadingSpinner message="Loading your wishlist..." />
+          </div>
+        ) : wishlistData && !wishlistData.success ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 text-center">
+            <AlertTriangle className="w-10 h-10 mx-auto mb-3 text-red-500" />
+            <p className="text-gray-600 dark:text-gray-400">
+              {wishlistData.error}
+            </p>
+          </div>
+        ) : visibleItems.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 sm:p-8 text-center">
+            <Target className="h-12 w-12 sm:h-16 sm:w-16 mx-auto mb-4 text-gray-400 dark:text-gray-500" />
+            <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-white mb-2">
+              {wishlist.length === 0
+                ? "Your wishlist is empty"
+                : "No cards match your filters"}
+            </h2>
+            <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400">
+              {wishlist.length === 0
+                ? "Search for cards or browse sets to start tracking what you want."
+                : "Try clearing the search or changing the filters."}
+            </p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+            {visibleItems.map((item) => (
+              <WishlistItemCard
+                key={item.id}
+                item={item}
+                onUpdate={(updates) => handleUpdate(item, updates)}
+                onRemove={() => handleRemove(item)}
+                onMoveToBinder={() => setItemToMove(item)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      <AddToWishlistModal
+        isOpen={isAddModalOpen}
+        onClose={() => setIsAddModalOpen(false)}
+        wishlistedCardIds={wishlistedCardIds}
+      />
+
+      <MoveToBinderModal
+        isOpen={!!itemToMove}
+        onClose={() => setItemToMove(null)}
+        item={itemToMove}
+        onMoved={handleMoved}
+      />
     </div>
   );
 };
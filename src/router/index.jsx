@@ -27,6 +27,7 @@ const Wishlist = lazy(() => import("../pages/Wishlist"));
 const Profile = lazy(() => import("../pages/Profile"));
 const NotFound = lazy(() => import("../pages/NotFound"));
 const UnderDevelopment = lazy(() => import("../pages/UnderDevelopment"));
+const SharedBinder = lazy(() => import("../pages/SharedBinder"));
 
 // Demo components for development
 const AnonymousDemo = lazy(() =>
@@ -91,6 +92,16 @@ export const router = createBrowserRouter([
     ),
   },
 
+  // Shared binders - public read-only view, no sign-in required
+  {
+    path: "/share/:token",
+    element: (
+      <LazyRoute>
+        <SharedBinder />
+      </LazyRoute>
+    ),
+  },
+
   // Demo routes for development
   {
     path: "/demo/anonymous",
@@ -165,6 +176,25 @@ export const router = createBrowserRouter([
         path: "binder/:binderId",
         element: <Binder />,
       },
+      // Binders other users shared with the signed-in user
+      {
+        path: "binder/:ownerId/:binderId",
+        element: (
+          <ProtectedRoute>
+            <Binder />
+          </ProtectedRoute>
+        ),
+      },
+
+      // Cross-binder card view - PROTECTED (reads every binder's cards)
+      {
+        path: "collection",
+        element: (
+          <ProtectedRoute>
+            <Collection />
+          </ProtectedRoute>
+        ),
+      },
 
       // Statistics - EAGER LOADED (accessed from dashboard)
       {
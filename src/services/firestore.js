@@ -15,9 +15,36 @@ import {
   writeBatch,
   increment,
   runTransaction,
+  deleteField,
+  collectionGroup,
+  arrayUnion,
+  arrayRemove,
+  getCountFromServer,
 } from "firebase/firestore";
-import { db } from "../config/firebase";
+import { db, auth } from "../config/firebase";
 import { getFriendlyErrorMessage } from "../utils/errorMessages";
+import {
+  REVISION_PREFERENCE_FIELDS,
+  REVISION_REASONS,
+  pickRevisionPreferences,
+  buildRevisionCards,
+} from "../utils/binderRevisions";
+import {
+  DEFAULT_PRIVACY_SETTINGS,
+  SHARED_VISIBILITIES,
+  BINDER_VISIBILITY,
+  generateShareToken,
+  getLinkExpirationDate,
+  isShareExpired,
+  pickSharedBinderFields,
+} from "../utils/binderSharing";
+import {
+  COLLABORATOR_ROLES,
+  MAX_COLLABORATORS,
+  normalizeEmail,
+  getCollaboratorList,
+} from "../utils/binderCollaboration";
+import { pickCardMetadata, validateCardMetadata } from "../utils/cardMetadata";
 import {
   isEmergencyMode,
   checkSaveRateLimit,
@@ -31,7 +58,27 @@ const getUserDocRef = (userId) => doc(db, "users", userId);
 const getUserSubcollection = (userId, subcollection) =>
   collection(db, "users", userId, subcollection);
 
+// Helper function to get a share link's document reference
+const getSharedBinderDocRef = (token) => doc(db, "sharedBinders", token);
+
+// Helper function to get the email lookup entry used for binder invites
+const getUserDirectoryDocRef = (email) =>
+  doc(db, "userDirectory", normalizeEmail(email));
+
+// Helper function to get a binder's collaborator details (email, name, photo),
+// which only the owner can read; the binder document only stores roles
+const getCollaboratorProfilesColRef = (userId, binderId) =>
+  collection(db, "users", userId, "binders", binderId, "collaboratorProfiles");
+
+// Invited editors write to binders in another user's account. They can't read
+// that user's profile, but only registered users can invite collaborators, so
+// limit checks treat the owner as registered.
+const isCollaboratorWrite = (userId) =>
+  !!auth.currentUser && auth.currentUser.uid !== userId;
+
 const DEFAULT_LIST_LIMIT = 30; // Default limit for paginated lists
+const CLIENT_SIDE_LIST_LIMIT = 500; // For lists filtered and sorted client-side
+const MAX_BATCH_WRITES = 500; // Firestore limit for a single write batch
 
 // ===== USER OPERATIONS =====
 
@@ -106,6 +153,12 @@ export const updateUserProfile = async (userId, updates) => {
     };
 
     await updateDoc(userDocRef, updateData);
+
+    // Existing share links carry a copy of the owner's name and photo
+    if (updates.displayName !== undefined || updates.photoURL !== undefined) {
+      await syncSharedBinderSettings(userId);
+    }
+
     return { success: true };
   } catch (error) {
     console.error("Error updating user profile:", error);
@@ -113,6 +166,36 @@ export const updateUserProfile = async (userId, updates) => {
   }
 };
 
+/**
+ * Publish a signed-in user's email lookup entry so binder owners can invite them
+ * The entry only holds the user ID, name and photo; it can be read one email at
+ * a time, never listed. Only verified emails are published, and the user's ID
+ * token must already carry the verification.
+ * @param {Object} user - Firebase Auth user
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export const updateUserDirectoryEntry = async (user) => {
+  if (!user?.uid || !user.email) {
+    return { success: false, error: "A user with an email is required." };
+  }
+  if (!user.emailVerified) {
+    return { success: false, error: "The email address is not verified yet." };
+  }
+
+  try {
+    await setDoc(getUserDirectoryDocRef(user.email), {
+      uid: user.uid,
+      displayName: user.displayName || null,
+      photoURL: user.photoURL || null,
+      updatedAt: serverTimestamp(),
+    });
+    return { success: true };
+  } catch (error) {
+    console.error("Error updating user directory entry:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
 // ===== USER PREFERENCES OPERATIONS =====
 
 export const updateUserPreferences = async (userId, preferences) => {
@@ -132,6 +215,12 @@ export const updateUserPreferences = async (userId, preferences) => {
       if (key === "animationPreference") {
         // Animation preference is stored directly in settings
         updateData[`settings.${key}`] = prefsToSave[key];
+      } else if (key === "privacy") {
+        // Privacy & sharing settings are stored field by field in settings.privacy
+        Object.keys(prefsToSave.privacy).forEach((field) => {
+          updateData[`settings.privacy.${field}`] = prefsToSave.privacy[field];
+        });
+        updateData[`settings.privacy.updatedAt`] = serverTimestamp();
       } else {
         // Other preferences go into binderPreferences
         updateData[`settings.binderPreferences.${key}`] = prefsToSave[key];
@@ -142,11 +231,21 @@ export const updateUserPreferences = async (userId, preferences) => {
     if (prefsToSave.animationPreference !== undefined) {
       updateData[`settings.updatedAt`] = serverTimestamp();
     }
-    if (Object.keys(prefsToSave).some((key) => key !== "animationPreference")) {
+    if (
+      Object.keys(prefsToSave).some(
+        (key) => key !== "animationPreference" && key !== "privacy"
+      )
+    ) {
       updateData[`settings.binderPreferences.updatedAt`] = serverTimestamp();
     }
 
     await updateDoc(userDocRef, updateData);
+
+    // Existing share links carry a copy of the privacy settings
+    if (prefsToSave.privacy) {
+      await syncSharedBinderSettings(userId);
+    }
+
     return { success: true, data: prefsToSave };
   } catch (error) {
     console.error("Error updating user preferences:", error);
@@ -163,6 +262,7 @@ export const getUserPreferences = async (userId) => {
       const userData = docSnap.data();
       const binderPreferences = userData.settings?.binderPreferences || {};
       const animationPreference = userData.settings?.animationPreference;
+      const privacy = userData.settings?.privacy || {};
 
       // Return default preferences if none exist
       const defaultPreferences = {
@@ -179,6 +279,7 @@ export const getUserPreferences = async (userId) => {
           ...binderPreferences,
           animationPreference:
             animationPreference !== undefined ? animationPreference : null,
+          privacy: { ...DEFAULT_PRIVACY_SETTINGS, ...privacy },
         },
       };
     } else {
@@ -192,6 +293,52 @@ export const getUserPreferences = async (userId) => {
 
 // ===== BINDER OPERATIONS =====
 
+// Every save that changes a binder's cards or settings bumps its `revision`
+// counter (unrelated to the revision snapshots below), so a save can tell
+// whether someone else saved the binder since it was loaded
+const BINDER_CONFLICT_ERROR =
+  "This binder was changed somewhere else since you started editing.";
+
+/**
+ * Check a binder's revision counter inside a transaction
+ * @param {DocumentSnapshot} binderDoc - Binder document read in the transaction
+ * @param {number} [expectedRevision] - Revision the save is based on; no check when undefined
+ * @returns {number} The revision the binder has once the save is written
+ * @throws {Error} With a `conflict` ({ expectedRevision, currentRevision, binder }) on a mismatch
+ */
+const getNextBinderRevision = (binderDoc, expectedRevision) => {
+  const currentRevision = binderDoc.data().revision || 0;
+  if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+    const error = new Error(BINDER_CONFLICT_ERROR);
+    error.conflict = {
+      expectedRevision,
+      currentRevision,
+      binder: { id: binderDoc.id, ...binderDoc.data() },
+    };
+    throw error;
+  }
+  return currentRevision + 1;
+};
+
+// Result returned when a save fails the revision check
+const getConflictResult = (error) => ({
+  success: false,
+  error: error.message,
+  conflict: error.conflict,
+});
+
+// Keep a shared binder's share document in step with the binder's name and
+// layout, in the same transaction or batch as the binder update
+const updateSharedBinderCopy = (writer, shareToken, updates) => {
+  const sharedFields = pickSharedBinderFields(updates);
+  if (!shareToken || Object.keys(sharedFields).length === 0) return;
+
+  writer.update(getSharedBinderDocRef(shareToken), {
+    ...sharedFields,
+    updatedAt: serverTimestamp(),
+  });
+};
+
 export const addBinder = async (userId, binderData) => {
   if (!userId) {
     return { success: false, error: "User ID is required to add a binder." };
@@ -287,13 +434,39 @@ export const addBinder = async (userId, binderData) => {
       totalCardsInBinder: 0, // Initialize total cards
     };
 
-    await setDoc(newBinderRef, {
+    // New binders start with the owner's default visibility; unlisted and
+    // public binders get their share link right away
+    const userData = userDoc.exists() ? userDoc.data() : {};
+    const privacy = getUserPrivacySettings(userData);
+    const visibility = binderData.visibility || privacy.defaultVisibility;
+    const shareToken = SHARED_VISIBILITIES.includes(visibility)
+      ? generateShareToken()
+      : null;
+
+    const newBinder = {
       ...defaults, // Apply defaults first
       ...binderData, // User-provided data overrides defaults
+      visibility,
+      ...(shareToken && { shareToken }),
       ownerId: userId,
       createdAt: serverTimestamp(), // Add server timestamp for creation
       updatedAt: serverTimestamp(), // Add server timestamp for last update
-    });
+    };
+
+    const batch = writeBatch(db);
+    batch.set(newBinderRef, newBinder);
+    if (shareToken) {
+      batch.set(
+        getSharedBinderDocRef(shareToken),
+        buildShareData(userId, newBinderRef.id, userData, {
+          binder: newBinder,
+          visibility,
+          linkExpiration: privacy.linkExpiration,
+          isNew: true,
+        })
+      );
+    }
+    await batch.commit();
     console.log("Binder added successfully with ID:", newBinderRef.id);
     return { success: true, binderId: newBinderRef.id };
   } catch (error) {
@@ -356,7 +529,20 @@ export const getBinder = async (userId, binderId) => {
   }
 };
 
-export const updateBinder = async (userId, binderId, updates) => {
+/**
+ * Update a binder's settings
+ * @param {string} userId - Owner of the binder
+ * @param {string} binderId - Binder ID
+ * @param {Object} updates - Fields to update
+ * @param {Object} [options] - { expectedRevision } to fail with a conflict if the binder was saved elsewhere
+ * @returns {Promise<Object>} Result object with the binder's new revision
+ */
+export const updateBinder = async (
+  userId,
+  binderId,
+  updates,
+  { expectedRevision } = {}
+) => {
   if (!userId || !binderId) {
     return { success: false, error: "User ID and Binder ID are required." };
   }
@@ -389,13 +575,25 @@ export const updateBinder = async (userId, binderId, updates) => {
     }
 
     const binderDocRef = doc(getUserSubcollection(userId, "binders"), binderId);
-    await updateDoc(binderDocRef, {
-      ...updates,
-      updatedAt: serverTimestamp(), // Always update the updatedAt timestamp
+    const revision = await runTransaction(db, async (transaction) => {
+      const binderDoc = await transaction.get(binderDocRef);
+      if (!binderDoc.exists()) {
+        throw new Error("Binder not found.");
+      }
+
+      const nextRevision = getNextBinderRevision(binderDoc, expectedRevision);
+      transaction.update(binderDocRef, {
+        ...updates,
+        revision: nextRevision,
+        updatedAt: serverTimestamp(), // Always update the updatedAt timestamp
+      });
+      updateSharedBinderCopy(transaction, binderDoc.data().shareToken, updates);
+      return nextRevision;
     });
 
-    return { success: true };
+    return { success: true, revision };
   } catch (error) {
+    if (error.conflict) return getConflictResult(error);
     console.error("Error updating binder:", error);
     return { success: false, error: error.message };
   }
@@ -414,10 +612,17 @@ export const deleteBinder = async (userId, binderId) => {
 
     // Transaction to delete all cards and then the binder
     await runTransaction(db, async (transaction) => {
-      // 1. Get all card documents in the binder
-      const cardsSnapshot = await getDocs(
-        query(getUserSubcollection(userId, "binders", binderId, "cards"))
-      );
+      // Read the binder first so its share link can be removed with it
+      const binderSnap = await transaction.get(binderDocRef);
+      const shareToken = binderSnap.data()?.shareToken;
+
+      // 1. Get all card documents and collaborator details in the binder
+      const [cardsSnapshot, profilesSnapshot] = await Promise.all([
+        getDocs(
+          query(getUserSubcollection(userId, "binders", binderId, "cards"))
+        ),
+        getDocs(getCollaboratorProfilesColRef(userId, binderId)),
+      ]);
       // 2. Delete each card document
       cardsSnapshot.forEach((cardDoc) => {
         transaction.delete(
@@ -432,8 +637,14 @@ export const deleteBinder = async (userId, binderId) => {
           )
         );
       });
-      // 3. Delete the binder document itself
+      profilesSnapshot.forEach((profileDoc) => {
+        transaction.delete(profileDoc.ref);
+      });
+      // 3. Delete the binder document itself and its share link
       transaction.delete(binderDocRef);
+      if (shareToken) {
+        transaction.delete(getSharedBinderDocRef(shareToken));
+      }
     });
 
     console.log(`Binder ${binderId} and all its cards deleted successfully.`);
@@ -493,9 +704,9 @@ export const addCardToBinder = async (userId, binderId, cardData) => {
     const systemConfigDoc = await getDoc(systemConfigRef);
 
     // Check if user is authenticated (to determine if they're registered or guest)
-    const userDocRef = getUserDocRef(userId);
-    const userDoc = await getDoc(userDocRef);
-    const isRegisteredUser = userDoc.exists();
+    const isRegisteredUser =
+      isCollaboratorWrite(userId) ||
+      (await getDoc(getUserDocRef(userId))).exists();
 
     // Get system limits if available
     let maxCardsPerBinder = Number.MAX_SAFE_INTEGER; // Default unlimited
@@ -542,6 +753,7 @@ export const addCardToBinder = async (userId, binderId, cardData) => {
       const currentTotal = binderDoc.data().totalCardsInBinder || 0;
       transaction.update(binderDocRef, {
         totalCardsInBinder: currentTotal + 1,
+        revision: getNextBinderRevision(binderDoc),
         updatedAt: serverTimestamp(),
       });
     });
@@ -593,9 +805,15 @@ export const updateCardInBinder = async (
  * @param {string} userId - User ID
  * @param {string} binderId - Binder ID
  * @param {Array} movements - Array of movement objects
- * @returns {Promise<Object>} Result object with success/error
+ * @param {Object} [options] - { expectedRevision } to fail with a conflict if the binder was saved elsewhere
+ * @returns {Promise<Object>} Result object with the binder's new revision
  */
-export const batchUpdateCardMovements = async (userId, binderId, movements) => {
+export const batchUpdateCardMovements = async (
+  userId,
+  binderId,
+  movements,
+  { expectedRevision } = {}
+) => {
   if (!userId || !binderId || !movements || movements.length === 0) {
     return {
       success: false,
@@ -604,39 +822,188 @@ export const batchUpdateCardMovements = async (userId, binderId, movements) => {
   }
 
   try {
-    const batch = writeBatch(db);
+    const binderDocRef = doc(getUserSubcollection(userId, "binders"), binderId);
 
-    for (const move of movements) {
-      const cardDocRef = doc(
-        db,
-        "users",
-        userId,
-        "binders",
-        binderId,
-        "cards",
-        move.cardId
-      );
+    const revision = await runTransaction(db, async (transaction) => {
+      const binderDoc = await transaction.get(binderDocRef);
+      if (!binderDoc.exists()) {
+        throw new Error("Binder document does not exist!");
+      }
+
+      const nextRevision = getNextBinderRevision(binderDoc, expectedRevision);
+
+      for (const move of movements) {
+        transaction.update(
+          doc(getBinderCardsColRef(userId, binderId), move.cardId),
+          {
+            pageNumber: move.toPosition.pageNumber,
+            slotInPage: move.toPosition.slotInPage,
+            overallSlotNumber: move.toPosition.overallSlotNumber,
+            updatedAt: serverTimestamp(),
+          }
+        );
+      }
 
-      batch.update(cardDocRef, {
-        pageNumber: move.toPosition.pageNumber,
-        slotInPage: move.toPosition.slotInPage,
-        overallSlotNumber: move.toPosition.overallSlotNumber,
+      transaction.update(binderDocRef, {
+        revision: nextRevision,
         updatedAt: serverTimestamp(),
       });
-    }
-
-    await batch.commit();
+      return nextRevision;
+    });
 
     return {
       success: true,
       updatedCount: movements.length,
+      revision,
     };
   } catch (error) {
+    if (error.conflict) return getConflictResult(error);
     console.error("Error batch updating card movements:", error);
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * Batch update card details (condition, grading, variant, purchase details...)
+ * @param {string} userId - User ID
+ * @param {string} binderId - Binder ID
+ * @param {Array} cardUpdates - Array of { cardId, updates }; a null value clears the field
+ * @param {Object} [options] - { expectedRevision } to fail with a conflict if the binder was saved elsewhere
+ * @returns {Promise<Object>} Result object with the binder's new revision
+ */
+export const batchUpdateCardDetails = async (
+  userId,
+  binderId,
+  cardUpdates,
+  { expectedRevision } = {}
+) => {
+  if (!userId || !binderId || !cardUpdates || cardUpdates.length === 0) {
+    return {
+      success: false,
+      error: "Missing required parameters for batch updating card details.",
+    };
+  }
+
+  const invalid = cardUpdates
+    .map(({ updates }) => validateCardMetadata(updates))
+    .find((errors) => errors.length > 0);
+  if (invalid) {
+    return { success: false, error: invalid.join(", ") };
+  }
+
+  try {
+    const binderDocRef = doc(getUserSubcollection(userId, "binders"), binderId);
+
+    const revision = await runTransaction(db, async (transaction) => {
+      const binderDoc = await transaction.get(binderDocRef);
+      if (!binderDoc.exists()) {
+        throw new Error("Binder document does not exist!");
+      }
+
+      const nextRevision = getNextBinderRevision(binderDoc, expectedRevision);
+
+      for (const { cardId, updates } of cardUpdates) {
+        const fields = Object.fromEntries(
+          Object.entries(updates).map(([field, value]) => [
+            field,
+            value === null ? deleteField() : value,
+          ])
+        );
+
+        transaction.update(
+          doc(getBinderCardsColRef(userId, binderId), cardId),
+          {
+            ...fields,
+            updatedAt: serverTimestamp(),
+          }
+        );
+      }
+
+      transaction.update(binderDocRef, {
+        revision: nextRevision,
+        updatedAt: serverTimestamp(),
+      });
+      return nextRevision;
+    });
+
+    return {
+      success: true,
+      updatedCount: cardUpdates.length,
+      revision,
+    };
+  } catch (error) {
+    if (error.conflict) return getConflictResult(error);
+    console.error("Error batch updating card details:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Batch delete multiple cards from a binder and decrement its card count
+ * @param {string} userId - User ID
+ * @param {string} binderId - Binder ID
+ * @param {Array<string>} cardEntryIds - IDs of the card documents to delete
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export const batchRemoveCardsFromBinder = async (
+  userId,
+  binderId,
+  cardEntryIds,
+  { expectedRevision } = {}
+) => {
+  if (!userId || !binderId || !cardEntryIds || cardEntryIds.length === 0) {
+    return {
+      success: false,
+      error: "Missing required parameters for batch removing cards.",
+    };
+  }
+
+  try {
+    const binderDocRef = doc(getUserSubcollection(userId, "binders"), binderId);
+
+    // One read for the current count, then the deletes and count in the same
+    // write. Each write holds at most MAX_BATCH_WRITES, so larger removals are
+    // split, each chunk checked against the revision the one before saved.
+    let revision = expectedRevision;
+    for (let i = 0; i < cardEntryIds.length; i += MAX_BATCH_WRITES - 1) {
+      const chunk = cardEntryIds.slice(i, i + MAX_BATCH_WRITES - 1);
+
+      revision = await runTransaction(db, async (transaction) => {
+        const binderDoc = await transaction.get(binderDocRef);
+        if (!binderDoc.exists()) {
+          throw new Error("Binder document does not exist!");
+        }
+
+        const nextRevision = getNextBinderRevision(binderDoc, revision);
+
+        chunk.forEach((cardEntryId) => {
+          transaction.delete(
+            doc(getBinderCardsColRef(userId, binderId), cardEntryId)
+          );
+        });
+
+        const currentTotal = binderDoc.data().totalCardsInBinder || 0;
+        transaction.update(binderDocRef, {
+          totalCardsInBinder: Math.max(0, currentTotal - chunk.length),
+          revision: nextRevision,
+          updatedAt: serverTimestamp(),
+        });
+        return nextRevision;
+      });
+    }
+
+    return {
+      success: true,
+      removedCount: cardEntryIds.length,
+      revision,
+    };
+  } catch (error) {
+    if (error.conflict) return getConflictResult(error);
+    console.error("Error batch removing cards from binder:", error);
+    return { success: false, error: error.message };
+  }
+};
+
 export const removeCardFromBinder = async (userId, binderId, cardEntryId) => {
   if (!userId || !binderId || !cardEntryId) {
     return {
@@ -678,6 +1045,7 @@ export const removeCardFromBinder = async (userId, binderId, cardEntryId) => {
           0,
           currentTotal - (cardDoc.exists() ? 1 : 0)
         ), // Only decrement if card existed
+        revision: getNextBinderRevision(binderDoc),
         updatedAt: serverTimestamp(),
       });
     });
@@ -764,7 +1132,58 @@ export const getAllCardsInBinder = async (userId, binderId) => {
   }
 };
 
-export const bulkAddCardsToBinder = async (userId, binderId, cardsData) => {
+/**
+ * Get every saved card across all of a user's binders
+ * Each card is tagged with the binder it lives in (binderId, binderName, gridSize)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result object with cards and binders
+ */
+export const getAllUserCards = async (userId) => {
+  if (!userId) {
+    return { success: false, error: "User ID is required.", cards: [] };
+  }
+
+  try {
+    const bindersResult = await getBindersForUser(
+      userId,
+      CLIENT_SIDE_LIST_LIMIT
+    );
+    if (!bindersResult.success) {
+      return { success: false, error: bindersResult.error, cards: [] };
+    }
+
+    const cardsPerBinder = await Promise.all(
+      bindersResult.binders.map(async (binder) => {
+        const querySnapshot = await getDocs(
+          getBinderCardsColRef(userId, binder.id)
+        );
+        return querySnapshot.docs.map((cardDoc) => ({
+          id: cardDoc.id,
+          ...cardDoc.data(),
+          binderId: binder.id,
+          binderName: binder.binderName,
+          gridSize: binder.gridSize,
+        }));
+      })
+    );
+
+    return {
+      success: true,
+      cards: cardsPerBinder.flat(),
+      binders: bindersResult.binders,
+    };
+  } catch (error) {
+    console.error("Error getting all user cards:", error);
+    return { success: false, error: getFriendlyErrorMessage(error), cards: [] };
+  }
+};
+
+export const bulkAddCardsToBinder = async (
+  userId,
+  binderId,
+  cardsData,
+  { expectedRevision } = {}
+) => {
   if (!userId || !binderId || !cardsData || cardsData.length === 0) {
     return {
       success: false,
@@ -805,7 +1224,7 @@ export const bulkAddCardsToBinder = async (userId, binderId, cardsData) => {
       const [binderDoc, systemConfigDoc, userDoc] = await Promise.all([
         transaction.get(binderDocRef),
         transaction.get(systemConfigRef),
-        transaction.get(userDocRef),
+        isCollaboratorWrite(userId) ? null : transaction.get(userDocRef),
       ]);
 
       // Validate binder exists
@@ -813,8 +1232,9 @@ export const bulkAddCardsToBinder = async (userId, binderId, cardsData) => {
         throw new Error("Binder not found.");
       }
 
+      const nextRevision = getNextBinderRevision(binderDoc, expectedRevision);
       const currentCardCount = binderDoc.data().totalCardsInBinder || 0;
-      const isRegisteredUser = userDoc.exists();
+      const isRegisteredUser = !userDoc || userDoc.exists();
 
       // Get system limits if available
       let maxCardsPerBinder = Number.MAX_SAFE_INTEGER;
@@ -863,12 +1283,14 @@ export const bulkAddCardsToBinder = async (userId, binderId, cardsData) => {
       // Update binder card count in the same transaction
       transaction.update(binderDocRef, {
         totalCardsInBinder: currentCardCount + cardsData.length,
+        revision: nextRevision,
         updatedAt: serverTimestamp(),
       });
 
       return {
         addedCount: cardsData.length,
         cardEntryIds: addedCardIds,
+        revision: nextRevision,
       };
     });
 
@@ -881,58 +1303,1035 @@ export const bulkAddCardsToBinder = async (userId, binderId, cardsData) => {
       ...transactionResult,
     };
   } catch (error) {
+    if (error.conflict) return getConflictResult(error);
     console.error("Error bulk adding cards to binder:", error);
     return { success: false, error: error.message };
   }
 };
 
-// ===== COLLECTION OPERATIONS =====
-
-export const createCollection = async (userId, collectionData) => {
-  try {
-    const collectionsRef = getUserSubcollection(userId, "collections");
-    const collection = {
-      ...collectionData,
-      cardCount: 0,
-      totalValue: 0,
-      createdAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-    };
-
-    const docRef = await addDoc(collectionsRef, collection);
+// Shape a pending card addition for bulkAddCardsToBinder
+export const toCardEntryData = (pendingCard) => ({
+  cardApiId: pendingCard.pokemonCardId,
+  pageNumber: pendingCard.pageNumber,
+  slotInPage: pendingCard.slotInPage,
+  overallSlotNumber: pendingCard.overallSlotNumber,
+  name: pendingCard.cardData.name,
+  set: pendingCard.cardData.set || pendingCard.cardData.setId,
+  setId: pendingCard.cardData.setId,
+  number: pendingCard.cardData.number,
+  rarity: pendingCard.cardData.rarity,
+  images: pendingCard.cardData.images,
+  tcgplayer: pendingCard.cardData.tcgplayer,
+  artist: pendingCard.cardData.artist,
+  cardmarket: pendingCard.cardData.cardmarket,
+  supertype: pendingCard.cardData.supertype || "",
+  types: pendingCard.cardData.types || [],
+  nationalPokedexNumbers: pendingCard.cardData.nationalPokedexNumbers || [],
+  ...pickCardMetadata(pendingCard.cardData),
+});
 
-    // Add activity log
-    const activityRef = getUserSubcollection(userId, "activity");
-    await addDoc(activityRef, {
-      type: "collection_created",
-      description: `Created collection "${collectionData.name}"`,
-      collectionRef: docRef,
-      timestamp: serverTimestamp(),
-    });
+/**
+ * Save a binder's pending card changes: additions, moves, detail updates,
+ * then removals
+ * Each write checks the binder's revision counter, chained from
+ * `changes.baseRevision` so the earlier writes don't conflict with the later
+ * ones. Stops at the first conflict and returns the changes not written yet.
+ * @param {string} userId - Binder owner ID
+ * @param {string} binderId - Binder ID
+ * @param {Object} changes - Pending changes from localBinderStorage
+ * @returns {Promise<Object>} Result with the new revision and the added card
+ *   documents ({ id, ...data }), or { conflict, remainingChanges }
+ */
+export const saveBinderCardChanges = async (userId, binderId, changes) => {
+  let revision = changes.baseRevision;
+  let remainingChanges = changes;
+  let savedAdditions = [];
+
+  const addedCards = changes.addedCards || [];
+  const removedCardIds = changes.removedCardIds || [];
+  // Moves of cards that are being removed would fail on the deleted documents
+  const movedCards = (changes.movedCards || []).filter(
+    (move) => !removedCardIds.includes(move.cardId)
+  );
+  const updatedCards = (changes.updatedCards || []).filter(
+    (update) => !removedCardIds.includes(update.cardId)
+  );
 
-    return { success: true, collectionId: docRef.id };
-  } catch (error) {
-    console.error("Error creating collection:", error);
-    return { success: false, error: getFriendlyErrorMessage(error) };
+  const steps = [
+    {
+      list: "addedCards",
+      count: addedCards.length,
+      write: () =>
+        bulkAddCardsToBinder(
+          userId,
+          binderId,
+          addedCards.map(toCardEntryData),
+          { expectedRevision: revision }
+        ),
+    },
+    {
+      list: "movedCards",
+      count: movedCards.length,
+      write: () =>
+        batchUpdateCardMovements(userId, binderId, movedCards, {
+          expectedRevision: revision,
+        }),
+    },
+    {
+      list: "updatedCards",
+      count: updatedCards.length,
+      write: () =>
+        batchUpdateCardDetails(userId, binderId, updatedCards, {
+          expectedRevision: revision,
+        }),
+    },
+    {
+      list: "removedCardIds",
+      count: removedCardIds.length,
+      write: () =>
+        batchRemoveCardsFromBinder(userId, binderId, removedCardIds, {
+          expectedRevision: revision,
+        }),
+    },
+  ];
+
+  for (const step of steps) {
+    if (step.count === 0) continue;
+
+    const result = await step.write();
+    if (result.conflict) return { ...result, remainingChanges };
+    if (!result.success) return result;
+
+    revision = result.revision;
+    remainingChanges = { ...remainingChanges, [step.list]: [] };
+    if (step.list === "addedCards") {
+      savedAdditions = addedCards.map((card, index) => ({
+        id: result.cardEntryIds[index],
+        ...toCardEntryData(card),
+      }));
+    }
   }
+
+  return { success: true, revision, addedCards: savedAdditions };
 };
 
-export const getUserCollections = async (
+// ===== BINDER REVISION OPERATIONS =====
+
+const MAX_BINDER_REVISIONS = 20; // Older revisions are pruned when a new one is saved
+const MAX_REVISION_SIZE = 900 * 1024; // Stay under Firestore's 1 MiB document limit
+
+const getBinderRevisionsColRef = (userId, binderId) =>
+  collection(db, "users", userId, "binders", binderId, "revisions");
+
+/**
+ * Snapshot a binder's saved layout and preferences into its revisions subcollection
+ * Call it once per save, not per edit. Without `savedCards` it reads all of the
+ * binder's cards. On the owner's saves, revisions beyond MAX_BINDER_REVISIONS
+ * are deleted in the same batch; only those are read, after counting the
+ * revisions. Invited editors can only add revisions, so theirs aren't pruned.
+ * @param {string} userId - User ID
+ * @param {string} binderId - Binder ID
+ * @param {string} reason - One of REVISION_REASONS
+ * @param {Object} [options] - { savedCards }: the binder's cards as saved, when
+ *   the caller already has them ({ id, ...data })
+ * @returns {Promise<Object>} Result object with the new revisionId
+ */
+export const createBinderRevision = async (
   userId,
-  queryLimit = DEFAULT_LIST_LIMIT
+  binderId,
+  reason,
+  { savedCards } = {}
 ) => {
-  if (!userId) {
-    return { success: false, error: "User ID required", collections: [] };
+  if (!userId || !binderId) {
+    return { success: false, error: "User ID and Binder ID are required." };
   }
+
   try {
-    const collectionsQuery = query(
-      getUserSubcollection(userId, "collections"),
-      orderBy("createdAt", "desc"),
-      limit(queryLimit) // Added limit
-    );
-    const querySnapshot = await getDocs(collectionsQuery);
-    const collections = [];
-    querySnapshot.forEach((doc) => {
+    const binderDocRef = doc(getUserSubcollection(userId, "binders"), binderId);
+    const revisionsColRef = getBinderRevisionsColRef(userId, binderId);
+
+    const [binderDoc, cardsSnapshot, revisionCount] = await Promise.all([
+      getDoc(binderDocRef),
+      savedCards ? null : getDocs(getBinderCardsColRef(userId, binderId)),
+      isCollaboratorWrite(userId) ? null : getCountFromServer(revisionsColRef),
+    ]);
+
+    if (!binderDoc.exists()) {
+      return { success: false, error: "Binder not found." };
+    }
+
+    const cards = buildRevisionCards(
+      savedCards ||
+        cardsSnapshot.docs.map((cardDoc) => ({
+          id: cardDoc.id,
+          ...cardDoc.data(),
+        }))
+    );
+    const revision = {
+      reason,
+      preferences: pickRevisionPreferences(binderDoc.data()),
+      cards,
+      cardCount: cards.length,
+    };
+
+    if (JSON.stringify(revision).length > MAX_REVISION_SIZE) {
+      return {
+        success: false,
+        error: "This binder is too large to save a revision.",
+      };
+    }
+
+    const batch = writeBatch(db);
+    const revisionDocRef = doc(revisionsColRef);
+    batch.set(revisionDocRef, { ...revision, createdAt: serverTimestamp() });
+
+    // Keep the newest revisions, counting the one being written
+    const excessCount = revisionCount
+      ? revisionCount.data().count - (MAX_BINDER_REVISIONS - 1)
+      : 0;
+    if (excessCount > 0) {
+      const oldestSnapshot = await getDocs(
+        query(revisionsColRef, orderBy("createdAt", "asc"), limit(excessCount))
+      );
+      oldestSnapshot.docs.forEach((revisionDoc) =>
+        batch.delete(revisionDoc.ref)
+      );
+    }
+
+    await batch.commit();
+
+    return { success: true, revisionId: revisionDocRef.id };
+  } catch (error) {
+    console.error("Error creating binder revision:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get a binder's saved revisions, newest first
+ * @param {string} userId - User ID
+ * @param {string} binderId - Binder ID
+ * @returns {Promise<Object>} Result object with revisions
+ */
+export const getBinderRevisions = async (userId, binderId) => {
+  if (!userId || !binderId) {
+    return {
+      success: false,
+      error: "User ID and Binder ID are required.",
+      revisions: [],
+    };
+  }
+
+  try {
+    const querySnapshot = await getDocs(
+      query(
+        getBinderRevisionsColRef(userId, binderId),
+        orderBy("createdAt", "desc"),
+        limit(MAX_BINDER_REVISIONS)
+      )
+    );
+
+    const revisions = querySnapshot.docs.map((revisionDoc) => ({
+      id: revisionDoc.id,
+      ...revisionDoc.data(),
+    }));
+
+    return { success: true, revisions };
+  } catch (error) {
+    console.error("Error fetching binder revisions:", error);
+    return { success: false, error: error.message, revisions: [] };
+  }
+};
+
+/**
+ * Restore a binder to a saved revision in a single transaction
+ * Cards are moved back to their slots, cards added since are deleted, cards
+ * removed since are recreated, and the binder preferences are put back.
+ * The restore checks the binder's revision counter like every other save, so
+ * a save made elsewhere since the revision was diffed isn't overwritten.
+ * @param {string} userId - User ID
+ * @param {string} binderId - Binder ID
+ * @param {string} revisionId - Revision to restore
+ * @param {Object} [options] - { expectedRevision } the binder revision the
+ *   user compared the restore against
+ * @returns {Promise<Object>} Result object with movedCount, restoredCount,
+ *   removedCount and the new revision, or { conflict }
+ */
+export const restoreBinderRevision = async (
+  userId,
+  binderId,
+  revisionId,
+  { expectedRevision } = {}
+) => {
+  if (!userId || !binderId || !revisionId) {
+    return {
+      success: false,
+      error: "User ID, Binder ID and Revision ID are required.",
+    };
+  }
+
+  try {
+    const emergencyMode = await isEmergencyMode();
+    if (emergencyMode) {
+      return {
+        success: false,
+        error: "Service temporarily limited due to cost protection measures.",
+      };
+    }
+
+    const binderDocRef = doc(getUserSubcollection(userId, "binders"), binderId);
+    const revisionDocRef = doc(
+      getBinderRevisionsColRef(userId, binderId),
+      revisionId
+    );
+    const cardsColRef = getBinderCardsColRef(userId, binderId);
+
+    const restoreResult = await runTransaction(db, async (transaction) => {
+      const [revisionDoc, binderDoc] = await Promise.all([
+        transaction.get(revisionDocRef),
+        transaction.get(binderDocRef),
+      ]);
+
+      if (!revisionDoc.exists()) {
+        return { success: false, error: "Revision not found." };
+      }
+      if (!binderDoc.exists()) {
+        return { success: false, error: "Binder not found." };
+      }
+
+      const nextRevision = getNextBinderRevision(binderDoc, expectedRevision);
+      // Saves bump the binder's revision with their card writes, so the
+      // transaction retries if cards change after this read
+      const cardsSnapshot = await getDocs(cardsColRef);
+
+      const revision = revisionDoc.data();
+      const revisionCardIds = new Set(revision.cards.map((card) => card.id));
+      const currentCards = new Map(
+        cardsSnapshot.docs.map((cardDoc) => [cardDoc.id, cardDoc.data()])
+      );
+
+      const restoredCards = [];
+      const movedCards = [];
+      revision.cards.forEach(({ id, ...cardData }) => {
+        const currentCard = currentCards.get(id);
+        if (!currentCard) {
+          restoredCards.push({ id, cardData });
+        } else if (
+          currentCard.pageNumber !== cardData.pageNumber ||
+          currentCard.slotInPage !== cardData.slotInPage
+        ) {
+          movedCards.push({ id, cardData });
+        }
+      });
+      const removedCardDocs = cardsSnapshot.docs.filter(
+        (cardDoc) => !revisionCardIds.has(cardDoc.id)
+      );
+
+      // The binder document update, and its share link's copy of the layout
+      const writeCount =
+        (binderDoc.data().shareToken ? 2 : 1) +
+        restoredCards.length +
+        movedCards.length +
+        removedCardDocs.length;
+      if (writeCount > MAX_BATCH_WRITES) {
+        return {
+          success: false,
+          error: `Restoring this revision would change ${writeCount} documents, more than the ${MAX_BATCH_WRITES} allowed in one save.`,
+        };
+      }
+
+      restoredCards.forEach(({ id, cardData }) => {
+        transaction.set(doc(cardsColRef, id), {
+          ...cardData,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp(),
+        });
+      });
+      movedCards.forEach(({ id, cardData }) => {
+        transaction.update(doc(cardsColRef, id), {
+          pageNumber: cardData.pageNumber,
+          slotInPage: cardData.slotInPage,
+          overallSlotNumber: cardData.overallSlotNumber,
+          updatedAt: serverTimestamp(),
+        });
+      });
+      removedCardDocs.forEach((cardDoc) => transaction.delete(cardDoc.ref));
+
+      // Fields the revision didn't have are cleared rather than left as they are now
+      const binderUpdates = Object.fromEntries(
+        REVISION_PREFERENCE_FIELDS.map((field) => [
+          field,
+          revision.preferences[field] !== undefined
+            ? revision.preferences[field]
+            : deleteField(),
+        ])
+      );
+      transaction.update(binderDocRef, {
+        ...binderUpdates,
+        totalCardsInBinder: revision.cards.length,
+        revision: nextRevision,
+        updatedAt: serverTimestamp(),
+      });
+      updateSharedBinderCopy(
+        transaction,
+        binderDoc.data().shareToken,
+        revision.preferences
+      );
+
+      return {
+        success: true,
+        revision: nextRevision,
+        savedCards: revision.cards,
+        movedCount: movedCards.length,
+        restoredCount: restoredCards.length,
+        removedCount: removedCardDocs.length,
+      };
+    });
+
+    if (!restoreResult.success) return restoreResult;
+    const { savedCards, ...result } = restoreResult;
+
+    // The restored layout becomes the newest revision
+    const revisionResult = await createBinderRevision(
+      userId,
+      binderId,
+      REVISION_REASONS.RESTORE,
+      { savedCards }
+    );
+    if (!revisionResult.success) {
+      console.warn(
+        "Restored binder but failed to record a revision:",
+        revisionResult.error
+      );
+    }
+
+    return result;
+  } catch (error) {
+    if (error.conflict) return getConflictResult(error);
+    console.error("Error restoring binder revision:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ===== BINDER SHARING OPERATIONS =====
+
+// Owner's privacy settings merged over the defaults
+const getUserPrivacySettings = (userData) => ({
+  ...DEFAULT_PRIVACY_SETTINGS,
+  ...userData?.settings?.privacy,
+});
+
+// Owner details and viewer settings copied onto a share link from the
+// owner's privacy settings, so the public view can honor them without
+// reading the (private) user document
+const getShareSettings = (userData, visibility) => {
+  const privacy = getUserPrivacySettings(userData);
+
+  return {
+    showOwnerInfo: privacy.showOwnerInfo,
+    ownerDisplayName: privacy.showOwnerInfo
+      ? userData?.displayName || null
+      : null,
+    ownerPhotoURL: privacy.showOwnerInfo ? userData?.photoURL || null : null,
+    discoverable:
+      visibility === BINDER_VISIBILITY.PUBLIC && privacy.allowPublicDiscovery,
+    allowCopy: privacy.allowCopy,
+    requireEmailForView: privacy.requireEmailForView,
+    allowAnalytics: privacy.allowAnalytics,
+  };
+};
+
+// Share link document for a new or updated link, with its own copy of the
+// binder's name and layout so link holders never read the binder document
+const buildShareData = (userId, binderId, userData, options) => {
+  const { binder, visibility, linkExpiration, isNew } = options;
+
+  return {
+    ownerId: userId,
+    binderId,
+    ...pickSharedBinderFields(binder),
+    visibility,
+    linkExpiration,
+    expiresAt: getLinkExpirationDate(linkExpiration),
+    ...getShareSettings(userData, visibility),
+    ...(isNew && { createdAt: serverTimestamp(), viewCount: 0 }),
+    updatedAt: serverTimestamp(),
+  };
+};
+
+/**
+ * Create or update a binder's share link
+ * Visibility and expiration fall back to the binder's current visibility and
+ * the owner's privacy settings (defaultVisibility, linkExpiration).
+ * @param {string} userId - Owner of the binder
+ * @param {string} binderId - Binder to share
+ * @param {Object} options - { visibility, linkExpiration, regenerate }
+ *   regenerate replaces the token, so the old link stops working
+ * @returns {Object} { success, token, visibility, expiresAt }
+ */
+export const shareBinder = async (userId, binderId, options = {}) => {
+  if (!userId || !binderId) {
+    return { success: false, error: "User ID and Binder ID are required." };
+  }
+
+  try {
+    const binderDocRef = doc(getUserSubcollection(userId, "binders"), binderId);
+    const [binderSnap, userSnap] = await Promise.all([
+      getDoc(binderDocRef),
+      getDoc(getUserDocRef(userId)),
+    ]);
+
+    if (!binderSnap.exists()) {
+      return { success: false, error: "Binder not found." };
+    }
+
+    const binder = binderSnap.data();
+    const userData = userSnap.exists() ? userSnap.data() : {};
+    const privacy = getUserPrivacySettings(userData);
+
+    const visibility =
+      options.visibility || binder.visibility || privacy.defaultVisibility;
+    if (!SHARED_VISIBILITIES.includes(visibility)) {
+      return {
+        success: false,
+        error: "Make the binder unlisted or public to share it.",
+      };
+    }
+
+    const linkExpiration = options.linkExpiration || privacy.linkExpiration;
+
+    const previousToken = binder.shareToken || null;
+    const token =
+      previousToken && !options.regenerate
+        ? previousToken
+        : generateShareToken();
+
+    const batch = writeBatch(db);
+    if (previousToken && previousToken !== token) {
+      batch.delete(getSharedBinderDocRef(previousToken));
+    }
+    const shareData = buildShareData(userId, binderId, userData, {
+      binder,
+      visibility,
+      linkExpiration,
+      isNew: token !== previousToken,
+    });
+    batch.set(getSharedBinderDocRef(token), shareData, { merge: true });
+    batch.update(binderDocRef, {
+      shareToken: token,
+      visibility,
+      updatedAt: serverTimestamp(),
+    });
+    await batch.commit();
+
+    return {
+      success: true,
+      token,
+      visibility,
+      expiresAt: shareData.expiresAt,
+    };
+  } catch (error) {
+    console.error("Error sharing binder:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+/**
+ * Turn off a binder's share link and make the binder private again
+ * @param {string} userId - Owner of the binder
+ * @param {string} binderId - Binder to stop sharing
+ */
+export const unshareBinder = async (userId, binderId) => {
+  if (!userId || !binderId) {
+    return { success: false, error: "User ID and Binder ID are required." };
+  }
+
+  try {
+    const binderDocRef = doc(getUserSubcollection(userId, "binders"), binderId);
+    const binderSnap = await getDoc(binderDocRef);
+
+    if (!binderSnap.exists()) {
+      return { success: false, error: "Binder not found." };
+    }
+
+    const batch = writeBatch(db);
+    const { shareToken } = binderSnap.data();
+    if (shareToken) {
+      batch.delete(getSharedBinderDocRef(shareToken));
+    }
+    batch.update(binderDocRef, {
+      shareToken: deleteField(),
+      visibility: BINDER_VISIBILITY.PRIVATE,
+      updatedAt: serverTimestamp(),
+    });
+    await batch.commit();
+
+    return { success: true };
+  } catch (error) {
+    console.error("Error unsharing binder:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+/**
+ * Get the share link details for one of the user's binders
+ * @param {string} userId - Owner of the binder
+ * @param {string} binderId - Binder ID
+ * @returns {Object} { success, share, visibility } - share is null when the binder isn't shared
+ */
+export const getBinderShare = async (userId, binderId) => {
+  if (!userId || !binderId) {
+    return { success: false, error: "User ID and Binder ID are required." };
+  }
+
+  try {
+    const binderSnap = await getDoc(
+      doc(getUserSubcollection(userId, "binders"), binderId)
+    );
+    if (!binderSnap.exists()) {
+      return { success: false, error: "Binder not found." };
+    }
+
+    const { shareToken, visibility = null } = binderSnap.data();
+    if (!shareToken) {
+      return { success: true, share: null, visibility };
+    }
+
+    const shareSnap = await getDoc(getSharedBinderDocRef(shareToken));
+    return {
+      success: true,
+      share: shareSnap.exists()
+        ? { token: shareToken, ...shareSnap.data() }
+        : null,
+      visibility,
+    };
+  } catch (error) {
+    console.error("Error getting binder share:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+/**
+ * Load a shared binder for the public read-only view
+ * No sign-in is needed unless the owner requires viewers to have an email.
+ * The binder's name and layout come from the share document; the binder
+ * document itself (collaborators and other private details) isn't readable.
+ * @param {string} token - Share token from the link
+ * @returns {Object} { success, share, binder, cards } or { success: false, error, requiresSignIn }
+ */
+export const getSharedBinder = async (token) => {
+  if (!token) {
+    return { success: false, error: "This share link is invalid." };
+  }
+
+  try {
+    const shareSnap = await getDoc(getSharedBinderDocRef(token));
+    if (!shareSnap.exists()) {
+      return {
+        success: false,
+        error: "This share link doesn't exist or has been turned off.",
+      };
+    }
+
+    const share = shareSnap.data();
+    if (isShareExpired(share)) {
+      return { success: false, error: "This share link has expired." };
+    }
+    if (share.requireEmailForView && !auth.currentUser?.email) {
+      return {
+        success: false,
+        requiresSignIn: true,
+        error:
+          "The owner asks viewers to sign in with an email address to see this binder.",
+      };
+    }
+
+    const cardsSnapshot = await getDocs(
+      getBinderCardsColRef(share.ownerId, share.binderId)
+    );
+    const cards = cardsSnapshot.docs.map((cardDoc) => ({
+      id: cardDoc.id,
+      ...cardDoc.data(),
+    }));
+
+    return {
+      success: true,
+      share: { token, ...share },
+      binder: {
+        id: share.binderId,
+        ...pickSharedBinderFields(share),
+        // Links created before the layout was copied show every page with a card
+        pageCount:
+          share.pageCount ||
+          Math.max(1, ...cards.map((card) => card.pageNumber || 1)),
+      },
+      cards,
+    };
+  } catch (error) {
+    // The rules refuse reads once a link is replaced or turned off, and
+    // refuse the link itself when it has expired or asks for an email
+    if (error.code === "permission-denied") {
+      if (!auth.currentUser?.email) {
+        return {
+          success: false,
+          requiresSignIn: true,
+          error:
+            "This binder isn't available. If the owner asks viewers to sign in, sign in with an email address to see it.",
+        };
+      }
+      return {
+        success: false,
+        error: "This binder is no longer shared or the link has expired.",
+      };
+    }
+    console.error("Error loading shared binder:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+/**
+ * Count a view of a shared binder, if its owner allows view analytics
+ * @param {string} token - Share token from the link
+ */
+export const recordSharedBinderView = async (token) => {
+  try {
+    await updateDoc(getSharedBinderDocRef(token), {
+      viewCount: increment(1),
+      lastViewedAt: serverTimestamp(),
+    });
+    return { success: true };
+  } catch (error) {
+    console.error("Error recording shared binder view:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+/**
+ * Copy the owner's current name, photo and privacy settings onto all of their
+ * share links. Failures are logged; the links keep their old settings.
+ * @param {string} userId - Owner of the share links
+ */
+export const syncSharedBinderSettings = async (userId) => {
+  try {
+    const [userSnap, sharesSnapshot] = await Promise.all([
+      getDoc(getUserDocRef(userId)),
+      getDocs(
+        query(collection(db, "sharedBinders"), where("ownerId", "==", userId))
+      ),
+    ]);
+
+    if (sharesSnapshot.empty) return { success: true };
+
+    const userData = userSnap.exists() ? userSnap.data() : {};
+    const batch = writeBatch(db);
+    sharesSnapshot.docs.forEach((shareDoc) => {
+      batch.update(shareDoc.ref, {
+        ...getShareSettings(userData, shareDoc.data().visibility),
+        updatedAt: serverTimestamp(),
+      });
+    });
+    await batch.commit();
+
+    return { success: true };
+  } catch (error) {
+    console.error("Error syncing share link settings:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+// ===== BINDER COLLABORATION OPERATIONS =====
+
+/**
+ * Give a registered user access to a binder, or change the role of someone
+ * who already has access
+ * @param {string} userId - Owner of the binder
+ * @param {string} binderId - Binder to share
+ * @param {string} email - Email the invited user signs in with
+ * @param {string} role - One of COLLABORATOR_ROLES
+ * @returns {Promise<Object>} Result object with the collaborator
+ */
+export const inviteCollaborator = async (userId, binderId, email, role) => {
+  const emailKey = normalizeEmail(email);
+  if (!userId || !binderId || !emailKey) {
+    return {
+      success: false,
+      error: "User ID, Binder ID and an email address are required.",
+    };
+  }
+  if (!Object.values(COLLABORATOR_ROLES).includes(role)) {
+    return { success: false, error: "Invalid collaborator role." };
+  }
+
+  try {
+    const binderDocRef = doc(getUserSubcollection(userId, "binders"), binderId);
+    const [directorySnap, binderSnap, userSnap] = await Promise.all([
+      getDoc(getUserDirectoryDocRef(emailKey)),
+      getDoc(binderDocRef),
+      getDoc(getUserDocRef(userId)),
+    ]);
+
+    if (!binderSnap.exists()) {
+      return { success: false, error: "Binder not found." };
+    }
+    if (!directorySnap.exists()) {
+      return {
+        success: false,
+        error:
+          "No account uses that email address. The person needs to sign in once before they can be invited.",
+      };
+    }
+
+    const invitee = directorySnap.data();
+    if (invitee.uid === userId) {
+      return { success: false, error: "You already own this binder." };
+    }
+
+    const collaborators = binderSnap.data().collaborators || {};
+    if (
+      !collaborators[invitee.uid] &&
+      Object.keys(collaborators).length >= MAX_COLLABORATORS
+    ) {
+      return {
+        success: false,
+        error: `A binder can be shared with at most ${MAX_COLLABORATORS} people.`,
+      };
+    }
+
+    const profile = {
+      email: emailKey,
+      displayName: invitee.displayName || null,
+      photoURL: invitee.photoURL || null,
+    };
+
+    // Other collaborators can read the binder, so it only gets the role; the
+    // invitee's details go in the owner-only collaboratorProfiles. The owner's
+    // name is copied so collaborators can see who shared the binder.
+    const batch = writeBatch(db);
+    batch.update(binderDocRef, {
+      [`collaborators.${invitee.uid}`]: { role, addedAt: serverTimestamp() },
+      collaboratorIds: arrayUnion(invitee.uid),
+      ownerDisplayName: userSnap.data()?.displayName || null,
+      updatedAt: serverTimestamp(),
+    });
+    batch.set(
+      doc(getCollaboratorProfilesColRef(userId, binderId), invitee.uid),
+      {
+        ...profile,
+        addedAt: serverTimestamp(),
+      }
+    );
+    await batch.commit();
+
+    return {
+      success: true,
+      collaborator: { userId: invitee.uid, role, ...profile },
+    };
+  } catch (error) {
+    console.error("Error inviting collaborator:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+/**
+ * Get the people a binder is shared with, with their email, name and photo
+ * Only the binder's owner can read the details.
+ * @param {string} userId - Owner of the binder
+ * @param {string} binderId - Binder ID
+ * @returns {Promise<Object>} Result object with collaborators, editors first
+ */
+export const getBinderCollaborators = async (userId, binderId) => {
+  if (!userId || !binderId) {
+    return { success: false, error: "User ID and Binder ID are required." };
+  }
+
+  try {
+    const [binderSnap, profilesSnapshot] = await Promise.all([
+      getDoc(doc(getUserSubcollection(userId, "binders"), binderId)),
+      getDocs(getCollaboratorProfilesColRef(userId, binderId)),
+    ]);
+    if (!binderSnap.exists()) {
+      return { success: false, error: "Binder not found." };
+    }
+
+    const profiles = Object.fromEntries(
+      profilesSnapshot.docs.map((profileDoc) => [
+        profileDoc.id,
+        profileDoc.data(),
+      ])
+    );
+    return {
+      success: true,
+      collaborators: getCollaboratorList(binderSnap.data(), profiles),
+    };
+  } catch (error) {
+    console.error("Error getting binder collaborators:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+/**
+ * Change what a collaborator can do with a binder
+ * @param {string} userId - Owner of the binder
+ * @param {string} binderId - Binder ID
+ * @param {string} collaboratorId - User ID of the collaborator
+ * @param {string} role - One of COLLABORATOR_ROLES
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export const updateCollaboratorRole = async (
+  userId,
+  binderId,
+  collaboratorId,
+  role
+) => {
+  if (!userId || !binderId || !collaboratorId) {
+    return {
+      success: false,
+      error: "User ID, Binder ID and collaborator ID are required.",
+    };
+  }
+  if (!Object.values(COLLABORATOR_ROLES).includes(role)) {
+    return { success: false, error: "Invalid collaborator role." };
+  }
+
+  try {
+    await updateDoc(doc(getUserSubcollection(userId, "binders"), binderId), {
+      [`collaborators.${collaboratorId}.role`]: role,
+      updatedAt: serverTimestamp(),
+    });
+    return { success: true };
+  } catch (error) {
+    console.error("Error updating collaborator role:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+/**
+ * Take away a collaborator's access to a binder
+ * @param {string} userId - Owner of the binder
+ * @param {string} binderId - Binder ID
+ * @param {string} collaboratorId - User ID of the collaborator
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export const removeCollaborator = async (userId, binderId, collaboratorId) => {
+  if (!userId || !binderId || !collaboratorId) {
+    return {
+      success: false,
+      error: "User ID, Binder ID and collaborator ID are required.",
+    };
+  }
+
+  try {
+    const batch = writeBatch(db);
+    batch.update(doc(getUserSubcollection(userId, "binders"), binderId), {
+      [`collaborators.${collaboratorId}`]: deleteField(),
+      collaboratorIds: arrayRemove(collaboratorId),
+      updatedAt: serverTimestamp(),
+    });
+    batch.delete(
+      doc(getCollaboratorProfilesColRef(userId, binderId), collaboratorId)
+    );
+    await batch.commit();
+    return { success: true };
+  } catch (error) {
+    console.error("Error removing collaborator:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+/**
+ * Get binders other users have shared with a user, most recently updated first
+ * Each binder is tagged with its ownerId and the user's role.
+ * @param {string} userId - Collaborator's user ID
+ * @returns {Promise<Object>} Result object with binders
+ */
+export const getBindersSharedWithUser = async (userId) => {
+  if (!userId) {
+    return { success: false, error: "User ID is required.", binders: [] };
+  }
+
+  try {
+    const querySnapshot = await getDocs(
+      query(
+        collectionGroup(db, "binders"),
+        where("collaboratorIds", "array-contains", userId),
+        limit(CLIENT_SIDE_LIST_LIMIT)
+      )
+    );
+
+    const binders = querySnapshot.docs
+      .map((binderDoc) => {
+        const data = binderDoc.data();
+        return {
+          id: binderDoc.id,
+          ...data,
+          // users/{ownerId}/binders/{binderId}
+          ownerId: data.ownerId || binderDoc.ref.parent.parent.id,
+          role: data.collaborators?.[userId]?.role || COLLABORATOR_ROLES.VIEWER,
+        };
+      })
+      .sort(
+        (a, b) =>
+          (b.updatedAt?.toMillis?.() || 0) - (a.updatedAt?.toMillis?.() || 0)
+      );
+
+    return { success: true, binders };
+  } catch (error) {
+    console.error("Error fetching binders shared with user:", error);
+    return {
+      success: false,
+      error: getFriendlyErrorMessage(error),
+      binders: [],
+    };
+  }
+};
+
+// ===== COLLECTION OPERATIONS =====
+
+export const createCollection = async (userId, collectionData) => {
+  try {
+    const collectionsRef = getUserSubcollection(userId, "collections");
+    const collection = {
+      ...collectionData,
+      cardCount: 0,
+      totalValue: 0,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    };
+
+    const docRef = await addDoc(collectionsRef, collection);
+
+    // Add activity log
+    const activityRef = getUserSubcollection(userId, "activity");
+    await addDoc(activityRef, {
+      type: "collection_created",
+      description: `Created collection "${collectionData.name}"`,
+      collectionRef: docRef,
+      timestamp: serverTimestamp(),
+    });
+
+    return { success: true, collectionId: docRef.id };
+  } catch (error) {
+    console.error("Error creating collection:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+export const getUserCollections = async (
+  userId,
+  queryLimit = DEFAULT_LIST_LIMIT
+) => {
+  if (!userId) {
+    return { success: false, error: "User ID required", collections: [] };
+  }
+  try {
+    const collectionsQuery = query(
+      getUserSubcollection(userId, "collections"),
+      orderBy("createdAt", "desc"),
+      limit(queryLimit) // Added limit
+    );
+    const querySnapshot = await getDocs(collectionsQuery);
+    const collections = [];
+    querySnapshot.forEach((doc) => {
       collections.push({ id: doc.id, ...doc.data() });
     });
     return {
@@ -952,8 +2351,8 @@ export const addToWishlist = async (userId, binderData) => {
   try {
     const wishlistRef = getUserSubcollection(userId, "wishlist");
     const wishlistItem = {
-      ...binderData,
       priority: "Medium",
+      ...binderData,
       addedAt: serverTimestamp(),
     };
 
@@ -965,9 +2364,42 @@ export const addToWishlist = async (userId, binderData) => {
   }
 };
 
+export const addCardsToWishlist = async (userId, wishlistItems) => {
+  if (!userId || !wishlistItems || wishlistItems.length === 0) {
+    return {
+      success: false,
+      error: "Missing required parameters for adding to wishlist.",
+    };
+  }
+
+  try {
+    const wishlistRef = getUserSubcollection(userId, "wishlist");
+    const wishlistIds = [];
+
+    for (let i = 0; i < wishlistItems.length; i += MAX_BATCH_WRITES) {
+      const batch = writeBatch(db);
+      wishlistItems.slice(i, i + MAX_BATCH_WRITES).forEach((item) => {
+        const itemRef = doc(wishlistRef); // Auto-generate ID
+        batch.set(itemRef, {
+          priority: "Medium",
+          ...item,
+          addedAt: serverTimestamp(),
+        });
+        wishlistIds.push(itemRef.id);
+      });
+      await batch.commit();
+    }
+
+    return { success: true, addedCount: wishlistIds.length, wishlistIds };
+  } catch (error) {
+    console.error("Error adding cards to wishlist:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
 export const getUserWishlist = async (
   userId,
-  queryLimit = DEFAULT_LIST_LIMIT
+  queryLimit = CLIENT_SIDE_LIST_LIMIT
 ) => {
   if (!userId) {
     return { success: false, error: "User ID required", wishlist: [] };
@@ -994,6 +2426,46 @@ export const getUserWishlist = async (
   }
 };
 
+export const updateWishlistItem = async (userId, wishlistId, updates) => {
+  if (!userId || !wishlistId) {
+    return { success: false, error: "User ID and Wishlist ID are required." };
+  }
+  if (!updates || Object.keys(updates).length === 0) {
+    return { success: false, error: "No updates provided." };
+  }
+
+  try {
+    const wishlistDocRef = doc(
+      getUserSubcollection(userId, "wishlist"),
+      wishlistId
+    );
+    const wishlistUpdates = { ...updates, updatedAt: serverTimestamp() };
+    // A cleared budget removes the field rather than storing null
+    if (updates.maxPrice === null) {
+      wishlistUpdates.maxPrice = deleteField();
+    }
+    await updateDoc(wishlistDocRef, wishlistUpdates);
+    return { success: true };
+  } catch (error) {
+    console.error("Error updating wishlist item:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
+export const removeFromWishlist = async (userId, wishlistId) => {
+  if (!userId || !wishlistId) {
+    return { success: false, error: "User ID and Wishlist ID are required." };
+  }
+
+  try {
+    await deleteDoc(doc(getUserSubcollection(userId, "wishlist"), wishlistId));
+    return { success: true };
+  } catch (error) {
+    console.error("Error removing from wishlist:", error);
+    return { success: false, error: getFriendlyErrorMessage(error) };
+  }
+};
+
 // ===== ACTIVITY OPERATIONS =====
 
 export const getUserActivity = async (userId, limitCount = 10) => {
@@ -1250,6 +2722,10 @@ export const deleteUserAccount = async (userId) => {
 
     // Transaction to delete all user data
     await runTransaction(db, async (transaction) => {
+      // Read the profile first so the user's email lookup entry can be removed
+      const userSnap = await transaction.get(getUserDocRef(userId));
+      const email = userSnap.data()?.email;
+
       // 1. Get all user's binders
       const bindersSnapshot = await getDocs(
         getUserSubcollection(userId, "binders")
@@ -1265,8 +2741,19 @@ export const deleteUserAccount = async (userId) => {
           transaction.delete(cardDoc.ref);
         });
 
-        // Delete the binder itself
+        const profilesSnapshot = await getDocs(
+          getCollaboratorProfilesColRef(userId, binderDoc.id)
+        );
+        profilesSnapshot.forEach((profileDoc) => {
+          transaction.delete(profileDoc.ref);
+        });
+
+        // Delete the binder itself and its share link
         transaction.delete(binderDoc.ref);
+        const shareToken = binderDoc.data().shareToken;
+        if (shareToken) {
+          transaction.delete(getSharedBinderDocRef(shareToken));
+        }
       }
 
       // 3. Delete other subcollections
@@ -1280,8 +2767,11 @@ export const deleteUserAccount = async (userId) => {
         });
       }
 
-      // 4. Finally delete the user document
+      // 4. Finally delete the user document and email lookup entry
       transaction.delete(getUserDocRef(userId));
+      if (email) {
+        transaction.delete(getUserDirectoryDocRef(email));
+      }
     });
 
     console.log(`User account ${userId} deleted successfully`);
@@ -1364,6 +2854,29 @@ export const validateBinderData = (data) => {
     errors.push("Invalid grid size");
   }
 
+  if (
+    data.visibility !== undefined &&
+    !Object.values(BINDER_VISIBILITY).includes(data.visibility)
+  ) {
+    errors.push("Invalid visibility");
+  }
+
+  if (data.setTemplate !== undefined && data.setTemplate !== null) {
+    const { setId, setName, cardCount } = data.setTemplate;
+    if (
+      typeof setId !== "string" ||
+      !setId ||
+      setId.length > 50 ||
+      typeof setName !== "string" ||
+      setName.length > 100 ||
+      typeof cardCount !== "number" ||
+      cardCount < 0 ||
+      cardCount > 1000
+    ) {
+      errors.push("Invalid set template");
+    }
+  }
+
   return {
     success: errors.length === 0,
     error: errors.length > 0 ? errors.join(", ") : null,
@@ -1416,6 +2929,8 @@ export const validateCardData = (data) => {
     }
   }
 
+  errors.push(...validateCardMetadata(data));
+
   return {
     success: errors.length === 0,
     error: errors.length > 0 ? errors.join(", ") : null,
@@ -1430,9 +2945,9 @@ export const validatePageLimits = async (userId, pageCount) => {
     const systemConfigDoc = await getDoc(systemConfigRef);
 
     // Check if user is registered
-    const userDocRef = getUserDocRef(userId);
-    const userDoc = await getDoc(userDocRef);
-    const isRegisteredUser = userDoc.exists();
+    const isRegisteredUser =
+      isCollaboratorWrite(userId) ||
+      (await getDoc(getUserDocRef(userId))).exists();
 
     let maxPages = Number.MAX_SAFE_INTEGER; // Default unlimited
     let enforceLimits = false;
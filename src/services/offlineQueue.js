@@ -0,0 +1,356 @@
+/**
+ * Offline Write Queue
+ *
+ * Saves a signed-in user makes without a connection are queued in IndexedDB
+ * and replayed in order through firestore.js once the connection returns.
+ * Card changes also stay in the binder's pending changes until their queued
+ * copy has been saved, so the binder keeps showing them in the meantime.
+ */
+
+import { indexedDBAdapter } from "../storage/adapters/indexedDBAdapter";
+import {
+  saveBinderCardChanges,
+  updateBinder,
+  createBinderRevision,
+} from "./firestore";
+import {
+  removeSavedPendingChanges,
+  setPendingBaseRevision,
+} from "../utils/localBinderStorage";
+import {
+  CONFLICT_CHOICES,
+  mergePreferenceChanges,
+  resolvePreferenceConflicts,
+} from "../utils/binderConflicts";
+import { REVISION_REASONS } from "../utils/binderRevisions";
+
+export const OFFLINE_WRITE_TYPES = {
+  CARD_CHANGES: "cardChanges",
+  BINDER_UPDATE: "binderUpdate",
+};
+
+// Window event fired whenever the queue changes
+export const OFFLINE_QUEUE_EVENT = "offlineQueueChanged";
+
+// Replays a write may fail before it is dropped from the queue
+const MAX_REPLAY_ATTEMPTS = 3;
+
+const notifyQueueChange = (userId) => {
+  window.dispatchEvent(
+    new CustomEvent(OFFLINE_QUEUE_EVENT, { detail: { userId } })
+  );
+};
+
+/**
+ * Whether the browser currently has no network connection
+ */
+export const isOffline = () =>
+  typeof navigator !== "undefined" && navigator.onLine === false;
+
+/**
+ * Get a user's queued writes, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Queued writes; empty when IndexedDB is unavailable
+ */
+export const getQueuedWrites = async (userId) => {
+  if (!userId) return [];
+
+  try {
+    return await indexedDBAdapter.getOfflineWrites(userId);
+  } catch (error) {
+    console.error("Error reading offline write queue:", error);
+    return [];
+  }
+};
+
+/**
+ * Queue a binder's pending card changes to be saved once back online
+ * A binder has at most one queued copy of its card changes: a later copy
+ * holds every edit still pending, so it replaces the earlier one.
+ * @param {string} userId - Signed-in user ID
+ * @param {string} ownerId - Binder owner ID
+ * @param {string} binderId - Binder ID
+ * @param {Object} changes - Pending changes from localBinderStorage
+ * @returns {Promise<Object>} Result object
+ */
+export const queueCardChanges = async (userId, ownerId, binderId, changes) => {
+  try {
+    const writes = await getQueuedWrites(userId);
+    const existing = writes.find(
+      (write) =>
+        write.binderId === binderId &&
+        write.type === OFFLINE_WRITE_TYPES.CARD_CHANGES
+    );
+
+    await indexedDBAdapter.putOfflineWrite({
+      ...(existing && { id: existing.id }),
+      userId,
+      ownerId,
+      binderId,
+      type: OFFLINE_WRITE_TYPES.CARD_CHANGES,
+      payload: changes,
+      attempts: 0,
+      queuedAt: existing?.queuedAt || Date.now(),
+    });
+    notifyQueueChange(userId);
+
+    return { success: true, queued: true };
+  } catch (error) {
+    console.error("Error queueing card changes:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Queue a binder settings update to be saved once back online
+ * @param {string} userId - Signed-in user ID
+ * @param {string} ownerId - Binder owner ID
+ * @param {string} binderId - Binder ID
+ * @param {Object} update - { updates, base, expectedRevision }: the new settings,
+ *   the saved settings they were edited from and that version's revision
+ * @returns {Promise<Object>} Result object
+ */
+export const queueBinderUpdate = async (userId, ownerId, binderId, update) => {
+  try {
+    await indexedDBAdapter.putOfflineWrite({
+      userId,
+      ownerId,
+      binderId,
+      type: OFFLINE_WRITE_TYPES.BINDER_UPDATE,
+      payload: update,
+      attempts: 0,
+      queuedAt: Date.now(),
+    });
+    notifyQueueChange(userId);
+
+    return { success: true, queued: true };
+  } catch (error) {
+    console.error("Error queueing binder update:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Drop a binder's queued card changes, e.g. when its pending changes are discarded
+ * @param {string} userId - Signed-in user ID
+ * @param {string} binderId - Binder ID
+ */
+export const discardQueuedCardChanges = async (userId, binderId) => {
+  const writes = await getQueuedWrites(userId);
+  const queued = writes.filter(
+    (write) =>
+      write.binderId === binderId &&
+      write.type === OFFLINE_WRITE_TYPES.CARD_CHANGES
+  );
+  if (queued.length === 0) return;
+
+  try {
+    await Promise.all(
+      queued.map((write) => indexedDBAdapter.deleteOfflineWrite(write.id))
+    );
+  } catch (error) {
+    console.error("Error discarding queued card changes:", error);
+  }
+  notifyQueueChange(userId);
+};
+
+// Save queued card changes. A conflict with a save made elsewhere hands the
+// rest back to the binder's pending changes, where the next save rebases them
+// or asks about the clashing slots.
+const replayCardChanges = async (write, expectedRevision) => {
+  const { ownerId, binderId, payload } = write;
+  const result = await saveBinderCardChanges(ownerId, binderId, {
+    ...payload,
+    baseRevision: expectedRevision,
+  });
+
+  if (result.conflict) {
+    const { remainingChanges } = result;
+    const savedChanges = Object.fromEntries(
+      ["addedCards", "movedCards", "updatedCards", "removedCardIds"].map(
+        (list) => [
+          list,
+          remainingChanges[list]?.length ? [] : payload[list] || [],
+        ]
+      )
+    );
+    removeSavedPendingChanges(binderId, savedChanges, payload.baseRevision);
+    return { needsReview: true };
+  }
+
+  if (result.success) {
+    removeSavedPendingChanges(binderId, payload, result.revision);
+  }
+  return result;
+};
+
+// Save a queued settings update, merging in settings saved elsewhere since.
+// Settings both sides changed keep the offline edit, the one the user is
+// waiting to see saved.
+const replayBinderUpdate = async (write, expectedRevision) => {
+  const { ownerId, binderId, payload } = write;
+  const { updates, base } = payload;
+
+  let result = await updateBinder(ownerId, binderId, updates, {
+    expectedRevision,
+  });
+
+  if (result.conflict) {
+    const { binder, currentRevision } = result.conflict;
+    const remote = Object.fromEntries(
+      Object.keys(updates).map((field) => [field, binder[field] ?? base[field]])
+    );
+    const { merged, conflicts } = mergePreferenceChanges(base, updates, remote);
+    const choices = Object.fromEntries(
+      conflicts.map((conflict) => [conflict.key, CONFLICT_CHOICES.LOCAL])
+    );
+
+    result = await updateBinder(
+      ownerId,
+      binderId,
+      resolvePreferenceConflicts(merged, conflicts, choices),
+      { expectedRevision: currentRevision }
+    );
+  }
+
+  if (result.success) {
+    // Unsaved card edits made on the revision just saved over still apply
+    setPendingBaseRevision(binderId, result.revision, expectedRevision);
+  }
+  return result;
+};
+
+const REPLAYERS = {
+  [OFFLINE_WRITE_TYPES.CARD_CHANGES]: {
+    replay: replayCardChanges,
+    getQueuedRevision: (payload) => payload.baseRevision,
+    revisionReason: REVISION_REASONS.CARDS,
+  },
+  [OFFLINE_WRITE_TYPES.BINDER_UPDATE]: {
+    replay: replayBinderUpdate,
+    getQueuedRevision: (payload) => payload.expectedRevision,
+    revisionReason: REVISION_REASONS.PREFERENCES,
+  },
+};
+
+const replayWrites = async (userId) => {
+  const writes = await getQueuedWrites(userId);
+  const savedBinderIds = new Set();
+  const needsReview = [];
+  const failed = [];
+  // Per binder: the revision its writes were queued on and the one replay saved.
+  // Writes queued on the same revision were made on top of each other.
+  const replayedRevisions = new Map();
+  let error = null;
+
+  for (const write of writes) {
+    if (isOffline()) break;
+
+    const replayer = REPLAYERS[write.type];
+    if (!replayer) {
+      await indexedDBAdapter.deleteOfflineWrite(write.id);
+      continue;
+    }
+
+    const queuedRevision = replayer.getQueuedRevision(write.payload) || 0;
+    const replayed = replayedRevisions.get(write.binderId);
+    const expectedRevision =
+      replayed?.queuedRevision === queuedRevision
+        ? replayed.savedRevision
+        : queuedRevision;
+
+    let result;
+    try {
+      result = await replayer.replay(write, expectedRevision);
+    } catch (replayError) {
+      result = { success: false, error: replayError.message };
+    }
+
+    if (result.success) {
+      replayedRevisions.set(write.binderId, {
+        queuedRevision,
+        savedRevision: result.revision,
+      });
+      savedBinderIds.add(write.binderId);
+      await indexedDBAdapter.deleteOfflineWrite(write.id);
+
+      // Snapshot the saved binder in the background
+      createBinderRevision(
+        write.ownerId,
+        write.binderId,
+        replayer.revisionReason
+      ).then((revisionResult) => {
+        if (!revisionResult.success) {
+          console.warn(
+            "Failed to record binder revision:",
+            revisionResult.error
+          );
+        }
+      });
+      continue;
+    }
+
+    if (result.needsReview) {
+      needsReview.push(write.binderId);
+      savedBinderIds.add(write.binderId);
+      await indexedDBAdapter.deleteOfflineWrite(write.id);
+      continue;
+    }
+
+    // Later writes may depend on this one, so stop here and retry it first
+    // next time, unless it keeps failing
+    const attempts = (write.attempts || 0) + 1;
+    if (attempts >= MAX_REPLAY_ATTEMPTS) {
+      console.error("Dropping offline write after repeated failures:", write);
+      failed.push(write);
+      await indexedDBAdapter.deleteOfflineWrite(write.id);
+      continue;
+    }
+
+    await indexedDBAdapter.putOfflineWrite({
+      ...write,
+      attempts,
+      lastError: result.error,
+    });
+    error = result.error;
+    break;
+  }
+
+  notifyQueueChange(userId);
+
+  return {
+    success: !error && failed.length === 0,
+    savedBinderIds: [...savedBinderIds],
+    needsReview,
+    failed,
+    error,
+  };
+};
+
+let activeReplay = null;
+
+/**
+ * Replay a user's queued writes in the order they were made
+ * Concurrent calls share the replay already running.
+ * @param {string} userId - Signed-in user ID
+ * @returns {Promise<Object>} { success, savedBinderIds, needsReview, failed, error }
+ */
+export const replayQueuedWrites = (userId) => {
+  if (!activeReplay) {
+    activeReplay = replayWrites(userId)
+      .catch((error) => {
+        console.error("Error replaying offline writes:", error);
+        return {
+          success: false,
+          savedBinderIds: [],
+          needsReview: [],
+          failed: [],
+          error: error.message,
+        };
+      })
+      .finally(() => {
+        activeReplay = null;
+      });
+  }
+  return activeReplay;
+};
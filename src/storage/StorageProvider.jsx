@@ -8,29 +8,14 @@
 import { createContext, useContext, useEffect, useState } from "react";
 import { useAuth } from "../contexts/AuthContext";
 import { indexedDBAdapter } from "./adapters/indexedDBAdapter";
-// Import firebaseAdapter when it's implemented
-// import { firebaseAdapter } from "./adapters/firebaseAdapter";
+import { firebaseAdapter } from "./adapters/firebaseAdapter";
 
 // Create storage context
 const StorageContext = createContext(null);
 
-// Mock Firebase adapter for now (Phase 0/1)
-const mockFirebaseAdapter = {
-  // Will be replaced with actual Firebase adapter in Phase 4
-  getBinders: async () => [],
-  createBinder: async () => null,
-  updateBinder: async () => null,
-  deleteBinder: async () => false,
-  getBinderCards: async () => [],
-  addCardToBinder: async () => null,
-  removeCardFromBinder: async () => false,
-  bulkAddCards: async () => 0,
-  isConnected: () => false,
-  getStorageInfo: () => ({ type: "firebase", isConnected: false }),
-};
-
 export const StorageProvider = ({ children }) => {
-  const { user } = useAuth();
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid || null;
   const [currentAdapter, setCurrentAdapter] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
   const [error, setError] = useState(null);
@@ -42,10 +27,11 @@ export const StorageProvider = ({ children }) => {
         setError(null);
         setIsInitialized(false);
 
-        if (user) {
+        if (userId) {
           // Use Firebase for authenticated users
           console.log("Switching to Firebase storage for authenticated user");
-          setCurrentAdapter(mockFirebaseAdapter); // Will be firebaseAdapter in Phase 4
+          firebaseAdapter.setUserId(userId);
+          setCurrentAdapter(firebaseAdapter);
         } else {
           // Use IndexedDB for anonymous users
           await indexedDBAdapter.init();
@@ -58,7 +44,7 @@ export const StorageProvider = ({ children }) => {
         setError(err);
 
         // Fallback to IndexedDB if Firebase fails
-        if (user) {
+        if (userId) {
           console.warn("Firebase failed, falling back to IndexedDB");
           try {
             await indexedDBAdapter.init();
@@ -72,7 +58,7 @@ export const StorageProvider = ({ children }) => {
     };
 
     initializeStorage();
-  }, [user]);
+  }, [userId]);
 
   // Unified storage interface
   const storage = {
@@ -84,9 +70,9 @@ export const StorageProvider = ({ children }) => {
     error,
 
     // User type info
-    isAnonymous: !user,
-    isAuthenticated: !!user,
-    storageType: user ? "firebase" : "indexeddb",
+    isAnonymous: !userId,
+    isAuthenticated: !!userId,
+    storageType: userId ? "firebase" : "indexeddb",
 
     // ===== BINDER OPERATIONS =====
     getBinders: async () => {
@@ -146,6 +132,36 @@ export const StorageProvider = ({ children }) => {
       return await currentAdapter.setCachedCard(cardId, cardData, ttl);
     },
 
+    getCachedSet: async (setId) => {
+      if (!currentAdapter) throw new Error("Storage not initialized");
+      return await currentAdapter.getCachedSet(setId);
+    },
+
+    setCachedSet: async (setId, setData, ttl) => {
+      if (!currentAdapter) throw new Error("Storage not initialized");
+      return await currentAdapter.setCachedSet(setId, setData, ttl);
+    },
+
+    // ===== SET COMPLETION OPERATIONS =====
+    getSetCompletion: async (binderId, setId, options) => {
+      if (!currentAdapter) throw new Error("Storage not initialized");
+      return await currentAdapter.getSetCompletion(binderId, setId, options);
+    },
+
+    updateSetCompletion: async (binderId, setId, completionData) => {
+      if (!currentAdapter) throw new Error("Storage not initialized");
+      return await currentAdapter.updateSetCompletion(
+        binderId,
+        setId,
+        completionData
+      );
+    },
+
+    getMissingCards: async (binderId, setId, options) => {
+      if (!currentAdapter) throw new Error("Storage not initialized");
+      return await currentAdapter.getMissingCards(binderId, setId, options);
+    },
+
     // ===== SEARCH OPERATIONS =====
     searchCards: async (query, filters = {}) => {
       if (!currentAdapter) throw new Error("Storage not initialized");
@@ -184,20 +200,20 @@ export const StorageProvider = ({ children }) => {
       }
       return {
         ...currentAdapter.getStorageInfo(),
-        isAnonymous: !user,
-        isAuthenticated: !!user,
+        isAnonymous: !userId,
+        isAuthenticated: !!userId,
       };
     },
 
-    // ===== MIGRATION OPERATIONS (Phase 4) =====
+    // ===== BACKUP & MIGRATION OPERATIONS =====
     exportData: async () => {
       if (!currentAdapter) throw new Error("Storage not initialized");
       return await currentAdapter.exportData();
     },
 
-    importData: async (data) => {
+    importData: async (data, options) => {
       if (!currentAdapter) throw new Error("Storage not initialized");
-      return await currentAdapter.importData(data);
+      return await currentAdapter.importData(data, options);
     },
 
     clearAllData: async () => {
@@ -206,7 +222,8 @@ export const StorageProvider = ({ children }) => {
     },
   };
 
-  if (!isInitialized && !error) {
+  // Only block the app on first load; adapter switches on sign-in/out happen in place
+  if (!isInitialized && !error && !currentAdapter) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
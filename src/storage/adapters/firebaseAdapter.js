@@ -11,6 +11,7 @@ import {
   getDocs,
   getDoc,
   addDoc,
+  setDoc,
   updateDoc,
   deleteDoc,
   query,
@@ -20,6 +21,8 @@ import {
   writeBatch,
   onSnapshot,
   serverTimestamp,
+  increment,
+  Timestamp,
 } from "firebase/firestore";
 
 import { db } from "../../config/firebase";
@@ -28,7 +31,46 @@ import {
   STORAGE_ERROR_CODES,
   validateBinderData,
   validateCardData,
+  buildSetCompletionRecord,
 } from "./storageInterface.js";
+import { compareCardNumbers } from "../../utils/cardSorting.js";
+import { buildCardIndex, searchCardIndex } from "../search/localCardSearch.js";
+import { indexedDBAdapter } from "./indexedDBAdapter.js";
+import { USER_LIMITS } from "../../config/userLimits.js";
+import {
+  buildBackup,
+  parseBackup,
+  planBinderImport,
+  groupByBinder,
+  CONFLICT_STRATEGIES,
+} from "../backup/binderBackup.js";
+
+// Stay under Firestore's 500 writes per batch
+const WRITE_BATCH_SIZE = 400;
+
+// Backups store timestamps as milliseconds; Firestore keeps them as Timestamps
+const toTimestamp = (value) =>
+  typeof value === "number" ? Timestamp.fromMillis(value) : value;
+const toMillis = (value) => value?.toMillis?.() ?? value;
+
+// Binder fields managed by saves, sharing and collaboration rather than by the
+// binder's contents; imports keep the stored values instead of the backup's
+const SERVER_MANAGED_BINDER_FIELDS = [
+  "id",
+  "ownerId",
+  "revision",
+  "visibility",
+  "shareToken",
+  "collaborators",
+  "collaboratorIds",
+  "ownerDisplayName",
+];
+
+// Drop fields that are stored as document IDs or paths rather than data
+const omitFields = (data, fields) =>
+  Object.fromEntries(
+    Object.entries(data).filter(([key]) => !fields.includes(key))
+  );
 
 class FirebaseAdapter {
   constructor() {
@@ -73,6 +115,18 @@ class FirebaseAdapter {
     return doc(db, "users", this.userId, collectionName, docId);
   }
 
+  /**
+   * Get a collection in a binder owner's data
+   * Invited editors keep a shared binder's data with the owner's, not their own.
+   * @param {string} [ownerId] - Owner of the binder; defaults to the current user
+   */
+  getOwnerCollection(ownerId, collectionName) {
+    if (!ownerId || ownerId === this.userId) {
+      return this.getUserCollection(collectionName);
+    }
+    return collection(db, "users", ownerId, collectionName);
+  }
+
   /**
    * Handle Firebase errors
    */
@@ -377,49 +431,153 @@ class FirebaseAdapter {
     }
   }
 
-  // ================== CACHE OPERATIONS ==================
+  /**
+   * Search card data without the Pokemon TCG API (card cache and cached sets).
+   * Uses the same query syntax and result shape as usePokemonTCG.searchCards.
+   */
+  async searchCards(searchQuery, filters = {}) {
+    const [cachedCards, cachedSetCards] = await Promise.all([
+      this.getAllCachedCards(),
+      indexedDBAdapter.getAllCachedSetCards(),
+    ]);
+    const index = buildCardIndex([...cachedCards, ...cachedSetCards]);
+    return searchCardIndex(index, { ...filters, query: searchQuery });
+  }
 
-  async getCachedCard(cardId) {
-    try {
-      const cacheRef = this.getUserDoc("cardCache", cardId);
-      const snapshot = await getDoc(cacheRef);
+  // ================== SET COMPLETION OPERATIONS ==================
 
-      if (snapshot.exists()) {
-        const cached = snapshot.data();
-        const expiresAt = cached.expiresAt?.toMillis?.() || cached.expiresAt;
+  async getSetCompletion(binderId, setId, { ownerId } = {}) {
+    try {
+      const recordRef = doc(
+        this.getOwnerCollection(ownerId, `setCompletion/${binderId}/sets`),
+        setId
+      );
+      const snapshot = await getDoc(recordRef);
 
-        if (expiresAt > Date.now()) {
-          return cached.data;
-        }
-      }
+      if (!snapshot.exists()) return null;
 
-      return null;
+      return {
+        ...snapshot.data(),
+        updatedAt:
+          snapshot.data().updatedAt?.toMillis?.() || snapshot.data().updatedAt,
+      };
     } catch (error) {
-      // Cache failures should not break the app
-      console.warn("Failed to get cached card:", error);
-      return null;
+      this.handleFirebaseError(error, "get set completion");
     }
   }
 
-  async setCachedCard(cardId, cardData, ttl = 24 * 60 * 60 * 1000) {
+  /**
+   * Compare a binder against the full set list and store the result.
+   * completionData.setCards is the set list from the Pokemon TCG API;
+   * completionData.binderCards overrides the cards read from Firestore, and
+   * completionData.ownerId is the binder's owner when it was shared with the user.
+   */
+  async updateSetCompletion(binderId, setId, completionData = {}) {
     try {
-      const cacheRef = this.getUserDoc("cardCache", cardId);
+      const { ownerId } = completionData;
+      const binderCards =
+        completionData.binderCards || (await this.getBinderCards(binderId));
+      const { missingCards, ...summary } = buildSetCompletionRecord(
+        setId,
+        completionData.setCards,
+        binderCards,
+        { includeReverseHolos: completionData.includeReverseHolos }
+      );
 
-      const cacheEntry = {
-        data: cardData,
-        cachedAt: serverTimestamp(),
-        expiresAt: new Date(Date.now() + ttl),
+      // Replace the missing cards for this set, only deleting entries that are now owned
+      const missingRef = this.getOwnerCollection(
+        ownerId,
+        `missingCards/${binderId}/cards`
+      );
+      const existingSnapshot = await getDocs(
+        query(missingRef, where("setId", "==", setId))
+      );
+      const stillMissing = new Set(missingCards.map((card) => card.cardId));
+
+      // Big sets (more so with reverse holos) need more than one batch; the
+      // record goes last so it only changes once its missing cards are stored
+      const writes = [
+        ...existingSnapshot.docs
+          .filter((missingDoc) => !stillMissing.has(missingDoc.id))
+          .map((missingDoc) => (batch) => batch.delete(missingDoc.ref)),
+        ...missingCards.map(
+          (card) => (batch) =>
+            batch.set(doc(missingRef, card.cardId), { setId, ...card })
+        ),
+        (batch) =>
+          batch.set(
+            doc(
+              this.getOwnerCollection(
+                ownerId,
+                `setCompletion/${binderId}/sets`
+              ),
+              setId
+            ),
+            { binderId, ...summary, updatedAt: serverTimestamp() }
+          ),
+      ];
+
+      for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + WRITE_BATCH_SIZE).forEach((write) => write(batch));
+        await batch.commit();
+      }
+
+      return {
+        binderId,
+        ...summary,
+        updatedAt: Date.now(),
       };
+    } catch (error) {
+      if (error instanceof StorageError) throw error;
+      this.handleFirebaseError(error, "update set completion");
+    }
+  }
 
-      await updateDoc(cacheRef, cacheEntry);
-      return true;
+  async getMissingCards(binderId, setId, { ownerId } = {}) {
+    try {
+      const missingRef = this.getOwnerCollection(
+        ownerId,
+        `missingCards/${binderId}/cards`
+      );
+      const snapshot = await getDocs(
+        query(missingRef, where("setId", "==", setId))
+      );
+
+      return snapshot.docs
+        .map((doc) => doc.data().number)
+        .sort(compareCardNumbers);
     } catch (error) {
-      // Cache failures should not break the app
-      console.warn("Failed to cache card data:", error);
-      return false;
+      this.handleFirebaseError(error, "get missing cards");
     }
   }
 
+  // ================== CACHE OPERATIONS ==================
+
+  // Card data is the same for every user, so it is cached on this device
+  // where offline search can read it
+  async getCachedCard(cardId) {
+    return indexedDBAdapter.getCachedCard(cardId);
+  }
+
+  async setCachedCard(cardId, cardData, ttl = 24 * 60 * 60 * 1000) {
+    return indexedDBAdapter.setCachedCard(cardId, cardData, ttl);
+  }
+
+  async getAllCachedCards() {
+    return indexedDBAdapter.getAllCachedCards();
+  }
+
+  // Set data is the same for every user and too large for Firestore documents,
+  // so it is cached on this device with the registered-user TTL
+  async getCachedSet(setId) {
+    return indexedDBAdapter.getCachedSet(setId);
+  }
+
+  async setCachedSet(setId, setData, ttl = USER_LIMITS.REGISTERED.cacheTTL) {
+    return indexedDBAdapter.setCachedSet(setId, setData, ttl);
+  }
+
   // ================== USER SETTINGS ==================
 
   async getUserSettings() {
@@ -438,14 +596,20 @@ class FirebaseAdapter {
     }
   }
 
-  async updateUserSettings(settings) {
+  async updateUserSettings(settings, { replace = false } = {}) {
     try {
       const settingsRef = this.getUserDoc("profile", "settings");
 
-      await updateDoc(settingsRef, {
-        settings,
-        updatedAt: serverTimestamp(),
-      });
+      // Merge so the first write (e.g. during migration) creates the document;
+      // replace swaps the whole settings map, e.g. to undo a migration
+      await setDoc(
+        settingsRef,
+        {
+          settings,
+          updatedAt: serverTimestamp(),
+        },
+        replace ? { mergeFields: ["settings", "updatedAt"] } : { merge: true }
+      );
 
       return true;
     } catch (error) {
@@ -603,36 +767,6 @@ class FirebaseAdapter {
   }
 
   // Placeholder implementations for interface compliance
-  async searchCards(query, filters) {
-    // This will be implemented in Phase 2 when we add Pokemon TCG API
-    return [];
-  }
-
-  async getSetCompletion(binderId, setId) {
-    // Placeholder for Phase 2
-    return null;
-  }
-
-  async updateSetCompletion(binderId, setId, completionData) {
-    // Placeholder for Phase 2
-    return null;
-  }
-
-  async getMissingCards(binderId, setId) {
-    // Placeholder for Phase 2
-    return [];
-  }
-
-  async getCachedSet(setId) {
-    // Placeholder for Phase 2
-    return null;
-  }
-
-  async setCachedSet(setId, setData, ttl) {
-    // Placeholder for Phase 2
-    return false;
-  }
-
   async updateCardInBinder(binderId, cardId, updates) {
     // Placeholder for Phase 3
     return null;
@@ -643,13 +777,212 @@ class FirebaseAdapter {
     return 0;
   }
 
+  /**
+   * Export binders, card slots, preferences, set completion and settings
+   * in the versioned backup format (see backup/binderBackup.js)
+   */
   async exportData() {
-    return this.getAllData();
+    if (!USER_LIMITS.REGISTERED.canExport) {
+      throw new StorageError(
+        "Export is not available for this account",
+        STORAGE_ERROR_CODES.PERMISSION_DENIED
+      );
+    }
+
+    try {
+      const [binders, settings] = await Promise.all([
+        this.getBinders(),
+        this.getUserSettings(),
+      ]);
+
+      const cards = [];
+      const setCompletion = [];
+      const missingCards = [];
+
+      for (const binder of binders) {
+        const [slotsSnapshot, setSnapshot, missingSnapshot] = await Promise.all(
+          [
+            getDocs(this.getUserCollection(`binders/${binder.id}/cards`)),
+            getDocs(this.getUserCollection(`setCompletion/${binder.id}/sets`)),
+            getDocs(this.getUserCollection(`missingCards/${binder.id}/cards`)),
+          ]
+        );
+
+        // The binder's slots; id is the card's API ID, as in the other adapters
+        slotsSnapshot.docs.forEach((doc) => {
+          const slot = doc.data();
+          cards.push({
+            ...slot,
+            binderId: binder.id,
+            cardId: doc.id,
+            id: slot.cardApiId,
+            addedAt: toMillis(slot.createdAt),
+            createdAt: toMillis(slot.createdAt),
+            updatedAt: toMillis(slot.updatedAt),
+          });
+        });
+        setSnapshot.docs.forEach((doc) => {
+          setCompletion.push({
+            ...doc.data(),
+            binderId: binder.id,
+            setId: doc.id,
+            updatedAt:
+              doc.data().updatedAt?.toMillis?.() || doc.data().updatedAt,
+          });
+        });
+        missingSnapshot.docs.forEach((doc) => {
+          missingCards.push({
+            ...doc.data(),
+            binderId: binder.id,
+            cardId: doc.id,
+          });
+        });
+      }
+
+      return buildBackup({
+        source: "firebase",
+        settings,
+        binders,
+        cards,
+        setCompletion,
+        missingCards,
+      });
+    } catch (error) {
+      if (error instanceof StorageError) throw error;
+      this.handleFirebaseError(error, "export data");
+    }
   }
 
-  async importData(data) {
-    // Placeholder for Phase 4
-    return false;
+  /**
+   * Import a backup created by exportData
+   * @param {Object|string} data - Backup object or file text
+   * @param {Object} options - { conflictStrategy } for binder IDs that already exist
+   * @returns {Object} { importedBinders, importedCards, skippedBinders, errors }
+   */
+  async importData(data, { conflictStrategy = CONFLICT_STRATEGIES.SKIP } = {}) {
+    if (!USER_LIMITS.REGISTERED.canImport) {
+      throw new StorageError(
+        "Import is not available for this account",
+        STORAGE_ERROR_CODES.PERMISSION_DENIED
+      );
+    }
+
+    const { backup, errors } = parseBackup(data);
+
+    try {
+      const plan = planBinderImport(
+        backup,
+        await this.getBinders(),
+        conflictStrategy,
+        () => doc(this.getUserCollection("binders")).id
+      );
+
+      const cardsByBinder = groupByBinder(backup.cards);
+      const completionByBinder = groupByBinder(backup.setCompletion);
+      const missingByBinder = groupByBinder(backup.missingCards);
+
+      // Replaced binders lose their old slots and completion data first; the
+      // binder document itself is kept so its sharing and collaborators survive
+      const deletes = [];
+      for (const { targetId, replaces } of plan.binders) {
+        if (!replaces) continue;
+
+        const snapshots = await Promise.all([
+          getDocs(this.getUserCollection(`binders/${targetId}/cards`)),
+          getDocs(this.getUserCollection(`setCompletion/${targetId}/sets`)),
+          getDocs(this.getUserCollection(`missingCards/${targetId}/cards`)),
+        ]);
+        snapshots.forEach((snapshot) => {
+          snapshot.docs.forEach((doc) => deletes.push(doc.ref));
+        });
+      }
+
+      for (let i = 0; i < deletes.length; i += WRITE_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        deletes
+          .slice(i, i + WRITE_BATCH_SIZE)
+          .forEach((ref) => batch.delete(ref));
+        await batch.commit();
+      }
+
+      const writes = [];
+      let importedCards = 0;
+
+      plan.binders.forEach(({ binder, targetId }) => {
+        const cards = cardsByBinder.get(binder.id) || [];
+        // Merged, and the revision bumped so open workspaces reload the binder
+        writes.push([
+          this.getUserDoc("binders", targetId),
+          {
+            ...omitFields(binder, SERVER_MANAGED_BINDER_FIELDS),
+            ownerId: this.userId,
+            cardCount: cards.length,
+            totalCardsInBinder: cards.length,
+            revision: increment(1),
+            createdAt: toTimestamp(binder.createdAt),
+            updatedAt: serverTimestamp(),
+          },
+          { merge: true },
+        ]);
+        cards.forEach((card) => {
+          writes.push([
+            this.getUserDoc(
+              `binders/${targetId}/cards`,
+              card.cardId || doc(this.getUserCollection("binders")).id
+            ),
+            {
+              ...omitFields(card, ["binderId", "cardId", "id", "addedAt"]),
+              cardApiId: card.cardApiId || card.id,
+              createdAt: toTimestamp(card.createdAt ?? card.addedAt),
+              updatedAt: serverTimestamp(),
+            },
+          ]);
+        });
+        (completionByBinder.get(binder.id) || []).forEach((record) => {
+          writes.push([
+            this.getUserDoc(`setCompletion/${targetId}/sets`, record.setId),
+            {
+              ...record,
+              binderId: targetId,
+              updatedAt: toTimestamp(record.updatedAt),
+            },
+          ]);
+        });
+        (missingByBinder.get(binder.id) || []).forEach((card) => {
+          writes.push([
+            this.getUserDoc(`missingCards/${targetId}/cards`, card.cardId),
+            omitFields(card, ["binderId"]),
+          ]);
+        });
+
+        importedCards += cards.length;
+      });
+
+      for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        writes
+          .slice(i, i + WRITE_BATCH_SIZE)
+          .forEach(([ref, data, options = {}]) =>
+            batch.set(ref, data, options)
+          );
+        await batch.commit();
+      }
+
+      await this.updateUserSettings({
+        ...backup.settings,
+        binderPreferences: backup.preferences,
+      });
+
+      return {
+        importedBinders: plan.binders.length,
+        importedCards,
+        skippedBinders: plan.skipped.length,
+        errors,
+      };
+    } catch (error) {
+      if (error instanceof StorageError) throw error;
+      this.handleFirebaseError(error, "import data");
+    }
   }
 }
 
@@ -10,21 +10,37 @@ import {
   STORAGE_ERROR_CODES,
   validateBinderData,
   validateCardData,
+  buildSetCompletionRecord,
 } from "./storageInterface.js";
+import { compareCardNumbers } from "../../utils/cardSorting.js";
+import { buildCardIndex, searchCardIndex } from "../search/localCardSearch.js";
+import { USER_LIMITS, WARNING_THRESHOLDS } from "../../config/userLimits.js";
+import {
+  buildBackup,
+  parseBackup,
+  planBinderImport,
+  groupByBinder,
+  CONFLICT_STRATEGIES,
+} from "../backup/binderBackup.js";
 
 const DB_NAME = "PokemonBinderDB";
-const DB_VERSION = 2;
+const DB_VERSION = 4;
 
 // Object Store Names
 const STORES = {
   BINDERS: "binders",
   BINDER_CARDS: "binderCards",
   CARD_CACHE: "cardCache",
+  SET_CACHE: "setCache",
   USER_SETTINGS: "userSettings",
   SET_COMPLETION: "setCompletion",
   MISSING_CARDS: "missingCards",
+  OFFLINE_WRITES: "offlineWrites",
 };
 
+const generateBinderId = () =>
+  `binder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
 class IndexedDBAdapter {
   constructor() {
     this.db = null;
@@ -87,6 +103,17 @@ class IndexedDBAdapter {
           cacheStore.createIndex("expiresAt", "expiresAt", { unique: false });
         }
 
+        // Set Cache store (set lists and full set card lists from the API)
+        if (!db.objectStoreNames.contains(STORES.SET_CACHE)) {
+          const setCacheStore = db.createObjectStore(STORES.SET_CACHE, {
+            keyPath: "id",
+          });
+          setCacheStore.createIndex("expiresAt", "expiresAt", {
+            unique: false,
+          });
+          setCacheStore.createIndex("cachedAt", "cachedAt", { unique: false });
+        }
+
         // User Settings store
         if (!db.objectStoreNames.contains(STORES.USER_SETTINGS)) {
           db.createObjectStore(STORES.USER_SETTINGS, { keyPath: "key" });
@@ -109,6 +136,15 @@ class IndexedDBAdapter {
           missingStore.createIndex("binderId", "binderId", { unique: false });
           missingStore.createIndex("setId", "setId", { unique: false });
         }
+
+        // Offline Writes store (signed-in users' saves made without a connection)
+        if (!db.objectStoreNames.contains(STORES.OFFLINE_WRITES)) {
+          const writesStore = db.createObjectStore(STORES.OFFLINE_WRITES, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          writesStore.createIndex("userId", "userId", { unique: false });
+        }
       };
     });
   }
@@ -133,6 +169,17 @@ class IndexedDBAdapter {
                 tx.error
               )
             );
+          // Quota errors abort the transaction at commit time without a request error
+          tx.onabort = () =>
+            reject(
+              new StorageError(
+                "Transaction aborted",
+                tx.error?.name === "QuotaExceededError"
+                  ? STORAGE_ERROR_CODES.QUOTA_EXCEEDED
+                  : STORAGE_ERROR_CODES.OPERATION_FAILED,
+                tx.error
+              )
+            );
         }),
     };
   }
@@ -215,7 +262,7 @@ class IndexedDBAdapter {
     validateBinderData(binderData);
 
     const binder = {
-      id: `binder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: generateBinderId(),
       ...binderData,
       cardCount: 0,
       createdAt: Date.now(),
@@ -523,6 +570,120 @@ class IndexedDBAdapter {
     }
   }
 
+  // ================== SET COMPLETION OPERATIONS ==================
+
+  async getSetCompletion(binderId, setId) {
+    try {
+      const { stores } = await this.transaction([STORES.SET_COMPLETION]);
+      const [setStore] = stores;
+
+      return new Promise((resolve, reject) => {
+        const request = setStore.get([binderId, setId]);
+
+        request.onsuccess = () => resolve(request.result || null);
+
+        request.onerror = () =>
+          reject(
+            new StorageError(
+              "Failed to get set completion",
+              STORAGE_ERROR_CODES.OPERATION_FAILED,
+              request.error
+            )
+          );
+      });
+    } catch (error) {
+      throw new StorageError(
+        `Failed to retrieve completion for set ${setId}`,
+        STORAGE_ERROR_CODES.OPERATION_FAILED,
+        error
+      );
+    }
+  }
+
+  /**
+   * Compare a binder against the full set list and store the result.
+   * completionData.setCards is the set list from the Pokemon TCG API;
+   * completionData.binderCards overrides the cards read from this store.
+   */
+  async updateSetCompletion(binderId, setId, completionData = {}) {
+    const binderCards =
+      completionData.binderCards || (await this.getBinderCards(binderId));
+    const { missingCards, ...summary } = buildSetCompletionRecord(
+      setId,
+      completionData.setCards,
+      binderCards,
+      { includeReverseHolos: completionData.includeReverseHolos }
+    );
+
+    const record = {
+      binderId,
+      ...summary,
+      updatedAt: Date.now(),
+    };
+
+    try {
+      const { stores, complete } = await this.transaction(
+        [STORES.SET_COMPLETION, STORES.MISSING_CARDS],
+        "readwrite"
+      );
+      const [setStore, missingStore] = stores;
+
+      setStore.put(record);
+
+      // Replace the missing cards for this binder and set
+      missingStore.delete(
+        IDBKeyRange.bound([binderId, setId], [binderId, setId, []])
+      );
+      missingCards.forEach((card) => {
+        missingStore.put({ binderId, setId, ...card });
+      });
+
+      await complete();
+      return record;
+    } catch (error) {
+      throw new StorageError(
+        `Failed to update completion for set ${setId}`,
+        STORAGE_ERROR_CODES.OPERATION_FAILED,
+        error
+      );
+    }
+  }
+
+  async getMissingCards(binderId, setId) {
+    try {
+      const { stores } = await this.transaction([STORES.MISSING_CARDS]);
+      const [missingStore] = stores;
+
+      return new Promise((resolve, reject) => {
+        const request = missingStore.getAll(
+          IDBKeyRange.bound([binderId, setId], [binderId, setId, []])
+        );
+
+        request.onsuccess = () => {
+          const numbers = request.result
+            .map((card) => card.number)
+            .sort(compareCardNumbers);
+          resolve(numbers);
+        };
+
+        request.onerror = () =>
+          reject(
+            new StorageError(
+              "Failed to get missing cards",
+              STORAGE_ERROR_CODES.OPERATION_FAILED,
+              request.error
+            )
+          );
+      });
+    } catch (error) {
+      throw new StorageError(
+        `Failed to retrieve missing cards for set ${setId}`,
+        STORAGE_ERROR_CODES.OPERATION_FAILED,
+        error
+      );
+    }
+  }
+
   // ================== CACHE OPERATIONS ==================
 
   async getCachedCard(cardId) {
@@ -551,7 +712,7 @@ class IndexedDBAdapter {
             )
           );
       });
-    } catch (error) {
+    } catch {
       return null; // Cache failures should not break the app
     }
   }
@@ -581,6 +742,181 @@ class IndexedDBAdapter {
     }
   }
 
+  /**
+   * Get every cached card, including expired entries (still useful offline)
+   */
+  async getAllCachedCards() {
+    try {
+      const { stores } = await this.transaction([STORES.CARD_CACHE]);
+      const [cacheStore] = stores;
+
+      return new Promise((resolve) => {
+        const request = cacheStore.getAll();
+        request.onsuccess = () =>
+          resolve(request.result.map((entry) => entry.data).filter(Boolean));
+        request.onerror = () => resolve([]);
+      });
+    } catch {
+      return []; // Cache failures should not break the app
+    }
+  }
+
+  async getCachedSet(setId) {
+    try {
+      const { stores } = await this.transaction([STORES.SET_CACHE]);
+      const [setCacheStore] = stores;
+
+      return new Promise((resolve, reject) => {
+        const request = setCacheStore.get(setId);
+
+        request.onsuccess = () => {
+          const cached = request.result;
+          if (cached && cached.expiresAt > Date.now()) {
+            resolve(cached.data);
+          } else {
+            resolve(null);
+          }
+        };
+
+        request.onerror = () =>
+          reject(
+            new StorageError(
+              "Failed to get cached set",
+              STORAGE_ERROR_CODES.OPERATION_FAILED,
+              request.error
+            )
+          );
+      });
+    } catch {
+      return null; // Cache failures should not break the app
+    }
+  }
+
+  async setCachedSet(setId, setData, ttl = USER_LIMITS.GUEST.cacheTTL) {
+    const cacheEntry = {
+      id: setId,
+      data: setData,
+      cachedAt: Date.now(),
+      expiresAt: Date.now() + ttl,
+    };
+
+    const writeEntry = async () => {
+      const { stores, complete } = await this.transaction(
+        [STORES.SET_CACHE],
+        "readwrite"
+      );
+      const [setCacheStore] = stores;
+
+      setCacheStore.put(cacheEntry);
+      await complete();
+    };
+
+    try {
+      await this.evictSetCache();
+      await writeEntry();
+      return true;
+    } catch (error) {
+      // Out of space - make room and try once more
+      if (
+        error.code === STORAGE_ERROR_CODES.QUOTA_EXCEEDED ||
+        error.originalError?.name === "QuotaExceededError"
+      ) {
+        try {
+          await this.evictSetCache({ force: true });
+          await writeEntry();
+          return true;
+        } catch (retryError) {
+          console.warn("Failed to cache set data after eviction:", retryError);
+          return false;
+        }
+      }
+
+      // Cache failures should not break the app
+      console.warn("Failed to cache set data:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Free space used by the set cache when the browser's storage quota runs low.
+   * Expired entries go first, then the oldest half of what is left.
+   * @param {Object} options - { force } skips the quota check
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async evictSetCache({ force = false } = {}) {
+    if (!force) {
+      const estimate = await navigator.storage?.estimate?.();
+      if (
+        !estimate?.quota ||
+        (estimate.usage / estimate.quota) * 100 <
+          WARNING_THRESHOLDS.STORAGE_WARNING
+      ) {
+        return 0;
+      }
+    }
+
+    const { stores, complete } = await this.transaction(
+      [STORES.SET_CACHE],
+      "readwrite"
+    );
+    const [setCacheStore] = stores;
+
+    const entries = await new Promise((resolve) => {
+      const request = setCacheStore.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve([]);
+    });
+
+    const now = Date.now();
+    const expired = entries.filter((entry) => entry.expiresAt <= now);
+    const live = entries
+      .filter((entry) => entry.expiresAt > now)
+      .sort((a, b) => a.cachedAt - b.cachedAt);
+    const toRemove = [...expired, ...live.slice(0, Math.ceil(live.length / 2))];
+
+    toRemove.forEach((entry) => setCacheStore.delete(entry.id));
+    await complete();
+
+    if (toRemove.length > 0) {
+      console.log(`Evicted ${toRemove.length} set cache entries`);
+    }
+    return toRemove.length;
+  }
+
+  /**
+   * Get every card from cached set card lists, including expired entries
+   */
+  async getAllCachedSetCards() {
+    try {
+      const { stores } = await this.transaction([STORES.SET_CACHE]);
+      const [setCacheStore] = stores;
+
+      return new Promise((resolve) => {
+        const request = setCacheStore.getAll();
+        request.onsuccess = () =>
+          resolve(request.result.flatMap((entry) => entry.data?.cards || []));
+        request.onerror = () => resolve([]);
+      });
+    } catch {
+      return []; // Cache failures should not break the app
+    }
+  }
+
+  // ================== SEARCH OPERATIONS ==================
+
+  /**
+   * Search card data already on this device (card cache and cached sets).
+   * Uses the same query syntax and result shape as usePokemonTCG.searchCards.
+   */
+  async searchCards(query, filters = {}) {
+    const [cachedCards, cachedSetCards] = await Promise.all([
+      this.getAllCachedCards(),
+      this.getAllCachedSetCards(),
+    ]);
+    const index = buildCardIndex([...cachedCards, ...cachedSetCards]);
+    return searchCardIndex(index, { ...filters, query });
+  }
+
   // ================== UTILITY OPERATIONS ==================
 
   async getAllData() {
@@ -621,6 +957,7 @@ class IndexedDBAdapter {
           STORES.BINDERS,
           STORES.BINDER_CARDS,
           STORES.CARD_CACHE,
+          STORES.SET_CACHE,
           STORES.USER_SETTINGS,
           STORES.SET_COMPLETION,
           STORES.MISSING_CARDS,
@@ -658,7 +995,7 @@ class IndexedDBAdapter {
         };
         request.onerror = () => resolve({});
       });
-    } catch (error) {
+    } catch {
       return {}; // Default empty settings
     }
   }
@@ -687,6 +1024,93 @@ class IndexedDBAdapter {
     }
   }
 
+  // ================== OFFLINE WRITE QUEUE ==================
+  // Kept out of clearAllData: the queue belongs to signed-in users, not to
+  // the guest data that is cleared after migrating it.
+
+  /**
+   * Add a write to the offline queue, or replace it when it has an id
+   * @param {Object} write - { userId, binderId, type, payload, ... }
+   * @returns {Promise<number>} The write's id
+   */
+  async putOfflineWrite(write) {
+    try {
+      const { stores, complete } = await this.transaction(
+        [STORES.OFFLINE_WRITES],
+        "readwrite"
+      );
+      const [writesStore] = stores;
+
+      const request = writesStore.put({ ...write, updatedAt: Date.now() });
+      await complete();
+      return request.result;
+    } catch (error) {
+      throw new StorageError(
+        "Failed to queue offline write",
+        error.code === STORAGE_ERROR_CODES.QUOTA_EXCEEDED
+          ? STORAGE_ERROR_CODES.QUOTA_EXCEEDED
+          : STORAGE_ERROR_CODES.OPERATION_FAILED,
+        error
+      );
+    }
+  }
+
+  /**
+   * Get a user's queued writes in the order they were made
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Queued writes, oldest first
+   */
+  async getOfflineWrites(userId) {
+    try {
+      const { stores } = await this.transaction([STORES.OFFLINE_WRITES]);
+      const [writesStore] = stores;
+
+      return new Promise((resolve, reject) => {
+        const request = writesStore.index("userId").getAll(userId);
+        request.onsuccess = () =>
+          resolve(request.result.sort((a, b) => a.id - b.id));
+        request.onerror = () =>
+          reject(
+            new StorageError(
+              "Failed to get offline writes",
+              STORAGE_ERROR_CODES.OPERATION_FAILED,
+              request.error
+            )
+          );
+      });
+    } catch (error) {
+      throw new StorageError(
+        "Failed to get offline writes",
+        STORAGE_ERROR_CODES.OPERATION_FAILED,
+        error
+      );
+    }
+  }
+
+  /**
+   * Remove a write from the offline queue
+   * @param {number} writeId - Queued write id
+   */
+  async deleteOfflineWrite(writeId) {
+    try {
+      const { stores, complete } = await this.transaction(
+        [STORES.OFFLINE_WRITES],
+        "readwrite"
+      );
+      const [writesStore] = stores;
+
+      writesStore.delete(writeId);
+      await complete();
+      return true;
+    } catch (error) {
+      throw new StorageError(
+        "Failed to delete offline write",
+        STORAGE_ERROR_CODES.OPERATION_FAILED,
+        error
+      );
+    }
+  }
+
   // ================== STATUS OPERATIONS ==================
 
   isConnected() {
@@ -704,11 +1128,6 @@ class IndexedDBAdapter {
   }
 
   // Placeholder implementations for interface compliance
-  async searchCards(query, filters) {
-    // This will be implemented in Phase 2 when we add Pokemon TCG API
-    return [];
-  }
-
   async searchBinders(query) {
     const binders = await this.getBinders();
     return binders.filter(
@@ -718,31 +1137,6 @@ class IndexedDBAdapter {
     );
   }
 
-  async getSetCompletion(binderId, setId) {
-    // Placeholder for Phase 2
-    return null;
-  }
-
-  async updateSetCompletion(binderId, setId, completionData) {
-    // Placeholder for Phase 2
-    return null;
-  }
-
-  async getMissingCards(binderId, setId) {
-    // Placeholder for Phase 2
-    return [];
-  }
-
-  async getCachedSet(setId) {
-    // Placeholder for Phase 2
-    return null;
-  }
-
-  async setCachedSet(setId, setData, ttl) {
-    // Placeholder for Phase 2
-    return false;
-  }
-
   async updateCardInBinder(binderId, cardId, updates) {
     // Placeholder for Phase 3
     return null;
@@ -753,13 +1147,158 @@ class IndexedDBAdapter {
     return 0;
   }
 
+  /**
+   * Read every record in a store
+   */
+  async getAllFromStore(storeName) {
+    const { stores } = await this.transaction([storeName]);
+    const [store] = stores;
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () =>
+        reject(
+          new StorageError(
+            `Failed to read ${storeName}`,
+            STORAGE_ERROR_CODES.OPERATION_FAILED,
+            request.error
+          )
+        );
+    });
+  }
+
+  /**
+   * Export binders, card slots, preferences, set completion and settings
+   * in the versioned backup format (see backup/binderBackup.js)
+   */
   async exportData() {
-    return this.getAllData();
+    if (!USER_LIMITS.GUEST.canExport) {
+      throw new StorageError(
+        "Export is available for registered users",
+        STORAGE_ERROR_CODES.PERMISSION_DENIED
+      );
+    }
+
+    try {
+      const [binders, cards, setCompletion, missingCards, settings] =
+        await Promise.all([
+          this.getBinders(),
+          this.getAllFromStore(STORES.BINDER_CARDS),
+          this.getAllFromStore(STORES.SET_COMPLETION),
+          this.getAllFromStore(STORES.MISSING_CARDS),
+          this.getUserSettings(),
+        ]);
+
+      return buildBackup({
+        source: "indexeddb",
+        settings,
+        binders,
+        cards,
+        setCompletion,
+        missingCards,
+      });
+    } catch (error) {
+      throw new StorageError(
+        "Failed to export data",
+        STORAGE_ERROR_CODES.OPERATION_FAILED,
+        error
+      );
+    }
   }
 
-  async importData(data) {
-    // Placeholder for Phase 4
-    return false;
+  /**
+   * Import a backup created by exportData
+   * @param {Object|string} data - Backup object or file text
+   * @param {Object} options - { conflictStrategy } for binder IDs that already exist
+   * @returns {Object} { importedBinders, importedCards, skippedBinders, errors }
+   */
+  async importData(data, { conflictStrategy = CONFLICT_STRATEGIES.SKIP } = {}) {
+    if (!USER_LIMITS.GUEST.canImport) {
+      throw new StorageError(
+        "Import is available for registered users",
+        STORAGE_ERROR_CODES.PERMISSION_DENIED
+      );
+    }
+
+    const { backup, errors } = parseBackup(data);
+    const plan = planBinderImport(
+      backup,
+      await this.getBinders(),
+      conflictStrategy,
+      generateBinderId
+    );
+
+    const cardsByBinder = groupByBinder(backup.cards);
+    const completionByBinder = groupByBinder(backup.setCompletion);
+    const missingByBinder = groupByBinder(backup.missingCards);
+
+    try {
+      // Replaced binders lose their old cards and completion data first
+      for (const { targetId, replaces } of plan.binders) {
+        if (replaces) await this.deleteBinder(targetId);
+      }
+
+      const { stores, complete } = await this.transaction(
+        [
+          STORES.BINDERS,
+          STORES.BINDER_CARDS,
+          STORES.SET_COMPLETION,
+          STORES.MISSING_CARDS,
+        ],
+        "readwrite"
+      );
+      const [bindersStore, cardsStore, setStore, missingStore] = stores;
+
+      let importedCards = 0;
+      plan.binders.forEach(({ binder, targetId }) => {
+        const cards = cardsByBinder.get(binder.id) || [];
+
+        bindersStore.put({
+          ...binder,
+          id: targetId,
+          cardCount: cards.length,
+          updatedAt: Date.now(),
+        });
+        cards.forEach((card) => {
+          cardsStore.put({
+            ...card,
+            binderId: targetId,
+            cardId: card.cardId || card.id,
+          });
+        });
+        (completionByBinder.get(binder.id) || []).forEach((record) => {
+          setStore.put({ ...record, binderId: targetId });
+        });
+        (missingByBinder.get(binder.id) || []).forEach((card) => {
+          missingStore.put({ ...card, binderId: targetId });
+        });
+
+        importedCards += cards.length;
+      });
+
+      await complete();
+
+      await this.updateUserSettings({
+        ...backup.settings,
+        binderPreferences: backup.preferences,
+      });
+
+      return {
+        importedBinders: plan.binders.length,
+        importedCards,
+        skippedBinders: plan.skipped.length,
+        errors,
+      };
+    } catch (error) {
+      throw new StorageError(
+        "Failed to import data",
+        error.code === STORAGE_ERROR_CODES.QUOTA_EXCEEDED
+          ? STORAGE_ERROR_CODES.QUOTA_EXCEEDED
+          : STORAGE_ERROR_CODES.OPERATION_FAILED,
+        error
+      );
+    }
   }
 }
 
@@ -5,6 +5,15 @@
  * It provides a consistent API for storage operations regardless of the underlying storage mechanism.
  */
 
+import { compareCardNumbers } from "../../utils/cardSorting.js";
+import { validateCardMetadata } from "../../utils/cardMetadata.js";
+import {
+  REVERSE_HOLO_VARIANT,
+  hasReverseHoloPrinting,
+  isReverseHoloCopy,
+  getPrintingId,
+} from "../../utils/setLayout.js";
+
 export const StorageInterface = {
   // Binder Operations
   getBinders: async () => {
@@ -164,5 +173,88 @@ export const validateCardData = (data) => {
     );
   }
 
+  const metadataErrors = validateCardMetadata(data);
+  if (metadataErrors.length > 0) {
+    throw new StorageError(
+      `Invalid card details: ${metadataErrors.join(", ")}`,
+      STORAGE_ERROR_CODES.INVALID_DATA
+    );
+  }
+
   return true;
 };
+
+/**
+ * Set Completion Helpers
+ */
+
+/**
+ * Compare a binder's cards against the full card list of a set
+ * With includeReverseHolos, a card's reverse holo printing is a separate entry
+ * (its cardId is suffixed, see getPrintingId) that only a reverse holo copy
+ * fills, and other copies only fill the regular printing.
+ * @param {string} setId - Pokemon TCG set ID
+ * @param {Array} setCards - Every card in the set (from usePokemonTCG.getSetCards)
+ * @param {Array} binderCards - Cards stored in the binder
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReverseHolos] - Count reverse holos separately
+ * @returns {Object} Completion record with owned/missing card numbers
+ */
+export const buildSetCompletionRecord = (
+  setId,
+  setCards,
+  binderCards,
+  { includeReverseHolos = false } = {}
+) => {
+  if (!Array.isArray(setCards) || setCards.length === 0) {
+    throw new StorageError(
+      `No cards provided for set ${setId}`,
+      STORAGE_ERROR_CODES.INVALID_DATA
+    );
+  }
+
+  // Binder cards are keyed by API id (cardApiId on Firestore card entries)
+  const ownedIds = new Set(
+    binderCards.map((card) =>
+      getPrintingId(
+        card.cardApiId || card.cardId || card.id,
+        includeReverseHolos && isReverseHoloCopy(card)
+          ? REVERSE_HOLO_VARIANT
+          : undefined
+      )
+    )
+  );
+
+  const entries = setCards.flatMap((card) =>
+    includeReverseHolos && hasReverseHoloPrinting(card)
+      ? [{ card }, { card, variant: REVERSE_HOLO_VARIANT }]
+      : [{ card }]
+  );
+
+  const owned = [];
+  const missing = [];
+  entries.forEach((entry) => {
+    const printingId = getPrintingId(entry.card.id, entry.variant);
+    (ownedIds.has(printingId) ? owned : missing).push({ ...entry, printingId });
+  });
+
+  missing.sort((a, b) => compareCardNumbers(a.card.number, b.card.number));
+
+  return {
+    setId,
+    setName: setCards[0].set?.name || setId,
+    totalCards: entries.length,
+    ownedCount: owned.length,
+    percentage: Math.round((owned.length / entries.length) * 1000) / 10,
+    ownedCardIds: owned.map((entry) => entry.printingId),
+    missingCards: missing.map(({ card, variant, printingId }) => ({
+      cardId: printingId,
+      number: card.number,
+      name: card.name,
+      ...(variant && { variant }),
+    })),
+    missingNumbers: missing.map(({ card, variant }) =>
+      variant ? `${card.number} RH` : card.number
+    ),
+  };
+};
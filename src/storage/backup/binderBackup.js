@@ -0,0 +1,225 @@
+/**
+ * Binder Backup Format
+ *
+ * Versioned JSON format written by the adapters' exportData and read by importData.
+ * Version 1 looks like this (timestamps are milliseconds since the epoch):
+ *
+ * {
+ *   format: "pokemon-binder-backup",
+ *   version: 1,
+ *   exportedAt: 1718000000000,
+ *   source: "indexeddb" | "firebase",
+ *   settings: { ... },        // User settings, without binderPreferences
+ *   preferences: { ... },     // Default binder preferences (settings.binderPreferences)
+ *   binders: [{ id, name, description, createdAt, updatedAt, cardCount, ... }],
+ *   cards: [{ binderId, cardId, id, name, addedAt, ... }],  // One entry per filled slot;
+ *                             // id is the card's API ID, cardId the slot's ID
+ *   setCompletion: [{ binderId, setId, setName, totalCards, ownedCount, ... }],
+ *   missingCards: [{ binderId, setId, cardId, number, name }],
+ * }
+ */
+
+import {
+  StorageError,
+  STORAGE_ERROR_CODES,
+  validateBinderData,
+  validateCardData,
+} from "../adapters/storageInterface.js";
+
+export const BACKUP_FORMAT = "pokemon-binder-backup";
+export const BACKUP_VERSION = 1;
+
+// How to handle backup binders whose ID already exists in storage
+export const CONFLICT_STRATEGIES = {
+  SKIP: "skip",
+  REPLACE: "replace",
+  KEEP_BOTH: "keepBoth",
+};
+
+/**
+ * Assemble a backup document from data read out of an adapter
+ * @param {Object} data - { source, settings, binders, cards, setCompletion, missingCards }
+ * @returns {Object} Backup in the current format version
+ */
+export const buildBackup = ({
+  source,
+  settings = {},
+  binders = [],
+  cards = [],
+  setCompletion = [],
+  missingCards = [],
+}) => {
+  const { binderPreferences = {}, ...otherSettings } = settings;
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: Date.now(),
+    source,
+    settings: otherSettings,
+    preferences: binderPreferences,
+    binders,
+    cards,
+    setCompletion,
+    missingCards,
+  };
+};
+
+const describeError = (error) =>
+  error instanceof StorageError ? error.message : String(error);
+
+/**
+ * Check a backup file and split it into importable data and problems
+ *
+ * Invalid binders and cards are dropped (along with anything that belongs to a
+ * dropped binder) and reported in `errors`; the rest can still be imported.
+ * @param {Object|string} data - Parsed backup object or the raw file text
+ * @returns {Object} { backup, errors: [{ type, id, message }] }
+ */
+export const parseBackup = (data) => {
+  let backup = data;
+
+  if (typeof data === "string") {
+    try {
+      backup = JSON.parse(data);
+    } catch (error) {
+      throw new StorageError(
+        "Backup file is not valid JSON",
+        STORAGE_ERROR_CODES.INVALID_DATA,
+        error
+      );
+    }
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new StorageError(
+      "File is not a Pokemon binder backup",
+      STORAGE_ERROR_CODES.INVALID_DATA
+    );
+  }
+
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new StorageError(
+      `Backup version ${backup.version} is not supported by this version of the app`,
+      STORAGE_ERROR_CODES.INVALID_DATA
+    );
+  }
+
+  const errors = [];
+
+  const binders = (backup.binders || []).filter((binder) => {
+    try {
+      if (!binder?.id) {
+        throw new StorageError(
+          "Missing required fields: id",
+          STORAGE_ERROR_CODES.INVALID_DATA
+        );
+      }
+      return validateBinderData(binder);
+    } catch (error) {
+      errors.push({
+        type: "binder",
+        id: binder?.id || binder?.name || "unknown",
+        message: describeError(error),
+      });
+      return false;
+    }
+  });
+  const binderIds = new Set(binders.map((binder) => binder.id));
+
+  const cards = (backup.cards || []).filter((card) => {
+    if (!binderIds.has(card?.binderId)) return false;
+    try {
+      return validateCardData(card);
+    } catch (error) {
+      errors.push({
+        type: "card",
+        id: card.cardId || card.id || "unknown",
+        message: describeError(error),
+      });
+      return false;
+    }
+  });
+
+  return {
+    backup: {
+      ...backup,
+      settings: backup.settings || {},
+      preferences: backup.preferences || {},
+      binders,
+      cards,
+      setCompletion: (backup.setCompletion || []).filter(
+        (record) => binderIds.has(record?.binderId) && record.setId
+      ),
+      missingCards: (backup.missingCards || []).filter(
+        (card) => binderIds.has(card?.binderId) && card.setId && card.cardId
+      ),
+    },
+    errors,
+  };
+};
+
+/**
+ * Find backup binders whose IDs already exist in storage
+ * @param {Object} backup - Backup from parseBackup
+ * @param {Array} existingBinders - Binders currently in storage
+ * @returns {Array} Conflicting backup binders
+ */
+export const findBinderConflicts = (backup, existingBinders) => {
+  const existingIds = new Set(existingBinders.map((binder) => binder.id));
+  return backup.binders.filter((binder) => existingIds.has(binder.id));
+};
+
+/**
+ * Decide where each backup binder goes
+ * @param {Object} backup - Backup from parseBackup
+ * @param {Array} existingBinders - Binders currently in storage
+ * @param {string} conflictStrategy - One of CONFLICT_STRATEGIES
+ * @param {Function} createId - Generates a new binder ID for KEEP_BOTH
+ * @returns {Object} { binders: [{ binder, targetId, replaces }], skipped: [binderId] }
+ */
+export const planBinderImport = (
+  backup,
+  existingBinders,
+  conflictStrategy,
+  createId
+) => {
+  if (!Object.values(CONFLICT_STRATEGIES).includes(conflictStrategy)) {
+    throw new StorageError(
+      `Unknown conflict strategy: ${conflictStrategy}`,
+      STORAGE_ERROR_CODES.INVALID_DATA
+    );
+  }
+
+  const existingIds = new Set(existingBinders.map((binder) => binder.id));
+  const plan = { binders: [], skipped: [] };
+
+  backup.binders.forEach((binder) => {
+    if (!existingIds.has(binder.id)) {
+      plan.binders.push({ binder, targetId: binder.id, replaces: false });
+    } else if (conflictStrategy === CONFLICT_STRATEGIES.REPLACE) {
+      plan.binders.push({ binder, targetId: binder.id, replaces: true });
+    } else if (conflictStrategy === CONFLICT_STRATEGIES.KEEP_BOTH) {
+      plan.binders.push({ binder, targetId: createId(), replaces: false });
+    } else {
+      plan.skipped.push(binder.id);
+    }
+  });
+
+  return plan;
+};
+
+/**
+ * Group a backup's per-binder records by binder ID
+ * @param {Array} records - cards, setCompletion or missingCards entries
+ * @returns {Map} binderId -> records
+ */
+export const groupByBinder = (records) => {
+  const groups = new Map();
+  records.forEach((record) => {
+    const group = groups.get(record.binderId) || [];
+    group.push(record);
+    groups.set(record.binderId, group);
+  });
+  return groups;
+};
@@ -2,7 +2,8 @@
  * Migration Manager
  *
  * Handles seamless data migration from IndexedDB (anonymous) to Firebase (registered users).
- * This will be fully implemented in Phase 4, but the foundation is set up now.
+ * Binders, their cards and user settings are copied to Firestore, verified, and only then
+ * removed from the local database. A failed migration rolls back any cloud writes.
  */
 
 import React from "react";
@@ -12,6 +13,52 @@ import {
   StorageError,
   STORAGE_ERROR_CODES,
 } from "../adapters/storageInterface";
+import {
+  bulkAddCardsToBinder,
+  deleteBinder,
+  getAllCardsInBinder,
+  toCardEntryData,
+} from "../../services/firestore";
+import { getPageAndSlotFromSlotNumber } from "../../utils/slotAssignment";
+import { toPendingCardData } from "../../utils/localBinderStorage";
+
+const CARD_BATCH_SIZE = 400;
+const DEFAULT_GRID_SIZE = "3x3";
+const DEFAULT_PAGE_COUNT = 10;
+
+/**
+ * Give guest cards binder slots, in the order they were added
+ * Cards that already have a slot keep it; the rest fill the free slots after them.
+ * @param {Array} cards - One binder's local cards
+ * @param {string} gridSize - Binder grid size
+ * @returns {Array} Pending card additions, as toCardEntryData takes them
+ */
+const toPendingCards = (cards, gridSize) => {
+  const sortedCards = [...cards].sort(
+    (a, b) => (a.order || a.addedAt || 0) - (b.order || b.addedAt || 0)
+  );
+  const usedSlotNumbers = new Set(
+    sortedCards.map((card) => card.overallSlotNumber).filter(Boolean)
+  );
+  let nextSlotNumber = 1;
+
+  return sortedCards.map((card) => {
+    let overallSlotNumber = card.overallSlotNumber;
+    if (!overallSlotNumber) {
+      while (usedSlotNumbers.has(nextSlotNumber)) nextSlotNumber++;
+      overallSlotNumber = nextSlotNumber;
+      usedSlotNumbers.add(overallSlotNumber);
+    }
+
+    return {
+      pokemonCardId: card.cardApiId || card.cardId || card.id,
+      overallSlotNumber,
+      ...getPageAndSlotFromSlotNumber(overallSlotNumber, gridSize),
+      // Guest cards are stored as raw API cards
+      cardData: toPendingCardData(card),
+    };
+  });
+};
 
 class MigrationManager {
   constructor() {
@@ -76,7 +123,6 @@ class MigrationManager {
 
   /**
    * Main migration function
-   * This is a placeholder for Phase 4 implementation
    */
   async migrateAnonymousData(userId) {
     if (this.isMigrating) {
@@ -86,7 +132,16 @@ class MigrationManager {
       );
     }
 
+    if (!userId) {
+      throw new StorageError(
+        "User ID is required for migration",
+        STORAGE_ERROR_CODES.INVALID_DATA
+      );
+    }
+
     this.isMigrating = true;
+    const migratedBinders = [];
+    const migratedSettings = {};
 
     try {
       this.notifyProgress({
@@ -95,10 +150,11 @@ class MigrationManager {
         message: "Preparing migration...",
       });
 
-      // Phase 4 implementation will go here
-      // For now, return a placeholder result
-
-      const result = await this.performMigrationPlaceholder(userId);
+      const result = await this.performMigration(
+        userId,
+        migratedBinders,
+        migratedSettings
+      );
 
       this.notifyProgress({
         stage: "complete",
@@ -108,6 +164,16 @@ class MigrationManager {
 
       return result;
     } catch (error) {
+      if (migratedBinders.length > 0 || migratedSettings.previous) {
+        this.notifyProgress({
+          stage: "rolling_back",
+          progress: 0,
+          message: "Migration failed, undoing partial changes...",
+        });
+
+        await this.rollbackMigration(userId, migratedBinders, migratedSettings);
+      }
+
       this.notifyProgress({
         stage: "error",
         progress: 0,
@@ -125,51 +191,12 @@ class MigrationManager {
   }
 
   /**
-   * Placeholder migration implementation for Phase 4
+   * Copy all local data to Firebase.
+   * Every binder created in the cloud is pushed onto `migratedBinders` as soon as it
+   * exists, so the caller can roll it back if a later step fails. The cloud
+   * settings are kept on `migratedSettings.previous` before they are merged.
    */
-  async performMigrationPlaceholder(userId) {
-    // Simulate migration steps
-    await this.delay(500);
-    this.notifyProgress({
-      stage: "reading",
-      progress: 25,
-      message: "Reading local data...",
-    });
-
-    await this.delay(500);
-    this.notifyProgress({
-      stage: "uploading",
-      progress: 50,
-      message: "Uploading to cloud...",
-    });
-
-    await this.delay(500);
-    this.notifyProgress({
-      stage: "verifying",
-      progress: 75,
-      message: "Verifying migration...",
-    });
-
-    await this.delay(500);
-    this.notifyProgress({
-      stage: "cleanup",
-      progress: 90,
-      message: "Cleaning up local data...",
-    });
-
-    return {
-      success: true,
-      migratedBinders: 0,
-      migratedCards: 0,
-      migratedSettings: 0,
-      message: "Migration will be implemented in Phase 4",
-    };
-  }
-
-  /**
-   * Actual migration implementation (to be completed in Phase 4)
-   */
-  async performActualMigration(userId) {
+  async performMigration(userId, migratedBinders = [], migratedSettings = {}) {
     // Step 1: Read all local data
     this.notifyProgress({
       stage: "reading",
@@ -177,9 +204,15 @@ class MigrationManager {
       message: "Reading local data...",
     });
 
+    await indexedDBAdapter.init();
     const localData = await indexedDBAdapter.getAllData();
+    const settingsCount = Object.keys(localData.settings || {}).length;
 
-    if (!localData.binders.length && !localData.cards.length) {
+    if (
+      !localData.binders.length &&
+      !localData.cards.length &&
+      settingsCount === 0
+    ) {
       return {
         success: true,
         migratedBinders: 0,
@@ -192,70 +225,118 @@ class MigrationManager {
     // Step 2: Set up Firebase adapter
     firebaseAdapter.setUserId(userId);
 
+    // Guest cards are placed into slots before their binder is created, so the
+    // binder gets enough pages to hold them
+    const localBinderIds = new Set(localData.binders.map((b) => b.id));
+    const cardsByBinder = new Map();
+
+    localData.cards.forEach((card) => {
+      if (!localBinderIds.has(card.binderId)) {
+        console.warn(
+          `Skipping card ${card.cardId}: binder ${card.binderId} no longer exists`
+        );
+        return;
+      }
+      if (!cardsByBinder.has(card.binderId)) {
+        cardsByBinder.set(card.binderId, []);
+      }
+      cardsByBinder.get(card.binderId).push(card);
+    });
+
     // Step 3: Migrate binders
     this.notifyProgress({
       stage: "migrating_binders",
-      progress: 30,
+      progress: 20,
       message: `Migrating ${localData.binders.length} binders...`,
     });
 
-    const migratedBinders = [];
     for (const [index, binder] of localData.binders.entries()) {
-      try {
-        const migratedBinder = await firebaseAdapter.createBinder({
-          name: binder.name,
-          description: binder.description,
-          createdAt: binder.createdAt,
-          // Map other binder properties as needed
-        });
+      const gridSize = binder.gridSize || DEFAULT_GRID_SIZE;
+      const pendingCards = toPendingCards(
+        cardsByBinder.get(binder.id) || [],
+        gridSize
+      );
+      const lastPageNumber = Math.max(
+        0,
+        ...pendingCards.map((card) => card.pageNumber)
+      );
 
-        migratedBinders.push({
-          oldId: binder.id,
-          newId: migratedBinder.id,
-          binder: migratedBinder,
-        });
+      // Local bookkeeping fields are regenerated by the cloud adapter, and
+      // binderName is the field the binder list and workspace display
+      const binderData = {
+        ...binder,
+        binderName: binder.binderName || binder.name,
+        gridSize,
+        pageCount: Math.max(
+          binder.pageCount || DEFAULT_PAGE_COUNT,
+          lastPageNumber
+        ),
+        ownerId: userId,
+        createdAt: binder.createdAt || Date.now(),
+      };
+      delete binderData.id;
+      delete binderData.cardCount;
+      delete binderData.updatedAt;
+
+      const migratedBinder = await firebaseAdapter.createBinder(binderData);
+
+      migratedBinders.push({
+        oldId: binder.id,
+        newId: migratedBinder.id,
+        binder: migratedBinder,
+        pendingCards,
+        expectedCardCount: 0,
+      });
 
-        this.notifyProgress({
-          stage: "migrating_binders",
-          progress: 30 + ((index + 1) / localData.binders.length) * 20,
-          message: `Migrated binder: ${binder.name}`,
-        });
-      } catch (error) {
-        console.error(`Failed to migrate binder ${binder.name}:`, error);
-        throw error;
-      }
+      this.notifyProgress({
+        stage: "migrating_binders",
+        progress: 20 + ((index + 1) / localData.binders.length) * 20,
+        message: `Migrated binder: ${binderData.binderName}`,
+      });
     }
 
-    // Step 4: Migrate cards
+    // Step 4: Migrate cards into the binders' slot collections, one
+    // transaction per chunk
     this.notifyProgress({
       stage: "migrating_cards",
-      progress: 50,
+      progress: 40,
       message: `Migrating ${localData.cards.length} cards...`,
     });
 
-    let migratedCardsCount = 0;
     const binderIdMap = new Map(migratedBinders.map((b) => [b.oldId, b.newId]));
 
-    for (const [index, card] of localData.cards.entries()) {
-      try {
-        const newBinderId = binderIdMap.get(card.binderId);
-        if (newBinderId) {
-          await firebaseAdapter.addCardToBinder(newBinderId, {
-            id: card.cardId,
-            name: card.name,
-            // Map other card properties as needed
-          });
-          migratedCardsCount++;
+    let migratedCardsCount = 0;
+    const totalCards = Math.max(
+      migratedBinders.reduce((sum, b) => sum + b.pendingCards.length, 0),
+      1
+    );
+
+    for (const migratedBinder of migratedBinders) {
+      const cardsData = migratedBinder.pendingCards.map(toCardEntryData);
+
+      // Firestore transactions are capped at 500 writes, leave room for the binder update
+      for (let i = 0; i < cardsData.length; i += CARD_BATCH_SIZE) {
+        const chunk = cardsData.slice(i, i + CARD_BATCH_SIZE);
+        const result = await bulkAddCardsToBinder(
+          userId,
+          migratedBinder.newId,
+          chunk
+        );
+        if (!result.success) {
+          throw new StorageError(
+            `Failed to migrate cards: ${result.error}`,
+            STORAGE_ERROR_CODES.OPERATION_FAILED
+          );
         }
 
+        migratedBinder.expectedCardCount += chunk.length;
+        migratedCardsCount += chunk.length;
+
         this.notifyProgress({
           stage: "migrating_cards",
-          progress: 50 + ((index + 1) / localData.cards.length) * 30,
+          progress: 40 + (migratedCardsCount / totalCards) * 40,
           message: `Migrated ${migratedCardsCount} cards...`,
         });
-      } catch (error) {
-        console.error(`Failed to migrate card ${card.cardId}:`, error);
-        // Continue with other cards
       }
     }
 
@@ -267,10 +348,11 @@ class MigrationManager {
     });
 
     let migratedSettingsCount = 0;
-    if (Object.keys(localData.settings).length > 0) {
+    if (settingsCount > 0) {
       try {
+        migratedSettings.previous = await firebaseAdapter.getUserSettings();
         await firebaseAdapter.updateUserSettings(localData.settings);
-        migratedSettingsCount = Object.keys(localData.settings).length;
+        migratedSettingsCount = settingsCount;
       } catch (error) {
         console.error("Failed to migrate settings:", error);
         // Non-critical, continue
@@ -284,20 +366,20 @@ class MigrationManager {
       message: "Verifying migration...",
     });
 
-    // Verify that data was migrated correctly
     const verificationResults = await this.verifyMigration(
+      userId,
       migratedBinders,
       migratedCardsCount
     );
 
     if (!verificationResults.success) {
       throw new StorageError(
-        "Migration verification failed",
+        `Migration verification failed: ${verificationResults.error}`,
         STORAGE_ERROR_CODES.OPERATION_FAILED
       );
     }
 
-    // Step 7: Clean up local data
+    // Step 7: Clean up local data (only once the cloud copy is verified)
     this.notifyProgress({
       stage: "cleanup",
       progress: 95,
@@ -317,13 +399,20 @@ class MigrationManager {
 
   /**
    * Verify that migration was successful
+   * Only the binders created by this migration are checked, so binders the
+   * account already had in the cloud do not mask missing data. Cards are
+   * counted in the slot collection the binder workspace reads.
    */
-  async verifyMigration(migratedBinders, expectedCardCount) {
+  async verifyMigration(userId, migratedBinders, expectedCardCount) {
     try {
-      // Check that binders exist in Firebase
       const cloudBinders = await firebaseAdapter.getBinders();
+      const cloudBinderIds = new Set(cloudBinders.map((binder) => binder.id));
+
+      const missingBinders = migratedBinders.filter(
+        (migratedBinder) => !cloudBinderIds.has(migratedBinder.newId)
+      );
 
-      if (cloudBinders.length < migratedBinders.length) {
+      if (missingBinders.length > 0) {
         return {
           success: false,
           error: "Not all binders were migrated successfully",
@@ -332,9 +421,20 @@ class MigrationManager {
 
       // Check card counts
       let totalCloudCards = 0;
-      for (const binder of cloudBinders) {
-        const cards = await firebaseAdapter.getBinderCards(binder.id);
-        totalCloudCards += cards.length;
+      for (const migratedBinder of migratedBinders) {
+        const result = await getAllCardsInBinder(userId, migratedBinder.newId);
+        if (!result.success) {
+          return { success: false, error: result.error };
+        }
+
+        if (result.data.length < (migratedBinder.expectedCardCount || 0)) {
+          return {
+            success: false,
+            error: `Not all cards were migrated for binder ${migratedBinder.binder.binderName}`,
+          };
+        }
+
+        totalCloudCards += result.data.length;
       }
 
       if (totalCloudCards < expectedCardCount) {
@@ -356,22 +456,33 @@ class MigrationManager {
   /**
    * Rollback migration in case of failure
    */
-  async rollbackMigration(userId, migratedBinders = []) {
+  async rollbackMigration(userId, migratedBinders = [], migratedSettings = {}) {
     try {
       firebaseAdapter.setUserId(userId);
 
-      // Delete any binders that were created during failed migration
+      // Delete any binders that were created during failed migration, with
+      // the cards already written to their slots
       for (const migratedBinder of migratedBinders) {
-        try {
-          await firebaseAdapter.deleteBinder(migratedBinder.newId);
-        } catch (error) {
+        const result = await deleteBinder(userId, migratedBinder.newId);
+        if (!result.success) {
           console.error(
             `Failed to rollback binder ${migratedBinder.newId}:`,
-            error
+            result.error
           );
         }
       }
 
+      // Put back the settings the account had before they were merged
+      if (migratedSettings.previous) {
+        try {
+          await firebaseAdapter.updateUserSettings(migratedSettings.previous, {
+            replace: true,
+          });
+        } catch (error) {
+          console.error("Failed to rollback settings:", error);
+        }
+      }
+
       return { success: true };
     } catch (error) {
       console.error("Rollback failed:", error);
@@ -0,0 +1,94 @@
+/**
+ * Local Card Search
+ *
+ * Offline search over Pokemon TCG card data the app has already downloaded:
+ * the adapters' card cache and set cache.
+ * Results use the same shape as usePokemonTCG.searchCards so callers can swap
+ * between the API and the local index.
+ */
+
+import { parseCardSearchQuery } from "../../utils/cardSearchQuery.js";
+import { compareCardNumbers } from "../../utils/cardSorting.js";
+
+/**
+ * Build a search index from card objects, dropping duplicates by card ID
+ * @param {Array} cards - Pokemon TCG API card objects
+ * @returns {Array} Index entries with lowercased searchable fields
+ */
+export const buildCardIndex = (cards) => {
+  const entries = new Map();
+
+  cards.forEach((card) => {
+    if (!card?.id || entries.has(card.id)) return;
+
+    entries.set(card.id, {
+      card,
+      name: (card.name || "").toLowerCase(),
+      number: String(card.number || "").toLowerCase(),
+      artist: (card.artist || "").toLowerCase(),
+      setId: card.set?.id || "",
+      types: (card.types || []).map((type) => type.toLowerCase()),
+      rarity: (card.rarity || "").toLowerCase(),
+    });
+  });
+
+  return [...entries.values()];
+};
+
+const matchesQuery = (entry, parsedQuery) => {
+  if (!parsedQuery) return true;
+
+  switch (parsedQuery.kind) {
+    case "artist":
+      return entry.artist.includes(parsedQuery.artist.toLowerCase());
+    case "nameNumber":
+      return (
+        entry.name.includes(parsedQuery.name.toLowerCase()) &&
+        entry.number === parsedQuery.number.toLowerCase()
+      );
+    default: {
+      const text = parsedQuery.text.toLowerCase();
+      return entry.name.includes(text) || entry.artist.includes(text);
+    }
+  }
+};
+
+/**
+ * Search a card index with the same query syntax and filters as the Pokemon TCG API search
+ * @param {Array} index - Entries from buildCardIndex
+ * @param {Object} options - { query, set, type, rarity, page, pageSize }
+ * @returns {Object} { cards, totalCount, page, pageSize, totalPages }
+ */
+export const searchCardIndex = (
+  index,
+  { query = "", set = "", type = "", rarity = "", page = 1, pageSize = 20 } = {}
+) => {
+  const parsedQuery = parseCardSearchQuery(query);
+
+  const matches = index
+    .filter(
+      (entry) =>
+        matchesQuery(entry, parsedQuery) &&
+        (!set || entry.setId === set) &&
+        (!type || entry.types.includes(type.toLowerCase())) &&
+        (!rarity || entry.rarity === rarity.toLowerCase())
+    )
+    .map((entry) => entry.card)
+    // Newest sets first, then by number within a set
+    .sort(
+      (a, b) =>
+        (b.set?.releaseDate || "").localeCompare(a.set?.releaseDate || "") ||
+        (a.set?.id || "").localeCompare(b.set?.id || "") ||
+        compareCardNumbers(a.number, b.number)
+    );
+
+  const start = (page - 1) * pageSize;
+
+  return {
+    cards: matches.slice(start, start + pageSize),
+    totalCount: matches.length,
+    page,
+    pageSize,
+    totalPages: Math.ceil(matches.length / pageSize),
+  };
+};
@@ -0,0 +1,250 @@
+import { parseGridSize } from "./gridUtils";
+import {
+  getPageAndSlotFromSlotNumber,
+  getSlotNumberFromPageAndSlot,
+} from "./slotAssignment";
+import { compareBySetAndNumber, compareRarities } from "./cardSorting";
+import { getCardMarketPrice } from "./cardPricing";
+
+/**
+ * Auto-arrange: reorder every card in a binder by one of its details, or
+ * compact it by closing the gaps between cards
+ *
+ * Arrangements are planned from the cards' current positions (pending moves
+ * included) and staged as one batch of moves with addCardMoveToPending, so
+ * they preview, undo and save like dragged cards.
+ */
+
+export const ARRANGE_SORT_OPTIONS = [
+  { value: "setNumber", label: "Set & number" },
+  { value: "name", label: "Name" },
+  { value: "pokedex", label: "Pokédex number" },
+  { value: "type", label: "Type" },
+  { value: "rarity", label: "Rarity" },
+  { value: "releaseDate", label: "Release date" },
+  { value: "value", label: "Value" },
+];
+
+const compareText = (a, b) => a.localeCompare(b);
+
+// What each sort reads from a card, and how two values compare
+const SORT_KEYS = {
+  setNumber: { getValue: (card) => card, compare: compareBySetAndNumber },
+  name: { getValue: (card) => card.name || null, compare: compareText },
+  pokedex: {
+    getValue: (card) => card.nationalPokedexNumbers?.[0] ?? null,
+    compare: (a, b) => a - b,
+  },
+  type: { getValue: (card) => card.types?.[0] || null, compare: compareText },
+  rarity: { getValue: (card) => card.rarity || null, compare: compareRarities },
+  releaseDate: {
+    // Pokemon TCG API dates ("1999/01/09") compare as text
+    getValue: (card, { setReleaseDates }) =>
+      setReleaseDates.get(card.setId) || null,
+    compare: compareText,
+  },
+  value: {
+    getValue: (card) => getCardMarketPrice(card),
+    compare: (a, b) => a - b,
+  },
+};
+
+/**
+ * Build a comparator for arranging cards
+ * Cards without the detail go last in either direction; ties keep set and
+ * number order.
+ * @param {string} sortBy - One of ARRANGE_SORT_OPTIONS
+ * @param {string} sortDirection - "asc" or "desc"
+ * @param {Object} [context] - { setReleaseDates: Map of setId to release date }
+ * @returns {Function} Comparator for Array.sort
+ */
+export const compareCardsForArrange = (
+  sortBy,
+  sortDirection = "asc",
+  { setReleaseDates = new Map() } = {}
+) => {
+  const { getValue, compare } = SORT_KEYS[sortBy] || SORT_KEYS.setNumber;
+  const direction = sortDirection === "desc" ? -1 : 1;
+
+  return (a, b) => {
+    const valueA = getValue(a, { setReleaseDates });
+    const valueB = getValue(b, { setReleaseDates });
+
+    if (valueA === null || valueB === null) {
+      if (valueA !== valueB) return valueA === null ? 1 : -1;
+    } else {
+      const result = compare(valueA, valueB) * direction;
+      if (result !== 0) return result;
+    }
+
+    return compareBySetAndNumber(a, b);
+  };
+};
+
+/**
+ * Turn planned placements into move data for the cards that change slot
+ * @param {Array} placements - { card, slotNumber } per card
+ * @param {string} gridSize - Grid size (e.g., "3x3")
+ * @returns {Array} Move data for addCardMoveToPending
+ */
+export const toArrangeMoves = (placements, gridSize) =>
+  placements
+    .filter(
+      ({ card, slotNumber }) =>
+        getSlotNumberFromPageAndSlot(
+          card.pageNumber,
+          card.slotInPage,
+          gridSize
+        ) !== slotNumber
+    )
+    .map(({ card, slotNumber }) => {
+      const { pageNumber, slotInPage } = getPageAndSlotFromSlotNumber(
+        slotNumber,
+        gridSize
+      );
+
+      return {
+        cardId: card.id,
+        cardName: card.name,
+        fromPageNumber: card.pageNumber,
+        fromSlotInPage: card.slotInPage,
+        fromOverallSlotNumber: getSlotNumberFromPageAndSlot(
+          card.pageNumber,
+          card.slotInPage,
+          gridSize
+        ),
+        toPageNumber: pageNumber,
+        toSlotInPage: slotInPage,
+        toOverallSlotNumber: slotNumber,
+        moveType: "move",
+      };
+    });
+
+/**
+ * Plan where every card goes when a binder is arranged
+ * @param {Array} cards - Cards to arrange, at their current positions
+ * @param {Object} options
+ * @param {string} options.sortBy - One of ARRANGE_SORT_OPTIONS
+ * @param {string} [options.sortDirection] - "asc" or "desc"
+ * @param {string} options.gridSize - Grid size (e.g., "3x3")
+ * @param {number} options.pageCount - Pages in the binder
+ * @param {Set<number>} [options.reservedSlotNumbers] - Slots to leave as they
+ *   are, e.g. pending additions
+ * @param {Map} [options.setReleaseDates] - setId to release date, for sorting by date
+ * @returns {Object} { placements: [{ card, slotNumber }], moves, unplacedCount };
+ *   moves are addCardMoveToPending move data for cards that change slot
+ */
+export const planCardArrangement = (
+  cards,
+  {
+    sortBy,
+    sortDirection = "asc",
+    gridSize,
+    pageCount,
+    reservedSlotNumbers = new Set(),
+    setReleaseDates,
+  }
+) => {
+  const sortedCards = [...cards].sort(
+    compareCardsForArrange(sortBy, sortDirection, { setReleaseDates })
+  );
+
+  const { totalSlots: slotsPerPage } = parseGridSize(gridSize);
+  const freeSlotNumbers = [];
+  for (
+    let slotNumber = 1;
+    slotNumber <= pageCount * slotsPerPage &&
+    freeSlotNumbers.length < sortedCards.length;
+    slotNumber++
+  ) {
+    if (!reservedSlotNumbers.has(slotNumber)) freeSlotNumbers.push(slotNumber);
+  }
+
+  const placements = sortedCards
+    .slice(0, freeSlotNumbers.length)
+    .map((card, index) => ({ card, slotNumber: freeSlotNumbers[index] }));
+
+  return {
+    placements,
+    moves: toArrangeMoves(placements, gridSize),
+    unplacedCount: sortedCards.length - placements.length,
+  };
+};
+
+/**
+ * Plan closing the gaps between cards, keeping their order
+ * Cards shift towards the front of the binder (or of their own page with
+ * keepPageBoundaries). With setGap, that many blank slots are left wherever
+ * the next card is from a different set.
+ * @param {Array} cards - Cards to compact, at their current positions
+ * @param {Object} options
+ * @param {string} options.gridSize - Grid size (e.g., "3x3")
+ * @param {number} options.pageCount - Pages in the binder
+ * @param {Set<number>} [options.reservedSlotNumbers] - Slots to leave as they
+ *   are, e.g. pending additions
+ * @param {boolean} [options.keepPageBoundaries] - Keep every card on its page
+ * @param {number} [options.setGap] - Blank slots between sets; not used with
+ *   keepPageBoundaries
+ * @returns {Object} { placements, moves, unplacedCount }, as planCardArrangement
+ */
+export const planCompaction = (
+  cards,
+  {
+    gridSize,
+    pageCount,
+    reservedSlotNumbers = new Set(),
+    keepPageBoundaries = false,
+    setGap = 0,
+  }
+) => {
+  const { totalSlots: slotsPerPage } = parseGridSize(gridSize);
+  const lastSlotNumber = pageCount * slotsPerPage;
+  const orderedCards = cards
+    .map((card) => ({
+      card,
+      currentSlotNumber: getSlotNumberFromPageAndSlot(
+        card.pageNumber,
+        card.slotInPage,
+        gridSize
+      ),
+    }))
+    .sort((a, b) => a.currentSlotNumber - b.currentSlotNumber);
+
+  const getFreeSlotNumber = (fromSlotNumber) => {
+    let slotNumber = fromSlotNumber;
+    while (reservedSlotNumbers.has(slotNumber)) slotNumber++;
+    return slotNumber;
+  };
+
+  const placements = [];
+  let nextSlotNumber = 1;
+  let previousCard = null;
+
+  orderedCards.forEach(({ card, currentSlotNumber }) => {
+    if (keepPageBoundaries) {
+      const { pageNumber } = getPageAndSlotFromSlotNumber(
+        currentSlotNumber,
+        gridSize
+      );
+      const pageStart = getSlotNumberFromPageAndSlot(pageNumber, 1, gridSize);
+      nextSlotNumber = Math.max(nextSlotNumber, pageStart);
+    } else if (previousCard && previousCard.setId !== card.setId) {
+      for (let blank = 0; blank < setGap; blank++) {
+        nextSlotNumber = getFreeSlotNumber(nextSlotNumber) + 1;
+      }
+    }
+
+    const slotNumber = getFreeSlotNumber(nextSlotNumber);
+    if (slotNumber > lastSlotNumber) return;
+
+    placements.push({ card, slotNumber });
+    nextSlotNumber = slotNumber + 1;
+    previousCard = card;
+  });
+
+  return {
+    placements,
+    moves: toArrangeMoves(placements, gridSize),
+    unplacedCount: orderedCards.length - placements.length,
+  };
+};
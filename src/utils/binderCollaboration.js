@@ -0,0 +1,66 @@
+/**
+ * Binder Collaboration Utility
+ *
+ * Roles for people an owner invites to a binder. Collaborators' roles are
+ * stored on the binder document as a `collaborators` map keyed by user ID, with
+ * their IDs repeated in `collaboratorIds` so "Shared with me" can query for
+ * them. Their email, name and photo are kept in the binder's owner-only
+ * collaboratorProfiles subcollection, since collaborators can read the binder.
+ * Invites are looked up by email in the top-level userDirectory collection.
+ */
+
+export const COLLABORATOR_ROLES = {
+  VIEWER: "viewer", // Can open the binder but not change it
+  EDITOR: "editor", // Can change cards, pages and binder settings
+};
+
+export const COLLABORATOR_ROLE_LABELS = {
+  [COLLABORATOR_ROLES.VIEWER]: "Viewer",
+  [COLLABORATOR_ROLES.EDITOR]: "Editor",
+};
+
+// Role of the binder's owner, returned by getBinderRole
+export const OWNER_ROLE = "owner";
+
+export const MAX_COLLABORATORS = 20; // Keeps the binder document small
+
+/**
+ * Normalize an email address into its userDirectory document ID
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lower-case email
+ */
+export const normalizeEmail = (email) => (email || "").trim().toLowerCase();
+
+/**
+ * Work out what a user may do with a binder
+ * @param {Object} binder - Binder document data ({ ownerId, collaborators })
+ * @param {string} userId - User to check
+ * @returns {string|null} OWNER_ROLE, a COLLABORATOR_ROLES value, or null without access
+ */
+export const getBinderRole = (binder, userId) => {
+  if (!binder || !userId) return null;
+  if (binder.ownerId === userId) return OWNER_ROLE;
+  return binder.collaborators?.[userId]?.role || null;
+};
+
+/**
+ * List a binder's collaborators, editors first and then by name
+ * @param {Object} binder - Binder document data
+ * @param {Object} [profiles] - collaboratorProfiles data keyed by user ID
+ * @returns {Array<Object>} Collaborators with their userId and profile details
+ */
+export const getCollaboratorList = (binder, profiles = {}) =>
+  Object.entries(binder?.collaborators || {})
+    .map(([userId, collaborator]) => ({
+      userId,
+      ...profiles[userId],
+      ...collaborator,
+    }))
+    .sort((a, b) => {
+      if (a.role !== b.role) {
+        return a.role === COLLABORATOR_ROLES.EDITOR ? -1 : 1;
+      }
+      return (a.displayName || a.email || "").localeCompare(
+        b.displayName || b.email || ""
+      );
+    });
@@ -0,0 +1,314 @@
+/**
+ * Binder Save Conflicts
+ *
+ * A save fails its revision check when the binder was saved somewhere else
+ * after the unsaved edits were made. These helpers work out which of those
+ * edits actually collide with the saved binder, so the user only decides on
+ * the slots (and settings) both sides changed, and apply their choices.
+ */
+
+import { parseGridSize } from "./gridUtils";
+import { PREFERENCE_LABELS, formatPreferenceValue } from "./binderRevisions";
+
+// Which side of a conflict to keep
+export const CONFLICT_CHOICES = {
+  LOCAL: "local",
+  REMOTE: "remote",
+};
+
+const getSlotKey = (position) =>
+  `${position?.pageNumber}-${position?.slotInPage}`;
+
+const toPosition = (card, slotsPerPage) => ({
+  pageNumber: card.pageNumber,
+  slotInPage: card.slotInPage,
+  overallSlotNumber:
+    card.overallSlotNumber ??
+    (card.pageNumber - 1) * slotsPerPage + card.slotInPage,
+});
+
+const getCardName = (card) => (card.cardData || card).name || "A card";
+
+/**
+ * Drop unsaved edits to cards that were deleted elsewhere
+ * Their moves, removals and detail updates can't be saved any more, so
+ * there is nothing to choose between.
+ * @param {Object} pendingChanges - Pending changes from localBinderStorage
+ * @param {Array} remoteCards - Cards currently saved in the binder
+ * @returns {Object} Pending changes without those edits
+ */
+export const dropEditsToDeletedCards = (pendingChanges, remoteCards) => {
+  const remoteIds = new Set(remoteCards.map((card) => card.id));
+
+  return {
+    ...pendingChanges,
+    movedCards: (pendingChanges.movedCards || []).filter((move) =>
+      remoteIds.has(move.cardId)
+    ),
+    removedCardIds: (pendingChanges.removedCardIds || []).filter((cardId) =>
+      remoteIds.has(cardId)
+    ),
+    updatedCards: (pendingChanges.updatedCards || []).filter((update) =>
+      remoteIds.has(update.cardId)
+    ),
+  };
+};
+
+/**
+ * Find the slots where unsaved edits collide with the saved binder
+ * A moved card conflicts when it was moved elsewhere since, and a moved or
+ * added card conflicts when its slot now holds a card the edits don't move
+ * out of the way.
+ * @param {Object} pendingChanges - Pending changes from localBinderStorage
+ * @param {Array} remoteCards - Cards currently saved in the binder
+ * @returns {Array<Object>} One conflict per slot with the local and remote card
+ */
+export const findSlotConflicts = (pendingChanges, remoteCards) => {
+  const movedCards = pendingChanges.movedCards || [];
+  const removedCardIds = pendingChanges.removedCardIds || [];
+
+  const remoteById = new Map(remoteCards.map((card) => [card.id, card]));
+  const remoteBySlot = new Map(
+    remoteCards.map((card) => [getSlotKey(card), card])
+  );
+  const leavingCardIds = new Set([
+    ...movedCards.map((move) => move.cardId),
+    ...removedCardIds,
+  ]);
+
+  // The card saved in a slot that the unsaved edits leave where it is
+  const getBlockingCard = (position, cardId) => {
+    const occupant = remoteBySlot.get(getSlotKey(position));
+    return occupant &&
+      occupant.id !== cardId &&
+      !leavingCardIds.has(occupant.id)
+      ? occupant
+      : null;
+  };
+
+  const buildConflict = (position, local, remoteCard, detail) => ({
+    key: getSlotKey(position),
+    pageNumber: position.pageNumber,
+    slotInPage: position.slotInPage,
+    label: `Page ${position.pageNumber}, slot ${position.slotInPage}`,
+    detail,
+    local: local.cardName,
+    remote: remoteCard ? getCardName(remoteCard) : "Empty",
+    ...local,
+    remoteCardId: remoteCard?.id || null,
+  });
+
+  const conflicts = [];
+
+  movedCards
+    .filter((move) => !removedCardIds.includes(move.cardId))
+    .forEach((move) => {
+      const remoteCard = remoteById.get(move.cardId);
+      if (!remoteCard) return;
+
+      const remoteKey = getSlotKey(remoteCard);
+      const wasMovedElsewhere =
+        remoteKey !== getSlotKey(move.fromPosition) &&
+        remoteKey !== getSlotKey(move.toPosition);
+      const blockingCard = getBlockingCard(move.toPosition, move.cardId);
+
+      if (wasMovedElsewhere || blockingCard) {
+        conflicts.push(
+          buildConflict(
+            move.toPosition,
+            {
+              type: "move",
+              cardId: move.cardId,
+              cardName: move.cardName || getCardName(remoteCard),
+            },
+            blockingCard,
+            wasMovedElsewhere
+              ? `${
+                  move.cardName || getCardName(remoteCard)
+                } was moved to page ${remoteCard.pageNumber}, slot ${
+                  remoteCard.slotInPage
+                } in the meantime`
+              : null
+          )
+        );
+      }
+    });
+
+  (pendingChanges.addedCards || []).forEach((card) => {
+    const blockingCard = getBlockingCard(card);
+    if (blockingCard) {
+      conflicts.push(
+        buildConflict(
+          card,
+          { type: "add", tempId: card.tempId, cardName: card.cardData.name },
+          blockingCard,
+          null
+        )
+      );
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Apply the user's per-slot choices to the pending changes
+ * Taking the remote side drops the unsaved edit for that slot. Keeping the
+ * local side keeps it and moves the card saved there into the slot the
+ * local card left, or the first free slot; when the binder has no free slot
+ * the remote side is taken instead.
+ * @param {Object} pendingChanges - Pending changes from localBinderStorage
+ * @param {Array<Object>} conflicts - Conflicts from findSlotConflicts
+ * @param {Object} choices - CONFLICT_CHOICES value per conflict key
+ * @param {Array} remoteCards - Cards currently saved in the binder
+ * @param {Object} binder - Binder document data ({ gridSize, pageCount })
+ * @returns {Object} Updated pending changes
+ */
+export const resolveSlotConflicts = (
+  pendingChanges,
+  conflicts,
+  choices,
+  remoteCards,
+  binder
+) => {
+  const { totalSlots: slotsPerPage } = parseGridSize(binder?.gridSize);
+  const pageCount = binder?.pageCount || 1;
+  const remoteById = new Map(remoteCards.map((card) => [card.id, card]));
+
+  const isKept = (conflict) => choices[conflict.key] === CONFLICT_CHOICES.LOCAL;
+  const dropped = conflicts.filter((conflict) => !isKept(conflict));
+  const droppedMoveIds = new Set(
+    dropped.map((conflict) => conflict.cardId).filter(Boolean)
+  );
+  const droppedTempIds = new Set(
+    dropped.map((conflict) => conflict.tempId).filter(Boolean)
+  );
+
+  let movedCards = (pendingChanges.movedCards || []).filter(
+    (move) => !droppedMoveIds.has(move.cardId)
+  );
+  let addedCards = (pendingChanges.addedCards || []).filter(
+    (card) => !droppedTempIds.has(card.tempId)
+  );
+  const removedCardIds = pendingChanges.removedCardIds || [];
+
+  // Slots taken once the remaining edits are saved
+  const movedById = new Map(movedCards.map((move) => [move.cardId, move]));
+  const occupiedSlots = new Set([
+    ...remoteCards
+      .filter((card) => !removedCardIds.includes(card.id))
+      .map((card) => getSlotKey(movedById.get(card.id)?.toPosition || card)),
+    ...addedCards.map(getSlotKey),
+  ]);
+
+  const findFreeSlot = (preferred) => {
+    if (preferred && !occupiedSlots.has(getSlotKey(preferred))) {
+      return preferred;
+    }
+    for (let page = 1; page <= pageCount; page++) {
+      for (let slot = 1; slot <= slotsPerPage; slot++) {
+        if (!occupiedSlots.has(`${page}-${slot}`)) {
+          return { pageNumber: page, slotInPage: slot };
+        }
+      }
+    }
+    return null;
+  };
+
+  conflicts.filter(isKept).forEach((conflict) => {
+    const remoteCard = remoteById.get(conflict.cardId);
+    const blockingCard = remoteById.get(conflict.remoteCardId);
+    const destination = blockingCard
+      ? findFreeSlot(remoteCard && toPosition(remoteCard, slotsPerPage))
+      : null;
+
+    if (blockingCard && !destination) {
+      console.warn(
+        `No free slot for ${getCardName(
+          blockingCard
+        )}, keeping the saved layout for ${conflict.label}`
+      );
+      movedCards = movedCards.filter((move) => move.cardId !== conflict.cardId);
+      addedCards = addedCards.filter((card) => card.tempId !== conflict.tempId);
+      return;
+    }
+
+    // The move now starts from wherever the card is saved
+    if (remoteCard) {
+      movedCards = movedCards.map((move) =>
+        move.cardId === conflict.cardId
+          ? { ...move, fromPosition: toPosition(remoteCard, slotsPerPage) }
+          : move
+      );
+    }
+
+    if (blockingCard) {
+      occupiedSlots.add(getSlotKey(destination));
+      movedCards.push({
+        moveId: `move_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        cardId: blockingCard.id,
+        cardName: getCardName(blockingCard),
+        fromPosition: toPosition(blockingCard, slotsPerPage),
+        toPosition: toPosition(destination, slotsPerPage),
+        moveType: "move",
+        timestamp: new Date().toISOString(),
+      });
+    }
+  });
+
+  return { ...pendingChanges, movedCards, addedCards };
+};
+
+/**
+ * Merge unsaved settings with settings saved elsewhere
+ * Fields only one side changed are merged; fields both sides changed to
+ * different values are returned as conflicts.
+ * @param {Object} base - Settings the unsaved edits started from
+ * @param {Object} local - Unsaved settings
+ * @param {Object} remote - Settings currently saved
+ * @returns {Object} { merged, conflicts }
+ */
+export const mergePreferenceChanges = (base, local, remote) => {
+  const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const merged = {};
+  const conflicts = [];
+
+  Object.keys(local).forEach((field) => {
+    const localChanged = !isSame(local[field], base[field]);
+    const remoteChanged = !isSame(remote[field], base[field]);
+
+    merged[field] = localChanged ? local[field] : remote[field];
+
+    if (localChanged && remoteChanged && !isSame(local[field], remote[field])) {
+      conflicts.push({
+        key: field,
+        label: PREFERENCE_LABELS[field] || field,
+        local: formatPreferenceValue(local[field]),
+        remote: formatPreferenceValue(remote[field]),
+        localValue: local[field],
+        remoteValue: remote[field],
+      });
+    }
+  });
+
+  return { merged, conflicts };
+};
+
+/**
+ * Apply the user's per-setting choices to merged settings
+ * @param {Object} merged - Settings from mergePreferenceChanges
+ * @param {Array<Object>} conflicts - Conflicts from mergePreferenceChanges
+ * @param {Object} choices - CONFLICT_CHOICES value per setting
+ * @returns {Object} Settings to save
+ */
+export const resolvePreferenceConflicts = (merged, conflicts, choices) => ({
+  ...merged,
+  ...Object.fromEntries(
+    conflicts.map((conflict) => [
+      conflict.key,
+      choices[conflict.key] === CONFLICT_CHOICES.LOCAL
+        ? conflict.localValue
+        : conflict.remoteValue,
+    ])
+  ),
+});
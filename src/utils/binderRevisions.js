@@ -0,0 +1,183 @@
+/**
+ * Binder Revisions Utility
+ *
+ * Builds snapshots of a binder's saved layout (which card sits in which slot,
+ * plus the binder preferences) and compares a snapshot with the current layout.
+ */
+
+// Binder fields captured with each revision and written back on restore
+export const REVISION_PREFERENCE_FIELDS = [
+  "binderName",
+  "pageCount",
+  "gridSize",
+  "showReverseHolos",
+  "hideMissingCards",
+  "missingCards",
+  "sortBy",
+  "sortDirection",
+  "orderedPageOriginalNumbers",
+];
+
+// What triggered a revision
+export const REVISION_REASONS = {
+  CARDS: "cards",
+  PREFERENCES: "preferences",
+  RESTORE: "restore",
+};
+
+export const PREFERENCE_LABELS = {
+  binderName: "Binder name",
+  pageCount: "Page count",
+  gridSize: "Grid size",
+  showReverseHolos: "Show reverse holos",
+  hideMissingCards: "Hide missing cards",
+  missingCards: "Missing cards",
+  sortBy: "Sort by",
+  sortDirection: "Sort direction",
+  orderedPageOriginalNumbers: "Page order",
+};
+
+/**
+ * Format a preference value for display
+ * @param {*} value - Preference value
+ * @returns {string} Readable value
+ */
+export const formatPreferenceValue = (value) => {
+  if (value === undefined) return "—";
+  if (typeof value === "boolean") return value ? "On" : "Off";
+  if (Array.isArray(value)) return `${value.length} items`;
+  return String(value);
+};
+
+/**
+ * Pick the preference fields stored in a revision from a binder document
+ * @param {Object} binder - Binder document data
+ * @returns {Object} Preferences that are set on the binder
+ */
+export const pickRevisionPreferences = (binder) =>
+  Object.fromEntries(
+    REVISION_PREFERENCE_FIELDS.filter(
+      (field) => binder[field] !== undefined
+    ).map((field) => [field, binder[field]])
+  );
+
+/**
+ * Copy saved cards into a revision, keeping everything needed to recreate them
+ * @param {Array} cards - Card documents ({ id, ...data })
+ * @returns {Array} Cards without their write timestamps
+ */
+export const buildRevisionCards = (cards) =>
+  cards.map((card) => {
+    const revisionCard = { ...card };
+    delete revisionCard.createdAt;
+    delete revisionCard.updatedAt;
+    return revisionCard;
+  });
+
+/**
+ * Work out a binder's saved cards after a save, from the cards before it
+ * Lets a save snapshot its revision without reading every card back.
+ * @param {Array} cards - Saved cards before the save ({ id, ...data })
+ * @param {Object} changes - The saved pending changes, with `addedCards` as
+ *   the added card documents ({ id, ...data }) returned by the save
+ * @returns {Array} Saved cards after the save
+ */
+export const applySavedCardChanges = (cards, changes) => {
+  const removedIds = new Set(changes.removedCardIds || []);
+  const movesById = new Map(
+    (changes.movedCards || []).map((move) => [move.cardId, move])
+  );
+  const updatesById = new Map(
+    (changes.updatedCards || []).map((update) => [update.cardId, update])
+  );
+
+  const savedCards = cards
+    .filter((card) => !removedIds.has(card.id))
+    .map((card) => {
+      const move = movesById.get(card.id);
+      const update = updatesById.get(card.id);
+      if (!move && !update) return card;
+
+      const savedCard = { ...card };
+      if (move) {
+        savedCard.pageNumber = move.toPosition.pageNumber;
+        savedCard.slotInPage = move.toPosition.slotInPage;
+        savedCard.overallSlotNumber = move.toPosition.overallSlotNumber;
+      }
+      // A null detail clears the field, as in batchUpdateCardDetails
+      Object.entries(update?.updates || {}).forEach(([field, value]) => {
+        if (value === null) delete savedCard[field];
+        else savedCard[field] = value;
+      });
+      return savedCard;
+    });
+
+  return [...savedCards, ...(changes.addedCards || [])];
+};
+
+const isSameSlot = (a, b) =>
+  a.pageNumber === b.pageNumber && a.slotInPage === b.slotInPage;
+
+const toPosition = (card) => ({
+  pageNumber: card.pageNumber,
+  slotInPage: card.slotInPage,
+});
+
+/**
+ * Compare a revision with the binder's current saved layout
+ * Describes what restoring the revision would change.
+ * @param {Object} revision - Revision document ({ cards, preferences })
+ * @param {Array} currentCards - Saved cards currently in the binder
+ * @param {Object} currentBinder - Current binder document data
+ * @returns {Object} { moved, restored, removed, preferences, hasChanges }
+ */
+export const diffRevision = (revision, currentCards, currentBinder) => {
+  const currentById = new Map(currentCards.map((card) => [card.id, card]));
+  const revisionIds = new Set(revision.cards.map((card) => card.id));
+
+  const moved = [];
+  const restored = [];
+
+  revision.cards.forEach((card) => {
+    const currentCard = currentById.get(card.id);
+    if (!currentCard) {
+      restored.push({ id: card.id, name: card.name, to: toPosition(card) });
+    } else if (!isSameSlot(currentCard, card)) {
+      moved.push({
+        id: card.id,
+        name: card.name,
+        from: toPosition(currentCard),
+        to: toPosition(card),
+      });
+    }
+  });
+
+  const removed = currentCards
+    .filter((card) => !revisionIds.has(card.id))
+    .map((card) => ({
+      id: card.id,
+      name: card.name,
+      from: toPosition(card),
+    }));
+
+  const currentPreferences = pickRevisionPreferences(currentBinder || {});
+  const preferences = REVISION_PREFERENCE_FIELDS.filter(
+    (field) =>
+      JSON.stringify(currentPreferences[field]) !==
+      JSON.stringify(revision.preferences[field])
+  ).map((field) => ({
+    field,
+    label: PREFERENCE_LABELS[field],
+    current: currentPreferences[field],
+    revision: revision.preferences[field],
+  }));
+
+  return {
+    moved,
+    restored,
+    removed,
+    preferences,
+    hasChanges:
+      moved.length + restored.length + removed.length + preferences.length > 0,
+  };
+};
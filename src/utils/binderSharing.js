@@ -0,0 +1,106 @@
+/**
+ * Binder Sharing Utility
+ *
+ * Share tokens, link expiration and the privacy settings collected in the
+ * profile's Privacy & Sharing section. A shared binder has a document in the
+ * top-level sharedBinders collection keyed by its token, holding a copy of
+ * the binder's name and layout. Link holders read that copy, never the binder
+ * document; the Firestore rules only expose the cards of binders whose token
+ * matches an active share document.
+ */
+
+export const BINDER_VISIBILITY = {
+  PRIVATE: "private", // Only the owner can view
+  UNLISTED: "unlisted", // Anyone with the link can view
+  PUBLIC: "public", // Anyone with the link can view; may be listed for discovery
+};
+
+// Visibilities that have a share link
+export const SHARED_VISIBILITIES = [
+  BINDER_VISIBILITY.UNLISTED,
+  BINDER_VISIBILITY.PUBLIC,
+];
+
+// Binder fields copied onto its share document for the read-only view
+export const SHARED_BINDER_FIELDS = ["binderName", "gridSize", "pageCount"];
+
+/**
+ * Pick the binder fields a share document keeps a copy of
+ * @param {Object} binder - Binder data or updates
+ * @returns {Object} The SHARED_BINDER_FIELDS present in binder
+ */
+export const pickSharedBinderFields = (binder) =>
+  Object.fromEntries(
+    SHARED_BINDER_FIELDS.filter((field) => binder?.[field] !== undefined).map(
+      (field) => [field, binder[field]]
+    )
+  );
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Link lifetimes offered in the privacy settings, in milliseconds (null = never)
+export const LINK_EXPIRATION_DURATIONS = {
+  never: null,
+  "1-day": DAY_MS,
+  "1-week": 7 * DAY_MS,
+  "1-month": 30 * DAY_MS,
+  "3-months": 90 * DAY_MS,
+  "1-year": 365 * DAY_MS,
+};
+
+export const LINK_EXPIRATION_LABELS = {
+  never: "Never expire",
+  "1-day": "1 Day",
+  "1-week": "1 Week",
+  "1-month": "1 Month",
+  "3-months": "3 Months",
+  "1-year": "1 Year",
+};
+
+// Stored under settings.privacy in the user document
+export const DEFAULT_PRIVACY_SETTINGS = {
+  defaultVisibility: BINDER_VISIBILITY.PRIVATE,
+  allowPublicDiscovery: false,
+  linkExpiration: "never",
+  allowCopy: false,
+  showOwnerInfo: true,
+  requireEmailForView: false,
+  allowAnalytics: true,
+};
+
+/**
+ * Generate an unguessable share token
+ * @returns {string} 32 hex characters
+ */
+export const generateShareToken = () => crypto.randomUUID().replace(/-/g, "");
+
+/**
+ * Work out when a link created now expires
+ * @param {string} linkExpiration - One of the LINK_EXPIRATION_DURATIONS keys
+ * @param {Date} [from] - When the link is created
+ * @returns {Date|null} Expiry date, or null if the link never expires
+ */
+export const getLinkExpirationDate = (linkExpiration, from = new Date()) => {
+  const duration = LINK_EXPIRATION_DURATIONS[linkExpiration];
+  return duration ? new Date(from.getTime() + duration) : null;
+};
+
+/**
+ * Check whether a share document has expired
+ * @param {Object} share - Share document data ({ expiresAt })
+ * @returns {boolean}
+ */
+export const isShareExpired = (share) => {
+  const expiresAt = share?.expiresAt?.toDate
+    ? share.expiresAt.toDate()
+    : share?.expiresAt;
+  return !!expiresAt && expiresAt.getTime() <= Date.now();
+};
+
+/**
+ * Build the public URL for a share token
+ * @param {string} token - Share token
+ * @returns {string} Absolute URL of the read-only binder view
+ */
+export const getShareUrl = (token) =>
+  `${window.location.origin}/share/${token}`;
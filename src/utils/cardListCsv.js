@@ -0,0 +1,276 @@
+/**
+ * CSV card list import and export
+ *
+ * Turns spreadsheet exports (set code, card number, optional quantity, variant
+ * and condition) into Pokemon TCG API cards, and writes binder cards back out
+ * in the same format.
+ */
+
+import { normalizeCondition, normalizeVariant } from "./cardMetadata";
+
+const MAX_QUANTITY = 99;
+
+// Header names accepted for each column
+const COLUMN_ALIASES = {
+  setCode: ["set", "set code", "setcode", "set id", "setid"],
+  number: ["number", "card number", "no", "no.", "#"],
+  quantity: ["quantity", "qty", "count", "amount"],
+  variant: ["variant", "printing", "finish"],
+  condition: ["condition", "cond"],
+};
+
+// Column order used when the file has no header row
+const DEFAULT_COLUMNS = [
+  "setCode",
+  "number",
+  "quantity",
+  "variant",
+  "condition",
+];
+
+/**
+ * Split CSV text into rows of fields, handling quoted fields and "" escapes
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows of trimmed field values
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === "," || char === ";" || char === "\t") {
+      row.push(field.trim());
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const getColumnOrder = (firstRow) => {
+  const columns = firstRow.map((cell) => {
+    const name = cell.toLowerCase();
+    return (
+      Object.keys(COLUMN_ALIASES).find((column) =>
+        COLUMN_ALIASES[column].includes(name)
+      ) || null
+    );
+  });
+
+  const isHeader = columns.includes("setCode") && columns.includes("number");
+  return isHeader ? columns : null;
+};
+
+/**
+ * Parse a CSV card list into import rows
+ * @param {string} text - CSV file contents
+ * @returns {Object} { rows: [{ line, raw, setCode, number, quantity, variant, condition }], errors: [{ line, raw, reason }] }
+ */
+export const parseCardListCsv = (text) => {
+  const allRows = parseCsv(text);
+  const headerColumns = allRows.length > 0 ? getColumnOrder(allRows[0]) : null;
+  const columns = headerColumns || DEFAULT_COLUMNS;
+  const firstDataRow = headerColumns ? 1 : 0;
+
+  const rows = [];
+  const errors = [];
+
+  allRows.slice(firstDataRow).forEach((cells, index) => {
+    const line = index + firstDataRow + 1;
+    const raw = cells.join(", ");
+    if (cells.every((cell) => !cell)) return;
+
+    const values = {};
+    columns.forEach((column, columnIndex) => {
+      if (column) values[column] = cells[columnIndex] || "";
+    });
+
+    const fail = (reason) => errors.push({ line, raw, reason });
+
+    if (!values.setCode) return fail("Missing set code");
+    if (!values.number) return fail("Missing card number");
+
+    const quantity = values.quantity ? Number(values.quantity) : 1;
+    if (
+      !Number.isInteger(quantity) ||
+      quantity < 1 ||
+      quantity > MAX_QUANTITY
+    ) {
+      return fail(`Quantity must be a whole number from 1 to ${MAX_QUANTITY}`);
+    }
+
+    const variant = values.variant ? normalizeVariant(values.variant) : null;
+    if (values.variant && !variant) {
+      return fail(`Unknown variant "${values.variant}"`);
+    }
+
+    const condition = values.condition
+      ? normalizeCondition(values.condition)
+      : null;
+    if (values.condition && !condition) {
+      return fail(`Unknown condition "${values.condition}"`);
+    }
+
+    rows.push({
+      line,
+      raw,
+      setCode: values.setCode,
+      number: values.number,
+      quantity,
+      variant,
+      condition,
+    });
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Normalise a card number for matching ("025" -> "25", "TG05" -> "TG5", "4/102" -> "4")
+ * @param {string} number - Card number as printed or typed
+ * @returns {string} Comparable card number
+ */
+export const normalizeCardNumber = (number) =>
+  String(number || "")
+    .split("/")[0]
+    .trim()
+    .toUpperCase()
+    .replace(/^([A-Z]*)0+(?=\d)/, "$1");
+
+/**
+ * Resolve parsed rows to Pokemon TCG API cards
+ * Set codes may be API set IDs ("sv3pt5") or printed set codes ("MEW").
+ * @param {Array} rows - Rows from parseCardListCsv
+ * @param {Object} options - { sets, fetchSetCards(setId) }
+ * @returns {Promise<Object>} { matches: [{ ...row, card }], errors: [{ line, raw, reason }] }
+ */
+export const resolveCardListRows = async (rows, { sets, fetchSetCards }) => {
+  const setsByCode = new Map();
+  // Sets come newest first, so older reprints never shadow a current code
+  [...sets].reverse().forEach((set) => {
+    setsByCode.set(set.id.toLowerCase(), set);
+    if (set.ptcgoCode) setsByCode.set(set.ptcgoCode.toLowerCase(), set);
+  });
+
+  const cardsBySet = new Map();
+  const matches = [];
+  const errors = [];
+
+  for (const row of rows) {
+    const set = setsByCode.get(row.setCode.toLowerCase());
+    if (!set) {
+      errors.push({
+        line: row.line,
+        raw: row.raw,
+        reason: `Unknown set code "${row.setCode}"`,
+      });
+      continue;
+    }
+
+    if (!cardsBySet.has(set.id)) {
+      try {
+        const setCards = await fetchSetCards(set.id);
+        cardsBySet.set(
+          set.id,
+          new Map(
+            setCards.map((card) => [normalizeCardNumber(card.number), card])
+          )
+        );
+      } catch (error) {
+        console.error(`Failed to load cards for set ${set.id}:`, error);
+        cardsBySet.set(set.id, null);
+      }
+    }
+
+    const setCards = cardsBySet.get(set.id);
+    const card = setCards?.get(normalizeCardNumber(row.number));
+
+    if (!setCards) {
+      errors.push({
+        line: row.line,
+        raw: row.raw,
+        reason: `Couldn't load cards for ${set.name}`,
+      });
+    } else if (!card) {
+      errors.push({
+        line: row.line,
+        raw: row.raw,
+        reason: `No card #${row.number} in ${set.name}`,
+      });
+    } else {
+      matches.push({ ...row, card });
+    }
+  }
+
+  return { matches, errors };
+};
+
+const escapeCsvField = (value) => {
+  const text = String(value ?? "");
+  return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write binder cards as a CSV card list that parseCardListCsv can read back
+ * Identical printings (same set, number, variant and condition) share a row.
+ * @param {Array} cards - Binder card documents
+ * @returns {string} CSV text with a header row
+ */
+export const buildCardListCsv = (cards) => {
+  const rows = new Map();
+
+  cards.forEach((card) => {
+    const setCode =
+      card.setId ||
+      card.set?.id ||
+      (typeof card.set === "string" ? card.set : "");
+    const values = [
+      setCode,
+      card.number || "",
+      card.variant || "",
+      card.condition || "",
+    ];
+    const key = values.join("|");
+
+    if (rows.has(key)) {
+      rows.get(key).quantity += 1;
+    } else {
+      rows.set(key, { values, quantity: 1 });
+    }
+  });
+
+  const lines = [["set", "number", "quantity", "variant", "condition"]];
+  rows.forEach(({ values: [setCode, number, variant, condition], quantity }) =>
+    lines.push([setCode, number, quantity, variant, condition])
+  );
+
+  return lines.map((line) => line.map(escapeCsvField).join(",")).join("\n");
+};
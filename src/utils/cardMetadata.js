@@ -0,0 +1,222 @@
+/**
+ * Per-card collection metadata (condition, grading, variant, language,
+ * purchase details and notes)
+ *
+ * Stored as optional top-level fields on card entries; keep the option lists
+ * in sync with isValidCardMetadata in firestore.rules.
+ */
+
+// Card conditions, best to worst
+export const CARD_CONDITIONS = {
+  NM: "Near Mint",
+  LP: "Lightly Played",
+  MP: "Moderately Played",
+  HP: "Heavily Played",
+  DMG: "Damaged",
+};
+
+// Printings, keyed like the Pokemon TCG API tcgplayer.prices entries, plus
+// stamped promos, which the API doesn't price separately
+export const CARD_VARIANTS = {
+  normal: "Normal",
+  holofoil: "Holofoil",
+  reverseHolofoil: "Reverse Holofoil",
+  "1stEditionNormal": "1st Edition",
+  "1stEditionHolofoil": "1st Edition Holofoil",
+  unlimitedHolofoil: "Unlimited Holofoil",
+  promoStamp: "Promo Stamp",
+};
+
+export const GRADING_COMPANIES = {
+  PSA: "PSA",
+  BGS: "Beckett (BGS)",
+  CGC: "CGC",
+  SGC: "SGC",
+  ACE: "ACE",
+  OTHER: "Other",
+};
+
+// Card languages by ISO 639-1 code
+export const CARD_LANGUAGES = {
+  en: "English",
+  ja: "Japanese",
+  ko: "Korean",
+  zh: "Chinese",
+  fr: "French",
+  de: "German",
+  it: "Italian",
+  es: "Spanish",
+  pt: "Portuguese",
+};
+
+export const MIN_CARD_GRADE = 1;
+export const MAX_CARD_GRADE = 10;
+export const MAX_PURCHASE_PRICE = 999999;
+export const MAX_CARD_NOTES_LENGTH = 500;
+
+// Every metadata field a card entry may carry
+export const CARD_METADATA_FIELDS = [
+  "condition",
+  "gradingCompany",
+  "grade",
+  "variant",
+  "language",
+  "purchasePrice",
+  "purchaseDate",
+  "notes",
+];
+
+const PURCHASE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CONDITION_ALIASES = {
+  mint: "NM",
+  m: "NM",
+  "near mint": "NM",
+  "lightly played": "LP",
+  excellent: "LP",
+  ex: "LP",
+  "moderately played": "MP",
+  played: "MP",
+  "heavily played": "HP",
+  poor: "DMG",
+  damaged: "DMG",
+};
+
+const VARIANT_ALIASES = {
+  holo: "holofoil",
+  reverse: "reverseHolofoil",
+  "reverse holo": "reverseHolofoil",
+  "reverse holofoil": "reverseHolofoil",
+  "1st edition": "1stEditionNormal",
+  "1st edition holo": "1stEditionHolofoil",
+  "1st edition holofoil": "1stEditionHolofoil",
+  unlimited: "unlimitedHolofoil",
+  "unlimited holo": "unlimitedHolofoil",
+  promo: "promoStamp",
+  stamped: "promoStamp",
+  "promo stamp": "promoStamp",
+};
+
+const findKey = (options, aliases, value) => {
+  const text = String(value || "").trim();
+  if (!text) return null;
+
+  const exact = Object.keys(options).find(
+    (key) => key.toLowerCase() === text.toLowerCase()
+  );
+  return exact || aliases[text.toLowerCase()] || null;
+};
+
+/**
+ * Map free text ("Near Mint", "nm", "Damaged") to a CARD_CONDITIONS key
+ * @param {string} value - Condition as written by the user
+ * @returns {string|null} Condition key, or null if unrecognised
+ */
+export const normalizeCondition = (value) =>
+  findKey(CARD_CONDITIONS, CONDITION_ALIASES, value);
+
+/**
+ * Map free text ("Reverse Holo", "holo", "normal") to a CARD_VARIANTS key
+ * @param {string} value - Variant as written by the user
+ * @returns {string|null} Variant key, or null if unrecognised
+ */
+export const normalizeVariant = (value) =>
+  findKey(CARD_VARIANTS, VARIANT_ALIASES, value);
+
+/**
+ * Pick the metadata fields that are set on a card or card data object
+ * @param {Object} source - Card entry, pending card data or form values
+ * @returns {Object} Only the metadata fields with a value
+ */
+export const pickCardMetadata = (source = {}) =>
+  Object.fromEntries(
+    CARD_METADATA_FIELDS.filter(
+      (field) =>
+        source[field] !== undefined &&
+        source[field] !== null &&
+        source[field] !== ""
+    ).map((field) => [field, source[field]])
+  );
+
+/**
+ * Check card metadata fields; fields that aren't present (or are null, which
+ * clears them) are skipped
+ * @param {Object} data - Card data or metadata updates
+ * @returns {Array<string>} Error messages, empty when valid
+ */
+export const validateCardMetadata = (data = {}) => {
+  const errors = [];
+  const isSet = (field) => data[field] !== undefined && data[field] !== null;
+  const isNumberInRange = (value, min, max) =>
+    typeof value === "number" &&
+    Number.isFinite(value) &&
+    value >= min &&
+    value <= max;
+
+  if (isSet("condition") && !(data.condition in CARD_CONDITIONS)) {
+    errors.push("Unknown card condition");
+  }
+
+  if (isSet("variant") && !(data.variant in CARD_VARIANTS)) {
+    errors.push("Unknown card variant");
+  }
+
+  if (isSet("gradingCompany") && !(data.gradingCompany in GRADING_COMPANIES)) {
+    errors.push("Unknown grading company");
+  }
+
+  if (isSet("grade")) {
+    if (!isNumberInRange(data.grade, MIN_CARD_GRADE, MAX_CARD_GRADE)) {
+      errors.push(
+        `Grade must be between ${MIN_CARD_GRADE} and ${MAX_CARD_GRADE}`
+      );
+    } else if (!isSet("gradingCompany")) {
+      errors.push("A grade needs a grading company");
+    }
+  }
+
+  if (isSet("language") && !(data.language in CARD_LANGUAGES)) {
+    errors.push("Unknown card language");
+  }
+
+  if (
+    isSet("purchasePrice") &&
+    !isNumberInRange(data.purchasePrice, 0, MAX_PURCHASE_PRICE)
+  ) {
+    errors.push("Purchase price must be between 0 and 999,999");
+  }
+
+  if (
+    isSet("purchaseDate") &&
+    (typeof data.purchaseDate !== "string" ||
+      !PURCHASE_DATE_PATTERN.test(data.purchaseDate) ||
+      Number.isNaN(Date.parse(data.purchaseDate)))
+  ) {
+    errors.push("Purchase date must be a date like 2024-05-31");
+  }
+
+  if (
+    isSet("notes") &&
+    (typeof data.notes !== "string" ||
+      data.notes.length > MAX_CARD_NOTES_LENGTH)
+  ) {
+    errors.push(`Notes must be ${MAX_CARD_NOTES_LENGTH} characters or less`);
+  }
+
+  return errors;
+};
+
+/**
+ * Short grade label for a card, e.g. "PSA 10"
+ * @param {Object} card - Card entry or card data
+ * @returns {string|null} Label, or null when the card isn't graded
+ */
+export const formatCardGrade = (card) => {
+  if (!card?.gradingCompany) return null;
+
+  const company =
+    card.gradingCompany === "OTHER" ? "Graded" : card.gradingCompany;
+  return card.grade !== undefined && card.grade !== null
+    ? `${company} ${card.grade}`
+    : company;
+};
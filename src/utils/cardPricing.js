@@ -0,0 +1,49 @@
+/**
+ * Pricing helpers for Pokemon TCG API card data
+ */
+
+// Preferred order when a card has several TCGPlayer price variants
+const TCGPLAYER_VARIANT_ORDER = [
+  "normal",
+  "holofoil",
+  "reverseHolofoil",
+  "1stEditionNormal",
+  "1stEditionHolofoil",
+  "unlimitedHolofoil",
+];
+
+/**
+ * Get the current market price of a card in USD
+ * Falls back to Cardmarket's average sell price when TCGPlayer has no data
+ * @param {Object} card - Card data containing tcgplayer/cardmarket prices
+ * @returns {number|null} Market price, or null when no price is known
+ */
+export const getCardMarketPrice = (card) => {
+  const prices = card?.tcgplayer?.prices;
+
+  if (prices) {
+    const variants = [
+      ...TCGPLAYER_VARIANT_ORDER.filter((variant) => prices[variant]),
+      ...Object.keys(prices).filter(
+        (variant) => !TCGPLAYER_VARIANT_ORDER.includes(variant)
+      ),
+    ];
+
+    for (const variant of variants) {
+      const { market, mid } = prices[variant] || {};
+      if (typeof market === "number") return market;
+      if (typeof mid === "number") return mid;
+    }
+  }
+
+  const averageSellPrice = card?.cardmarket?.prices?.averageSellPrice;
+  return typeof averageSellPrice === "number" ? averageSellPrice : null;
+};
+
+/**
+ * Format a price for display
+ * @param {number|null} price - Price to format
+ * @returns {string} Formatted price, or an em dash when unknown
+ */
+export const formatPrice = (price) =>
+  typeof price === "number" ? `$${price.toFixed(2)}` : "—";
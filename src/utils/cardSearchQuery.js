@@ -0,0 +1,33 @@
+/**
+ * Card search query parsing shared by the Pokemon TCG API search and the offline search
+ */
+
+/**
+ * Parse a free-text card search query
+ * Supports "artist:Name", "name #number" (e.g. "Pikachu #SWSH039") and plain text
+ * @param {string} query - Raw search query
+ * @returns {Object|null} { kind: "artist", artist } | { kind: "nameNumber", name, number } | { kind: "text", text }
+ */
+export const parseCardSearchQuery = (query = "") => {
+  const trimmed = query.trim();
+  if (!trimmed) return null;
+
+  // Artist search (e.g. "artist:Ken Sugimori", "artist:Mitsuhiro Arita")
+  const artistMatch = trimmed.match(/^artist:\s*(.+)$/i);
+  if (artistMatch) {
+    return { kind: "artist", artist: artistMatch[1].trim() };
+  }
+
+  // Name plus card number (e.g. "pikachu #1", "charizard #25", "pikachu #SWSH039")
+  const cardNumberMatch = trimmed.match(/^(.+?)\s*#\s*([A-Z0-9-]+)$/i);
+  if (cardNumberMatch) {
+    return {
+      kind: "nameNumber",
+      name: cardNumberMatch[1].trim(),
+      number: cardNumberMatch[2],
+    };
+  }
+
+  // Regular search - matches name or artist
+  return { kind: "text", text: trimmed };
+};
@@ -0,0 +1,64 @@
+/**
+ * Sorting helpers for Pokemon card data
+ */
+
+/**
+ * Compare two card numbers naturally ("2" < "10" < "10a", "SWSH039" < "SWSH100")
+ * @param {string} a - First card number
+ * @param {string} b - Second card number
+ * @returns {number} Negative, zero or positive for use in Array.sort
+ */
+export const compareCardNumbers = (a = "", b = "") =>
+  String(a).localeCompare(String(b), undefined, {
+    numeric: true,
+    sensitivity: "base",
+  });
+
+/**
+ * Compare two cards by set, then by number within the set
+ * @param {Object} a - First card (setId/number)
+ * @param {Object} b - Second card (setId/number)
+ * @returns {number} Negative, zero or positive for use in Array.sort
+ */
+export const compareBySetAndNumber = (a, b) =>
+  (a.setId || "").localeCompare(b.setId || "") ||
+  compareCardNumbers(a.number, b.number);
+
+// Rarities from most to least common; anything else sorts after these
+const RARITY_ORDER = [
+  "Common",
+  "Uncommon",
+  "Rare",
+  "Rare Holo",
+  "Double Rare",
+  "Rare Holo EX",
+  "Rare Holo GX",
+  "Rare Holo V",
+  "Rare Holo VMAX",
+  "Rare Holo VSTAR",
+  "Rare Ultra",
+  "Ultra Rare",
+  "Illustration Rare",
+  "Special Illustration Rare",
+  "Rare Secret",
+  "Rare Rainbow",
+  "Hyper Rare",
+  "Promo",
+];
+
+/**
+ * Compare two rarities from most to least common
+ * @param {string} a - First rarity
+ * @param {string} b - Second rarity
+ * @returns {number} Negative, zero or positive for use in Array.sort
+ */
+export const compareRarities = (a = "", b = "") => {
+  const rankA = RARITY_ORDER.indexOf(a);
+  const rankB = RARITY_ORDER.indexOf(b);
+  if (rankA !== rankB) {
+    if (rankA === -1) return 1;
+    if (rankB === -1) return -1;
+    return rankA - rankB;
+  }
+  return (a || "").localeCompare(b || "");
+};
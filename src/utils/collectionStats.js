@@ -0,0 +1,164 @@
+import { format, startOfMonth, subMonths } from "date-fns";
+import { parseGridSize } from "./gridUtils";
+import { getCardMarketPrice } from "./cardPricing";
+
+/**
+ * Analytics helpers computed from binder card documents
+ */
+
+// createdAt is a Firestore Timestamp on saved cards
+const toDate = (value) =>
+  value?.toDate ? value.toDate() : value ? new Date(value) : null;
+
+/**
+ * Count items by a key and return them sorted by count (descending)
+ * @param {Array} items - Items to count
+ * @param {Function} getKeys - Returns the key (or array of keys) for an item
+ * @returns {Array} Array of { label, count }
+ */
+const countBy = (items, getKeys) => {
+  const counts = new Map();
+  items.forEach((item) => {
+    [].concat(getKeys(item)).forEach((key) => {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+
+  return [...counts.entries()]
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+/**
+ * Compute collection breakdowns for a list of cards
+ * @param {Array} cards - Card documents (from getAllUserCards)
+ * @param {number} months - Number of months to include in the timeline
+ * @returns {Object} Totals, per-set, rarity, type and timeline breakdowns
+ */
+export const computeCollectionStats = (cards, months = 12) => {
+  const setMap = new Map();
+  cards.forEach((card) => {
+    const setId = card.setId || "unknown";
+    const entry = setMap.get(setId) || {
+      setId,
+      setName: card.set || "Unknown set",
+      count: 0,
+      cardIds: new Set(),
+    };
+    entry.count += 1;
+    entry.cardIds.add(card.cardApiId);
+    setMap.set(setId, entry);
+  });
+
+  const sets = [...setMap.values()]
+    .map(({ cardIds, ...entry }) => ({ ...entry, uniqueCount: cardIds.size }))
+    .sort((a, b) => b.count - a.count);
+
+  // Monthly buckets, oldest first, ending with the current month
+  const now = new Date();
+  const timeline = Array.from({ length: months }, (_, index) => {
+    const monthStart = startOfMonth(subMonths(now, months - 1 - index));
+    return {
+      key: format(monthStart, "yyyy-MM"),
+      label: format(monthStart, "MMM yy"),
+      count: 0,
+    };
+  });
+  const timelineByKey = new Map(timeline.map((bucket) => [bucket.key, bucket]));
+  let addedBeforeTimeline = 0;
+
+  cards.forEach((card) => {
+    const addedAt = toDate(card.createdAt);
+    if (!addedAt) return;
+
+    const bucket = timelineByKey.get(format(addedAt, "yyyy-MM"));
+    if (bucket) {
+      bucket.count += 1;
+    } else if (addedAt < now) {
+      addedBeforeTimeline += 1;
+    }
+  });
+
+  let runningTotal = addedBeforeTimeline;
+  timeline.forEach((bucket) => {
+    runningTotal += bucket.count;
+    bucket.cumulative = runningTotal;
+  });
+
+  return {
+    totalCards: cards.length,
+    uniqueCards: new Set(cards.map((card) => card.cardApiId)).size,
+    totalValue: cards.reduce(
+      (sum, card) => sum + (getCardMarketPrice(card) || 0),
+      0
+    ),
+    sets,
+    rarities: countBy(cards, (card) => card.rarity || "Unknown"),
+    types: countBy(cards, (card) =>
+      card.types?.length ? card.types : "Unknown"
+    ),
+    timeline,
+  };
+};
+
+/**
+ * Compute how full each binder is
+ * @param {Array} binders - Binder documents
+ * @param {Array} cards - Card documents tagged with binderId
+ * @returns {Array} Array of { binderId, binderName, usedSlots, totalSlots, percentage }
+ */
+export const computeBinderFill = (binders, cards) =>
+  binders.map((binder) => {
+    const pageCount = binder.pageCount || 0;
+    const { totalSlots: slotsPerPage } = parseGridSize(binder.gridSize);
+    const totalSlots = pageCount * slotsPerPage;
+
+    const usedSlots = new Set(
+      cards
+        .filter(
+          (card) =>
+            card.binderId === binder.id &&
+            card.pageNumber >= 1 &&
+            card.pageNumber <= pageCount
+        )
+        .map((card) => `${card.pageNumber}-${card.slotInPage}`)
+    ).size;
+
+    return {
+      binderId: binder.id,
+      binderName: binder.binderName,
+      usedSlots,
+      totalSlots,
+      percentage: totalSlots > 0 ? (usedSlots / totalSlots) * 100 : 0,
+    };
+  });
+
+/**
+ * Compute completion for every set present in the collection
+ * @param {Array} cards - Card documents
+ * @param {Map} setsById - Pokemon TCG API sets keyed by id (for set totals)
+ * @returns {Array} Array of { setId, setName, owned, total, percentage }, most complete first
+ */
+export const computeSetCompletion = (cards, setsById) => {
+  const ownedBySet = new Map();
+  cards.forEach((card) => {
+    if (!card.setId) return;
+    if (!ownedBySet.has(card.setId)) ownedBySet.set(card.setId, new Set());
+    ownedBySet.get(card.setId).add(card.cardApiId);
+  });
+
+  return [...ownedBySet.entries()]
+    .map(([setId, owned]) => {
+      const set = setsById.get(setId);
+      const total = set?.total || null;
+      return {
+        setId,
+        setName:
+          set?.name || cards.find((c) => c.setId === setId)?.set || setId,
+        owned: owned.size,
+        total,
+        percentage: total ? Math.min(100, (owned.size / total) * 100) : null,
+      };
+    })
+    .sort((a, b) => (b.percentage ?? -1) - (a.percentage ?? -1));
+};
@@ -0,0 +1,136 @@
+/**
+ * Edit History Utility
+ *
+ * Per-binder log of unsaved edits for step-by-step undo and redo.
+ * Card edits carry a patch of the pending changes they touched (see
+ * applyPendingPatch in localBinderStorage); binder edits carry the preference
+ * values from before and after the edit. The log lives in memory for the
+ * current session only.
+ */
+
+const HISTORY_EVENT = "binderHistoryChanged";
+const MAX_HISTORY_ENTRIES = 100;
+
+export const EDIT_TYPES = {
+  ADD_CARDS: "addCards",
+  MOVE_CARD: "moveCard",
+  SWAP_CARDS: "swapCards",
+  ARRANGE_CARDS: "arrangeCards",
+  REMOVE_CARD: "removeCard",
+  RESTORE_CARD: "restoreCard",
+  UPDATE_CARD: "updateCard",
+  ADD_PAGE: "addPage",
+  DELETE_PAGE: "deletePage",
+  REORDER_PAGES: "reorderPages",
+  UPDATE_PREFERENCES: "updatePreferences",
+};
+
+// What an edit changes: pending card changes or the binder's preferences
+export const EDIT_TARGETS = {
+  CARDS: "cards",
+  BINDER: "binder",
+};
+
+const EMPTY_HISTORY = { past: [], future: [] };
+
+const histories = new Map();
+
+const setHistory = (binderId, history) => {
+  histories.set(binderId, history);
+  window.dispatchEvent(
+    new CustomEvent(HISTORY_EVENT, { detail: { binderId } })
+  );
+};
+
+/**
+ * Get the edit history for a binder
+ * @returns {Object} { past, future } - past is oldest first, future is next redo first
+ */
+export const getEditHistory = (binderId) =>
+  histories.get(binderId) || EMPTY_HISTORY;
+
+/**
+ * Record a new edit; clears anything that was available to redo
+ * @param {string} binderId - Binder ID
+ * @param {Object} edit - { type, target, description, pendingPatch?, preferences?: { before, after } }
+ * @returns {Object} The recorded entry
+ */
+export const recordEdit = (binderId, edit) => {
+  const entry = {
+    ...edit,
+    id: `edit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    timestamp: new Date(),
+  };
+
+  const { past } = getEditHistory(binderId);
+  setHistory(binderId, {
+    past: [...past, entry].slice(-MAX_HISTORY_ENTRIES),
+    future: [],
+  });
+
+  return entry;
+};
+
+/**
+ * Move the latest edit onto the redo stack
+ * @returns {Object|null} The edit to undo, or null if there is none
+ */
+export const takeUndoEdit = (binderId) => {
+  const { past, future } = getEditHistory(binderId);
+  if (past.length === 0) return null;
+
+  const edit = past[past.length - 1];
+  setHistory(binderId, { past: past.slice(0, -1), future: [edit, ...future] });
+  return edit;
+};
+
+/**
+ * Move the most recently undone edit back onto the undo stack
+ * @returns {Object|null} The edit to redo, or null if there is none
+ */
+export const takeRedoEdit = (binderId) => {
+  const { past, future } = getEditHistory(binderId);
+  if (future.length === 0) return null;
+
+  const [edit, ...remaining] = future;
+  setHistory(binderId, { past: [...past, edit], future: remaining });
+  return edit;
+};
+
+/**
+ * Drop recorded edits, e.g. after they were saved or reverted
+ * @param {string} binderId - Binder ID
+ * @param {string} [target] - Only drop edits for one of EDIT_TARGETS
+ */
+export const clearEditHistory = (binderId, target) => {
+  if (!histories.has(binderId)) return;
+
+  if (!target) {
+    histories.delete(binderId);
+    window.dispatchEvent(
+      new CustomEvent(HISTORY_EVENT, { detail: { binderId } })
+    );
+    return;
+  }
+
+  const { past, future } = getEditHistory(binderId);
+  setHistory(binderId, {
+    past: past.filter((edit) => edit.target !== target),
+    future: future.filter((edit) => edit.target !== target),
+  });
+};
+
+/**
+ * Listen for changes to a binder's edit history
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToEditHistory = (binderId, callback) => {
+  const handleChange = (event) => {
+    if (event.detail.binderId === binderId) {
+      callback(getEditHistory(binderId));
+    }
+  };
+
+  window.addEventListener(HISTORY_EVENT, handleChange);
+  return () => window.removeEventListener(HISTORY_EVENT, handleChange);
+};
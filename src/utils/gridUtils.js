@@ -153,3 +153,26 @@ export const calculateBinderDimensions = (
     };
   }
 };
+
+/**
+ * Get the spread that shows a given page
+ * Spread 1 is the cover plus page 1; spread n shows pages 2(n-1) and 2(n-1)+1
+ * @param {number} pageNumber - Actual page number (1-based)
+ * @returns {number} Spread number (1-based)
+ */
+export const getSpreadForPage = (pageNumber) =>
+  pageNumber <= 1 ? 1 : Math.floor(pageNumber / 2) + 1;
+
+/**
+ * Get the actual page numbers shown in a spread
+ * @param {number} spreadNumber - Spread number (1-based)
+ * @returns {Object} { leftPage, rightPage } - leftPage is null for the cover spread
+ */
+export const getPagesForSpread = (spreadNumber) => {
+  if (spreadNumber <= 1) {
+    return { leftPage: null, rightPage: 1 };
+  }
+
+  const leftPage = (spreadNumber - 1) * 2;
+  return { leftPage, rightPage: leftPage + 1 };
+};
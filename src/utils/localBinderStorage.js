@@ -5,6 +5,14 @@
  * Optimized for performance and minimal Firebase writes.
  */
 
+import {
+  recordEdit,
+  clearEditHistory,
+  EDIT_TYPES,
+  EDIT_TARGETS,
+} from "./editHistory";
+import { CARD_METADATA_FIELDS, pickCardMetadata } from "./cardMetadata";
+
 const STORAGE_KEY_PREFIX = "pokemon_binder_pending_";
 const STORAGE_VERSION = "1.0";
 
@@ -63,6 +71,8 @@ export const savePendingChanges = (binderId, changes) => {
 export const clearPendingChanges = (binderId) => {
   try {
     localStorage.removeItem(getStorageKey(binderId));
+    // Card edits can't be undone once their pending changes are gone
+    clearEditHistory(binderId, EDIT_TARGETS.CARDS);
     return true;
   } catch (error) {
     console.error("Error clearing pending changes:", error);
@@ -70,6 +80,29 @@ export const clearPendingChanges = (binderId) => {
   }
 };
 
+/**
+ * Keep the card details a pending addition saves from a Pokemon TCG API card
+ * Missing details get empty values, since Firestore rejects undefined fields.
+ * @param {Object} cardData - Card from the Pokemon TCG API
+ * @returns {Object} Card details for a pending addition
+ */
+export const toPendingCardData = (cardData) => ({
+  name: cardData.name,
+  set: cardData.set?.name || "",
+  setId: cardData.set?.id || "",
+  number: cardData.number || "",
+  rarity: cardData.rarity || "",
+  images: cardData.images || {},
+  tcgplayer: cardData.tcgplayer || {},
+  artist: cardData.artist || "",
+  cardmarket: cardData.cardmarket || {},
+  supertype: cardData.supertype || "",
+  types: cardData.types || [],
+  nationalPokedexNumbers: cardData.nationalPokedexNumbers || [],
+  // Collection details, e.g. from a CSV import
+  ...pickCardMetadata(cardData),
+});
+
 /**
  * Add cards to pending additions with slot assignments
  */
@@ -88,17 +121,7 @@ export const addCardsToPending = (binderId, cardsWithSlots) => {
     pageNumber: cardData.assignedSlot?.pageNumber || null,
     slotInPage: cardData.assignedSlot?.slotInPage || null,
     overallSlotNumber: cardData.assignedSlot?.overallSlotNumber || null,
-    cardData: {
-      name: cardData.name,
-      set: cardData.set?.name || "",
-      setId: cardData.set?.id || "",
-      number: cardData.number || "",
-      rarity: cardData.rarity || "",
-      images: cardData.images || {},
-      tcgplayer: cardData.tcgplayer || {},
-      artist: cardData.artist || "",
-      cardmarket: cardData.cardmarket || {},
-    },
+    cardData: toPendingCardData(cardData),
     addedAt: new Date().toISOString(),
     status: "pending",
   }));
@@ -111,6 +134,22 @@ export const addCardsToPending = (binderId, cardsWithSlots) => {
 
   savePendingChanges(binderId, updated);
 
+  recordEdit(binderId, {
+    type: EDIT_TYPES.ADD_CARDS,
+    target: EDIT_TARGETS.CARDS,
+    description:
+      cardsToAdd.length === 1
+        ? `Added '${cardsToAdd[0].cardData.name}'`
+        : `Added ${cardsToAdd.length} cards`,
+    pendingPatch: {
+      addedCards: {
+        keys: cardsToAdd.map((card) => card.tempId),
+        before: [],
+        after: cardsToAdd,
+      },
+    },
+  });
+
   return {
     success: true,
     addedCount: cardsToAdd.length,
@@ -163,10 +202,51 @@ export const getPendingCardAdditions = (binderId) => {
   return changes?.addedCards || [];
 };
 
+// Pending movement entry for one card of a move
+const createMoveEntry = (moveData, moveType, extra = {}) => ({
+  moveId: `move_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+  cardId: moveData.cardId,
+  cardName: moveData.cardName,
+  fromPosition: {
+    pageNumber: moveData.fromPageNumber,
+    slotInPage: moveData.fromSlotInPage,
+    overallSlotNumber: moveData.fromOverallSlotNumber,
+  },
+  toPosition: {
+    pageNumber: moveData.toPageNumber,
+    slotInPage: moveData.toSlotInPage,
+    overallSlotNumber: moveData.toOverallSlotNumber,
+  },
+  moveType, // 'move' or 'swap'
+  timestamp: new Date().toISOString(),
+  ...extra,
+});
+
+// A swap moves both cards, so it gets an entry for each
+const toMoveEntries = (moveData) => {
+  const moveEntry = createMoveEntry(moveData, moveData.moveType);
+  if (moveData.moveType !== "swap" || !moveData.targetCard) {
+    return [moveEntry];
+  }
+
+  return [
+    moveEntry,
+    createMoveEntry(moveData.targetCard, "swap", {
+      swapPairId: moveEntry.moveId,
+    }),
+  ];
+};
+
 /**
  * Add a card movement to pending changes
+ * Also takes an array of moves (e.g. from auto-arrange), which is recorded as
+ * a single edit so it undoes in one step.
+ * @param {string} binderId - Binder ID
+ * @param {Object|Array<Object>} moveData - Move, or moves, to stage
+ * @param {Object} [options] - { description } of the edit for a batch of moves
+ * @returns {Object} { success, moveId, moveCount }
  */
-export const addCardMoveToPending = (binderId, moveData) => {
+export const addCardMoveToPending = (binderId, moveData, options = {}) => {
   const existing = getPendingChanges(binderId) || {
     addedCards: [],
     removedCardIds: [],
@@ -174,110 +254,535 @@ export const addCardMoveToPending = (binderId, moveData) => {
     movedCards: [],
   };
 
-  // Check if this card already has a pending movement
-  const existingMoveIndex = existing.movedCards.findIndex(
-    (move) => move.cardId === moveData.cardId
+  const isBatch = Array.isArray(moveData);
+  const moveEntries = (isBatch ? moveData : [moveData]).flatMap(toMoveEntries);
+  if (moveEntries.length === 0) {
+    return { success: true, moveId: null, moveCount: 0 };
+  }
+
+  // A card's new movement replaces any it already had
+  const movedCardIds = moveEntries.map((move) => move.cardId);
+  const previousMoves = existing.movedCards.filter((move) =>
+    movedCardIds.includes(move.cardId)
   );
+  const movedCards = [
+    ...existing.movedCards.filter(
+      (move) => !movedCardIds.includes(move.cardId)
+    ),
+    ...moveEntries,
+  ];
 
-  const moveEntry = {
-    moveId: `move_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    cardId: moveData.cardId,
-    cardName: moveData.cardName,
-    fromPosition: {
-      pageNumber: moveData.fromPageNumber,
-      slotInPage: moveData.fromSlotInPage,
-      overallSlotNumber: moveData.fromOverallSlotNumber,
-    },
-    toPosition: {
-      pageNumber: moveData.toPageNumber,
-      slotInPage: moveData.toSlotInPage,
-      overallSlotNumber: moveData.toOverallSlotNumber,
+  const updated = {
+    ...existing,
+    movedCards,
+  };
+
+  savePendingChanges(binderId, updated);
+
+  const isSwap =
+    !isBatch && moveData.moveType === "swap" && moveData.targetCard;
+  recordEdit(binderId, {
+    type: isBatch
+      ? EDIT_TYPES.ARRANGE_CARDS
+      : isSwap
+      ? EDIT_TYPES.SWAP_CARDS
+      : EDIT_TYPES.MOVE_CARD,
+    target: EDIT_TARGETS.CARDS,
+    description: isBatch
+      ? options.description ||
+        `Moved ${moveEntries.length} card${moveEntries.length !== 1 ? "s" : ""}`
+      : isSwap
+      ? `Swapped '${moveData.cardName}' and '${moveData.targetCard.cardName}'`
+      : `Moved '${moveData.cardName}' to page ${moveData.toPageNumber}, slot ${moveData.toSlotInPage}`,
+    pendingPatch: {
+      movedCards: {
+        keys: movedCardIds,
+        before: previousMoves,
+        after: moveEntries,
+      },
     },
-    moveType: moveData.moveType, // 'move' or 'swap'
-    timestamp: new Date().toISOString(),
+  });
+
+  return {
+    success: true,
+    moveId: moveEntries[0].moveId,
+    moveCount: moveEntries.length,
   };
+};
 
-  const movedCards = [...existing.movedCards];
+/**
+ * Get all pending card movements
+ */
+export const getPendingCardMoves = (binderId) => {
+  const changes = getPendingChanges(binderId);
+  return changes?.movedCards || [];
+};
 
-  if (moveData.moveType === "swap" && moveData.targetCard) {
-    // Handle swap - need to update or add both cards
-    const targetExistingIndex = movedCards.findIndex(
-      (move) => move.cardId === moveData.targetCard.cardId
-    );
+/**
+ * Clear a specific card movement from pending changes
+ */
+export const removeCardMoveFromPending = (binderId, moveId) => {
+  const existing = getPendingChanges(binderId);
+  if (!existing) return false;
 
-    // Update or add source card movement
-    if (existingMoveIndex >= 0) {
-      movedCards[existingMoveIndex] = moveEntry;
-    } else {
-      movedCards.push(moveEntry);
-    }
+  const updated = {
+    ...existing,
+    movedCards: existing.movedCards.filter((move) => move.moveId !== moveId),
+  };
+
+  return savePendingChanges(binderId, updated);
+};
 
-    // Update or add target card movement
-    const targetMoveEntry = {
-      moveId: `move_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      cardId: moveData.targetCard.cardId,
-      cardName: moveData.targetCard.cardName,
-      fromPosition: {
-        pageNumber: moveData.targetCard.fromPageNumber,
-        slotInPage: moveData.targetCard.fromSlotInPage,
-        overallSlotNumber: moveData.targetCard.fromOverallSlotNumber,
+/**
+ * Mark a saved card for removal
+ * The card keeps its slot until the removal is saved, so it can be restored.
+ */
+export const addCardRemovalToPending = (binderId, cardId, cardName) => {
+  const existing = getPendingChanges(binderId) || {
+    addedCards: [],
+    removedCardIds: [],
+    updatedCards: [],
+    movedCards: [],
+  };
+
+  const removedCardIds = existing.removedCardIds || [];
+
+  if (removedCardIds.includes(cardId)) {
+    return { success: true, alreadyPending: true };
+  }
+
+  // Pending moves for this card are kept so undoing the removal restores them;
+  // they are skipped when the changes are synced.
+  const updated = {
+    ...existing,
+    removedCardIds: [...removedCardIds, cardId],
+  };
+
+  const success = savePendingChanges(binderId, updated);
+
+  if (success) {
+    recordEdit(binderId, {
+      type: EDIT_TYPES.REMOVE_CARD,
+      target: EDIT_TARGETS.CARDS,
+      description: cardName ? `Removed '${cardName}'` : "Removed a card",
+      pendingPatch: {
+        removedCardIds: { keys: [cardId], before: [], after: [cardId] },
       },
-      toPosition: {
-        pageNumber: moveData.targetCard.toPageNumber,
-        slotInPage: moveData.targetCard.toSlotInPage,
-        overallSlotNumber: moveData.targetCard.toOverallSlotNumber,
+    });
+  }
+
+  return { success };
+};
+
+/**
+ * Get all saved card IDs pending removal
+ */
+export const getPendingCardRemovals = (binderId) => {
+  const changes = getPendingChanges(binderId);
+  return changes?.removedCardIds || [];
+};
+
+/**
+ * Undo a pending card removal
+ * The restore is recorded as an edit, so undoing it removes the card again.
+ */
+export const removeCardRemovalFromPending = (binderId, cardId, cardName) => {
+  const existing = getPendingChanges(binderId);
+  if (!(existing?.removedCardIds || []).includes(cardId)) return false;
+
+  const updated = {
+    ...existing,
+    removedCardIds: existing.removedCardIds.filter((id) => id !== cardId),
+  };
+
+  const success = savePendingChanges(binderId, updated);
+
+  if (success) {
+    recordEdit(binderId, {
+      type: EDIT_TYPES.RESTORE_CARD,
+      target: EDIT_TARGETS.CARDS,
+      description: cardName ? `Restored '${cardName}'` : "Restored a card",
+      pendingPatch: {
+        removedCardIds: { keys: [cardId], before: [cardId], after: [] },
+      },
+    });
+  }
+
+  return success;
+};
+
+/**
+ * Change a card's details (condition, grading, variant, purchase details...)
+ * Pending additions are updated in place; saved cards get an entry in
+ * `updatedCards` holding the changed fields, where null clears a field.
+ * @param {string} binderId - Binder ID
+ * @param {Object} card - The card as displayed, with any pending details applied
+ * @param {Object} metadata - The card's new details; missing fields are cleared
+ * @returns {Object} { success, unchanged }
+ */
+export const updateCardMetadataInPending = (binderId, card, metadata) => {
+  const existing = getPendingChanges(binderId) || {
+    addedCards: [],
+    removedCardIds: [],
+    updatedCards: [],
+    movedCards: [],
+  };
+
+  const current = card.cardData || card;
+  const changedFields = Object.fromEntries(
+    CARD_METADATA_FIELDS.map((field) => [
+      field,
+      metadata[field] ?? null,
+    ]).filter(([field, value]) => value !== (current[field] ?? null))
+  );
+
+  if (Object.keys(changedFields).length === 0) {
+    return { success: true, unchanged: true };
+  }
+
+  const cardName = current.name;
+  const description = cardName
+    ? `Updated details of '${cardName}'`
+    : "Updated card details";
+
+  // Cards that haven't been saved yet carry their details in cardData
+  const pendingCard = (existing.addedCards || []).find(
+    (added) => added.tempId === card.tempId
+  );
+  if (card.tempId && pendingCard) {
+    const updatedCard = {
+      ...pendingCard,
+      cardData: {
+        ...Object.fromEntries(
+          Object.entries(pendingCard.cardData).filter(
+            ([field]) => !CARD_METADATA_FIELDS.includes(field)
+          )
+        ),
+        ...pickCardMetadata({ ...pendingCard.cardData, ...changedFields }),
       },
-      moveType: "swap",
-      swapPairId: moveEntry.moveId,
-      timestamp: new Date().toISOString(),
     };
 
-    if (targetExistingIndex >= 0) {
-      movedCards[targetExistingIndex] = targetMoveEntry;
-    } else {
-      movedCards.push(targetMoveEntry);
-    }
-  } else {
-    // Simple move - update existing or add new
-    if (existingMoveIndex >= 0) {
-      // Update existing movement for this card
-      movedCards[existingMoveIndex] = moveEntry;
-    } else {
-      // Add new movement
-      movedCards.push(moveEntry);
+    const success = savePendingChanges(binderId, {
+      ...existing,
+      addedCards: existing.addedCards.map((added) =>
+        added.tempId === card.tempId ? updatedCard : added
+      ),
+    });
+
+    if (success) {
+      recordEdit(binderId, {
+        type: EDIT_TYPES.UPDATE_CARD,
+        target: EDIT_TARGETS.CARDS,
+        description,
+        pendingPatch: {
+          addedCards: {
+            keys: [card.tempId],
+            before: [pendingCard],
+            after: [updatedCard],
+          },
+        },
+      });
     }
+    return { success };
   }
 
-  const updated = {
+  const updatedCards = existing.updatedCards || [];
+  const previous = updatedCards.find((update) => update.cardId === card.id);
+  const cardUpdate = {
+    // Identifies this version of the card's updates once it is queued offline
+    updateId: `update_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    cardId: card.id,
+    cardName,
+    updates: { ...previous?.updates, ...changedFields },
+  };
+
+  const success = savePendingChanges(binderId, {
     ...existing,
-    movedCards,
+    updatedCards: [
+      ...updatedCards.filter((update) => update.cardId !== card.id),
+      cardUpdate,
+    ],
+  });
+
+  if (success) {
+    recordEdit(binderId, {
+      type: EDIT_TYPES.UPDATE_CARD,
+      target: EDIT_TARGETS.CARDS,
+      description,
+      pendingPatch: {
+        updatedCards: {
+          keys: [card.id],
+          before: previous ? [previous] : [],
+          after: [cardUpdate],
+        },
+      },
+    });
+  }
+  return { success };
+};
+
+/**
+ * Get all pending detail updates to saved cards
+ */
+export const getPendingCardUpdates = (binderId) => {
+  const changes = getPendingChanges(binderId);
+  return changes?.updatedCards || [];
+};
+
+// How entries in each pending list are identified when applying history patches
+const PATCH_ENTRY_KEYS = {
+  addedCards: (card) => card.tempId,
+  movedCards: (move) => move.cardId,
+  removedCardIds: (cardId) => cardId,
+  updatedCards: (update) => update.cardId,
+};
+
+/**
+ * Undo or redo one recorded edit on the pending changes
+ * Only the entries the edit touched are replaced, so edits recorded later
+ * for other cards are left alone.
+ * @param {string} binderId - Binder ID
+ * @param {Object} patch - { [list]: { keys, before, after } } from the edit history
+ * @param {string} direction - "undo" restores `before`, "redo" restores `after`
+ */
+export const applyPendingPatch = (binderId, patch, direction) => {
+  const existing = getPendingChanges(binderId) || {
+    addedCards: [],
+    removedCardIds: [],
+    updatedCards: [],
+    movedCards: [],
   };
 
-  savePendingChanges(binderId, updated);
-  return { success: true, moveId: moveEntry.moveId };
+  const updated = { ...existing };
+
+  Object.entries(patch).forEach(([list, { keys, before, after }]) => {
+    const getKey = PATCH_ENTRY_KEYS[list];
+    const kept = (existing[list] || []).filter(
+      (entry) => !keys.includes(getKey(entry))
+    );
+    updated[list] = [...kept, ...(direction === "undo" ? before : after)];
+  });
+
+  return savePendingChanges(binderId, updated);
 };
 
 /**
- * Get all pending card movements
+ * Record which binder revision the pending changes were made against
+ * Saves compare it with the binder's revision counter to spot edits saved
+ * elsewhere in the meantime.
+ * @param {string} binderId - Binder ID
+ * @param {number} revision - Binder revision counter
+ * @param {number} [fromRevision] - Only update pending changes based on this revision
+ * @returns {boolean} Whether the pending changes were updated
  */
-export const getPendingCardMoves = (binderId) => {
+export const setPendingBaseRevision = (binderId, revision, fromRevision) => {
+  const existing = getPendingChanges(binderId);
+  if (!existing) return false;
+  if (fromRevision !== undefined && existing.baseRevision !== fromRevision) {
+    return false;
+  }
+
+  return savePendingChanges(binderId, { ...existing, baseRevision: revision });
+};
+
+/**
+ * Drop pending edits that have been saved from a copy of the pending changes
+ * Used after an offline save is replayed: edits made since the copy was
+ * queued stay pending, now based on the revision the replay saved.
+ * @param {string} binderId - Binder ID
+ * @param {Object} savedChanges - The pending changes that were saved
+ * @param {number} revision - Binder revision after the save
+ * @returns {boolean} Whether any edits are still pending
+ */
+export const removeSavedPendingChanges = (binderId, savedChanges, revision) => {
+  const existing = getPendingChanges(binderId);
+  if (!existing) return false;
+
+  const savedTempIds = new Set(
+    (savedChanges.addedCards || []).map((card) => card.tempId)
+  );
+  const savedMoveIds = new Set(
+    (savedChanges.movedCards || []).map((move) => move.moveId)
+  );
+  const savedRemovals = new Set(savedChanges.removedCardIds || []);
+  const savedUpdateIds = new Set(
+    (savedChanges.updatedCards || []).map((update) => update.updateId)
+  );
+
+  const remaining = {
+    ...existing,
+    addedCards: (existing.addedCards || []).filter(
+      (card) => !savedTempIds.has(card.tempId)
+    ),
+    movedCards: (existing.movedCards || []).filter(
+      (move) => !savedMoveIds.has(move.moveId)
+    ),
+    removedCardIds: (existing.removedCardIds || []).filter(
+      (cardId) => !savedRemovals.has(cardId)
+    ),
+    updatedCards: (existing.updatedCards || []).filter(
+      (update) => !savedUpdateIds.has(update.updateId)
+    ),
+    baseRevision: revision,
+  };
+
+  const hasRemaining =
+    remaining.addedCards.length > 0 ||
+    remaining.movedCards.length > 0 ||
+    remaining.removedCardIds.length > 0 ||
+    remaining.updatedCards.length > 0;
+
+  if (!hasRemaining) {
+    clearPendingChanges(binderId);
+    return false;
+  }
+
+  // Undo steps may refer to the edits that were just saved
+  clearEditHistory(binderId, EDIT_TARGETS.CARDS);
+  savePendingChanges(binderId, remaining);
+  return true;
+};
+
+// Identifies a binder slot in conflict checks
+const getSlotKey = (position) =>
+  position?.pageNumber && position?.slotInPage
+    ? `${position.pageNumber}-${position.slotInPage}`
+    : null;
+
+/**
+ * Find pending edits that a change saved elsewhere has touched
+ * A remote change conflicts when it moves or removes a card with pending
+ * edits, or when the slot it leaves or fills has been changed locally.
+ * Remote changes that end up where the pending edit would have put the card
+ * anyway (including this device's own save) are not conflicts.
+ * @param {string} binderId - Binder ID
+ * @param {Array<Object>} remoteChanges - { type, cardId, before, after } from the card listener
+ * @returns {Array<Object>} Conflicts with the change and the affected page and slot
+ */
+export const findPendingConflicts = (binderId, remoteChanges) => {
   const changes = getPendingChanges(binderId);
-  return changes?.movedCards || [];
+  if (!changes) return [];
+
+  const movedCards = changes.movedCards || [];
+  const removedCardIds = changes.removedCardIds || [];
+  const addedCards = changes.addedCards || [];
+
+  const touchedCardIds = new Set([
+    ...movedCards.map((move) => move.cardId),
+    ...removedCardIds,
+    ...(changes.updatedCards || []).map((update) => update.cardId),
+  ]);
+  const touchedSlots = new Set(
+    [
+      ...movedCards.flatMap((move) => [
+        getSlotKey(move.fromPosition),
+        getSlotKey(move.toPosition),
+      ]),
+      ...addedCards.map(getSlotKey),
+    ].filter(Boolean)
+  );
+
+  return remoteChanges
+    .filter(({ type, cardId, after }) => {
+      if (type === "removed") return !removedCardIds.includes(cardId);
+
+      const pendingMove = movedCards.find((move) => move.cardId === cardId);
+      if (pendingMove) {
+        return getSlotKey(pendingMove.toPosition) !== getSlotKey(after);
+      }
+
+      return !(
+        type === "added" &&
+        addedCards.some(
+          (card) =>
+            card.pokemonCardId === after.cardApiId &&
+            getSlotKey(card) === getSlotKey(after)
+        )
+      );
+    })
+    .filter(
+      ({ cardId, before, after }) =>
+        touchedCardIds.has(cardId) ||
+        touchedSlots.has(getSlotKey(before)) ||
+        touchedSlots.has(getSlotKey(after))
+    )
+    .map((change) => {
+      const card = change.after || change.before;
+      return {
+        ...change,
+        cardName: (card.cardData || card).name || "A card",
+        pageNumber: card.pageNumber,
+        slotInPage: card.slotInPage,
+      };
+    });
 };
 
 /**
- * Clear a specific card movement from pending changes
+ * Drop the pending edits that conflict with changes saved elsewhere
+ * Edits to cards that were removed elsewhere are always dropped since they
+ * can no longer be saved; `keepLocal` keeps every other conflicting edit.
+ * @param {string} binderId - Binder ID
+ * @param {Array<Object>} conflicts - Conflicts from findPendingConflicts
+ * @param {boolean} keepLocal - Whether the user chose to keep their edits
+ * @returns {boolean} Whether the pending changes were updated
  */
-export const removeCardMoveFromPending = (binderId, moveId) => {
+export const resolvePendingConflicts = (binderId, conflicts, keepLocal) => {
   const existing = getPendingChanges(binderId);
   if (!existing) return false;
 
+  const discarded = keepLocal
+    ? conflicts.filter((conflict) => conflict.type === "removed")
+    : conflicts;
+  if (discarded.length === 0) return true;
+
+  const cardIds = new Set(discarded.map((conflict) => conflict.cardId));
+  const slots = new Set(
+    discarded
+      .flatMap((conflict) => [
+        getSlotKey(conflict.before),
+        getSlotKey(conflict.after),
+      ])
+      .filter(Boolean)
+  );
+  // Cards removed elsewhere only lose their own edits, not their old slot's
+  const isDiscardedSlot = (position) =>
+    !keepLocal && slots.has(getSlotKey(position));
+
+  const droppedMoves = (existing.movedCards || []).filter(
+    (move) =>
+      cardIds.has(move.cardId) ||
+      isDiscardedSlot(move.fromPosition) ||
+      isDiscardedSlot(move.toPosition)
+  );
+  const droppedMoveIds = new Set(droppedMoves.map((move) => move.moveId));
+  // A swap only makes sense with both halves
+  const isDroppedMove = (move) =>
+    droppedMoveIds.has(move.moveId) ||
+    droppedMoveIds.has(move.swapPairId) ||
+    droppedMoves.some((dropped) => dropped.swapPairId === move.moveId);
+
   const updated = {
     ...existing,
-    movedCards: existing.movedCards.filter((move) => move.moveId !== moveId),
+    movedCards: (existing.movedCards || []).filter(
+      (move) => !isDroppedMove(move)
+    ),
+    removedCardIds: (existing.removedCardIds || []).filter(
+      (cardId) => !cardIds.has(cardId)
+    ),
+    updatedCards: (existing.updatedCards || []).filter(
+      (update) => !cardIds.has(update.cardId)
+    ),
+    addedCards: (existing.addedCards || []).filter(
+      (card) => !isDiscardedSlot(card)
+    ),
   };
 
-  return savePendingChanges(binderId, updated);
+  const success = savePendingChanges(binderId, updated);
+  if (success) {
+    // Undo steps may refer to the edits that were just dropped
+    clearEditHistory(binderId, EDIT_TARGETS.CARDS);
+  }
+  return success;
 };
 
 /**
@@ -295,10 +800,14 @@ export const getPendingChangesSummary = (binderId) => {
     };
   }
 
+  const removedCardIds = changes.removedCardIds || [];
   const addedCards = changes.addedCards?.length || 0;
-  const removedCards = changes.removedCardIds?.length || 0;
+  const removedCards = removedCardIds.length;
   const updatedCards = changes.updatedCards?.length || 0;
-  const movedCards = changes.movedCards?.length || 0;
+  // Moves of cards that are about to be removed will not be synced
+  const movedCards = (changes.movedCards || []).filter(
+    (move) => !removedCardIds.includes(move.cardId)
+  ).length;
 
   return {
     totalChanges: addedCards + removedCards + updatedCards + movedCards,
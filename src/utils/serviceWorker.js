@@ -0,0 +1,94 @@
+/**
+ * Service Worker Utilities
+ *
+ * Registers public/sw.js and talks to it about its card image cache.
+ */
+
+import { FEATURE_FLAGS } from "../config/userLimits";
+
+// Card image cache sizes offered in Profile > Interface
+export const IMAGE_CACHE_LIMITS = [
+  { value: 250, label: "250 images", description: "About 25 MB" },
+  { value: 1000, label: "1,000 images", description: "About 100 MB" },
+  { value: 2500, label: "2,500 images", description: "About 250 MB" },
+  { value: 5000, label: "5,000 images", description: "About 500 MB" },
+];
+
+const MESSAGE_TIMEOUT = 5000; // ms
+
+export const isServiceWorkerSupported = () =>
+  typeof navigator !== "undefined" && "serviceWorker" in navigator;
+
+/**
+ * Register the service worker in production builds
+ * The dev server serves modules the worker shouldn't cache.
+ */
+export const registerServiceWorker = () => {
+  if (
+    !FEATURE_FLAGS.PWA_FEATURES ||
+    !import.meta.env.PROD ||
+    !isServiceWorkerSupported()
+  ) {
+    return;
+  }
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.warn("Service worker registration failed:", error);
+    });
+  });
+};
+
+// Send a message to the active service worker and wait for its reply
+const postToServiceWorker = async (message) => {
+  if (!isServiceWorkerSupported()) {
+    return { success: false, error: "Offline caching isn't supported here." };
+  }
+
+  const registration = await navigator.serviceWorker.getRegistration();
+  const worker = registration?.active;
+  if (!worker) {
+    return { success: false, error: "Offline caching isn't active yet." };
+  }
+
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(
+      () =>
+        resolve({ success: false, error: "The cache didn't respond in time." }),
+      MESSAGE_TIMEOUT
+    );
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    worker.postMessage(message, [channel.port2]);
+  });
+};
+
+/**
+ * Get the card image cache's size and limit, plus the browser's storage estimate
+ * @returns {Promise<Object>} { success, imageCount, imageLimit, usage, quota }
+ */
+export const getCacheStats = async () => {
+  const [stats, estimate] = await Promise.all([
+    postToServiceWorker({ type: "GET_CACHE_STATS" }),
+    navigator.storage?.estimate?.().catch(() => null) ?? null,
+  ]);
+
+  return { ...stats, usage: estimate?.usage, quota: estimate?.quota };
+};
+
+/**
+ * Change how many card images are kept offline; older images over the limit are removed
+ * @param {number} limit - One of IMAGE_CACHE_LIMITS
+ */
+export const setImageCacheLimit = (limit) =>
+  postToServiceWorker({ type: "SET_IMAGE_CACHE_LIMIT", limit });
+
+/**
+ * Remove every cached card image
+ */
+export const clearImageCache = () =>
+  postToServiceWorker({ type: "CLEAR_IMAGE_CACHE" });
@@ -0,0 +1,83 @@
+import { parseGridSize } from "./gridUtils";
+import { compareCardNumbers } from "./cardSorting";
+
+/**
+ * Set layouts for binders created from a set template
+ *
+ * A set template binder (binder.setTemplate = { setId, setName, cardCount })
+ * reserves one slot per card of the set in card-number order, starting at
+ * the first slot of page 1. The layout is worked out from the set's card list
+ * rather than stored, so it stays in step with the cached set data.
+ *
+ * With the binder's showReverseHolos preference on, cards that were also
+ * printed as reverse holos get a second slot right after their own. The two
+ * printings are told apart by the card's variant detail.
+ */
+
+export const REVERSE_HOLO_VARIANT = "reverseHolofoil";
+
+/**
+ * Whether a card was also printed as a reverse holo
+ * TCGplayer lists a price for every printing, so its variant keys tell us.
+ * @param {Object} card - Pokemon TCG API card
+ * @returns {boolean}
+ */
+export const hasReverseHoloPrinting = (card) =>
+  !!card?.tcgplayer?.prices?.[REVERSE_HOLO_VARIANT];
+
+/**
+ * Whether a binder card is the reverse holo printing of its card
+ * @param {Object} card - Saved card, pending card or API card
+ * @returns {boolean}
+ */
+export const isReverseHoloCopy = (card) =>
+  (card?.cardData?.variant ?? card?.variant) === REVERSE_HOLO_VARIANT;
+
+/**
+ * Id of one printing of a card, used where each printing is its own entry
+ * @param {string} cardId - Pokemon TCG API card id
+ * @param {string} [variant] - REVERSE_HOLO_VARIANT for the reverse holo
+ * @returns {string} The card id, suffixed for the reverse holo
+ */
+export const getPrintingId = (cardId, variant) =>
+  variant === REVERSE_HOLO_VARIANT ? `${cardId}_${variant}` : cardId;
+
+/**
+ * Lay out a set's cards in card-number order
+ * @param {Array} setCards - Every card in the set (from usePokemonSetCards)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReverseHolos] - Reserve reverse holo slots
+ * @returns {Array<Object>} { slotNumber, card, variant } per reserved slot,
+ *   1-based; variant is only set on reverse holo slots
+ */
+export const buildSetLayout = (setCards = [], { includeReverseHolos } = {}) =>
+  [...setCards]
+    .sort((a, b) => compareCardNumbers(a.number, b.number))
+    .flatMap((card) =>
+      includeReverseHolos && hasReverseHoloPrinting(card)
+        ? [{ card }, { card, variant: REVERSE_HOLO_VARIANT }]
+        : [{ card }]
+    )
+    .map((entry, index) => ({ slotNumber: index + 1, ...entry }));
+
+/**
+ * Pages needed to hold a set's layout
+ * @param {number} cardCount - Cards in the set
+ * @param {string} gridSize - Grid size (e.g., "3x3")
+ * @returns {number} Page count, at least 1
+ */
+export const getSetLayoutPageCount = (cardCount, gridSize) => {
+  const { totalSlots: slotsPerPage } = parseGridSize(gridSize);
+  return Math.max(1, Math.ceil((cardCount || 0) / slotsPerPage));
+};
+
+/**
+ * Build the setTemplate stored on a binder created from a set
+ * @param {Object} set - Pokemon TCG set
+ * @returns {Object} { setId, setName, cardCount }
+ */
+export const buildSetTemplate = (set) => ({
+  setId: set.id,
+  setName: set.name,
+  cardCount: set.total || set.printedTotal || 0,
+});
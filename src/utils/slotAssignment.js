@@ -1,5 +1,6 @@
 import { parseGridSize } from "./gridUtils";
 import { getPendingCardAdditions } from "./localBinderStorage";
+import { isReverseHoloCopy } from "./setLayout";
 
 /**
  * Utility functions for managing card slot assignments in binders
@@ -13,6 +14,8 @@ import { getPendingCardAdditions } from "./localBinderStorage";
  * @param {string} gridSize - Grid size (e.g., "3x3")
  * @param {Array} savedCards - Already saved cards from Firebase
  * @param {number} totalPages - Total pages in the binder
+ * @param {Set<number>} [reservedSlotNumbers] - Overall slot numbers to leave free,
+ *   e.g. the slots a set layout keeps for its missing cards
  * @returns {Array} Array of slot assignments { pageNumber, slotInPage }
  */
 export const getNextAvailableSlots = (
@@ -21,7 +24,8 @@ export const getNextAvailableSlots = (
   currentPage,
   gridSize,
   savedCards = [],
-  totalPages = 1
+  totalPages = 1,
+  reservedSlotNumbers = new Set()
 ) => {
   const { totalSlots: slotsPerPage } = parseGridSize(gridSize);
   const pendingCards = getPendingCardAdditions(binderId);
@@ -51,12 +55,16 @@ export const getNextAvailableSlots = (
 
   while (availableSlots.length < count && page <= totalPages) {
     const slotKey = `${page}-${slot}`;
+    const overallSlotNumber = (page - 1) * slotsPerPage + slot;
 
-    if (!occupiedSlots.has(slotKey)) {
+    if (
+      !occupiedSlots.has(slotKey) &&
+      !reservedSlotNumbers.has(overallSlotNumber)
+    ) {
       availableSlots.push({
         pageNumber: page,
         slotInPage: slot,
-        overallSlotNumber: (page - 1) * slotsPerPage + slot,
+        overallSlotNumber,
       });
     }
 
@@ -70,6 +78,81 @@ export const getNextAvailableSlots = (
   return availableSlots;
 };
 
+/**
+ * Assign slots for cards added to a binder laid out from a set
+ * Cards from the set go to their reserved slot while it is still empty; a
+ * reverse holo copy (variant reverseHolofoil) goes to the card's reverse holo
+ * slot if the layout has one. Any other cards (or extra copies) are placed
+ * after the layout by getNextAvailableSlots.
+ * @param {string} binderId - The binder ID
+ * @param {Array} cards - Cards being added
+ * @param {Array} layout - Set layout from buildSetLayout
+ * @param {string} gridSize - Grid size (e.g., "3x3")
+ * @param {Array} savedCards - Already saved cards from Firebase
+ * @param {number} totalPages - Total pages in the binder
+ * @returns {Array} One slot assignment per card, in the cards' order;
+ *   undefined for cards that don't fit
+ */
+export const getSetLayoutSlots = (
+  binderId,
+  cards,
+  layout,
+  gridSize,
+  savedCards = [],
+  totalPages = 1
+) => {
+  const pendingCards = getPendingCardAdditions(binderId);
+  const occupiedSlotNumbers = new Set(
+    [...savedCards, ...pendingCards]
+      .filter((card) => card.pageNumber && card.slotInPage)
+      .map((card) =>
+        getSlotNumberFromPageAndSlot(card.pageNumber, card.slotInPage, gridSize)
+      )
+  );
+  const { totalSlots: slotsPerPage } = parseGridSize(gridSize);
+  const lastSlotNumber = totalPages * slotsPerPage;
+
+  const assignedSlots = cards.map((card) => {
+    // Reverse holos have their own slots when the layout reserves them
+    const cardEntries = layout.filter((entry) => entry.card.id === card.id);
+    const printingEntries = cardEntries.filter(
+      (entry) => !!entry.variant === isReverseHoloCopy(card)
+    );
+    const entry = (
+      printingEntries.length > 0 ? printingEntries : cardEntries
+    ).find(
+      ({ slotNumber }) =>
+        slotNumber <= lastSlotNumber && !occupiedSlotNumbers.has(slotNumber)
+    );
+    if (!entry) return undefined;
+
+    occupiedSlotNumbers.add(entry.slotNumber);
+    return {
+      ...getPageAndSlotFromSlotNumber(entry.slotNumber, gridSize),
+      overallSlotNumber: entry.slotNumber,
+    };
+  });
+
+  // Everything else fills the free slots the layout doesn't reserve
+  const unplacedCount = assignedSlots.filter((slot) => !slot).length;
+  const reservedSlotNumbers = new Set([
+    ...layout.map(({ slotNumber }) => slotNumber),
+    ...assignedSlots.filter(Boolean).map((slot) => slot.overallSlotNumber),
+  ]);
+  const extraSlots = getNextAvailableSlots(
+    binderId,
+    unplacedCount,
+    1,
+    gridSize,
+    savedCards,
+    totalPages,
+    reservedSlotNumbers
+  );
+
+  let extraIndex = 0;
+  return assignedSlots.map((slot) => slot || extraSlots[extraIndex++]);
+};
+
 /**
  * Get page number and slot in page from overall slot number
  * @param {number} slotNumber - Overall slot number (1-based)